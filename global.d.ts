@@ -30,6 +30,14 @@ interface Window {
   // Feature modules
   Magnifier: any;
   MeasurementTool: any;
+  SmartGuides: any;
+  FloorPlanEditor: any;
+  AutoArrange: any;
+  PackingSolver: any;
+  UnitFitAdvisor: any;
+  DriveOutChecker: any;
+  ShareLink: any;
+  ItemListImport: any;
 
   // Manager modules
   CanvasManager: any;
@@ -47,6 +55,13 @@ interface Window {
   Bounds: any;
   Geometry: any;
   Helpers: any;
+  LayoutSchema: any;
+  LayoutStore: any;
+  Patch: any;
+  Compression: any;
+  QRCode: any;
+  Dxf: any;
+  Xlsx: any;
   Storage: any;
   StorageUtil: any;
   Validation: any;
@@ -1,4 +1,4 @@
-/* global State, EventBus, CanvasManager, FloorPlanManager, ItemManager, SelectionManager, ExportManager, HistoryManager, Modal, Config, Items, Helpers, StorageUtil, Bounds */
+/* global State, EventBus, CanvasManager, FloorPlanManager, ItemManager, SelectionManager, ExportManager, HistoryManager, FloorPlanEditor, AutoArrange, UnitFitAdvisor, DriveOutChecker, ShareLink, ItemListImport, Modal, Config, Items, Helpers, StorageUtil, LayoutStore, LayoutSchema, Bounds, Validation, Geometry, QRCode, Dxf */
 
 /**
  * Main Application Controller
@@ -17,8 +17,13 @@ class App {
     this.sidebarCollapsed = false;
     this.mobileUIManager = null;
     this.autosaveInterval = null;
-    this.duplicateBatchDepth = 0;
     this.measurementTool = null;
+    this.floorPlanEditor = null;
+    this.autoArrange = null;
+    this.unitFitAdvisor = null;
+    this.driveOutChecker = null;
+    this.shareLink = null;
+    this.readOnly = false;
     this.measurementModeActive = false;
     this.measurementInProgress = false;
     this.historySuppressed = false;
@@ -50,8 +55,40 @@ class App {
     this.floorPlanManager = new FloorPlanManager(this.state, this.eventBus, this.canvasManager);
     this.itemManager = new ItemManager(this.state, this.eventBus, this.canvasManager);
     this.selectionManager = new SelectionManager(this.state, this.eventBus, this.canvasManager);
-    this.exportManager = new ExportManager(this.state, this.eventBus, this.canvasManager);
+    if (typeof ShareLink !== 'undefined') {
+      this.shareLink = new ShareLink(this.state, this.floorPlanManager, this.itemManager);
+    }
+    this.exportManager = new ExportManager(
+      this.state,
+      this.eventBus,
+      this.canvasManager,
+      this.shareLink,
+      this.itemManager,
+    );
     this.historyManager = new HistoryManager(this.state, this.eventBus);
+    if (typeof AutoArrange !== 'undefined') {
+      this.autoArrange = new AutoArrange(this.state, this.canvasManager, this.itemManager);
+      if (typeof UnitFitAdvisor !== 'undefined') {
+        this.unitFitAdvisor = new UnitFitAdvisor(
+          this.floorPlanManager,
+          this.itemManager,
+          this.autoArrange,
+        );
+      }
+    }
+    if (typeof ItemListImport !== 'undefined') {
+      this.itemListImport = new ItemListImport(this.state, this.canvasManager, this.itemManager);
+    }
+    if (typeof DriveOutChecker !== 'undefined') {
+      this.driveOutChecker = new DriveOutChecker(this.state, this.canvasManager);
+    }
+    if (typeof FloorPlanEditor !== 'undefined') {
+      this.floorPlanEditor = new FloorPlanEditor(
+        this.canvasManager,
+        this.floorPlanManager,
+        this.eventBus,
+      );
+    }
 
     // Setup event listeners
     this.setupEventListeners();
@@ -78,10 +115,13 @@ class App {
     // Save initial empty state before loading anything
     this.saveHistorySnapshot();
 
+    // A share link opens that layout read-only instead of the last autosave
+    const sharedOpened = !!this.shareLink?.isShareHash() && this.openSharedLayout();
+
     // Load last autosave if exists
-    const autosaveLoaded = this.loadAutosave();
+    const autosaveLoaded = !sharedOpened && this.loadAutosave();
 
-    if (autosaveLoaded) {
+    if (autosaveLoaded || sharedOpened) {
       this.canvasManager.hideEmptyState();
       // Record loaded layout as a new history entry
       this.saveHistorySnapshot();
@@ -92,18 +132,36 @@ class App {
 
     // Check entry zone violations after load
     this.checkEntryZoneViolations();
+    this.renderLevelSwitcher();
+
+    // Open saved layout storage (moves layouts from earlier versions into IndexedDB)
+    await LayoutStore.init();
+    this.renderSavedLayouts();
 
     // Application initialized successfully
   }
 
   /**
-   * Save a history snapshot unless suppressed (e.g., during undo/redo rebuilds)
+   * Save a history entry unless suppressed (e.g., during undo/redo rebuilds)
+   * @param {string} [label] - History panel label; described from the change when omitted
    */
-  saveHistorySnapshot() {
+  saveHistorySnapshot(label) {
     if (!this.historyManager || this.historySuppressed) {
       return;
     }
-    this.historyManager.save();
+    this.historyManager.save(label);
+  }
+
+  /**
+   * Run several item changes as a single undo step
+   * @param {Function} callback
+   * @param {string} [label] - History panel label
+   */
+  runAsSingleHistoryStep(callback, label) {
+    if (!this.historyManager || this.historySuppressed) {
+      return callback();
+    }
+    return this.historyManager.transaction(label || null, callback);
   }
 
   /**
@@ -163,7 +221,12 @@ class App {
       // Update item position in state when moved
       // obj.left and obj.top are already center coords due to originX/Y: 'center'
       if (obj && obj.customData && obj.customData.id) {
-        this.updateItemPosition(obj.customData.id, obj.left, obj.top, obj.angle || 0);
+        this._syncItemPlacement(obj);
+        this._applyItemScale(obj);
+      } else if (obj?.type === 'activeSelection') {
+        obj.getObjects().forEach((child) => {
+          if (child.customData?.id) this._syncItemPlacement(child);
+        });
       }
       this.saveHistorySnapshot();
 
@@ -171,14 +234,27 @@ class App {
       this.debouncedCheckEntryZone();
     });
 
+    this.eventBus.on('canvas:collisions:changed', ({ count }) => {
+      this.state.set('ui.collisionCount', count);
+      this.updateInfoPanel();
+    });
+
+    this.eventBus.on('item:library:changed', () => {
+      this.renderItemPalette();
+    });
+
     // Item events
     this.eventBus.on('item:added', () => {
       this.saveHistorySnapshot();
       this.updateInfoPanel();
       this.checkEntryZoneViolations();
+      this.renderLevelSwitcher();
     });
 
     this.eventBus.on('item:removed', (itemId) => {
+      // Removing the last mezzanine brings what was on its deck down to the floor
+      this.itemManager.releaseOrphanedDeckItems();
+      this.renderLevelSwitcher();
       this.saveHistorySnapshot();
       this.updateInfoPanel();
       this.checkEntryZoneViolations();
@@ -203,26 +279,39 @@ class App {
       this.checkEntryZoneViolations();
     });
 
-    this.eventBus.on('items:duplicate:batch:start', () => {
-      this.duplicateBatchDepth += 1;
-      if (this.historyManager) {
-        this.historyManager.enabled = false;
-      }
+    // Multi-item operations from SelectionManager land in history as one step each
+    this.eventBus.on('items:duplicate:batch:start', ({ ids }) => {
+      this.historyManager?.beginTransaction(ids?.length > 1 ? `Duplicated ${ids.length} items` : null);
     });
 
     this.eventBus.on('items:duplicate:batch:end', () => {
-      if (this.duplicateBatchDepth > 0) {
-        this.duplicateBatchDepth -= 1;
-      }
-      if (this.duplicateBatchDepth === 0 && this.historyManager) {
-        this.historyManager.enabled = true;
-        this.saveHistorySnapshot();
-      }
+      this.historyManager?.endTransaction();
+    });
+
+    this.eventBus.on('items:delete:batch:start', ({ ids }) => {
+      this.historyManager?.beginTransaction(ids?.length > 1 ? `Deleted ${ids.length} items` : null);
+    });
+
+    this.eventBus.on('items:delete:batch:end', () => {
+      this.historyManager?.endTransaction();
+    });
+
+    this.eventBus.on('items:align:batch:start', ({ items, alignment }) => {
+      this.historyManager?.beginTransaction(`Aligned ${items?.length || 0} items ${alignment}`);
+    });
+
+    this.eventBus.on('items:align:batch:end', () => {
+      this.historyManager?.endTransaction();
     });
 
     this.eventBus.on('item:paste:requested', (itemData) => {
       // Add pasted item with offset (x,y are already center coordinates from copySelected)
-      const newItem = this.itemManager.addItem(itemData.itemId, itemData.x + 20, itemData.y + 20);
+      const newItem = this.itemManager.addItem(
+        itemData.itemId,
+        itemData.x + 20,
+        itemData.y + 20,
+        this.itemManager.getInstanceProps(itemData),
+      );
       if (newItem && newItem.canvasObject) {
         newItem.canvasObject.rotate(itemData.angle);
         this.canvasManager.getCanvas().renderAll();
@@ -232,7 +321,12 @@ class App {
 
     // Import item from JSON
     this.eventBus.on('item:add:imported', (itemData) => {
-      const newItem = this.itemManager.addItem(itemData.itemId, itemData.x, itemData.y);
+      const newItem = this.itemManager.addItem(
+        itemData.itemId,
+        itemData.x,
+        itemData.y,
+        { ...this.itemManager.getInstanceProps(itemData), level: itemData.level },
+      );
       if (newItem && newItem.canvasObject) {
         newItem.canvasObject.rotate(itemData.angle || 0);
         if (itemData.locked) {
@@ -251,6 +345,7 @@ class App {
 
     // Floor plan loaded (for import)
     this.eventBus.on('floorplan:loaded', (floorPlan) => {
+      this.floorPlanEditor?.cancel();
       this.canvasManager.drawFloorPlan(floorPlan);
       this.canvasManager.redrawFloorPlan();
       this.updateInfoPanel();
@@ -265,9 +360,23 @@ class App {
 
     // Floor plan events
     this.eventBus.on('floorplan:changed', () => {
+      this.floorPlanEditor?.cancel();
       this.saveHistorySnapshot();
       this.updateInfoPanel();
       this.checkEntryZoneViolations();
+      this.renderObstacleList();
+      this.renderDoorList();
+    });
+
+    this.eventBus.on('floorplan:editor:activated', () => {
+      const btn = document.getElementById('btn-edit-floorplan-shape');
+      if (btn) btn.textContent = 'Cancel Shape Edit';
+    });
+
+    this.eventBus.on('floorplan:editor:deactivated', () => {
+      const btn = document.getElementById('btn-edit-floorplan-shape');
+      if (btn) btn.textContent = 'Edit Shape';
+      this.renderFloorPlanList();
     });
 
     this.eventBus.on('floorplan:moved', (payload) => {
@@ -291,14 +400,17 @@ class App {
     // Selection events
     this.eventBus.on('canvas:selection:created', () => {
       this.updateInfoPanel();
+      this.renderItemInspector();
     });
 
     this.eventBus.on('canvas:selection:updated', () => {
       this.updateInfoPanel();
+      this.renderItemInspector();
     });
 
     this.eventBus.on('canvas:selection:cleared', () => {
       this.updateInfoPanel();
+      this.renderItemInspector();
     });
 
     // Rotation event (from keyboard 'R' or desktop rotate button)
@@ -386,25 +498,26 @@ class App {
       this.updateZoomDisplay(zoom);
     });
 
-    this.eventBus.on('items:zorder:changed', () => {
-      this.saveHistorySnapshot();
+    this.eventBus.on('history:changed', () => {
+      this.renderHistoryPanel();
     });
 
-    this.eventBus.on('items:aligned', () => {
-      this.saveHistorySnapshot();
+    this.eventBus.on('items:zorder:changed', ({ action, items }) => {
+      // Items are redrawn in list order on undo, so the list follows the canvas stacking
+      this._syncItemOrderFromCanvas();
+      const count = items?.length || 0;
+      const subject = count === 1 ? items[0].customData?.label || 'item' : `${count} items`;
+      this.saveHistorySnapshot(
+        action === 'front' ? `Brought ${subject} to front` : `Sent ${subject} to back`,
+      );
     });
 
     this.eventBus.on('items:move:batch:start', () => {
-      if (this.historyManager) {
-        this.historyManager.enabled = false;
-      }
+      this.historyManager?.beginTransaction(null);
     });
 
     this.eventBus.on('items:move:batch:end', () => {
-      if (this.historyManager) {
-        this.historyManager.enabled = true;
-        this.saveHistorySnapshot();
-      }
+      this.historyManager?.endTransaction();
     });
   }
 
@@ -422,6 +535,9 @@ class App {
         return;
       }
 
+      // Shared layouts are view-only
+      if (this.readOnly) return;
+
       const ctrl = e.ctrlKey || e.metaKey;
       const hasSelection = (this.selectionManager?.getSelection?.() || []).length > 0;
 
@@ -677,6 +793,28 @@ class App {
       snapToggleText.textContent = snapEnabled ? 'Disable Snap to Grid' : 'Enable Snap to Grid';
     }
 
+    const preventOverlap = this.state.get('settings.preventOverlap') === true;
+    const overlapToggleText = document.getElementById('overlap-toggle-text');
+    if (overlapToggleText) {
+      overlapToggleText.textContent = preventOverlap ? 'Allow Overlap' : 'Prevent Overlap';
+    }
+
+    const smartGuides = this.state.get('settings.smartGuides') !== false;
+    const smartGuidesToggleText = document.getElementById('smart-guides-toggle-text');
+    if (smartGuidesToggleText) {
+      smartGuidesToggleText.textContent = smartGuides ? 'Disable Smart Guides' : 'Enable Smart Guides';
+    }
+    const snapSlider = /** @type {HTMLInputElement} */ (document.getElementById('smart-guide-snap-slider'));
+    const snapValue = document.getElementById('smart-guide-snap-value');
+    const snapPx = this.state.get('settings.smartGuideSnapPx') ?? Config.SMART_GUIDES.snapThresholdPx;
+    if (snapSlider) {
+      snapSlider.value = String(snapPx);
+      snapSlider.disabled = !smartGuides;
+    }
+    if (snapValue) {
+      snapValue.textContent = snapPx > 0 ? `${snapPx} px` : 'Off';
+    }
+
     this.mobileUIManager?.setRulerGridActive?.(!!showGrid);
 
     // Update entry zone position buttons visibility
@@ -780,6 +918,7 @@ class App {
         document.getElementById('floorplan-tab').classList.add('hidden');
         document.getElementById('items-tab').classList.add('hidden');
         document.getElementById('saved-tab').classList.add('hidden');
+        document.getElementById('history-tab').classList.add('hidden');
 
         // Show selected tab content
         const tabName = tab.dataset.tab;
@@ -790,6 +929,9 @@ class App {
         } else if (tabName === 'saved') {
           document.getElementById('saved-tab').classList.remove('hidden');
           this.renderSavedLayouts();
+        } else if (tabName === 'history') {
+          document.getElementById('history-tab').classList.remove('hidden');
+          this.renderHistoryPanel();
         }
       });
     });
@@ -856,220 +998,1449 @@ class App {
     if (!container) return;
 
     const floorPlans = this.floorPlanManager.getAllFloorPlans();
-    const currentId = this.state.get('floorPlan')?.id;
-
-    container.innerHTML = floorPlans
-      .map(
-        (fp) => `
+    const currentPlan = this.state.get('floorPlan');
+    const currentId = currentPlan?.id;
+
+    // A custom unit that hasn't been saved as a template is still listed while active
+    const listed =
+      currentPlan?.isCustom && !floorPlans.some((fp) => fp.id === currentId)
+        ? [currentPlan, ...floorPlans]
+        : floorPlans;
+
+    container.innerHTML = listed
+      .map((fp) => {
+        const name = Validation.sanitizeHTML(fp.name || 'Custom Unit');
+        const description = Validation.sanitizeHTML(fp.description || '');
+        const badge = fp.isCustom
+          ? `<span class="floorplan-badge">${fp.isTemplate ? 'Template' : 'Custom'}</span>`
+          : '';
+        const deleteBtn = fp.isTemplate
+          ? `<button class="btn-delete-template" data-id="${fp.id}" title="Delete template">Delete</button>`
+          : '';
+        return `
       <div class="floorplan-item ${currentId === fp.id ? 'selected' : ''}" data-id="${fp.id}">
-        <div class="floorplan-name">${fp.name}</div>
-        <div class="floorplan-info">${fp.description}</div>
+        <div class="floorplan-item-header">
+          <div class="floorplan-name">${name}</div>
+          ${badge}
+        </div>
+        <div class="floorplan-info">${description}</div>
         <div class="floorplan-area">${fp.area} sq ft</div>
+        ${deleteBtn}
       </div>
-    `,
-      )
+    `;
+      })
       .join('');
 
     // Add click handlers
     container.querySelectorAll('.floorplan-item').forEach((item) => {
       item.addEventListener('click', () => {
         const id = item.dataset.id;
+        if (id === currentId && currentPlan?.isCustom) return;
         this.floorPlanManager.setFloorPlan(id);
         // Refresh floor plan list to update selected state
         this.renderFloorPlanList();
       });
     });
+
+    container.querySelectorAll('.btn-delete-template').forEach((btn) => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const confirmed = await Modal.showConfirm(
+          'Delete Template?',
+          'This removes the saved custom unit template. Layouts already using it are not affected.',
+        );
+        if (confirmed && this.floorPlanManager.deleteTemplate(btn.getAttribute('data-id'))) {
+          this.renderFloorPlanList();
+          Modal.showSuccess('Template deleted');
+        }
+      });
+    });
+
+    this.renderObstacleList();
+    this.renderDoorList();
   }
 
   /**
-   * Render item palette
+   * Render obstacles of the current floor plan
    */
-  renderItemPalette() {
-    const container = document.getElementById('item-palette');
+  renderObstacleList() {
+    const container = document.getElementById('obstacle-list');
     if (!container) return;
 
-    const categories = Items.getCategoryNames();
+    const obstacles = this.floorPlanManager.getObstacles();
+    if (!obstacles.length) {
+      container.innerHTML = '<div class="obstacle-empty">No obstacles</div>';
+      return;
+    }
 
-    container.innerHTML = categories
-      .map((catName) => {
-        const category = Items.categories[catName];
+    const conflicts = this.state.get('ui.obstacleConflicts') || [];
+    container.innerHTML = obstacles
+      .map((obstacle) => {
+        const type = Config.OBSTACLE_TYPES[obstacle.type] || {};
+        const label = Validation.sanitizeHTML(obstacle.label || type.label || 'Obstacle');
+        const blocked = conflicts.includes(obstacle.id);
         return `
-          <div class="item-category">
-            <div class="category-name">${category.name}</div>
-            <div class="category-items">
-              ${category.items
-                .map((item) => {
-                  const hasImage = Config.USE_IMAGES && item.paletteImage;
-                  const accentColor = item.color || '#6366F1';
-                  const isMezzanine = item.category === 'mezzanine';
-                  const isShape = item.category === 'shapes';
-                  let visualMarkup;
-
-                  if (hasImage) {
-                    visualMarkup = `
-                      <div class="palette-item-image" style="--fallback-color: ${accentColor};">
-                        <img src="${item.paletteImage}" loading="lazy" decoding="async" alt="${item.label}">
-                        <div class="palette-image-fallback" aria-hidden="true"></div>
-                      </div>
-                    `;
-                  } else if (isMezzanine) {
-                    visualMarkup = `
-                      <div class="palette-item-placeholder palette-item-placeholder--mezzanine" aria-hidden="true"></div>
-                    `;
-                  } else if (isShape) {
-                    const shapeType = item.shapeType || 'rectangle';
-                    visualMarkup = `
-                      <div class="palette-shape-preview palette-shape-preview--${shapeType}" style="--shape-color: ${accentColor};" aria-hidden="true"></div>
-                    `;
-                  } else {
-                    visualMarkup = `
-                      <div class="palette-item-icon" style="background-color: ${accentColor}22; color: ${accentColor}">
-                        ${item.label.charAt(0)}
-                      </div>
-                    `;
-                  }
-
-                  return `
-                    <div class="palette-item" data-id="${item.id}" data-category="${item.category || catName}">
-                      ${visualMarkup}
-                      <div class="item-label">${item.label}</div>
-                      <div class="item-size">${item.lengthFt}' × ${item.widthFt}'</div>
-                    </div>
-                  `;
-                })
-                .join('')}
-            </div>
-          </div>
-        `;
+      <div class="obstacle-item ${blocked ? 'conflict' : ''}" data-id="${obstacle.id}">
+        <div>
+          <div>${label}${blocked ? ' — blocked' : ''}</div>
+          <div class="obstacle-item__meta">at ${obstacle.x}', ${obstacle.y}' · ${obstacle.clearanceFt}' clearance</div>
+        </div>
+        <button class="btn-delete-template" data-id="${obstacle.id}" title="Remove obstacle">Remove</button>
+      </div>
+    `;
       })
       .join('');
 
-    // Make items draggable
-    container.querySelectorAll('.palette-item').forEach((item) => {
-      item.addEventListener('click', () => {
-        const itemId = item.dataset.id;
-        const floorPlan = this.state.get('floorPlan');
+    container.querySelectorAll('.btn-delete-template').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.floorPlanManager.removeObstacle(btn.getAttribute('data-id'));
+      });
+    });
+  }
 
-        if (!floorPlan) {
-          Modal.showInfo('Please select a floor plan first');
-          return;
-        }
+  /**
+   * Show the add obstacle dialog (positions in feet from the top-left corner)
+   */
+  showObstacleDialog() {
+    const floorPlan = this.state.get('floorPlan');
+    if (!floorPlan) {
+      Modal.showError('Please select a floor plan first');
+      return;
+    }
 
-        let targetX;
-        let targetY;
+    const typeEntries = Object.entries(Config.OBSTACLE_TYPES);
+    const firstDefaults = typeEntries[0][1];
+
+    const form = document.createElement('form');
+    form.className = 'custom-floorplan-form';
+    form.noValidate = true;
+    form.innerHTML = `
+      <label>Type
+        <select class="modal-input" name="type">
+          ${typeEntries.map(([key, type]) => `<option value="${key}">${type.label}</option>`).join('')}
+        </select>
+      </label>
+      <label>Label (optional)
+        <input class="modal-input" name="label" type="text" maxlength="60" />
+      </label>
+      <div class="form-row">
+        <label>From left (ft)
+          <input class="modal-input" name="x" type="number" min="0" step="0.5" value="0" />
+        </label>
+        <label>From top (ft)
+          <input class="modal-input" name="y" type="number" min="0" step="0.5" value="0" />
+        </label>
+      </div>
+      <div class="form-row">
+        <label>Width (ft)
+          <input class="modal-input" name="widthFt" type="number" min="0" step="0.5" value="${firstDefaults.widthFt}" />
+        </label>
+        <label>Length (ft)
+          <input class="modal-input" name="lengthFt" type="number" min="0" step="0.5" value="${firstDefaults.lengthFt}" />
+        </label>
+      </div>
+      <label>Clearance (ft)
+        <input class="modal-input" name="clearanceFt" type="number" min="0" step="0.5" value="${firstDefaults.clearanceFt}" />
+      </label>
+      <div class="custom-floorplan-errors" role="alert"></div>
+      <div class="custom-floorplan-actions">
+        <button type="submit" class="modal-btn modal-btn-primary">Add Obstacle</button>
+      </div>
+    `;
 
-        if (this.canvasManager && typeof this.canvasManager.getFloorPlanPosition === 'function') {
-          const planCenter = this.canvasManager.getFloorPlanPosition();
-          if (planCenter) {
-            targetX = planCenter.left;
-            targetY = planCenter.top;
-          }
-        }
+    const typeSelect = form.querySelector('select[name="type"]');
+    typeSelect.addEventListener('change', (e) => {
+      const defaults = Config.OBSTACLE_TYPES[/** @type {HTMLSelectElement} */ (e.target).value];
+      if (!defaults) return;
+      ['widthFt', 'lengthFt', 'clearanceFt'].forEach((name) => {
+        /** @type {HTMLInputElement} */ (form.querySelector(`input[name="${name}"]`)).value =
+          String(defaults[name]);
+      });
+    });
 
-        if (targetX === undefined || targetY === undefined) {
-          const bounds =
-            typeof this.canvasManager.getFloorPlanBounds === 'function'
-              ? this.canvasManager.getFloorPlanBounds()
-              : null;
-          if (bounds) {
-            targetX = bounds.left + bounds.width / 2;
-            targetY = bounds.top + bounds.height / 2;
-          }
-        }
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(form);
+      const field = (name) => String(formData.get(name) ?? '');
+      const spec = {
+        type: field('type'),
+        label: field('label'),
+        x: field('x'),
+        y: field('y'),
+        widthFt: field('widthFt'),
+        lengthFt: field('lengthFt'),
+        clearanceFt: field('clearanceFt'),
+      };
 
-        if (targetX === undefined || targetY === undefined) {
-          // Fallback to geometric center using plan dimensions
-          targetX = Helpers.feetToPx(floorPlan.widthFt) / 2;
-          targetY = Helpers.feetToPx(floorPlan.heightFt) / 2;
-        }
+      const result = this.floorPlanManager.addObstacle(spec);
+      if (!result.success) {
+        form.querySelector('.custom-floorplan-errors').innerHTML = result.errors
+          .map((err) => Validation.sanitizeHTML(err))
+          .join('<br>');
+        return;
+      }
 
-        this.itemManager.addItem(itemId, targetX, targetY);
-      });
+      Modal.close();
+      Modal.showSuccess('Obstacle added');
     });
 
-    // Provide visual fallback if palette image fails to load
-    container.querySelectorAll('.palette-item-image img').forEach((img) => {
-      img.addEventListener('error', () => {
-        const wrapper = img.closest('.palette-item-image');
-        if (wrapper) {
-          wrapper.classList.add('palette-item-image--error');
-        }
-      });
-    });
+    Modal.show('Add Obstacle', form);
   }
 
   /**
-   * Setup toolbar handlers
+   * Render doors and windows of the current floor plan
    */
-  setupToolbarHandlers() {
-    // Rename project
-    const renameBtn = document.getElementById('btn-rename-project');
-    const projectNameLabel = document.getElementById('project-name');
-    const handleDesktopRename = async () => {
-      if (document.body.classList.contains('mobile-layout')) {
-        console.log('[App] Desktop rename blocked - mobile mode active');
-        return;
-      }
+  renderDoorList() {
+    const container = document.getElementById('door-list');
+    if (!container) return;
 
-      const currentName = this.state.get('metadata.projectName') || 'Untitled Layout';
-      const newName = await Modal.showPrompt('Rename Project', 'Enter project name:', currentName);
-      const sanitizedName = Helpers.sanitizeLayoutName(newName || '', '');
+    const doors = this.floorPlanManager.getDoors();
+    if (!doors.length) {
+      container.innerHTML = '<div class="obstacle-empty">No doors or windows</div>';
+      return;
+    }
 
-      if (sanitizedName) {
-        this.updateProjectName(sanitizedName);
-        Modal.showSuccess('Project renamed successfully');
-      } else if (newName && newName.trim() !== '') {
-        Modal.showError('Invalid project name');
-      }
-    };
+    container.innerHTML = doors
+      .map((door) => {
+        const type = Config.DOOR_TYPES[door.type] || {};
+        const label = Validation.sanitizeHTML(door.label || type.label || 'Door');
+        // The main door moves with the entry zone setting, so its wall isn't fixed
+        const where = door.isMain
+          ? 'main door · follows entry zone'
+          : `${door.wall} wall · ${door.offsetFt}' from ${door.wall === 'left' || door.wall === 'right' ? 'top' : 'left'}`;
+        const swing = type.swing ? ` · swings ${door.swing === 'out' ? 'out' : 'in'}` : '';
+        return `
+      <div class="obstacle-item" data-id="${door.id}">
+        <div>
+          <div>${label}</div>
+          <div class="obstacle-item__meta">${door.widthFt}' wide · ${where}${swing}</div>
+        </div>
+        <button class="btn-delete-template" data-id="${door.id}" title="Remove opening">Remove</button>
+      </div>
+    `;
+      })
+      .join('');
 
-    if (renameBtn) {
-      renameBtn.addEventListener('click', handleDesktopRename);
-    }
+    container.querySelectorAll('.btn-delete-template').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.floorPlanManager.removeDoor(btn.getAttribute('data-id'));
+      });
+    });
+  }
 
-    if (projectNameLabel) {
-      projectNameLabel.addEventListener('dblclick', handleDesktopRename);
+  /**
+   * Show the add door/window dialog (offset in feet along the wall from its top/left end)
+   */
+  showDoorDialog() {
+    const floorPlan = this.state.get('floorPlan');
+    if (!floorPlan) {
+      Modal.showError('Please select a floor plan first');
+      return;
     }
 
-    // New layout
-    const newBtn = document.getElementById('btn-new');
-    if (newBtn) {
-      newBtn.addEventListener('click', async () => {
-        const confirmed = await Modal.showConfirm(
-          'Start New Layout?',
-          'Any unsaved changes will be lost. Are you sure?',
-        );
-        if (confirmed) {
-          console.log('[App] Starting new layout');
-
-          // Clear everything
-          this.state.reset();
-          this.canvasManager.clear();
+    const typeEntries = Object.entries(Config.DOOR_TYPES);
+    const firstDefaults = typeEntries[0][1];
+    const wallOptions = Config.DOOR_WALLS.map(
+      (wall) => `<option value="${wall}">${wall.charAt(0).toUpperCase() + wall.slice(1)}</option>`,
+    ).join('');
+
+    const form = document.createElement('form');
+    form.className = 'custom-floorplan-form';
+    form.noValidate = true;
+    form.innerHTML = `
+      <label>Type
+        <select class="modal-input" name="type">
+          ${typeEntries.map(([key, type]) => `<option value="${key}">${type.label}</option>`).join('')}
+        </select>
+      </label>
+      <label>Label (optional)
+        <input class="modal-input" name="label" type="text" maxlength="60" />
+      </label>
+      <div class="form-row">
+        <label>Wall
+          <select class="modal-input" name="wall">${wallOptions}</select>
+        </label>
+        <label>Offset (ft)
+          <input class="modal-input" name="offsetFt" type="number" min="0" step="0.5" value="0" />
+        </label>
+      </div>
+      <div class="form-row">
+        <label>Width (ft)
+          <input class="modal-input" name="widthFt" type="number" min="0" step="0.5" value="${firstDefaults.widthFt}" />
+        </label>
+        <label>Height (ft)
+          <input class="modal-input" name="heightFt" type="number" min="0" step="0.5" value="${firstDefaults.heightFt}" />
+        </label>
+      </div>
+      <div class="form-row door-swing-options hidden">
+        <label>Hinge
+          <select class="modal-input" name="hinge">
+            <option value="start">Top / left end</option>
+            <option value="end">Bottom / right end</option>
+          </select>
+        </label>
+        <label>Swing
+          <select class="modal-input" name="swing">
+            <option value="in">Into the unit</option>
+            <option value="out">Outward</option>
+          </select>
+        </label>
+      </div>
+      <div class="custom-floorplan-errors" role="alert"></div>
+      <div class="custom-floorplan-actions">
+        <button type="submit" class="modal-btn modal-btn-primary">Add Opening</button>
+      </div>
+    `;
 
-          // Clear history stack to prevent undoing back to old layout
-          this.historyManager.clear();
+    const swingOptions = form.querySelector('.door-swing-options');
+    const typeSelect = form.querySelector('select[name="type"]');
+    typeSelect.addEventListener('change', (e) => {
+      const defaults = Config.DOOR_TYPES[/** @type {HTMLSelectElement} */ (e.target).value];
+      if (!defaults) return;
+      /** @type {HTMLInputElement} */ (form.querySelector('input[name="widthFt"]')).value = String(
+        defaults.widthFt,
+      );
+      /** @type {HTMLInputElement} */ (form.querySelector('input[name="heightFt"]')).value = String(
+        defaults.heightFt,
+      );
+      swingOptions.classList.toggle('hidden', !defaults.swing);
+    });
 
-          // CRITICAL: Clear autosave from localStorage immediately
-          StorageUtil.remove(Config.STORAGE_KEYS.autosave);
-          console.log('[App] Cleared autosave from localStorage');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(form);
+      const field = (name) => String(formData.get(name) ?? '');
+      const spec = {
+        type: field('type'),
+        label: field('label'),
+        wall: field('wall'),
+        offsetFt: field('offsetFt'),
+        widthFt: field('widthFt'),
+        heightFt: field('heightFt'),
+        hinge: field('hinge'),
+        swing: field('swing'),
+      };
 
-          // Ensure viewport is reset (clear() already does this, but be explicit)
-          this.canvasManager.resetViewport();
+      const result = this.floorPlanManager.addDoor(spec);
+      if (!result.success) {
+        form.querySelector('.custom-floorplan-errors').innerHTML = result.errors
+          .map((err) => Validation.sanitizeHTML(err))
+          .join('<br>');
+        return;
+      }
 
-          // Show empty state
-          this.canvasManager.showEmptyState();
+      Modal.close();
+      Modal.showSuccess('Opening added');
+    });
 
-          // Reset project name in DOM and document title
-          this.updateProjectName('Untitled Layout');
+    Modal.show('Add Door / Window', form);
+  }
 
-          this.renderFloorPlanList();
-          this.updateInfoPanel();
-          this.syncViewDropdownUI();
-          Modal.showSuccess('New layout started');
+  /**
+   * Show the auto-arrange dialog: pack the current items or a list picked from the catalog
+   */
+  showAutoArrangeDialog() {
+    const floorPlan = this.state.get('floorPlan');
+    if (!floorPlan) {
+      Modal.showError('Please select a floor plan first');
+      return;
+    }
+    if (!this.autoArrange) return;
+
+    const movable = this.autoArrange.getMovableItems();
+    const catalog = Items.getAll().filter((item) => item.category !== 'mezzanine');
+
+    const form = document.createElement('form');
+    form.className = 'custom-floorplan-form';
+    form.noValidate = true;
+    form.innerHTML = `
+      <label>Items
+        <select class="modal-input" name="source">
+          <option value="current" ${movable.length ? '' : 'disabled'}>Current items (${movable.length})</option>
+          <option value="catalog" ${movable.length ? '' : 'selected'}>Pick from catalog</option>
+        </select>
+      </label>
+      <div class="auto-arrange-catalog ${movable.length ? 'hidden' : ''}">
+        ${catalog
+          .map(
+            (item) => `
+          <label class="auto-arrange-catalog__row">
+            <span>${Validation.sanitizeHTML(item.label)} <small>${item.lengthFt}' × ${item.widthFt}'</small></span>
+            <input class="modal-input" name="qty:${item.id}" type="number" min="0" max="20" step="1" value="0" />
+          </label>`,
+          )
+          .join('')}
+      </div>
+      <div class="form-row">
+        <label>Clearance between items (ft)
+          <input class="modal-input" name="clearanceFt" type="number" min="0" step="0.5" value="${Config.AUTO_ARRANGE.clearanceFt}" />
+        </label>
+        <label>Rotation
+          <select class="modal-input" name="rotation">
+            <option value="allow">Allow 90° turns</option>
+            <option value="fixed">Keep orientation</option>
+          </select>
+        </label>
+      </div>
+      <div class="custom-floorplan-errors" role="alert"></div>
+      <div class="custom-floorplan-actions">
+        <button type="submit" class="modal-btn modal-btn-primary">Arrange</button>
+      </div>
+    `;
+
+    const catalogEl = form.querySelector('.auto-arrange-catalog');
+    form.querySelector('select[name="source"]').addEventListener('change', (e) => {
+      const source = /** @type {HTMLSelectElement} */ (e.target).value;
+      catalogEl.classList.toggle('hidden', source !== 'catalog');
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const formData = new FormData(form);
+      const field = (name) => String(formData.get(name) ?? '');
+      const errorsEl = form.querySelector('.custom-floorplan-errors');
+      const submitBtn = form.querySelector('button[type="submit"]');
+
+      const fromCatalog = field('source') === 'catalog';
+      /** @type {Object<string, string>} */
+      const catalogIds = {};
+      let items;
+      if (fromCatalog) {
+        items = [];
+        catalog.forEach((item) => {
+          const qty = Math.min(20, Math.max(0, parseInt(field(`qty:${item.id}`), 10) || 0));
+          for (let i = 0; i < qty; i++) {
+            const id = `${item.id}#${i}`;
+            catalogIds[id] = item.id;
+            items.push({ id, widthFt: item.widthFt, lengthFt: item.lengthFt });
+          }
+        });
+      } else {
+        items = movable.map((item) => ({
+          id: item.id,
+          widthFt: item.widthFt * (item.canvasObject.scaleX || 1),
+          lengthFt: item.lengthFt * (item.canvasObject.scaleY || 1),
+        }));
+      }
+
+      if (!items.length) {
+        errorsEl.textContent = 'Pick at least one item to arrange.';
+        return;
+      }
+
+      const clearanceFt = parseFloat(field('clearanceFt'));
+      const problem = this.autoArrange.buildProblem(items, {
+        allowRotation: field('rotation') !== 'fixed',
+        clearanceFt: Number.isFinite(clearanceFt) && clearanceFt >= 0 ? clearanceFt : undefined,
+      });
+
+      submitBtn.setAttribute('disabled', 'true');
+      submitBtn.textContent = 'Arranging…';
+      errorsEl.textContent = '';
+
+      let result;
+      try {
+        result = await this.autoArrange.solve(problem);
+      } catch (error) {
+        console.error('[App] Auto-arrange failed:', error);
+        errorsEl.textContent = 'Auto-arrange failed. Please try again.';
+        submitBtn.removeAttribute('disabled');
+        submitBtn.textContent = 'Arrange';
+        return;
+      }
+
+      this.runAsSingleHistoryStep(() => {
+        if (fromCatalog) {
+          this.autoArrange.addPlacements(result.placements, catalogIds);
+        } else {
+          this.autoArrange.applyPlacements(result.placements);
+        }
+      }, 'Auto-arranged items');
+      this.updateInfoPanel();
+      this.checkEntryZoneViolations();
+
+      Modal.close();
+      this.showAutoArrangeResult(result, items.length);
+    });
+
+    Modal.show('Auto-Arrange', form);
+  }
+
+  /**
+   * Rank every library unit by how well the layout's items fit
+   */
+  async showUnitFitDialog() {
+    if (!this.unitFitAdvisor) return;
+
+    const items = this.unitFitAdvisor.getItemsToFit();
+    if (!items.length && !this.unitFitAdvisor.getLockedItems().length) {
+      Modal.showInfo('Add the items you want to store first');
+      return;
+    }
+
+    const content = document.createElement('div');
+    content.className = 'unit-fit';
+    content.innerHTML = `<p>Checking ${Config.FLOOR_PLANS.length} units for ${items.length} item${items.length === 1 ? '' : 's'}…</p>`;
+    Modal.show('Which Unit Fits?', content);
+
+    let rankings;
+    try {
+      rankings = await this.unitFitAdvisor.rank(items);
+    } catch (error) {
+      console.error('[App] Unit fit ranking failed:', error);
+      content.innerHTML = '<p>Could not check the units. Please try again.</p>';
+      return;
+    }
+    // The dialog may have been closed while the units were being checked
+    if (!content.isConnected) return;
+
+    content.innerHTML = `
+      <table class="unit-fit__table">
+        <thead>
+          <tr><th>Unit</th><th>Fit</th><th>Occupancy</th><th>Door</th><th>Left over</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${rankings
+            .map((ranking, index) => {
+              if (!ranking.lockedFit) {
+                return `
+            <tr>
+              <td>${Validation.sanitizeHTML(ranking.floorPlan.name)}</td>
+              <td colspan="5" class="unit-fit__warning">A locked item would be outside this unit</td>
+            </tr>`;
+              }
+              const fit = ranking.fits
+                ? 'All items'
+                : `${ranking.placed} of ${ranking.total}`;
+              const door = ranking.doorClear ? 'Clear' : 'Blocked';
+              return `
+            <tr class="${ranking.fits ? 'unit-fit__row--fits' : ''}">
+              <td>${Validation.sanitizeHTML(ranking.floorPlan.name)}</td>
+              <td>${fit}</td>
+              <td>${ranking.occupancy.toFixed(1)}%</td>
+              <td class="${ranking.doorClear ? '' : 'unit-fit__warning'}">${door}</td>
+              <td>${Math.round(ranking.leftoverSqFt)} sq ft<br><small>largest open ${Math.round(ranking.largestFreeAreaSqFt)} sq ft</small></td>
+              <td><button type="button" class="modal-btn modal-btn-secondary" data-index="${index}">Open</button></td>
+            </tr>`;
+            })
+            .join('')}
+        </tbody>
+      </table>
+    `;
+
+    content.querySelectorAll('button[data-index]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const ranking = rankings[Number(btn.getAttribute('data-index'))];
+        const opened = this.runAsSingleHistoryStep(
+          () => this.unitFitAdvisor.open(ranking),
+          `Switched to ${ranking.floorPlan?.name || 'unit'}`,
+        );
+        if (!opened) {
+          Modal.showError('Could not open that unit');
+          return;
+        }
+        Modal.close();
+        this.renderFloorPlanList();
+        this.updateInfoPanel();
+        this.checkEntryZoneViolations();
+        if (!ranking.fits) {
+          Modal.showInfo(`${ranking.total - ranking.placed} item(s) did not fit and were left in place`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Inspector for the selected item: this instance's label, length, width, height and color
+   */
+  renderItemInspector() {
+    const container = document.getElementById('item-inspector');
+    if (!container) return;
+
+    const active = this.canvasManager?.getCanvas()?.getActiveObject();
+    const item = active?.customData?.id ? this.itemManager.getItem(active.customData.id) : null;
+    if (!item) {
+      container.classList.add('hidden');
+      container.innerHTML = '';
+      return;
+    }
+
+    const template = Items.getById(item.itemId);
+    const isMezzanine = item.category === 'mezzanine';
+    const heightConflict = (this.state.get('ui.heightConflicts') || []).find(
+      (conflict) => conflict.itemId === item.id,
+    );
+    container.classList.remove('hidden');
+    container.innerHTML = `
+      <div class="obstacle-section__header">
+        <span>Selected Item</span>
+      </div>
+      <form class="custom-floorplan-form" novalidate>
+        <label>Label
+          <input class="modal-input" name="label" type="text" maxlength="60" value="${Validation.sanitizeHTML(item.label)}" />
+        </label>
+        <div class="form-row">
+          <label>Length (ft)
+            <input class="modal-input" name="lengthFt" type="number" min="0.1" step="0.1" value="${item.lengthFt}" />
+          </label>
+          <label>Width (ft)
+            <input class="modal-input" name="widthFt" type="number" min="0.1" step="0.1" value="${item.widthFt}" />
+          </label>
+          <label>Height (ft)
+            <input class="modal-input" name="heightFt" type="number" min="0.1" step="0.1" value="${item.heightFt ?? ''}" />
+          </label>
+        </div>
+        ${heightConflict ? `<small class="item-inspector__warning">${this._describeHeightConflict(heightConflict)}</small>` : ''}
+        ${
+          isMezzanine
+            ? ''
+            : `<label>Color
+          <input class="modal-input" name="color" type="color" value="${item.color || '#2196F3'}" />
+        </label>`
+        }
+        ${template ? `<small>Catalog size: ${template.lengthFt}' × ${template.widthFt}'</small>` : ''}
+        <div class="custom-floorplan-errors" role="alert"></div>
+        <div class="custom-floorplan-actions">
+          ${template ? '<button type="button" class="modal-btn modal-btn-secondary" data-action="reset">Reset</button>' : ''}
+          <button type="submit" class="modal-btn modal-btn-primary">Apply</button>
+        </div>
+      </form>
+    `;
+
+    const form = container.querySelector('form');
+    const errorsEl = form.querySelector('.custom-floorplan-errors');
+    const apply = (props) => {
+      const result = this.itemManager.updateItemProperties(item.id, props);
+      if (!result.valid) {
+        errorsEl.textContent = result.errors.join('. ');
+        return;
+      }
+      this.saveHistorySnapshot();
+      this.updateInfoPanel();
+      this.checkEntryZoneViolations();
+      this.renderItemInspector();
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(form);
+      const field = (name) => String(formData.get(name) ?? '');
+      const props = {
+        label: field('label'),
+        lengthFt: parseFloat(field('lengthFt')),
+        widthFt: parseFloat(field('widthFt')),
+      };
+      if (field('heightFt') !== '') {
+        props.heightFt = parseFloat(field('heightFt'));
+      }
+      if (!isMezzanine) {
+        props.color = field('color');
+      }
+      apply(props);
+    });
+
+    form.querySelector('[data-action="reset"]')?.addEventListener('click', () => {
+      apply({
+        label: template.label,
+        lengthFt: template.lengthFt,
+        widthFt: template.widthFt,
+        heightFt: template.heightFt,
+        color: template.color,
+      });
+    });
+  }
+
+  /**
+   * Reveal the item inspector in the sidebar for the selected item
+   */
+  showItemInspector() {
+    const active = this.canvasManager.getCanvas()?.getActiveObject();
+    if (!active?.customData?.id) {
+      Modal.showInfo('Select a single item to edit its properties');
+      return;
+    }
+
+    this.toggleSidebar(false);
+    /** @type {HTMLElement|null} */ (document.querySelector('.sidebar-tab[data-tab="items"]'))?.click();
+    this.renderItemInspector();
+    /** @type {HTMLInputElement|null} */ (
+      document.querySelector('#item-inspector input[name="lengthFt"]')
+    )?.focus();
+  }
+
+  /**
+   * Corner-handle scaling becomes the item's true length and width
+   * @private
+   */
+  _applyItemScale(obj) {
+    const scaleX = obj.scaleX || 1;
+    const scaleY = obj.scaleY || 1;
+    if (Math.abs(scaleX - 1) < 1e-3 && Math.abs(scaleY - 1) < 1e-3) return;
+
+    const item = this.itemManager.getItem(obj.customData.id);
+    if (!item) return;
+
+    const round = (ft) => Math.max(0.1, Math.round(ft * 10) / 10);
+    this.itemManager.updateItemProperties(item.id, {
+      widthFt: round(item.widthFt * scaleX),
+      lengthFt: round(item.lengthFt * scaleY),
+    });
+    this.renderItemInspector();
+  }
+
+  /**
+   * Drive-out paths: turning radius, overlay toggle and per-vehicle results
+   */
+  showDriveOutDialog() {
+    if (!this.driveOutChecker) return;
+    if (!this.state.get('floorPlan')) {
+      Modal.showError('Please select a floor plan first');
+      return;
+    }
+
+    const form = document.createElement('form');
+    form.className = 'custom-floorplan-form';
+    form.noValidate = true;
+    form.innerHTML = `
+      <div class="form-row">
+        <label>Turning radius (ft)
+          <input class="modal-input" name="turningRadiusFt" type="number" min="1" step="1" value="${this.driveOutChecker.getTurningRadius()}" />
+        </label>
+        <label>Overlay
+          <select class="modal-input" name="showPaths">
+            <option value="on">Show paths on canvas</option>
+            <option value="off">Hide paths</option>
+          </select>
+        </label>
+      </div>
+      <div class="drive-out__results"></div>
+      <div class="custom-floorplan-errors" role="alert"></div>
+      <div class="custom-floorplan-actions">
+        <button type="submit" class="modal-btn modal-btn-primary">Check Paths</button>
+      </div>
+    `;
+    /** @type {HTMLSelectElement} */ (form.querySelector('select[name="showPaths"]')).value =
+      this.state.get('settings.showDriveOutPaths') === true ? 'on' : 'off';
+
+    const resultsEl = form.querySelector('.drive-out__results');
+    const renderResults = () => {
+      const items = this.state.get('items') || [];
+      const obstacles = this.state.get('floorPlan')?.obstacles || [];
+      const nameOf = (id) => {
+        const item = items.find((i) => i.id === id);
+        if (item) return item.label;
+        const obstacle = obstacles.find((o) => o.id === id);
+        return Config.OBSTACLE_TYPES[obstacle?.type]?.label || 'Obstacle';
+      };
+      const results = this.driveOutChecker.results;
+      if (!results.length) {
+        resultsEl.innerHTML = '<p>No vehicles on the layout.</p>';
+        return;
+      }
+      resultsEl.innerHTML = `
+        <table class="unit-fit__table">
+          <thead><tr><th>Vehicle</th><th>Path out</th></tr></thead>
+          <tbody>
+            ${results
+              .map((result) => {
+                let path = result.kind === 'straight' ? 'Straight out' : 'One turn';
+                if (!result.clear) {
+                  path = result.blockedBy.length
+                    ? `Blocked by ${result.blockedBy.map(nameOf).join(', ')}`
+                    : 'No path through a door';
+                }
+                return `
+              <tr>
+                <td>${Validation.sanitizeHTML(nameOf(result.itemId))}</td>
+                <td class="${result.clear ? '' : 'unit-fit__warning'}">${Validation.sanitizeHTML(path)}</td>
+              </tr>`;
+              })
+              .join('')}
+          </tbody>
+        </table>
+      `;
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(form);
+      const radius = parseFloat(String(formData.get('turningRadiusFt') ?? ''));
+      const errorsEl = form.querySelector('.custom-floorplan-errors');
+      if (!Number.isFinite(radius) || radius <= 0) {
+        errorsEl.textContent = 'Turning radius must be a positive number';
+        return;
+      }
+      errorsEl.textContent = '';
+      this.state.set('settings.driveOutTurningRadiusFt', radius);
+      this.state.set('settings.showDriveOutPaths', formData.get('showPaths') === 'on');
+      this.checkDriveOut();
+      renderResults();
+    });
+
+    this.checkDriveOut();
+    renderResults();
+    Modal.show('Drive-Out Paths', form);
+  }
+
+  /**
+   * Summarize an auto-arrange run with an undo shortcut
+   * @private
+   */
+  showAutoArrangeResult(result, requested) {
+    const placed = result.placements.length;
+    const content = document.createElement('div');
+    content.className = 'custom-floorplan-form';
+    content.innerHTML = `
+      <p>Placed ${placed} of ${requested} item${requested === 1 ? '' : 's'}.</p>
+      ${result.unplaced.length ? `<p>${result.unplaced.length} did not fit and ${result.unplaced.length === 1 ? 'was' : 'were'} left out.</p>` : ''}
+      <p>Largest open area left: ${Math.round(result.largestFreeAreaSqFt)} sq ft.</p>
+      <p>Drag items to fine-tune, or undo to go back.</p>
+      <div class="custom-floorplan-actions">
+        <button type="button" class="modal-btn modal-btn-secondary" data-action="undo">Undo</button>
+      </div>
+    `;
+    content.querySelector('[data-action="undo"]').addEventListener('click', () => {
+      this.historyManager.undo();
+      Modal.close();
+    });
+
+    Modal.show('Auto-Arrange', content);
+  }
+
+  /**
+   * Show the custom unit dialog (user-entered dimensions and door spec)
+   */
+  showCustomFloorPlanDialog() {
+    const currentPlan = this.state.get('floorPlan');
+    const seed = currentPlan?.isCustom ? currentPlan : null;
+    const unit = this.state.get('settings.unit') === Config.UNITS.METERS ? Config.UNITS.METERS : Config.UNITS.FEET;
+    const fromFeet = (feet) => {
+      if (!Number.isFinite(feet)) return '';
+      return unit === Config.UNITS.METERS ? Helpers.formatNumber(Helpers.feetToMeters(feet), 2) : feet;
+    };
+    const wallOptions = Config.DOOR_WALLS.map(
+      (wall) =>
+        `<option value="${wall}" ${(seed?.doorWall || 'bottom') === wall ? 'selected' : ''}>${wall.charAt(0).toUpperCase()}${wall.slice(1)}</option>`,
+    ).join('');
+
+    const shapes = { ...Config.FLOOR_PLAN_SHAPES };
+    const seedVertices = Geometry.isPolygonFloorPlan(seed) ? seed.vertices : null;
+    const shapeOptions = [
+      seedVertices ? '<option value="current" selected>Current outline</option>' : '',
+      ...Object.entries(shapes).map(([key, label]) => `<option value="${key}">${label}</option>`),
+    ].join('');
+
+    const form = document.createElement('form');
+    form.className = 'custom-floorplan-form';
+    form.noValidate = true;
+    form.innerHTML = `
+      <label>Name
+        <input class="modal-input" name="name" type="text" maxlength="100" placeholder="Custom Unit" />
+      </label>
+      <label>Units
+        <select class="modal-input" name="unit">
+          <option value="${Config.UNITS.FEET}" ${unit === Config.UNITS.FEET ? 'selected' : ''}>Feet</option>
+          <option value="${Config.UNITS.METERS}" ${unit === Config.UNITS.METERS ? 'selected' : ''}>Meters</option>
+        </select>
+      </label>
+      <label>Shape
+        <select class="modal-input" name="shape">${shapeOptions}</select>
+      </label>
+      <div class="form-row">
+        <label>Width
+          <input class="modal-input" name="width" type="number" min="0" step="0.1" value="${fromFeet(seed?.widthFt)}" />
+        </label>
+        <label>Depth
+          <input class="modal-input" name="height" type="number" min="0" step="0.1" value="${fromFeet(seed?.heightFt)}" />
+        </label>
+      </div>
+      <div class="form-row">
+        <label>Door width
+          <input class="modal-input" name="doorWidth" type="number" min="0" step="0.1" value="${fromFeet(seed?.doorWidth)}" />
+        </label>
+        <label>Door height
+          <input class="modal-input" name="doorHeight" type="number" min="0" step="0.1" value="${fromFeet(seed?.doorHeight)}" />
+        </label>
+        <label>Ceiling height
+          <input class="modal-input" name="ceilingHeight" type="number" min="0" step="0.1" value="${fromFeet(seed?.ceilingHeightFt)}" />
+        </label>
+      </div>
+      <label>Door wall
+        <select class="modal-input" name="doorWall">${wallOptions}</select>
+      </label>
+      <div class="custom-floorplan-errors" role="alert"></div>
+      <div class="custom-floorplan-actions">
+        <button type="button" class="modal-btn modal-btn-secondary" data-action="template">Apply &amp; Save Template</button>
+        <button type="submit" class="modal-btn modal-btn-primary">Apply</button>
+      </div>
+    `;
+    form.querySelector('input[name="name"]').setAttribute('value', seed?.name || '');
+
+    const errorsEl = form.querySelector('.custom-floorplan-errors');
+
+    const apply = (saveTemplate) => {
+      const formData = new FormData(form);
+      const field = (name) => String(formData.get(name) ?? '');
+      const spec = {
+        name: field('name'),
+        unit: field('unit'),
+        width: field('width'),
+        height: field('height'),
+        doorWidth: field('doorWidth'),
+        doorHeight: field('doorHeight'),
+        ceilingHeight: field('ceilingHeight'),
+        doorWall: field('doorWall'),
+        shape: field('shape'),
+      };
+
+      // Keep an edited outline as-is (width/depth are derived from it)
+      if (spec.shape === 'current' && seedVertices) {
+        const toUnit = (feet) =>
+          spec.unit === Config.UNITS.METERS ? Helpers.feetToMeters(feet) : feet;
+        spec.vertices = seedVertices.map((v) => ({ x: toUnit(v.x), y: toUnit(v.y) }));
+      }
+
+      const result = this.floorPlanManager.setCustomFloorPlan(spec);
+      if (!result.success) {
+        errorsEl.innerHTML = result.errors.map((err) => Validation.sanitizeHTML(err)).join('<br>');
+        return;
+      }
+
+      if (saveTemplate) {
+        const template = this.floorPlanManager.saveAsTemplate(result.floorPlan);
+        if (template) {
+          // Point the active plan at the stored template so the list highlights it
+          this.state.set('floorPlan', { ...template });
+          Modal.showSuccess('Custom unit saved as template');
+        } else {
+          Modal.showError('Failed to save template - storage error');
+        }
+      }
+
+      Modal.close();
+      this.renderFloorPlanList();
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      apply(false);
+    });
+    form.querySelector('[data-action="template"]').addEventListener('click', () => apply(true));
+
+    Modal.show('Custom Unit', form);
+  }
+
+  /**
+   * Import a unit outline drawn in CAD: the largest closed polyline of a DXF file
+   * becomes a custom floor plan.
+   * @param {File} file
+   */
+  async showDXFImportDialog(file) {
+    let drawing = null;
+    try {
+      drawing = Dxf.parse(await file.text());
+    } catch (error) {
+      console.error('DXF read failed:', error);
+    }
+    if (!drawing) {
+      Modal.showError('This file could not be read as a DXF drawing. Save it as ASCII DXF and try again.');
+      return;
+    }
+
+    // Drop repeated points and points in the middle of a straight wall
+    const cleanOutline = (vertices) => {
+      const points = vertices.filter((v, i) => {
+        const prev = vertices[(i - 1 + vertices.length) % vertices.length];
+        return Math.hypot(v.x - prev.x, v.y - prev.y) > 1e-6;
+      });
+      return points.filter((v, i) => {
+        const prev = points[(i - 1 + points.length) % points.length];
+        const next = points[(i + 1) % points.length];
+        const cross = (v.x - prev.x) * (next.y - v.y) - (v.y - prev.y) * (next.x - v.x);
+        const lengths = Math.hypot(v.x - prev.x, v.y - prev.y) * Math.hypot(next.x - v.x, next.y - v.y);
+        return Math.abs(cross) > lengths * 1e-6;
+      });
+    };
+    const outlines = drawing.polylines
+      .filter((polyline) => polyline.closed)
+      .map((polyline) => ({ ...polyline, vertices: cleanOutline(polyline.vertices) }))
+      .filter((polyline) => polyline.vertices.length >= 3);
+    if (!outlines.length) {
+      Modal.showError('No closed polyline was found in this DXF file. Draw the unit outline as one closed polyline and try again.');
+      return;
+    }
+    const outline = outlines.reduce((largest, polyline) =>
+      Geometry.polygonArea(polyline.vertices) > Geometry.polygonArea(largest.vertices) ? polyline : largest,
+    );
+
+    const xs = outline.vertices.map((v) => v.x);
+    const ys = outline.vertices.map((v) => v.y);
+    const drawingWidth = Math.max(...xs) - Math.min(...xs);
+    const drawingHeight = Math.max(...ys) - Math.min(...ys);
+
+    // Unitless drawings are usually architectural inches
+    const unitNames = { 1: 'Inches', 2: 'Feet', 4: 'Millimeters', 5: 'Centimeters', 6: 'Meters' };
+    const fileUnits = Dxf.UNIT_FEET[drawing.units] ? drawing.units : 1;
+    const unitOptions = Object.entries(unitNames)
+      .map(([code, label]) => `<option value="${code}" ${Number(code) === fileUnits ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    const wallOptions = Config.DOOR_WALLS.map(
+      (wall) => `<option value="${wall}">${wall.charAt(0).toUpperCase()}${wall.slice(1)}</option>`,
+    ).join('');
+
+    const form = document.createElement('form');
+    form.className = 'custom-floorplan-form';
+    form.noValidate = true;
+    form.innerHTML = `
+      <p>
+        Using the largest closed outline${outlines.length > 1 ? ` of ${outlines.length}` : ''}
+        (layer ${Validation.sanitizeHTML(outline.layer)}, ${outline.vertices.length} corners,
+        ${Helpers.formatNumber(drawingWidth, 2)} × ${Helpers.formatNumber(drawingHeight, 2)} drawing units).
+      </p>
+      <label>Name
+        <input class="modal-input" name="name" type="text" maxlength="100" placeholder="Custom Unit" />
+      </label>
+      <label>Drawing units${drawing.units && Dxf.UNIT_FEET[drawing.units] ? '' : ' (not set in the file)'}
+        <select class="modal-input" name="units">${unitOptions}</select>
+      </label>
+      <label>Door wall
+        <select class="modal-input" name="doorWall">${wallOptions}</select>
+      </label>
+      <div class="custom-floorplan-errors" role="alert"></div>
+      <div class="custom-floorplan-actions">
+        <button type="submit" class="modal-btn modal-btn-primary">Import</button>
+      </div>
+    `;
+    form.querySelector('input[name="name"]').setAttribute('value', file.name.replace(/\.dxf$/i, ''));
+
+    const errorsEl = form.querySelector('.custom-floorplan-errors');
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(form);
+      const feetPerUnit = Dxf.UNIT_FEET[String(formData.get('units'))];
+
+      // DXF Y points up; the planner's points down
+      const result = this.floorPlanManager.setCustomFloorPlan({
+        name: String(formData.get('name') ?? ''),
+        unit: Config.UNITS.FEET,
+        doorWall: String(formData.get('doorWall') ?? 'bottom'),
+        vertices: outline.vertices.map((v) => ({ x: v.x * feetPerUnit, y: -v.y * feetPerUnit })),
+      });
+      if (!result.success) {
+        errorsEl.innerHTML = result.errors.map((err) => Validation.sanitizeHTML(err)).join('<br>');
+        return;
+      }
+
+      Modal.close();
+      this.renderFloorPlanList();
+      Modal.showSuccess(`Imported "${result.floorPlan.name}" from DXF`);
+    });
+
+    Modal.show('Import Outline from DXF', form);
+  }
+
+  /**
+   * Show how the rows of an item list (CSV/TSV) match the catalog, then add the items
+   * below the floor plan
+   * @param {File} file
+   */
+  async showItemListImportDialog(file) {
+    if (!this.itemListImport || this.readOnly) return;
+
+    let plan;
+    try {
+      plan = this.itemListImport.plan(await file.text());
+    } catch (error) {
+      console.error('Item list read failed:', error);
+      Modal.showError('This file could not be read. Save the spreadsheet as CSV and try again.');
+      return;
+    }
+    if (!plan.entries.length) {
+      Modal.showError(plan.errors[0] || 'No items were found in this file');
+      return;
+    }
+
+    const fmt = (value) => Helpers.formatNumber(value, 1);
+    const content = document.createElement('div');
+    content.className = 'custom-floorplan-form';
+    content.innerHTML = `
+      <table class="unit-fit__table">
+        <thead>
+          <tr><th>Row</th><th>Added as</th><th>Size (L × W)</th><th>Qty</th></tr>
+        </thead>
+        <tbody>
+          ${plan.entries
+            .map(
+              (entry) => `
+            <tr>
+              <td>${Validation.sanitizeHTML(entry.row.name)}</td>
+              <td>${entry.matched ? Validation.sanitizeHTML(entry.type.label) : '<em>Rectangle (no match)</em>'}</td>
+              <td>${fmt(entry.lengthFt)}' × ${fmt(entry.widthFt)}'</td>
+              <td>${entry.row.quantity}</td>
+            </tr>`,
+            )
+            .join('')}
+        </tbody>
+      </table>
+      ${plan.errors.length ? `<p class="unit-fit__warning">${plan.errors.map((err) => Validation.sanitizeHTML(err)).join('<br>')}</p>` : ''}
+      <p>The items are placed in rows just below the floor plan, ready to be arranged.</p>
+      <div class="custom-floorplan-actions">
+        <button type="button" class="modal-btn modal-btn-primary" data-action="add">
+          Add ${plan.total} item${plan.total === 1 ? '' : 's'}
+        </button>
+      </div>
+    `;
+
+    content.querySelector('[data-action="add"]').addEventListener('click', () => {
+      const added = this.runAsSingleHistoryStep(
+        () => this.itemListImport.place(plan.entries),
+        `Imported ${plan.total} item${plan.total === 1 ? '' : 's'}`,
+      );
+      this.updateInfoPanel();
+      Modal.close();
+      Modal.showSuccess(`Added ${added.length} item${added.length === 1 ? '' : 's'} below the floor plan`);
+    });
+
+    Modal.show(`Import Items from ${Validation.sanitizeHTML(file.name)}`, content);
+  }
+
+  /**
+   * Show the custom item dialog (adds an item type to the user's library)
+   */
+  showCustomItemDialog() {
+    const categoryOptions = Items.getCategoryNames()
+      .map((name) => `<option value="${name}">${Validation.sanitizeHTML(Items.categories[name].name)}</option>`)
+      .join('');
+    const shapeOptions = Object.entries(Config.ITEM_SHAPES)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+
+    const form = document.createElement('form');
+    form.className = 'custom-floorplan-form';
+    form.noValidate = true;
+    form.innerHTML = `
+      <label>Label
+        <input class="modal-input" name="label" type="text" maxlength="60" placeholder="e.g. Jet Ski Trailer" />
+      </label>
+      <div class="form-row">
+        <label>Category
+          <select class="modal-input" name="category">${categoryOptions}</select>
+        </label>
+        <label>Shape
+          <select class="modal-input" name="shapeType">${shapeOptions}</select>
+        </label>
+      </div>
+      <div class="form-row">
+        <label>Length (ft)
+          <input class="modal-input" name="lengthFt" type="number" min="0.1" step="0.1" />
+        </label>
+        <label>Width (ft)
+          <input class="modal-input" name="widthFt" type="number" min="0.1" step="0.1" />
+        </label>
+        <label>Height (ft, optional)
+          <input class="modal-input" name="heightFt" type="number" min="0.1" step="0.1" />
+        </label>
+      </div>
+      <div class="form-row">
+        <label>Color
+          <input class="modal-input" name="color" type="color" value="#6366F1" />
+        </label>
+        <label>Top-down image (optional)
+          <input class="modal-input" name="image" type="file" accept="image/*" />
+        </label>
+      </div>
+      <div class="custom-floorplan-errors" role="alert"></div>
+      <div class="custom-floorplan-actions">
+        <button type="submit" class="modal-btn modal-btn-primary">Add to Library</button>
+      </div>
+    `;
+
+    const errorsEl = form.querySelector('.custom-floorplan-errors');
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const formData = new FormData(form);
+      const field = (name) => String(formData.get(name) ?? '');
+      const file = formData.get('image');
+
+      let image = null;
+      if (file instanceof File && file.size > 0) {
+        try {
+          image = await this._readItemImage(file);
+        } catch (error) {
+          errorsEl.textContent = 'Could not read that image file';
+          return;
+        }
+      }
+
+      const result = this.itemManager.createCustomItem({
+        label: field('label'),
+        category: field('category'),
+        shapeType: field('shapeType'),
+        lengthFt: parseFloat(field('lengthFt')),
+        widthFt: parseFloat(field('widthFt')),
+        heightFt: field('heightFt') === '' ? undefined : parseFloat(field('heightFt')),
+        color: field('color'),
+        image,
+      });
+      if (!result.success) {
+        errorsEl.innerHTML = result.errors.map((err) => Validation.sanitizeHTML(err)).join('<br>');
+        return;
+      }
+
+      Modal.close();
+      Modal.showSuccess(`"${result.item.label}" added to your items`);
+    });
+
+    Modal.show('Custom Item', form);
+  }
+
+  /**
+   * Read an uploaded image as a PNG data URL, downscaled so the item library
+   * stays small enough for browser storage
+   * @private
+   */
+  _readItemImage(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onerror = () => reject(new Error('File read error'));
+      reader.onload = () => {
+        const img = new Image();
+        img.onerror = () => reject(new Error('Not an image'));
+        img.onload = () => {
+          const maxPx = Config.CUSTOM_ITEM_IMAGE_MAX_PX;
+          const scale = Math.min(1, maxPx / Math.max(img.width, img.height));
+          const canvas = document.createElement('canvas');
+          canvas.width = Math.max(1, Math.round(img.width * scale));
+          canvas.height = Math.max(1, Math.round(img.height * scale));
+          canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+          resolve(canvas.toDataURL('image/png'));
+        };
+        img.src = String(reader.result);
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Render item palette
+   */
+  renderItemPalette() {
+    const container = document.getElementById('item-palette');
+    if (!container) return;
+
+    const categories = Items.getCategoryNames();
+
+    container.innerHTML = categories
+      .map((catName) => {
+        const category = Items.categories[catName];
+        return `
+          <div class="item-category">
+            <div class="category-name">${category.name}</div>
+            <div class="category-items">
+              ${Items.getByCategory(catName)
+                .map((item) => {
+                  const hasImage = Config.USE_IMAGES && item.paletteImage;
+                  const accentColor = item.color || '#6366F1';
+                  const isMezzanine = item.category === 'mezzanine';
+                  // Custom items without an image preview the shape they are drawn as
+                  const isShape = item.category === 'shapes' || item.isCustom;
+                  let visualMarkup;
+
+                  if (hasImage) {
+                    visualMarkup = `
+                      <div class="palette-item-image" style="--fallback-color: ${accentColor};">
+                        <img src="${item.paletteImage}" loading="lazy" decoding="async" alt="${Validation.sanitizeHTML(item.label)}">
+                        <div class="palette-image-fallback" aria-hidden="true"></div>
+                      </div>
+                    `;
+                  } else if (isMezzanine) {
+                    visualMarkup = `
+                      <div class="palette-item-placeholder palette-item-placeholder--mezzanine" aria-hidden="true"></div>
+                    `;
+                  } else if (isShape) {
+                    const shapeType = item.shapeType || 'rectangle';
+                    visualMarkup = `
+                      <div class="palette-shape-preview palette-shape-preview--${shapeType}" style="--shape-color: ${accentColor};" aria-hidden="true"></div>
+                    `;
+                  } else {
+                    visualMarkup = `
+                      <div class="palette-item-icon" style="background-color: ${accentColor}22; color: ${accentColor}">
+                        ${Validation.sanitizeHTML(item.label.charAt(0))}
+                      </div>
+                    `;
+                  }
+
+                  const deleteMarkup = item.isCustom
+                    ? `<button type="button" class="palette-item-delete" data-delete-id="${item.id}" aria-label="Delete custom item" title="Delete custom item">×</button>`
+                    : '';
+
+                  return `
+                    <div class="palette-item" data-id="${item.id}" data-category="${item.category || catName}">
+                      ${deleteMarkup}
+                      ${visualMarkup}
+                      <div class="item-label">${Validation.sanitizeHTML(item.label)}</div>
+                      <div class="item-size">${item.lengthFt}' × ${item.widthFt}'</div>
+                    </div>
+                  `;
+                })
+                .join('')}
+            </div>
+          </div>
+        `;
+      })
+      .join('');
+
+    // Make items draggable
+    container.querySelectorAll('.palette-item').forEach((item) => {
+      item.addEventListener('click', () => {
+        const itemId = item.dataset.id;
+        const floorPlan = this.state.get('floorPlan');
+
+        if (!floorPlan) {
+          Modal.showInfo('Please select a floor plan first');
+          return;
+        }
+
+        let targetX;
+        let targetY;
+
+        if (this.canvasManager && typeof this.canvasManager.getFloorPlanPosition === 'function') {
+          const planCenter = this.canvasManager.getFloorPlanPosition();
+          if (planCenter) {
+            targetX = planCenter.left;
+            targetY = planCenter.top;
+          }
+        }
+
+        if (targetX === undefined || targetY === undefined) {
+          const bounds =
+            typeof this.canvasManager.getFloorPlanBounds === 'function'
+              ? this.canvasManager.getFloorPlanBounds()
+              : null;
+          if (bounds) {
+            targetX = bounds.left + bounds.width / 2;
+            targetY = bounds.top + bounds.height / 2;
+          }
+        }
+
+        if (targetX === undefined || targetY === undefined) {
+          // Fallback to geometric center using plan dimensions
+          targetX = Helpers.feetToPx(floorPlan.widthFt) / 2;
+          targetY = Helpers.feetToPx(floorPlan.heightFt) / 2;
+        }
+
+        this.itemManager.addItem(itemId, targetX, targetY);
+      });
+    });
+
+    container.querySelectorAll('.palette-item-delete').forEach((btn) => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const id = btn.getAttribute('data-delete-id');
+        const item = Items.getById(id);
+        if (!item) return;
+        const confirmed = await Modal.showConfirm(
+          'Delete Custom Item?',
+          `This removes "${item.label}" from your item library.`,
+        );
+        if (!confirmed) return;
+        const result = this.itemManager.deleteCustomItem(id);
+        if (!result.success) {
+          Modal.showError(result.errors.join('. '));
+        }
+      });
+    });
+
+    // Provide visual fallback if palette image fails to load
+    container.querySelectorAll('.palette-item-image img').forEach((img) => {
+      img.addEventListener('error', () => {
+        const wrapper = img.closest('.palette-item-image');
+        if (wrapper) {
+          wrapper.classList.add('palette-item-image--error');
         }
       });
+    });
+  }
+
+  /**
+   * Setup toolbar handlers
+   */
+  setupToolbarHandlers() {
+    // Custom floor plan
+    document
+      .getElementById('btn-custom-floorplan')
+      ?.addEventListener('click', () => this.showCustomFloorPlanDialog());
+
+    // Fixed obstacles
+    document
+      .getElementById('btn-add-obstacle')
+      ?.addEventListener('click', () => this.showObstacleDialog());
+
+    // Doors and windows
+    document.getElementById('btn-add-door')?.addEventListener('click', () => this.showDoorDialog());
+
+    // User item library
+    document
+      .getElementById('btn-custom-item')
+      ?.addEventListener('click', () => this.showCustomItemDialog());
+
+    // Floor plan outline (vertex) editor
+    document.getElementById('btn-edit-floorplan-shape')?.addEventListener('click', () => {
+      if (!this.state.get('floorPlan')) {
+        Modal.showError('Please select a floor plan first');
+        return;
+      }
+      this.floorPlanEditor?.toggle();
+    });
+
+    // Unit outline from a CAD drawing
+    const dxfFileInput = /** @type {HTMLInputElement} */ (document.getElementById('dxf-file-input'));
+    document.getElementById('btn-import-dxf')?.addEventListener('click', () => dxfFileInput?.click());
+    dxfFileInput?.addEventListener('change', async () => {
+      const file = dxfFileInput.files[0];
+      // Clear the input so the same file can be imported again
+      dxfFileInput.value = '';
+      if (file) await this.showDXFImportDialog(file);
+    });
+
+    // Rename project
+    const renameBtn = document.getElementById('btn-rename-project');
+    const projectNameLabel = document.getElementById('project-name');
+    const handleDesktopRename = async () => {
+      if (document.body.classList.contains('mobile-layout')) {
+        console.log('[App] Desktop rename blocked - mobile mode active');
+        return;
+      }
+
+      const currentName = this.state.get('metadata.projectName') || 'Untitled Layout';
+      const newName = await Modal.showPrompt('Rename Project', 'Enter project name:', currentName);
+      const sanitizedName = Helpers.sanitizeLayoutName(newName || '', '');
+
+      if (sanitizedName) {
+        this.updateProjectName(sanitizedName);
+        Modal.showSuccess('Project renamed successfully');
+      } else if (newName && newName.trim() !== '') {
+        Modal.showError('Invalid project name');
+      }
+    };
+
+    if (renameBtn) {
+      renameBtn.addEventListener('click', handleDesktopRename);
+    }
+
+    if (projectNameLabel) {
+      projectNameLabel.addEventListener('dblclick', handleDesktopRename);
     }
 
+    // New layout
+    document
+      .getElementById('btn-new')
+      ?.addEventListener('click', () =>
+        this.startNewLayout('Any unsaved changes will be lost. Are you sure?'),
+      );
+
     // Undo
     const undoBtn = document.getElementById('btn-undo');
     if (undoBtn) {
@@ -1116,6 +2487,19 @@ class App {
       measureBtn.addEventListener('click', () => this.toggleMeasurementMode());
     }
 
+    // Auto-arrange
+    document
+      .getElementById('btn-auto-arrange')
+      ?.addEventListener('click', () => this.showAutoArrangeDialog());
+    document.getElementById('btn-unit-fit')?.addEventListener('click', () => this.showUnitFitDialog());
+    document.getElementById('btn-drive-out')?.addEventListener('click', () => this.showDriveOutDialog());
+    document.querySelectorAll('#level-switcher [data-level]').forEach((btn) => {
+      btn.addEventListener('click', () => this.setActiveLevel(btn.getAttribute('data-level')));
+    });
+    document
+      .getElementById('btn-item-properties')
+      ?.addEventListener('click', () => this.showItemInspector());
+
     const toggleGridMenuBtn = document.getElementById('btn-toggle-grid');
     if (toggleGridMenuBtn) {
       toggleGridMenuBtn.addEventListener('click', () => {
@@ -1145,6 +2529,31 @@ class App {
       });
     }
 
+    const toggleOverlapBtn = document.getElementById('btn-toggle-prevent-overlap');
+    if (toggleOverlapBtn) {
+      toggleOverlapBtn.addEventListener('click', () => {
+        const preventOverlap = this.state.get('settings.preventOverlap') === true;
+        this.state.set('settings.preventOverlap', !preventOverlap);
+        this.syncViewDropdownUI();
+      });
+    }
+
+    const toggleSmartGuidesBtn = document.getElementById('btn-toggle-smart-guides');
+    if (toggleSmartGuidesBtn) {
+      toggleSmartGuidesBtn.addEventListener('click', () => {
+        const smartGuides = this.state.get('settings.smartGuides') !== false;
+        this.state.set('settings.smartGuides', !smartGuides);
+        this.syncViewDropdownUI();
+      });
+    }
+
+    // Snap distance for smart guides (screen pixels; 0 shows guides without snapping)
+    document.getElementById('smart-guide-snap-slider')?.addEventListener('input', (e) => {
+      const snapPx = parseInt(/** @type {HTMLInputElement} */ (e.target).value, 10);
+      this.state.set('settings.smartGuideSnapPx', Number.isFinite(snapPx) ? snapPx : 0);
+      this.syncViewDropdownUI();
+    });
+
     // Export JSON
     const exportJsonBtn = document.getElementById('btn-export-json');
     if (exportJsonBtn) {
@@ -1157,13 +2566,51 @@ class App {
       exportPngBtn.addEventListener('click', () => this.exportManager.exportPNG(4));
     }
 
+    // Export SVG
+    const exportSvgBtn = document.getElementById('btn-export-svg');
+    if (exportSvgBtn) {
+      exportSvgBtn.addEventListener('click', () => this.showSVGExportDialog());
+    }
+
+    // Export DXF
+    const exportDxfBtn = document.getElementById('btn-export-dxf');
+    if (exportDxfBtn) {
+      exportDxfBtn.addEventListener('click', () => this.exportManager.exportDXF());
+    }
+
+    // Export bill of materials
+    const exportBomBtn = document.getElementById('btn-export-bom');
+    if (exportBomBtn) {
+      exportBomBtn.addEventListener('click', () => this.showBOMExportDialog());
+    }
+
     // Export PDF
     const exportPdfBtn = document.getElementById('btn-export-pdf');
     if (exportPdfBtn) {
-      exportPdfBtn.addEventListener('click', () => this.exportManager.exportPDF());
+      exportPdfBtn.addEventListener('click', () => this.showPDFExportDialog());
     }
 
     // Share via Email
+    const shareLinkBtn = document.getElementById('btn-share-link');
+    if (shareLinkBtn) {
+      shareLinkBtn.addEventListener('click', () => this.showShareDialog());
+    }
+
+    // Shared layout banner
+    document
+      .getElementById('btn-shared-save')
+      ?.addEventListener('click', () => this.saveSharedLayoutCopy());
+    document
+      .getElementById('btn-shared-exit')
+      ?.addEventListener('click', () => this.exitSharedLayout());
+
+    // Pasting another share link into the address bar opens it
+    window.addEventListener('hashchange', () => {
+      if (this.shareLink?.isShareHash()) {
+        window.location.reload();
+      }
+    });
+
     const shareEmailBtn = document.getElementById('btn-share-email');
     if (shareEmailBtn) {
       shareEmailBtn.addEventListener('click', () => this.shareViaEmail());
@@ -1182,21 +2629,53 @@ class App {
         if (file) {
           try {
             await this.exportManager.importJSON(file);
-            // Clear the input so the same file can be imported again
-            jsonFileInput.value = '';
           } catch (error) {
             console.error('Import failed:', error);
+          } finally {
+            // Clear the input so the same file can be imported again (also after a cancel)
+            jsonFileInput.value = '';
           }
         }
       });
     }
 
+    // Import an item list (CSV/TSV)
+    const itemListInput = /** @type {HTMLInputElement} */ (document.getElementById('item-list-file-input'));
+    document.getElementById('btn-import-items')?.addEventListener('click', () => {
+      if (this.readOnly) return;
+      if (!this.state.get('floorPlan')) {
+        Modal.showError('Please select a floor plan first');
+        return;
+      }
+      itemListInput?.click();
+    });
+    itemListInput?.addEventListener('change', async () => {
+      const file = itemListInput.files[0];
+      // Clear the input so the same file can be imported again
+      itemListInput.value = '';
+      if (file) await this.showItemListImportDialog(file);
+    });
+
     // Save
     const saveBtn = document.getElementById('btn-save');
     if (saveBtn) {
       saveBtn.addEventListener('click', () => this.saveLayout());
     }
 
+    // Whether saved layouts keep their undo history (a per-browser preference)
+    const saveHistoryToggle = /** @type {HTMLInputElement} */ (
+      document.getElementById('save-layout-history')
+    );
+    if (saveHistoryToggle) {
+      saveHistoryToggle.checked = this._getPreferences().saveLayoutHistory !== false;
+      saveHistoryToggle.addEventListener('change', () => {
+        StorageUtil.save(Config.STORAGE_KEYS.settings, {
+          ...this._getPreferences(),
+          saveLayoutHistory: saveHistoryToggle.checked,
+        });
+      });
+    }
+
     // Zoom controls
     const zoomSlider = document.getElementById('zoom-slider');
     const zoomSliderValue = document.getElementById('zoom-slider-value');
@@ -1371,6 +2850,18 @@ class App {
           <span class="info-bar__value">${items.length}</span>
         </div>
       `);
+
+      const occupancy = this.floorPlanManager.getLevelOccupancy(floorPlan, items);
+      const occupancyValue =
+        occupancy.mezzanine === null
+          ? `${occupancy.ground.toFixed(1)}%`
+          : `Ground ${occupancy.ground.toFixed(1)}% • Mezzanine ${occupancy.mezzanine.toFixed(1)}%`;
+      segments.push(`
+        <div class="info-bar__segment">
+          <span class="info-bar__label">Occupancy:</span>
+          <span class="info-bar__value">${occupancyValue}</span>
+        </div>
+      `);
     } else {
       segments.push('<div class="info-bar__placeholder">Select a floor plan to begin</div>');
     }
@@ -1433,6 +2924,57 @@ class App {
       `);
     }
 
+    const obstacleConflicts = this.state.get('ui.obstacleConflicts') || [];
+    if (obstacleConflicts.length && floorPlan) {
+      segments.push(`
+        <div class="info-bar__segment info-bar__segment--warning" title="Items inside an obstacle's clearance">
+          <svg viewBox="0 0 24 24" fill="currentColor" style="width:16px;height:16px;margin-right:4px">
+            <path d="M12,2L1,21H23M12,6L19.53,19H4.47M11,10V14H13V10M11,16V18H13V16" />
+          </svg>
+          <span class="info-bar__value">${obstacleConflicts.length} obstacle${obstacleConflicts.length === 1 ? '' : 's'} blocked</span>
+        </div>
+      `);
+    }
+
+    const collisionCount = this.state.get('ui.collisionCount') || 0;
+    if (collisionCount) {
+      segments.push(`
+        <div class="info-bar__segment info-bar__segment--warning" title="Items overlapping another item">
+          <svg viewBox="0 0 24 24" fill="currentColor" style="width:16px;height:16px;margin-right:4px">
+            <path d="M12,2L1,21H23M12,6L19.53,19H4.47M11,10V14H13V10M11,16V18H13V16" />
+          </svg>
+          <span class="info-bar__value">${collisionCount} item${collisionCount === 1 ? '' : 's'} overlapping</span>
+        </div>
+      `);
+    }
+
+    const driveOutBlocked = this.state.get('ui.driveOutBlocked') || [];
+    if (driveOutBlocked.length && floorPlan) {
+      segments.push(`
+        <div class="info-bar__segment info-bar__segment--warning" title="Vehicles with no clear path out through a door">
+          <svg viewBox="0 0 24 24" fill="currentColor" style="width:16px;height:16px;margin-right:4px">
+            <path d="M12,2L1,21H23M12,6L19.53,19H4.47M11,10V14H13V10M11,16V18H13V16" />
+          </svg>
+          <span class="info-bar__value">${driveOutBlocked.length} vehicle${driveOutBlocked.length === 1 ? '' : 's'} blocked in</span>
+        </div>
+      `);
+    }
+
+    const heightConflicts = this.state.get('ui.heightConflicts') || [];
+    if (heightConflicts.length && floorPlan) {
+      const details = heightConflicts
+        .map((conflict) => `${conflict.label || 'Item'}: ${this._describeHeightConflict(conflict)}`)
+        .join('\n');
+      segments.push(`
+        <div class="info-bar__segment info-bar__segment--warning" title="${Validation.sanitizeHTML(details).replace(/"/g, '&quot;')}">
+          <svg viewBox="0 0 24 24" fill="currentColor" style="width:16px;height:16px;margin-right:4px">
+            <path d="M12,2L1,21H23M12,6L19.53,19H4.47M11,10V14H13V10M11,16V18H13V16" />
+          </svg>
+          <span class="info-bar__value">${heightConflicts.length} item${heightConflicts.length === 1 ? '' : 's'} too tall</span>
+        </div>
+      `);
+    }
+
     const lastMeasurement = this.state.get('ui.lastMeasurementDistance');
     if (typeof lastMeasurement === 'number') {
       segments.push(`
@@ -1518,6 +3060,12 @@ class App {
    * Returns true if any items are blocking the entry zone
    */
   checkEntryZoneViolations() {
+    // Obstacle clearances and item overlaps are flagged alongside the entry zone
+    this.checkObstacleViolations();
+    this.canvasManager?.updateCollisions?.();
+    this.checkDriveOut();
+    this.checkHeightClearance();
+
     try {
       const floorPlan = this.state.get('floorPlan');
       if (!floorPlan) {
@@ -1541,25 +3089,213 @@ class App {
       const layoutState = this.state.get('layout') || {};
       const floorPlanBounds = this._getValidFloorPlanBounds(layoutState.floorPlanBounds);
 
-      // Check if any item is in the entry zone
-      const hasViolation = items.some((item) => {
-        if (
-          !item ||
-          !item.canvasObject ||
-          typeof item.canvasObject.getBoundingRect !== 'function'
-        ) {
-          return false;
-        }
-        return Bounds.isInEntryZone(item.canvasObject, floorPlan, entryZonePosition, floorPlanBounds);
-      });
+      // Check if any item is in the entry zone
+      const hasViolation = items.some((item) => {
+        if (
+          !item ||
+          !item.canvasObject ||
+          typeof item.canvasObject.getBoundingRect !== 'function' ||
+          Bounds.isDeckItem(item)
+        ) {
+          return false;
+        }
+        return Bounds.isInEntryZone(item.canvasObject, floorPlan, entryZonePosition, floorPlanBounds);
+      });
+
+      this.updateEntryZoneWarning(hasViolation);
+      return hasViolation;
+    } catch (error) {
+      console.warn('[App] Error checking entry zone violations:', error);
+      this.updateEntryZoneWarning(false);
+      return false;
+    }
+  }
+
+  /**
+   * Check items against floor plan obstacles and their clearance zones
+   * @returns {boolean} True when any obstacle is blocked
+   */
+  checkObstacleViolations() {
+    let conflictIds = [];
+    try {
+      const floorPlan = this.state.get('floorPlan');
+      const items = this.itemManager?.getItems?.() || [];
+      if (floorPlan && items.length && floorPlan.obstacles?.length) {
+        const layoutState = this.state.get('layout') || {};
+        const floorPlanBounds = this._getValidFloorPlanBounds(layoutState.floorPlanBounds);
+        const ids = new Set();
+        items.forEach((item) => {
+          if (!item?.canvasObject || typeof item.canvasObject.getBoundingRect !== 'function') return;
+          if (Bounds.isDeckItem(item)) return;
+          Bounds.getObstacleConflicts(item.canvasObject, floorPlan, floorPlanBounds).forEach(
+            (obstacle) => ids.add(obstacle.id),
+          );
+        });
+        conflictIds = [...ids];
+      }
+    } catch (error) {
+      console.warn('[App] Error checking obstacle violations:', error);
+    }
+
+    const previous = this.state.get('ui.obstacleConflicts') || [];
+    this.state.set('ui.obstacleConflicts', conflictIds);
+    if (previous.join() !== conflictIds.join()) {
+      this.renderObstacleList();
+    }
+    return conflictIds.length > 0;
+  }
+
+  /**
+   * Re-check drive-out paths for vehicles and refresh the path overlay
+   * Returns true if any vehicle is blocked in
+   */
+  checkDriveOut() {
+    if (!this.driveOutChecker) return false;
+
+    let blockedIds = [];
+    try {
+      this.driveOutChecker.setShowPaths(this.state.get('settings.showDriveOutPaths') === true);
+      blockedIds = this.driveOutChecker
+        .update()
+        .filter((result) => !result.clear)
+        .map((result) => result.itemId);
+    } catch (error) {
+      console.warn('[App] Error checking drive-out paths:', error);
+    }
+
+    const previous = this.state.get('ui.driveOutBlocked') || [];
+    this.state.set('ui.driveOutBlocked', blockedIds);
+    if (previous.join() !== blockedIds.join()) {
+      this.updateInfoPanel();
+    }
+    return blockedIds.length > 0;
+  }
+
+  /**
+   * Show the level switcher while the layout has a mezzanine; without one,
+   * fall back to the ground floor
+   */
+  renderLevelSwitcher() {
+    const hasDeck = (this.state.get('items') || []).some((item) => item.category === 'mezzanine');
+    const level = this.state.get('ui.activeLevel') || Config.LEVELS.GROUND;
+    if (!hasDeck && level !== Config.LEVELS.GROUND) {
+      this.setActiveLevel(Config.LEVELS.GROUND);
+      return;
+    }
+
+    const switcher = document.getElementById('level-switcher');
+    if (!switcher) return;
+    switcher.classList.toggle('hidden', !hasDeck);
+    switcher.previousElementSibling?.classList.toggle('hidden', !hasDeck);
+    switcher.querySelectorAll('[data-level]').forEach((btn) => {
+      btn.setAttribute('aria-pressed', String(btn.getAttribute('data-level') === level));
+    });
+  }
+
+  /**
+   * Switch between editing the ground floor and the mezzanine deck
+   * @param {string} level - Config.LEVELS value
+   */
+  setActiveLevel(level) {
+    const next = level === Config.LEVELS.MEZZANINE ? Config.LEVELS.MEZZANINE : Config.LEVELS.GROUND;
+    this.state.set('ui.activeLevel', next);
+    this.canvasManager.applyLevelView(next);
+    this.renderLevelSwitcher();
+    this.updateInfoPanel();
+  }
+
+  /**
+   * Check item heights against the door openings, the ceiling and any mezzanine deck above
+   * Returns true if any item is too tall
+   */
+  checkHeightClearance() {
+    let conflicts = [];
+    try {
+      const floorPlan = this.state.get('floorPlan');
+      const objects = (this.itemManager?.getItems?.() || [])
+        .map((item) => item?.canvasObject)
+        .filter(Boolean);
+      if (floorPlan && objects.length) {
+        const entryZonePosition = this.state.get('settings.entryZonePosition');
+        conflicts = Bounds.getHeightConflicts(objects, floorPlan, entryZonePosition).map(
+          ({ item, reason, limitFt }) => ({
+            itemId: item.customData.id,
+            label: item.customData.label,
+            heightFt: item.customData.heightFt,
+            reason,
+            limitFt,
+          }),
+        );
+      }
+    } catch (error) {
+      console.warn('[App] Error checking height clearance:', error);
+    }
+
+    const key = (list) => list.map((c) => `${c.itemId}:${c.reason}:${c.limitFt}`).join();
+    const previous = this.state.get('ui.heightConflicts') || [];
+    this.state.set('ui.heightConflicts', conflicts);
+    if (key(previous) !== key(conflicts)) {
+      this.updateInfoPanel();
+      this.renderItemInspector();
+    }
+    return conflicts.length > 0;
+  }
+
+  /**
+   * One-line explanation of a height conflict
+   * @private
+   */
+  _describeHeightConflict(conflict) {
+    const where = {
+      ceiling: 'the ceiling',
+      door: 'the door opening',
+      mezzanine: 'the mezzanine deck above it',
+    };
+    return `${Helpers.formatNumber(conflict.heightFt, 1)}' tall, ${where[conflict.reason]} is ${Helpers.formatNumber(conflict.limitFt, 1)}'`;
+  }
+
+  /**
+   * The layout problems flagged in the info bar, in words (for reports)
+   * @returns {string[]}
+   */
+  getLayoutWarnings() {
+    const floorPlan = this.state.get('floorPlan');
+    if (!floorPlan) return [];
+
+    const items = this.itemManager?.getItems?.() || [];
+    const labelOf = (id) => items.find((item) => item.id === id)?.label || 'An item';
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const warnings = [];
+
+    items
+      .filter((item) => item?.canvasObject?.customData?._insideFloorPlan === false)
+      .forEach((item) => warnings.push(`${item.label || 'An item'} is outside the floor plan`));
+
+    if (this.state.get('ui.entryZoneViolation')) {
+      warnings.push('The entry zone is blocked');
+    }
+
+    (this.state.get('ui.obstacleConflicts') || []).forEach((id) => {
+      const obstacle = (floorPlan.obstacles || []).find((o) => o.id === id);
+      if (!obstacle) return;
+      const label = obstacle.label || Config.OBSTACLE_TYPES[obstacle.type]?.label || 'an obstacle';
+      warnings.push(`The clearance around ${label} is blocked`);
+    });
 
-      this.updateEntryZoneWarning(hasViolation);
-      return hasViolation;
-    } catch (error) {
-      console.warn('[App] Error checking entry zone violations:', error);
-      this.updateEntryZoneWarning(false);
-      return false;
+    const collisionCount = this.state.get('ui.collisionCount') || 0;
+    if (collisionCount) {
+      warnings.push(`${plural(collisionCount, 'item')} overlap another item`);
     }
+
+    (this.state.get('ui.driveOutBlocked') || []).forEach((id) => {
+      warnings.push(`${labelOf(id)} has no clear path out through a door`);
+    });
+
+    (this.state.get('ui.heightConflicts') || []).forEach((conflict) => {
+      warnings.push(`${conflict.label || 'An item'} is too tall: ${this._describeHeightConflict(conflict)}`);
+    });
+
+    return warnings;
   }
 
   /**
@@ -1697,42 +3433,9 @@ class App {
     const mobileBtnMore = document.getElementById('mobile-btn-more');
 
     // Mobile toolbar: New button
-    if (mobileBtnNew) {
-      mobileBtnNew.addEventListener('click', async () => {
-        const confirmed = await Modal.showConfirm(
-          'Start New Layout?',
-          "This will clear the current layout. Make sure you've saved your work.",
-        );
-        if (confirmed) {
-          console.log('[App] Starting new layout (mobile)');
-
-          // Clear everything (same as desktop version)
-          this.state.reset();
-          this.canvasManager.clear();
-
-          // Clear history stack to prevent undoing back to old layout
-          this.historyManager.clear();
-
-          // CRITICAL: Clear autosave from localStorage immediately
-          StorageUtil.remove(Config.STORAGE_KEYS.autosave);
-          console.log('[App] Cleared autosave from localStorage');
-
-          // Ensure viewport is reset (clear() already does this, but be explicit)
-          this.canvasManager.resetViewport();
-
-          // Show empty state
-          this.canvasManager.showEmptyState();
-
-          // Reset project name in DOM and document title
-          this.updateProjectName('Untitled Layout');
-
-          this.renderFloorPlanList();
-          this.updateInfoPanel();
-          this.syncViewDropdownUI();
-          Modal.showSuccess('New layout started');
-        }
-      });
-    }
+    mobileBtnNew?.addEventListener('click', () =>
+      this.startNewLayout("This will clear the current layout. Make sure you've saved your work."),
+    );
 
     if (mobileBtnUndo) {
       mobileBtnUndo.addEventListener('click', () => this.historyManager.undo());
@@ -1906,10 +3609,26 @@ class App {
           <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor"><path d="M8.5,13.5L11,16.5L14.5,12L19,18H5M21,19V5C21,3.89 20.1,3 19,3H5A2,2 0 0,0 3,5V19A2,2 0 0,0 5,21H19A2,2 0 0,0 21,19Z"/></svg>
           Export PNG
         </button>
+        <button class="dropdown-item" data-action="export-svg">
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor"><path d="M20.71,4.63L19.37,3.29C19,2.9 18.35,2.9 17.96,3.29L9,12.25L11.75,15L20.71,6.04C21.1,5.65 21.1,5 20.71,4.63M7,14A3,3 0 0,0 4,17C4,18.31 2.84,19 2,19C2.92,20.22 4.5,21 6,21A4,4 0 0,0 10,17A3,3 0 0,0 7,14Z"/></svg>
+          Export SVG
+        </button>
+        <button class="dropdown-item" data-action="export-dxf">
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor"><path d="M3,21V7L9,3L15,7V11H21V21H3M5,19H8V15H10V19H13V8.07L9,5.4L5,8.07V19M15,19H19V13H15V19Z"/></svg>
+          Export DXF (CAD)
+        </button>
+        <button class="dropdown-item" data-action="export-bom">
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor"><path d="M5,4H19A2,2 0 0,1 21,6V18A2,2 0 0,1 19,20H5A2,2 0 0,1 3,18V6A2,2 0 0,1 5,4M5,8V12H11V8H5M13,8V12H19V8H13M5,14V18H11V14H5M13,14V18H19V14H13Z"/></svg>
+          Export Bill of Materials
+        </button>
         <button class="dropdown-item" data-action="export-pdf">
           <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor"><path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M15.5,15C15.5,16.38 14.38,17.5 13,17.5H11.5V19H10V13H13A2.5,2.5 0 0,1 15.5,15.5M13,16.5A1,1 0 0,0 14,15.5A1,1 0 0,0 13,14.5H11.5V16.5M13,9V3.5L18.5,9"/></svg>
           Export PDF
         </button>
+        <button class="dropdown-item" data-action="share-link">
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor"><path d="M3.9,12C3.9,10.29 5.29,8.9 7,8.9H11V7H7A5,5 0 0,0 2,12A5,5 0 0,0 7,17H11V15.1H7C5.29,15.1 3.9,13.71 3.9,12M8,13H16V11H8V13M17,7H13V8.9H17C18.71,8.9 20.1,10.29 20.1,12C20.1,13.71 18.71,15.1 17,15.1H13V17H17A5,5 0 0,0 22,12A5,5 0 0,0 17,7Z"/></svg>
+          Share Link & QR Code
+        </button>
         <button class="dropdown-item" data-action="share-email">
           <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor"><path d="M20,8L12,13L4,8V6L12,11L20,6M20,4H4C2.89,4 2,4.89 2,6V18A2,2 0 0,0 4,20H20A2,2 0 0,0 22,18V6C22,4.89 21.1,4 20,4Z"/></svg>
           Share via Email
@@ -1970,9 +3689,41 @@ class App {
       this.showPNGExportDialog();
     };
 
+    const exportSvgAction = /** @type {HTMLElement} */ (
+      container.querySelector('[data-action="export-svg"]')
+    );
+    exportSvgAction.onclick = () => {
+      Modal.close();
+      this.showSVGExportDialog();
+    };
+
+    const exportDxfAction = /** @type {HTMLElement} */ (
+      container.querySelector('[data-action="export-dxf"]')
+    );
+    exportDxfAction.onclick = () => {
+      this.exportManager.exportDXF();
+      Modal.close();
+    };
+
+    const exportBomAction = /** @type {HTMLElement} */ (
+      container.querySelector('[data-action="export-bom"]')
+    );
+    exportBomAction.onclick = () => {
+      Modal.close();
+      this.showBOMExportDialog();
+    };
+
     container.querySelector('[data-action="export-pdf"]').onclick = () => {
-      this.exportManager.exportPDF();
       Modal.close();
+      this.showPDFExportDialog();
+    };
+
+    const shareLinkAction = /** @type {HTMLElement} */ (
+      container.querySelector('[data-action="share-link"]')
+    );
+    shareLinkAction.onclick = () => {
+      Modal.close();
+      this.showShareDialog();
     };
 
     container.querySelector('[data-action="share-email"]').onclick = () => {
@@ -2068,6 +3819,148 @@ class App {
     Modal.show('Select PNG Resolution', container);
   }
 
+  /**
+   * Show SVG export options (drawing scale, layers, grid, measurements)
+   */
+  showSVGExportDialog() {
+    const scales = [
+      { label: '1/8" = 1\' (1:96)', value: 96 },
+      { label: '1/4" = 1\' (1:48)', value: 48 },
+      { label: '1/2" = 1\' (1:24)', value: 24 },
+    ];
+    const showGrid = this.state.get('settings.showGrid') !== false;
+
+    const container = document.createElement('div');
+    container.className = 'svg-export-options';
+    container.innerHTML = `
+      <label class="svg-export-options__field">
+        Drawing scale
+        <select id="svg-export-scale">
+          ${scales
+            .map((s) => `<option value="${s.value}" ${s.value === 48 ? 'selected' : ''}>${s.label}</option>`)
+            .join('')}
+        </select>
+      </label>
+      <label class="svg-export-options__check">
+        <input type="checkbox" id="svg-export-layered" checked />
+        One layer per item category
+      </label>
+      <label class="svg-export-options__check">
+        <input type="checkbox" id="svg-export-grid" ${showGrid ? 'checked' : ''} />
+        Include grid
+      </label>
+      <label class="svg-export-options__check">
+        <input type="checkbox" id="svg-export-measurements" checked />
+        Include measurements
+      </label>
+      <button class="modal-btn modal-btn-primary" data-action="export">Export SVG</button>
+    `;
+
+    const checked = (id) => /** @type {HTMLInputElement} */ (container.querySelector(id)).checked;
+    container.querySelector('[data-action="export"]').addEventListener('click', () => {
+      const scale = parseInt(/** @type {HTMLSelectElement} */ (container.querySelector('#svg-export-scale')).value, 10);
+      this.exportManager.exportSVG({
+        scale,
+        layered: checked('#svg-export-layered'),
+        grid: checked('#svg-export-grid'),
+        measurements: checked('#svg-export-measurements'),
+      });
+      Modal.close();
+    });
+
+    Modal.show('Export SVG', container);
+  }
+
+  /**
+   * Show bill of materials options (file format)
+   */
+  showBOMExportDialog() {
+    const container = document.createElement('div');
+    container.className = 'bom-export-options';
+    container.innerHTML = `
+      <label class="bom-export-options__field">
+        Format
+        <select id="bom-export-format">
+          <option value="csv">CSV (any spreadsheet or database)</option>
+          <option value="xlsx">Excel workbook (.xlsx)</option>
+        </select>
+      </label>
+      <p class="bom-export-options__note">
+        Lists every placed item with its size, footprint, position from the floor plan's top-left corner,
+        rotation and lock status, followed by subtotals per category and the total occupancy.
+      </p>
+      <button class="modal-btn modal-btn-primary" data-action="export">Export Bill of Materials</button>
+    `;
+
+    container.querySelector('[data-action="export"]').addEventListener('click', () => {
+      const format = /** @type {HTMLSelectElement} */ (container.querySelector('#bom-export-format')).value;
+      this.exportManager.exportBOM(format);
+      Modal.close();
+    });
+
+    Modal.show('Export Bill of Materials', container);
+  }
+
+  /**
+   * Show PDF report options (paper, orientation, plan scale)
+   */
+  showPDFExportDialog() {
+    const formats = [
+      { label: 'Automatic', value: '' },
+      { label: 'Letter (8.5 × 11 in)', value: 'letter' },
+      { label: 'Legal (8.5 × 14 in)', value: 'legal' },
+      { label: 'Tabloid (11 × 17 in)', value: 'tabloid' },
+      { label: 'A4', value: 'a4' },
+      { label: 'A3', value: 'a3' },
+    ];
+    const orientations = [
+      { label: 'Automatic', value: '' },
+      { label: 'Landscape', value: 'landscape' },
+      { label: 'Portrait', value: 'portrait' },
+    ];
+    const scales = [
+      { label: 'Largest that fits one sheet', value: 'fit' },
+      ...Config.PDF_SCALES.map((s) => ({ label: `${s.label} (1:${s.ratio})`, value: String(s.ratio) })),
+    ];
+    const options = (list) => list.map((o) => `<option value="${o.value}">${Validation.sanitizeHTML(o.label)}</option>`).join('');
+
+    const container = document.createElement('div');
+    container.className = 'pdf-export-options';
+    container.innerHTML = `
+      <label class="pdf-export-options__field">
+        Paper size
+        <select id="pdf-export-format">${options(formats)}</select>
+      </label>
+      <label class="pdf-export-options__field">
+        Orientation
+        <select id="pdf-export-orientation">${options(orientations)}</select>
+      </label>
+      <label class="pdf-export-options__field">
+        Plan scale
+        <select id="pdf-export-scale">${options(scales)}</select>
+      </label>
+      <p class="pdf-export-options__note">
+        A plan larger than one sheet at the chosen scale is split across several sheets with alignment marks.
+        The item schedule, occupancy summary and layout checks follow the plan.
+      </p>
+      <button class="modal-btn modal-btn-primary" data-action="export">Export PDF</button>
+    `;
+
+    const value = (id) => /** @type {HTMLSelectElement} */ (container.querySelector(id)).value;
+    container.querySelector('[data-action="export"]').addEventListener('click', () => {
+      const scale = value('#pdf-export-scale');
+      this.exportManager.exportPDF({
+        format: value('#pdf-export-format') || undefined,
+        orientation: value('#pdf-export-orientation') || undefined,
+        scale: scale === 'fit' ? 'fit' : parseInt(scale, 10),
+        warnings: this.getLayoutWarnings(),
+      });
+      Modal.close();
+    });
+
+    Modal.show('Export PDF', container);
+  }
+
   /**
    * Refresh canvas after undo/redo
    */
@@ -2076,6 +3969,7 @@ class App {
    * Used after undo/redo operations
    */
   refreshCanvas() {
+    this.floorPlanEditor?.cancel();
     console.log('[App] refreshCanvas()', {
       floorPlan: this.state.get('floorPlan'),
       itemsCount: (this.state.get('items') || []).length,
@@ -2118,6 +4012,7 @@ class App {
       this.canvasManager.showEmptyState();
     }
 
+    this.renderLevelSwitcher();
     this.updateInfoPanel();
   }
 
@@ -2147,8 +4042,8 @@ class App {
    * Does NOT save canvas viewport (zoom/pan)
    */
   autosave() {
-    // Skip if storage not available
-    if (!StorageUtil.isAvailable) {
+    // Skip if storage not available, or while viewing someone else's shared layout
+    if (!StorageUtil.isAvailable || this.readOnly) {
       return;
     }
 
@@ -2157,7 +4052,7 @@ class App {
 
       // Prepare autosave data with metadata
       const autosaveData = {
-        version: '2.1', // Center-based coordinate system
+        schemaVersion: Config.LAYOUT_SCHEMA_VERSION,
         timestamp: new Date().toISOString(),
         state: {
           floorPlan: state.floorPlan,
@@ -2165,6 +4060,8 @@ class App {
           settings: state.settings,
           metadata: state.metadata,
         },
+        // Compressed undo history so the last session's changes can still be undone
+        history: this.historyManager?.serialize() || null,
         // NOTE: Viewport (zoom/pan) is intentionally NOT saved
       };
 
@@ -2194,19 +4091,6 @@ class App {
         return false;
       }
 
-      // Validate version
-      const APP_VERSION = '2.1';
-      if (savedData.version !== APP_VERSION) {
-        console.log(
-          '[App] Incompatible autosave version:',
-          savedData.version,
-          'expected:',
-          APP_VERSION,
-        );
-        StorageUtil.remove(Config.STORAGE_KEYS.autosave);
-        return false;
-      }
-
       // Validate timestamp (ignore if > 7 days old)
       if (savedData.timestamp) {
         const savedDate = new Date(savedData.timestamp);
@@ -2226,7 +4110,21 @@ class App {
         return false;
       }
 
-      const savedState = savedData.state;
+      // Upgrade autosaves written by older versions (kept as-is if written by a newer one)
+      const migration = LayoutSchema.migrate({
+        ...savedData.state,
+        version: savedData.version,
+        schemaVersion: savedData.schemaVersion,
+      });
+      if (!migration.success) {
+        console.log('[App] Skipping autosave:', migration.errors[0]);
+        return false;
+      }
+      if (migration.migrated) {
+        console.log(`[App] Upgraded autosave from schema ${migration.fromVersion}`);
+      }
+
+      const savedState = migration.doc;
 
       // Remove serialized Fabric references (cannot be revived from JSON)
       if (Array.isArray(savedState.items)) {
@@ -2249,7 +4147,8 @@ class App {
       this.state.loadState(savedState);
 
       // Set floor plan (this internally calls centerAndFit)
-      this.floorPlanManager.setFloorPlan(savedState.floorPlan.id);
+      // Pass the stored object so custom units (not in Config) can be restored
+      this.floorPlanManager.setFloorPlan(savedState.floorPlan, { preserveSettings: true });
 
       // Restore items
       const items = savedState.items || [];
@@ -2277,6 +4176,11 @@ class App {
       // Sync project name from loaded state to UI
       this.updateProjectName(savedState.metadata?.projectName);
 
+      // History patches only apply to the schema they were recorded in
+      if (savedData.history && !migration.migrated) {
+        this.historyManager?.restore(savedData.history);
+      }
+
       console.log('[App] Autosave loaded successfully: floor plan + ' + items.length + ' items');
       return true;
     } catch (error) {
@@ -2287,6 +4191,31 @@ class App {
     }
   }
 
+  /**
+   * Store an item's canvas placement in state. Items inside an active selection
+   * have group-relative left/top, so their absolute transform is used instead.
+   * @private
+   */
+  _syncItemPlacement(obj) {
+    if (!obj.group) {
+      this.updateItemPosition(obj.customData.id, obj.left, obj.top, obj.angle || 0);
+      return;
+    }
+    const { translateX, translateY, angle } = fabric.util.qrDecompose(obj.calcTransformMatrix());
+    this.updateItemPosition(obj.customData.id, translateX, translateY, angle || 0);
+  }
+
+  /**
+   * Reorder the state's item list to match the canvas stacking order
+   * @private
+   */
+  _syncItemOrderFromCanvas() {
+    const objects = this.canvasManager.getCanvas()?.getObjects() || [];
+    const items = this.state.get('items') || [];
+    const rank = (item) => objects.indexOf(item.canvasObject);
+    this.state.setState({ items: [...items].sort((a, b) => rank(a) - rank(b)) });
+  }
+
   /**
    * Update item position in state after drag
    * x, y are center coordinates (object uses originX/Y: 'center')
@@ -2305,12 +4234,13 @@ class App {
 
   /**
    * Save layout (desktop + mobile)
-   * @param {Object} options
-   * @param {boolean} options.allowMobile Allow invocation while mobile layout is active
-   * @param {string|null} options.presetName Optional pre-filled name (skips prompt if provided)
-   * @param {Function} options.onBeforePrompt Async hook before prompting user
-   * @param {Function} options.onAfterSave Called with saved layout data on success
-   * @param {Function} options.onCancel Called when user cancels/enters empty name
+   * @param {Object} [options]
+   * @param {boolean} [options.allowMobile] Allow invocation while mobile layout is active
+   * @param {string|null} [options.presetName] Optional pre-filled name (skips prompt if provided)
+   * @param {Function} [options.onBeforePrompt] Async hook before prompting user
+   * @param {Function} [options.onAfterSave] Called with saved layout data on success
+   * @param {Function} [options.onCancel] Called when user cancels/enters empty name
+   * @param {boolean} [options.sharedCopy] Keep a copy of the shared layout being viewed
    * @returns {Promise<{saved: boolean, layout?: object, reason?: string}>}
    */
   async saveLayout(options = {}) {
@@ -2320,8 +4250,14 @@ class App {
       onBeforePrompt = null,
       onAfterSave = null,
       onCancel = null,
+      sharedCopy = false,
     } = options;
 
+    if (this.state.isReadOnly() && !sharedCopy) {
+      Modal.showInfo('Use "Save to my layouts" to keep a copy of this shared layout');
+      return { saved: false, reason: 'read_only' };
+    }
+
     const isMobileLayout = document.body.classList.contains('mobile-layout');
     if (!allowMobile && isMobileLayout) {
       console.log('[App] Desktop saveLayout blocked - mobile mode active');
@@ -2344,18 +4280,19 @@ class App {
     }
 
     const state = this.state.getState();
-    const layouts = StorageUtil.load(Config.STORAGE_KEYS.layouts) || [];
     const layoutRecord = {
       id: Helpers.generateId('layout'),
       name: name,
       created: new Date().toISOString(),
+      schemaVersion: Config.LAYOUT_SCHEMA_VERSION,
       state: state,
       thumbnail: this.exportManager.generateThumbnail(),
     };
+    if (this._getPreferences().saveLayoutHistory !== false) {
+      layoutRecord.history = this.historyManager?.serialize() || null;
+    }
 
-    layouts.push(layoutRecord);
-
-    const saved = StorageUtil.save(Config.STORAGE_KEYS.layouts, layouts);
+    const saved = await LayoutStore.save(layoutRecord);
     if (saved) {
       Modal.showSuccess('Layout saved successfully!');
       this.renderSavedLayouts();
@@ -2369,6 +4306,15 @@ class App {
     return { saved: false, reason: 'storage_error' };
   }
 
+  /**
+   * Per-browser preferences (not part of the layout or its history)
+   * @private
+   * @returns {{saveLayoutHistory?: boolean}}
+   */
+  _getPreferences() {
+    return StorageUtil.load(Config.STORAGE_KEYS.settings) || {};
+  }
+
   /**
    * Warn users when data will not persist beyond the session
    * @private
@@ -2401,13 +4347,19 @@ class App {
     }
 
     // Calculate area
-    const areaSqFt = floorPlan.widthFt * floorPlan.heightFt;
+    const areaSqFt = Math.round(Geometry.getFloorPlanArea(floorPlan));
 
     // Format door dimensions - check both key formats
     const doorWidth = floorPlan.doorWidth ?? floorPlan.doorWidthFt;
     const doorHeight = floorPlan.doorHeight ?? floorPlan.doorHeightFt;
     const doorInfo = doorWidth && doorHeight ? `${doorWidth}' × ${doorHeight}'` : 'N/A';
 
+    const occupancy = this.floorPlanManager.getLevelOccupancy(floorPlan, items);
+    const occupancyText =
+      occupancy.mezzanine === null
+        ? `${occupancy.ground.toFixed(1)}%`
+        : `${occupancy.ground.toFixed(1)}% ground, ${occupancy.mezzanine.toFixed(1)}% mezzanine`;
+
     // Create email content
     const subject = encodeURIComponent(`Storage Caves Garage Layout: ${projectName}`);
 
@@ -2421,25 +4373,211 @@ Items: ${items.length}
 Item List:
 ${items.map((item, i) => `${i + 1}. ${item.label} - ${item.lengthFt}' × ${item.widthFt}'`).join('\n')}
 
-Occupancy: ${this.floorPlanManager.getOccupancyPercentage().toFixed(1)}%
+Occupancy: ${occupancyText}
     `.trim();
+    const shareUrl = this.shareLink?.createUrl();
+    const linkInfo = shareUrl ? `\n\nOpen the layout: ${shareUrl}` : '';
 
     const body = encodeURIComponent(
-      `Hi,\n\nI'd like to share my garage layout plan with you:\n\n${layoutInfo}\n\n---\nCreated with Storage Caves Garage Layout Planner`,
+      `Hi,\n\nI'd like to share my garage layout plan with you:\n\n${layoutInfo}${linkInfo}\n\n---\nCreated with Storage Caves Garage Layout Planner`,
     );
 
     // Open default email client
     window.location.href = `mailto:?subject=${subject}&body=${body}`;
   }
 
+  /**
+   * Copy a link that opens the current layout (read-only) on any device
+   */
+  async copyShareLink() {
+    const url = this.shareLink?.createUrl();
+    if (!url) {
+      Modal.showError('Please select a floor plan first');
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+      Modal.showSuccess('Share link copied to clipboard');
+    } catch (error) {
+      // Clipboard access can be refused; let the user copy it by hand
+      await Modal.showPrompt('Share Link', 'Copy this link to share your layout:', url);
+    }
+  }
+
+  /**
+   * Share dialog: the layout's link and a QR code for it, so it can be opened on a phone
+   */
+  showShareDialog() {
+    const url = this.shareLink?.createUrl();
+    if (!url) {
+      Modal.showError('Please select a floor plan first');
+      return;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'share-dialog';
+
+    const qr = typeof QRCode !== 'undefined' ? QRCode.encode(url) : null;
+    if (qr) {
+      const canvas = QRCode.toCanvas(qr, { moduleSize: 4 });
+      canvas.className = 'share-dialog__qr';
+      canvas.setAttribute('role', 'img');
+      canvas.setAttribute('aria-label', 'QR code for the layout link');
+      container.appendChild(canvas);
+    }
+
+    const note = document.createElement('p');
+    note.className = 'share-dialog__note';
+    note.textContent = qr
+      ? 'Scan with a phone camera to open this layout in the planner.'
+      : 'This layout is too large for a QR code. Share the link instead.';
+    container.appendChild(note);
+
+    const linkRow = document.createElement('div');
+    linkRow.className = 'share-dialog__link';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.value = url;
+    input.addEventListener('focus', () => input.select());
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'modal-btn modal-btn-primary';
+    copyBtn.textContent = 'Copy link';
+    copyBtn.addEventListener('click', () => this.copyShareLink());
+    linkRow.append(input, copyBtn);
+    container.appendChild(linkRow);
+
+    Modal.show('Share Layout', container);
+  }
+
+  /**
+   * Open the layout in the URL's share link, read-only
+   * @returns {boolean} True when the link could be opened
+   */
+  openSharedLayout() {
+    const result = this.shareLink.read();
+    if (!result.success) {
+      Modal.showError(result.errors[0]);
+      return false;
+    }
+
+    const { layout } = result;
+    this.runWithHistorySuppressed(() => {
+      this.state.setState({ settings: layout.settings, metadata: layout.metadata });
+      this.floorPlanManager.setFloorPlan(layout.floorPlan, { preserveSettings: true });
+      layout.items.forEach((itemData) => this.eventBus.emit('item:add:imported', itemData));
+    });
+
+    this.setReadOnly(true);
+    this.syncViewDropdownUI();
+    this.updateInfoPanel();
+
+    if (result.rejected.length) {
+      Modal.showInfo(`${result.rejected.length} entries in this link could not be shown`);
+    }
+    return true;
+  }
+
+  /**
+   * Switch between viewing a shared layout and normal editing
+   * @param {boolean} readOnly
+   */
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+    // The managers check this before any edit, whatever the entry point
+    this.state.setReadOnly(readOnly);
+    this.selectionManager?.deselectAll();
+    document.body.classList.toggle('read-only-view', readOnly);
+    document.getElementById('shared-banner')?.classList.toggle('hidden', !readOnly);
+    this.canvasManager.setReadOnly(readOnly);
+    this.renderHistoryPanel();
+  }
+
+  /**
+   * Ask, then clear the canvas, history and autosave for a fresh layout.
+   * Not while viewing a shared layout.
+   * @param {string} message - Confirmation text
+   */
+  async startNewLayout(message) {
+    if (this.state.isReadOnly()) return false;
+
+    const confirmed = await Modal.showConfirm('Start New Layout?', message);
+    if (!confirmed) return false;
+
+    console.log('[App] Starting new layout');
+
+    // Clear everything
+    this.state.reset();
+    this.canvasManager.clear();
+
+    // Clear history stack to prevent undoing back to old layout
+    this.historyManager.clear();
+
+    // CRITICAL: Clear autosave from localStorage immediately
+    StorageUtil.remove(Config.STORAGE_KEYS.autosave);
+    console.log('[App] Cleared autosave from localStorage');
+
+    // Ensure viewport is reset (clear() already does this, but be explicit)
+    this.canvasManager.resetViewport();
+
+    // Show empty state
+    this.canvasManager.showEmptyState();
+
+    // Reset project name in DOM and document title
+    this.updateProjectName('Untitled Layout');
+
+    this.renderFloorPlanList();
+    this.updateInfoPanel();
+    this.syncViewDropdownUI();
+    Modal.showSuccess('New layout started');
+    return true;
+  }
+
+  /**
+   * Keep the shared layout: save it to the user's layouts and continue editing it
+   */
+  async saveSharedLayoutCopy() {
+    const result = await this.saveLayout({ allowMobile: true, sharedCopy: true });
+    if (!result.saved) return;
+
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, '', `${pathname}${search}`);
+    this.setReadOnly(false);
+    this.autosave();
+  }
+
+  /**
+   * Leave the shared layout and return to the user's own work
+   */
+  exitSharedLayout() {
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, '', `${pathname}${search}`);
+    window.location.reload();
+  }
+
   /**
    * Render saved layouts list
    */
-  renderSavedLayouts() {
+  async renderSavedLayouts() {
     const container = document.getElementById('saved-layouts-list');
     if (!container) return;
 
-    const layouts = StorageUtil.load(Config.STORAGE_KEYS.layouts) || [];
+    this.renderStorageUsage();
+    let layouts;
+    try {
+      layouts = await LayoutStore.list();
+    } catch (error) {
+      // Callers don't wait for the list, so a storage failure has to end here
+      console.error('[App] Could not list saved layouts:', error);
+      container.innerHTML = `
+        <div class="empty-state">
+          <p>Saved layouts could not be loaded</p>
+          <p style="font-size: 12px; margin-top: 8px;">Browser storage may be blocked or full. Reload the page to try again.</p>
+        </div>
+      `;
+      return;
+    }
 
     if (layouts.length === 0) {
       container.innerHTML = `
@@ -2457,6 +4595,7 @@ Occupancy: ${this.floorPlanManager.getOccupancyPercentage().toFixed(1)}%
         const layoutDate = new Date(layout.created).toLocaleDateString();
         return `
       <div class="saved-layout-item" data-id="${layout.id}">
+        <img class="saved-layout-thumb" data-id="${layout.id}" alt="" hidden />
         <div class="saved-layout-name">${layoutName}</div>
         <div class="saved-layout-date">${layoutDate}</div>
         <div class="saved-layout-actions">
@@ -2468,6 +4607,18 @@ Occupancy: ${this.floorPlanManager.getOccupancyPercentage().toFixed(1)}%
       })
       .join('');
 
+    // Thumbnails are stored apart from the layouts; show each one once it has loaded
+    container.querySelectorAll('.saved-layout-thumb').forEach((img) => {
+      const thumb = /** @type {HTMLImageElement} */ (img);
+      LayoutStore.getThumbnail(thumb.dataset.id)
+        .then((dataUrl) => {
+          if (!dataUrl?.startsWith('data:image/')) return;
+          thumb.src = dataUrl;
+          thumb.hidden = false;
+        })
+        .catch((error) => console.warn('[App] Could not load layout thumbnail:', error));
+    });
+
     container.querySelectorAll('.btn-load-layout').forEach((btn) => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -2489,14 +4640,97 @@ Occupancy: ${this.floorPlanManager.getOccupancyPercentage().toFixed(1)}%
     });
   }
 
+  /**
+   * Show how much browser storage is used (and how much is available) above the saved layouts
+   */
+  async renderStorageUsage() {
+    const container = document.getElementById('storage-usage');
+    if (!container) return;
+
+    let usageInfo;
+    try {
+      usageInfo = await LayoutStore.getUsage();
+    } catch (error) {
+      console.warn('[App] Could not read storage usage:', error);
+      container.innerHTML = '';
+      return;
+    }
+    const { backend, usage, quota } = usageInfo;
+    const percent = quota ? Math.min(100, (usage / quota) * 100) : 0;
+    const where = backend === 'indexeddb' ? 'IndexedDB' : `${StorageUtil.mode} storage`;
+
+    container.classList.toggle('storage-usage--full', percent >= 90);
+    container.innerHTML = `
+      <div class="storage-usage__text">
+        ${Helpers.formatBytes(usage)}${quota ? ` of ${Helpers.formatBytes(quota)}` : ''} used
+        <span class="storage-usage__backend">(${where})</span>
+      </div>
+      <div class="storage-usage__bar" role="meter" aria-label="Storage used" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(percent)}">
+        <div class="storage-usage__fill" style="width: ${percent.toFixed(1)}%"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the history panel (newest first); clicking an entry jumps to that point.
+   * Also names the step on the undo/redo buttons.
+   */
+  renderHistoryPanel() {
+    if (!this.historyManager) return;
+
+    const info = this.historyManager.getInfo();
+    document
+      .getElementById('btn-undo')
+      ?.setAttribute('title', info.undoLabel ? `Undo ${info.undoLabel}` : 'Nothing to undo');
+    document
+      .getElementById('btn-redo')
+      ?.setAttribute('title', info.redoLabel ? `Redo ${info.redoLabel}` : 'Nothing to redo');
+
+    const container = document.getElementById('history-list');
+    if (!container) return;
+
+    const entries = this.historyManager.getEntries().reverse();
+    if (entries.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <p>No changes yet</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = entries
+      .map((entry) => {
+        const classes = ['history-entry'];
+        if (entry.current) classes.push('history-entry--current');
+        if (entry.undone) classes.push('history-entry--undone');
+        const time = new Date(entry.timestamp).toLocaleTimeString([], {
+          hour: '2-digit',
+          minute: '2-digit',
+        });
+        return `
+      <button type="button" class="${classes.join(' ')}" data-index="${entry.index}"${entry.current ? ' aria-current="step"' : ''}>
+        <span class="history-entry__label">${Validation.sanitizeHTML(entry.label)}</span>
+        <span class="history-entry__time">${time}</span>
+      </button>
+    `;
+      })
+      .join('');
+
+    container.querySelectorAll('.history-entry').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.historyManager.goTo(Number(btn.getAttribute('data-index')));
+      });
+    });
+  }
+
   /**
    * Load a saved layout
    * Validates data and resets viewport
    */
   async loadLayout(layoutId) {
     try {
-      const layouts = StorageUtil.load(Config.STORAGE_KEYS.layouts) || [];
-      const layout = layouts.find((l) => l.id === layoutId);
+      const layout = await LayoutStore.get(layoutId);
 
       if (!layout) {
         Modal.showError('Layout not found');
@@ -2510,17 +4744,25 @@ Occupancy: ${this.floorPlanManager.getOccupancyPercentage().toFixed(1)}%
 
       if (!confirmed) return;
 
+      // Upgrade layouts saved by older versions
+      const migration = LayoutSchema.migrate({ ...layout.state, schemaVersion: layout.schemaVersion });
+      if (!migration.success) {
+        Modal.showError(migration.errors[0]);
+        return;
+      }
+      const layoutState = migration.doc;
+
       // Validate layout data
-      if (!layout.state || !layout.state.floorPlan) {
+      if (!layoutState.floorPlan) {
         Modal.showError('Invalid layout data');
         return;
       }
 
       // Load state
-      this.state.loadState(layout.state);
+      this.state.loadState(layoutState);
 
       // Update project name in UI and document title
-      this.updateProjectName(layout.state.metadata?.projectName);
+      this.updateProjectName(layoutState.metadata?.projectName);
 
       // Sync view dropdown UI with loaded state
       this.syncViewDropdownUI();
@@ -2531,6 +4773,11 @@ Occupancy: ${this.floorPlanManager.getOccupancyPercentage().toFixed(1)}%
       // Refresh canvas with new state
       this.refreshCanvas();
 
+      // Pick up the undo history saved with the layout, if any
+      if (layout.history && !migration.migrated) {
+        this.historyManager.restore(layout.history);
+      }
+
       // Update UI
       this.renderFloorPlanList();
       this.renderSavedLayouts();
@@ -2546,11 +4793,9 @@ Occupancy: ${this.floorPlanManager.getOccupancyPercentage().toFixed(1)}%
   /**
    * Delete a saved layout
    */
-  deleteLayout(layoutId) {
+  async deleteLayout(layoutId) {
     try {
-      let layouts = StorageUtil.load(Config.STORAGE_KEYS.layouts) || [];
-      layouts = layouts.filter((l) => l.id !== layoutId);
-      const saved = StorageUtil.save(Config.STORAGE_KEYS.layouts, layouts);
+      const saved = await LayoutStore.remove(layoutId);
 
       if (saved) {
         // Update both desktop and mobile saved lists
@@ -18,6 +18,7 @@ const Config = {
       description: "Door: 14' × 14'",
       doorWidth: 14,
       doorHeight: 14,
+      ceilingHeightFt: 16,
     },
     {
       id: 'fp-unit-b',
@@ -28,6 +29,7 @@ const Config = {
       description: "Door: 13' × 14'",
       doorWidth: 13,
       doorHeight: 14,
+      ceilingHeightFt: 16,
     },
     {
       id: 'fp-unit-c',
@@ -38,6 +40,7 @@ const Config = {
       description: "Door: 13' × 14'",
       doorWidth: 13,
       doorHeight: 14,
+      ceilingHeightFt: 16,
     },
     {
       id: 'fp-unit-d',
@@ -48,6 +51,7 @@ const Config = {
       description: "Door: 13' × 14'",
       doorWidth: 13,
       doorHeight: 14,
+      ceilingHeightFt: 16,
     },
     {
       id: 'fp-unit-e',
@@ -58,6 +62,7 @@ const Config = {
       description: "Door: 12' × 12'",
       doorWidth: 12,
       doorHeight: 12,
+      ceilingHeightFt: 14,
     },
     {
       id: 'fp-unit-f',
@@ -68,6 +73,7 @@ const Config = {
       description: "Door: 14' × 14'",
       doorWidth: 14,
       doorHeight: 14,
+      ceilingHeightFt: 16,
     },
     {
       id: 'fp-unit-h',
@@ -78,21 +84,97 @@ const Config = {
       description: "Door: 13' × 14'",
       doorWidth: 13,
       doorHeight: 14,
+      ceilingHeightFt: 16,
     },
   ],
 
+  // Custom floor plans
+  DOOR_WALLS: ['bottom', 'top', 'left', 'right'],
+  FLOOR_PLAN_SHAPES: {
+    rectangle: 'Rectangle',
+    'l-shape': 'L-Shape',
+    't-shape': 'T-Shape',
+  },
+  CUSTOM_FLOOR_PLAN_LIMITS: {
+    minFt: 5,
+    maxFt: 200,
+  },
+  FLOOR_PLAN_EDITOR_SNAP_FT: 0.5,
+
+  // Door/window types (feet). clearanceDepthFt is the keep-clear depth in front of the
+  // opening; swing doors use their swing arc (radius = door width) instead.
+  DOOR_TYPES: {
+    'roll-up': { label: 'Roll-Up Door', widthFt: 12, heightFt: 12, clearanceDepthFt: 3 },
+    'man-door': { label: 'Man Door', widthFt: 3, heightFt: 7, clearanceDepthFt: 3 },
+    'swing-door': { label: 'Swing Door', widthFt: 3, heightFt: 7, swing: true },
+    window: { label: 'Window', widthFt: 4, heightFt: 3, clearanceDepthFt: 0, isWindow: true },
+  },
+
+  // Fixed obstacles (feet). clearanceFt is the keep-clear margin around the footprint.
+  OBSTACLE_TYPES: {
+    column: { label: 'Column', widthFt: 1, lengthFt: 1, clearanceFt: 0.5 },
+    drain: { label: 'Floor Drain', widthFt: 1, lengthFt: 1, clearanceFt: 1 },
+    'sprinkler-riser': { label: 'Sprinkler Riser', widthFt: 1, lengthFt: 1, clearanceFt: 3 },
+    'electrical-panel': { label: 'Electrical Panel', widthFt: 2.5, lengthFt: 1, clearanceFt: 3 },
+  },
+
+  // Shapes a custom item can be drawn as (see CanvasManager._createBaseGroup)
+  ITEM_SHAPES: {
+    rectangle: 'Rectangle',
+    square: 'Square',
+    circle: 'Circle',
+    triangle: 'Triangle',
+  },
+
+  // Uploaded top-down images for custom items are downscaled to fit this size (px)
+  CUSTOM_ITEM_IMAGE_MAX_PX: 256,
+
   // Canvas
   CANVAS_PADDING: 50,
   GRID_SIZE: 10, // 1 foot in pixels
 
   // History
   MAX_HISTORY: 50,
+  PERSISTED_HISTORY_ENTRIES: 30, // Undo steps kept with autosave and saved layouts
+  PERSISTED_HISTORY_MAX_CHARS: 200000, // Fewer steps are kept when compressed history is larger
+
+  // Layout schema (see LayoutSchema); bump with a new migration when stored data changes shape
+  LAYOUT_SCHEMA_VERSION: 2,
 
   // Auto-save
   AUTOSAVE_INTERVAL: 30000, // 30 seconds
 
-  // Entry Zone
-  ENTRY_ZONE_PERCENTAGE: 0.05, // Bottom 5%
+  // Auto-arrange (packing) defaults
+  AUTO_ARRANGE: {
+    clearanceFt: 1,
+    gridFt: 0.5,
+    workerUrl: 'js/features/auto-arrange/PackingSolver.js',
+  },
+
+  // Drive-out path check (feet)
+  DRIVE_OUT: {
+    categories: ['vehicles', 'recreational'],
+    turningRadiusFt: 18,
+    stepFt: 0.5,
+    extraRuns: 6, // straight-run lengths tried before a turn besides the centered one
+    colors: {
+      clear: { fill: 'rgba(34, 197, 94, 0.18)', stroke: 'rgba(22, 163, 74, 0.9)' },
+      blocked: { fill: 'rgba(239, 68, 68, 0.18)', stroke: 'rgba(220, 38, 38, 0.9)' },
+    },
+  },
+
+  // Smart guides while dragging items (colors: COLORS.alignmentGuide)
+  SMART_GUIDES: {
+    snapThresholdPx: 6, // screen pixels, so snapping feels the same at any zoom (settings.smartGuideSnapPx)
+    gapRangeFt: 30, // neighbors and walls farther away than this get no gap label
+  },
+
+  // Levels: items placed on a mezzanine deck carry `level: 'mezzanine'`
+  LEVELS: {
+    GROUND: 'ground',
+    MEZZANINE: 'mezzanine',
+  },
+  LEVEL_GHOST_OPACITY: 0.3, // ground-floor items while the mezzanine deck is edited
 
   // Units
   UNITS: {
@@ -103,6 +185,16 @@ const Config = {
   // Export
   EXPORT_RESOLUTIONS: [1, 2, 4, 8],
   PDF_MARGINS: 0.5, // inches
+  // Plan sheet scales, largest first (ratio = real inches per printed inch)
+  PDF_SCALES: [
+    { label: '1/2" = 1\'-0"', ratio: 24 },
+    { label: '3/8" = 1\'-0"', ratio: 32 },
+    { label: '1/4" = 1\'-0"', ratio: 48 },
+    { label: '3/16" = 1\'-0"', ratio: 64 },
+    { label: '1/8" = 1\'-0"', ratio: 96 },
+    { label: '3/32" = 1\'-0"', ratio: 128 },
+    { label: '1/16" = 1\'-0"', ratio: 192 },
+  ],
 
   // Magnifier
   MAGNIFIER_ZOOM: 2.5,
@@ -122,6 +214,13 @@ const Config = {
     selection: '#2196F3',
     alignmentGuide: '#FF5722',
     dimension: '#666666',
+    obstacle: '#4B5563',
+    obstacleClearance: 'rgba(245, 158, 11, 0.18)',
+    obstacleClearanceStroke: '#D97706',
+    door: '#D32F2F',
+    window: '#3B82F6',
+    collision: 'rgba(239, 68, 68, 0.35)',
+    collisionStroke: '#DC2626',
   },
 
   // Storage Keys
@@ -129,6 +228,8 @@ const Config = {
     layouts: 'garage-planner-layouts',
     settings: 'garage-planner-settings',
     autosave: 'garage-planner-autosave',
+    floorPlanTemplates: 'garage-planner-floorplan-templates',
+    customItems: 'garage-planner-custom-items',
   },
 };
 
@@ -8,6 +8,11 @@ class State {
       unit: 'feet',
       showGrid: true,
       snapToGrid: false,
+      preventOverlap: false,
+      smartGuides: true,
+      smartGuideSnapPx: 6,
+      showDriveOutPaths: false,
+      driveOutTurningRadiusFt: 18,
       showLabels: true,
       showDimensions: true,
       showRuler: true,
@@ -36,7 +41,6 @@ class State {
         clientName: '',
         created: null,
         modified: null,
-        version: '1.3.0',
       },
       layout: {
         floorPlanPosition: null,
@@ -46,6 +50,26 @@ class State {
     };
 
     this.observers = [];
+
+    // Viewing a shared layout: the managers refuse edits. Kept out of `state` so it is
+    // never saved, exported or undone.
+    this.readOnly = false;
+  }
+
+  /**
+   * Turn read-only mode on or off
+   * @param {boolean} readOnly
+   */
+  setReadOnly(readOnly) {
+    this.readOnly = Boolean(readOnly);
+  }
+
+  /**
+   * Whether edits are refused (a shared layout is being viewed)
+   * @returns {boolean}
+   */
+  isReadOnly() {
+    return this.readOnly;
   }
 
   /**
@@ -131,7 +155,6 @@ class State {
         clientName: '',
         created: new Date().toISOString(),
         modified: new Date().toISOString(),
-        version: '1.3.0',
       },
       layout: {
         floorPlanPosition: null,
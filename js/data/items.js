@@ -1,7 +1,13 @@
+/* global Config, StorageUtil */
+
 /**
  * Item Library
  * Pre-defined items with realistic dimensions (all VERTICAL by default)
  * lengthFt = height (vertical), widthFt = width (horizontal)
+ * heightFt = how tall the item stands (mezzanines also give the clear height under the deck)
+ *
+ * Items the user creates in the planner live in a separate library persisted
+ * through Storage and are merged into the lookups below.
  */
 const Items = {
   categories: {
@@ -13,6 +19,7 @@ const Items = {
           label: 'Sports Car',
           lengthFt: 15,
           widthFt: 6,
+          heightFt: 4,
           color: '#E57373',
           category: 'vehicles',
           paletteImage: 'assets/images/items/palette/sports-car-side.png',
@@ -23,6 +30,7 @@ const Items = {
           label: 'Sedan',
           lengthFt: 16,
           widthFt: 6,
+          heightFt: 4.8,
           color: '#64B5F6',
           category: 'vehicles',
           paletteImage: 'assets/images/items/palette/sedan-side.png',
@@ -33,6 +41,7 @@ const Items = {
           label: 'Pickup Truck',
           lengthFt: 19,
           widthFt: 6.5,
+          heightFt: 6.5,
           color: '#81C784',
           category: 'vehicles',
           paletteImage: 'assets/images/items/palette/pickup-side.png',
@@ -43,6 +52,7 @@ const Items = {
           label: 'SUV',
           lengthFt: 17,
           widthFt: 6.5,
+          heightFt: 6,
           color: '#BA68C8',
           category: 'vehicles',
           paletteImage: 'assets/images/items/palette/suv-side.png',
@@ -53,6 +63,7 @@ const Items = {
           label: 'Motorcycle',
           lengthFt: 7,
           widthFt: 3,
+          heightFt: 4,
           color: '#FFB74D',
           category: 'vehicles',
           paletteImage: 'assets/images/items/palette/motorcycle-side.png',
@@ -63,6 +74,7 @@ const Items = {
           label: 'Van',
           lengthFt: 18,
           widthFt: 6.5,
+          heightFt: 8.5,
           color: '#A1887F',
           category: 'vehicles',
           paletteImage: 'assets/images/items/palette/van-side.png',
@@ -78,6 +90,7 @@ const Items = {
           label: 'Boat with Trailer',
           lengthFt: 20,
           widthFt: 7,
+          heightFt: 8,
           color: '#4DD0E1',
           category: 'recreational',
           paletteImage: 'assets/images/items/palette/boat-trailer-side.png',
@@ -88,6 +101,7 @@ const Items = {
           label: 'RV (26 ft)',
           lengthFt: 26,
           widthFt: 8,
+          heightFt: 11.5,
           color: '#AED581',
           category: 'recreational',
           paletteImage: 'assets/images/items/palette/rv-26-side.png',
@@ -98,6 +112,7 @@ const Items = {
           label: 'RV (34 ft)',
           lengthFt: 34,
           widthFt: 8.5,
+          heightFt: 13.5,
           color: '#DCE775',
           category: 'recreational',
           paletteImage: 'assets/images/items/palette/rv-34-side.png',
@@ -108,6 +123,7 @@ const Items = {
           label: 'Jet Ski with Trailer',
           lengthFt: 12,
           widthFt: 5,
+          heightFt: 4.5,
           color: '#4FC3F7',
           category: 'recreational',
           paletteImage: 'assets/images/items/palette/jet-ski-trailer-side.png',
@@ -118,6 +134,7 @@ const Items = {
           label: 'ATV',
           lengthFt: 7,
           widthFt: 4,
+          heightFt: 4,
           color: '#FFD54F',
           category: 'recreational',
           paletteImage: 'assets/images/items/palette/atv-side.png',
@@ -128,6 +145,7 @@ const Items = {
           label: 'Golf Cart',
           lengthFt: 8,
           widthFt: 4,
+          heightFt: 6,
           color: '#90CAF9',
           category: 'recreational',
           paletteImage: 'assets/images/items/palette/golf-cart-side.png',
@@ -143,6 +161,7 @@ const Items = {
           label: 'Storage Shelf',
           lengthFt: 4,
           widthFt: 2,
+          heightFt: 6,
           color: '#90A4AE',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/shelf-side.png',
@@ -153,6 +172,7 @@ const Items = {
           label: 'Workbench',
           lengthFt: 6,
           widthFt: 2.5,
+          heightFt: 3,
           color: '#8D6E63',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/workbench-side.png',
@@ -163,6 +183,7 @@ const Items = {
           label: 'Storage Box',
           lengthFt: 3,
           widthFt: 3,
+          heightFt: 2,
           color: '#B0BEC5',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/storage-box-side.png',
@@ -173,6 +194,7 @@ const Items = {
           label: 'Tool Cabinet',
           lengthFt: 5,
           widthFt: 2,
+          heightFt: 4,
           color: '#EF5350',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/tool-cabinet-side.png',
@@ -183,6 +205,7 @@ const Items = {
           label: 'Bike Rack',
           lengthFt: 6,
           widthFt: 2,
+          heightFt: 4,
           color: '#42A5F5',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/bike-rack-side.png',
@@ -193,6 +216,7 @@ const Items = {
           label: 'Chest Freezer',
           lengthFt: 5,
           widthFt: 2.5,
+          heightFt: 3,
           color: '#ECEFF1',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/freezer-side.png',
@@ -203,6 +227,7 @@ const Items = {
           label: 'Scaffold Rack',
           lengthFt: 8,
           widthFt: 1.5,
+          heightFt: 8,
           color: '#FFA726',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/scaffold-side.png',
@@ -213,6 +238,7 @@ const Items = {
           label: 'Kayak',
           lengthFt: 12,
           widthFt: 2.8,
+          heightFt: 1.5,
           color: '#A1887F',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/kayak-side.png',
@@ -223,6 +249,7 @@ const Items = {
           label: 'Tool Box',
           lengthFt: 3,
           widthFt: 1.5,
+          heightFt: 1.5,
           color: '#90A4AE',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/small-tool-box-side.png',
@@ -233,6 +260,7 @@ const Items = {
           label: 'Car Lift',
           lengthFt: 15,
           widthFt: 9,
+          heightFt: 7,
           color: '#EF5350',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/car-lift-side.png',
@@ -243,6 +271,7 @@ const Items = {
           label: 'Pool Table',
           lengthFt: 9,
           widthFt: 5,
+          heightFt: 2.5,
           color: '#10B981',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/pool-table-side.png',
@@ -253,6 +282,7 @@ const Items = {
           label: 'Couch',
           lengthFt: 8,
           widthFt: 3,
+          heightFt: 3,
           color: '#8B5CF6',
           category: 'storage',
           paletteImage: 'assets/images/items/palette/sofa-side.png',
@@ -268,6 +298,8 @@ const Items = {
           label: 'Mezzanine Option 1',
           lengthFt: 14,
           widthFt: 11,
+          heightFt: 10,
+          deckHeightFt: 9, // clear height beneath the deck
           color: '#9CA3AF',
           category: 'mezzanine',
           paletteImage: null,
@@ -278,6 +310,8 @@ const Items = {
           label: 'Mezzanine Option 2',
           lengthFt: 16,
           widthFt: 15,
+          heightFt: 10,
+          deckHeightFt: 9, // clear height beneath the deck
           color: '#9CA3AF',
           category: 'mezzanine',
           paletteImage: null,
@@ -288,6 +322,8 @@ const Items = {
           label: 'Mezzanine Option 3',
           lengthFt: 17,
           widthFt: 14,
+          heightFt: 10,
+          deckHeightFt: 9, // clear height beneath the deck
           color: '#9CA3AF',
           category: 'mezzanine',
           paletteImage: null,
@@ -298,6 +334,8 @@ const Items = {
           label: 'Mezzanine Option 4',
           lengthFt: 18,
           widthFt: 16,
+          heightFt: 10,
+          deckHeightFt: 9, // clear height beneath the deck
           color: '#9CA3AF',
           category: 'mezzanine',
           paletteImage: null,
@@ -308,6 +346,8 @@ const Items = {
           label: 'Mezzanine Option 5',
           lengthFt: 22,
           widthFt: 18,
+          heightFt: 10,
+          deckHeightFt: 9, // clear height beneath the deck
           color: '#9CA3AF',
           category: 'mezzanine',
           paletteImage: null,
@@ -367,13 +407,14 @@ const Items = {
   },
 
   /**
-   * Get all items
+   * Get all items (built-in followed by the user's custom items)
    */
   getAll() {
     const allItems = [];
     for (const category in this.categories) {
       allItems.push(...this.categories[category].items);
     }
+    allItems.push(...this.getCustomItems());
     return allItems;
   },
 
@@ -388,7 +429,8 @@ const Items = {
    * Get items by category
    */
   getByCategory(categoryName) {
-    return this.categories[categoryName]?.items || [];
+    const builtIn = this.categories[categoryName]?.items || [];
+    return [...builtIn, ...this.getCustomItems().filter((item) => item.category === categoryName)];
   },
 
   /**
@@ -398,6 +440,35 @@ const Items = {
     return Object.keys(this.categories);
   },
 
+  /**
+   * Get the user's custom items
+   */
+  getCustomItems() {
+    if (typeof StorageUtil === 'undefined') return [];
+    const stored = StorageUtil.load(Config.STORAGE_KEYS.customItems);
+    return Array.isArray(stored) ? stored : [];
+  },
+
+  /**
+   * Add or replace a custom item in the user library
+   * @returns {boolean} Whether it was stored
+   */
+  saveCustomItem(item) {
+    const items = this.getCustomItems().filter((i) => i.id !== item.id);
+    items.push({ ...item, isCustom: true });
+    return StorageUtil.save(Config.STORAGE_KEYS.customItems, items);
+  },
+
+  /**
+   * Remove a custom item from the user library
+   */
+  deleteCustomItem(id) {
+    const items = this.getCustomItems();
+    const remaining = items.filter((i) => i.id !== id);
+    if (remaining.length === items.length) return false;
+    return StorageUtil.save(Config.STORAGE_KEYS.customItems, remaining);
+  },
+
   /**
    * Search items by name
    */
@@ -0,0 +1,265 @@
+/* global Config, Helpers, Geometry, Bounds, SelectionFilters, PackingSolver */
+
+/**
+ * Auto-Arrange
+ * Packs items into the floor plan off the main thread (PackingSolver in a Web Worker)
+ */
+class AutoArrange {
+  constructor(state, canvasManager, itemManager) {
+    this.state = state;
+    this.canvasManager = canvasManager;
+    this.itemManager = itemManager;
+    this.worker = null;
+    this.workerFailed = false;
+    this.pending = new Map();
+    this.nextRequestId = 1;
+  }
+
+  /**
+   * Items on the canvas that auto-arrange may move.
+   * Locked items stay put and mezzanines are left alone since items park underneath;
+   * items on a mezzanine deck ride along with it.
+   */
+  getMovableItems() {
+    return this.itemManager.getAllItems().filter((item) => {
+      const obj = item.canvasObject;
+      if (!obj || item.category === 'mezzanine' || Bounds.isDeckItem(item)) return false;
+      return !SelectionFilters.isLockedObject(obj);
+    });
+  }
+
+  /**
+   * Build the solver input for a floor plan (the current one by default)
+   * @param {Array<{id: string, widthFt: number, lengthFt: number}>} items
+   * @param {object} [options]
+   * @param {object} [options.floorPlan] - Another unit to pack into; other items are then ignored
+   * @param {boolean} [options.allowRotation]
+   * @param {boolean} [options.ignoreDoors] - Let items cover door clearance zones
+   * @param {number} [options.clearanceFt]
+   * @param {Array<{left: number, top: number, width: number, height: number}>} [options.keepOut] -
+   *   More areas to leave free, in feet from the unit's 0,0 corner
+   */
+  buildProblem(items, options = {}) {
+    const current = this.state.get('floorPlan');
+    const floorPlan = options.floorPlan || current;
+    if (!floorPlan) return null;
+
+    const entryZonePosition = this.state.get('settings.entryZonePosition');
+    const toFeetRect = (rect) => ({
+      left: rect.left / Config.PX_PER_FOOT,
+      top: rect.top / Config.PX_PER_FOOT,
+      width: rect.width / Config.PX_PER_FOOT,
+      height: rect.height / Config.PX_PER_FOOT,
+    });
+
+    const doorZones = options.ignoreDoors
+      ? []
+      : Bounds.getDoorZones(floorPlan, entryZonePosition, { x: 0, y: 0 });
+    const keepOut = [
+      ...doorZones.map((zone) => toFeetRect(zone.rect)),
+      ...(floorPlan.obstacles || []).map((o) =>
+        toFeetRect(Bounds.getObstacleZone(o, { x: 0, y: 0 })),
+      ),
+      ...(floorPlan === current ? this._getFixedItemRects(items) : []),
+      ...(options.keepOut || []),
+    ];
+
+    return {
+      vertices: Geometry.getFloorPlanVertices(floorPlan),
+      keepOut,
+      items: items.map((item) => ({
+        id: item.id,
+        widthFt: item.widthFt,
+        lengthFt: item.lengthFt,
+        rotatable: options.allowRotation !== false,
+      })),
+      clearanceFt: options.clearanceFt ?? Config.AUTO_ARRANGE.clearanceFt,
+      gridFt: Config.AUTO_ARRANGE.gridFt,
+    };
+  }
+
+  /**
+   * Solve a packing problem in the worker (falls back to the main thread
+   * when workers are unavailable, e.g. when opened from file://)
+   * @returns {Promise<{placements: Array<{id: string, x: number, y: number, angle: number}>, unplaced: string[], largestFreeAreaSqFt: number}>}
+   */
+  solve(problem) {
+    const worker = this._getWorker();
+    if (!worker) {
+      return this._solveOnMainThread(problem);
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, problem });
+      worker.postMessage({ id, problem });
+    });
+  }
+
+  /**
+   * Move existing items to their solved positions
+   * @returns {number} Number of items moved
+   */
+  applyPlacements(placements) {
+    const origin = this.canvasManager.getFloorPlanOrigin();
+    if (!origin) return 0;
+
+    const items = this.itemManager.getAllItems();
+    let moved = 0;
+    placements.forEach((placement) => {
+      const item = items.find((i) => i.id === placement.id);
+      if (item?.canvasObject) {
+        this._placeItem(item, placement, origin);
+        moved++;
+      }
+    });
+
+    this.canvasManager.getCanvas()?.requestRenderAll();
+    return moved;
+  }
+
+  /**
+   * Add catalog items at their solved positions
+   * @param {Array<{id: string, x: number, y: number, angle: number}>} placements
+   * @param {Object<string, string>} catalogIds - Solver item id -> Items catalog id
+   * @returns {number} Number of items added
+   */
+  addPlacements(placements, catalogIds) {
+    const origin = this.canvasManager.getFloorPlanOrigin();
+    if (!origin) return 0;
+
+    let added = 0;
+    placements.forEach((placement) => {
+      const center = this.toCanvasPoint(placement, origin);
+      const item = this.itemManager.addItem(catalogIds[placement.id], center.x, center.y);
+      if (item?.canvasObject) {
+        // addItem may have snapped the item to the grid; put it back on the solved spot
+        this._placeItem(item, placement, origin);
+        added++;
+      }
+    });
+
+    this.canvasManager.getCanvas()?.requestRenderAll();
+    return added;
+  }
+
+  /**
+   * Canvas coordinates of a solved center point
+   */
+  toCanvasPoint(placement, origin = this.canvasManager.getFloorPlanOrigin()) {
+    return {
+      x: origin.x + Helpers.feetToPx(placement.x),
+      y: origin.y + Helpers.feetToPx(placement.y),
+    };
+  }
+
+  /**
+   * Stop the worker and reject outstanding requests
+   */
+  destroy() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pending.forEach(({ reject }) => reject(new Error('Auto-arrange stopped')));
+    this.pending.clear();
+  }
+
+  /**
+   * @private
+   */
+  _placeItem(item, placement, origin) {
+    const obj = item.canvasObject;
+    // Item groups use a center origin, so left/top is the center point
+    const center = this.toCanvasPoint(placement, origin);
+    obj.set({ left: center.x, top: center.y, angle: placement.angle });
+    obj.label?.set('angle', -placement.angle);
+    obj.setCoords();
+    this.itemManager.updateItem(item.id, { x: obj.left, y: obj.top, angle: placement.angle });
+  }
+
+  /**
+   * Footprints (in feet) of items that stay where they are
+   * @private
+   */
+  _getFixedItemRects(arranged) {
+    const origin = this.canvasManager.getFloorPlanOrigin();
+    if (!origin) return [];
+
+    const arrangedIds = new Set(arranged.map((item) => item.id));
+    return this.itemManager
+      .getAllItems()
+      .filter((item) => item.canvasObject && item.category !== 'mezzanine')
+      .filter((item) => !arrangedIds.has(item.id) && !Bounds.isDeckItem(item))
+      .map((item) => Bounds.getItemPolygon(item.canvasObject))
+      .filter(Boolean)
+      .map((polygon) => {
+        const xs = polygon.map((p) => (p.x - origin.x) / Config.PX_PER_FOOT);
+        const ys = polygon.map((p) => (p.y - origin.y) / Config.PX_PER_FOOT);
+        const left = Math.min(...xs);
+        const top = Math.min(...ys);
+        return { left, top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+      });
+  }
+
+  /**
+   * @private
+   */
+  _solveOnMainThread(problem) {
+    return new Promise((resolve, reject) => {
+      // Let the UI paint the "arranging" state first
+      setTimeout(() => {
+        try {
+          resolve(PackingSolver.solve(problem));
+        } catch (error) {
+          reject(error);
+        }
+      }, 0);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _getWorker() {
+    if (this.worker) return this.worker;
+    if (this.workerFailed || typeof Worker === 'undefined') return null;
+
+    try {
+      this.worker = new Worker(Config.AUTO_ARRANGE.workerUrl);
+    } catch (error) {
+      console.warn('[AutoArrange] Worker unavailable, solving on the main thread:', error);
+      return null;
+    }
+
+    this.worker.onmessage = (event) => {
+      const { id, result, error } = event.data || {};
+      const request = this.pending.get(id);
+      if (!request) return;
+      this.pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    };
+    this.worker.onerror = (event) => {
+      console.warn('[AutoArrange] Worker failed, solving on the main thread:', event.message);
+      const requests = [...this.pending.values()];
+      this.pending.clear();
+      this.worker.terminate();
+      this.worker = null;
+      this.workerFailed = true;
+      requests.forEach(({ resolve, reject, problem }) =>
+        this._solveOnMainThread(problem).then(resolve, reject),
+      );
+    };
+
+    return this.worker;
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.AutoArrange = AutoArrange;
+}
@@ -0,0 +1,267 @@
+/**
+ * Packing Solver
+ * Grid-based placement of item footprints inside a floor plan outline.
+ * Runs as a Web Worker (see AutoArrange) and can also be loaded as a plain script.
+ *
+ * All coordinates are in feet from the floor plan's top-left (0,0) corner.
+ */
+const PackingSolver = {
+  /**
+   * Place items, trying several corner anchors and keeping the result that places
+   * the most items and leaves the largest contiguous free rectangle.
+   * @param {object} problem
+   * @param {Array<{x: number, y: number}>} problem.vertices - Floor plan outline
+   * @param {Array<{left: number, top: number, width: number, height: number}>} problem.keepOut
+   * @param {Array<{id: string, widthFt: number, lengthFt: number, rotatable?: boolean}>} problem.items
+   * @param {number} [problem.clearanceFt] - Minimum gap between placed items
+   * @param {number} [problem.gridFt] - Placement resolution
+   * @returns {{placements: Array<{id: string, x: number, y: number, angle: number}>, unplaced: string[], largestFreeAreaSqFt: number}}
+   */
+  solve(problem) {
+    const step = problem.gridFt > 0 ? problem.gridFt : 0.5;
+    const base = this._buildGrid(problem.vertices, problem.keepOut || [], step);
+    const margin = Math.ceil((problem.clearanceFt || 0) / step - 1e-9);
+
+    // Largest items first; they are the hardest to fit
+    const items = [...problem.items].sort(
+      (a, b) => b.widthFt * b.lengthFt - a.widthFt * a.lengthFt,
+    );
+
+    let best = null;
+    ['top-left', 'top-right', 'bottom-left', 'bottom-right'].forEach((anchor) => {
+      ['rows', 'columns'].forEach((scan) => {
+        const result = this._pack(base, items, { anchor, scan, margin, step });
+        if (
+          !best ||
+          result.placements.length > best.placements.length ||
+          (result.placements.length === best.placements.length &&
+            result.largestFreeAreaSqFt > best.largestFreeAreaSqFt)
+        ) {
+          best = result;
+        }
+      });
+    });
+
+    return best;
+  },
+
+  /**
+   * Greedy placement for one anchor/scan order
+   * @private
+   */
+  _pack(base, items, { anchor, scan, margin, step }) {
+    const { cols, rows } = base;
+    // Occupied = blocked + placed footprints grown by the clearance margin
+    const occupied = Uint8Array.from(base.blocked);
+    // Footprints only, for measuring what is left
+    const filled = Uint8Array.from(base.blocked);
+    const placements = [];
+    const unplaced = [];
+
+    items.forEach((item) => {
+      const sum = this._prefixSum(occupied, cols, rows);
+      const orientations = [{ angle: 0, w: item.widthFt, h: item.lengthFt }];
+      if (item.rotatable !== false && item.widthFt !== item.lengthFt) {
+        orientations.push({ angle: 90, w: item.lengthFt, h: item.widthFt });
+      }
+
+      /** @type {{c: number, r: number, rank: number, angle: number, w: number, h: number, wc: number, hc: number}|null} */
+      let choice = null;
+      orientations.forEach((o) => {
+        const wc = Math.ceil(o.w / step - 1e-9);
+        const hc = Math.ceil(o.h / step - 1e-9);
+        const spot = this._findSpot(sum, cols, rows, wc, hc, anchor, scan);
+        if (spot && (!choice || spot.rank < choice.rank)) {
+          choice = { ...spot, ...o, wc, hc };
+        }
+      });
+
+      if (!choice) {
+        unplaced.push(item.id);
+        return;
+      }
+
+      this._fill(
+        occupied,
+        cols,
+        rows,
+        choice.c - margin,
+        choice.r - margin,
+        choice.wc + margin * 2,
+        choice.hc + margin * 2,
+      );
+      this._fill(filled, cols, rows, choice.c, choice.r, choice.wc, choice.hc);
+      placements.push({
+        id: item.id,
+        // Center of the footprint
+        x: choice.c * step + choice.w / 2,
+        y: choice.r * step + choice.h / 2,
+        angle: choice.angle,
+      });
+    });
+
+    const largestFreeAreaSqFt = this._largestEmptyRect(filled, cols, rows) * step * step;
+    return { placements, unplaced, largestFreeAreaSqFt };
+  },
+
+  /**
+   * First free spot in anchor/scan order
+   * @private
+   */
+  _findSpot(sum, cols, rows, wc, hc, anchor, scan) {
+    if (wc > cols || hc > rows) return null;
+
+    const maxC = cols - wc;
+    const maxR = rows - hc;
+    const fromRight = anchor.endsWith('right');
+    const fromBottom = anchor.startsWith('bottom');
+    const outer = scan === 'rows' ? maxR : maxC;
+    const inner = scan === 'rows' ? maxC : maxR;
+
+    for (let i = 0; i <= outer; i++) {
+      for (let j = 0; j <= inner; j++) {
+        let c = scan === 'rows' ? j : i;
+        let r = scan === 'rows' ? i : j;
+        if (fromRight) c = maxC - c;
+        if (fromBottom) r = maxR - r;
+        if (this._areaSum(sum, cols, c, r, wc, hc) === 0) {
+          return { c, r, rank: i * (inner + 1) + j };
+        }
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Rasterize the outline and keep-out rects (1 = unusable cell)
+   * @private
+   */
+  _buildGrid(vertices, keepOut, step) {
+    const maxX = Math.max(...vertices.map((v) => v.x));
+    const maxY = Math.max(...vertices.map((v) => v.y));
+    const cols = Math.max(0, Math.floor(maxX / step + 1e-9));
+    const rows = Math.max(0, Math.floor(maxY / step + 1e-9));
+    const blocked = new Uint8Array(cols * rows);
+
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const point = { x: (c + 0.5) * step, y: (r + 0.5) * step };
+        if (!this._pointInPolygon(point, vertices)) {
+          blocked[r * cols + c] = 1;
+        }
+      }
+    }
+
+    keepOut.forEach((rect) => {
+      const c0 = Math.max(0, Math.floor(rect.left / step + 1e-9));
+      const r0 = Math.max(0, Math.floor(rect.top / step + 1e-9));
+      const c1 = Math.min(cols, Math.ceil((rect.left + rect.width) / step - 1e-9));
+      const r1 = Math.min(rows, Math.ceil((rect.top + rect.height) / step - 1e-9));
+      this._fill(blocked, cols, rows, c0, r0, c1 - c0, r1 - r0);
+    });
+
+    return { cols, rows, blocked };
+  },
+
+  /**
+   * @private
+   */
+  _fill(grid, cols, rows, c, r, w, h) {
+    for (let y = Math.max(0, r); y < Math.min(rows, r + h); y++) {
+      for (let x = Math.max(0, c); x < Math.min(cols, c + w); x++) {
+        grid[y * cols + x] = 1;
+      }
+    }
+  },
+
+  /**
+   * Summed-area table with a zero row/column in front
+   * @private
+   */
+  _prefixSum(grid, cols, rows) {
+    const sum = new Int32Array((cols + 1) * (rows + 1));
+    for (let r = 0; r < rows; r++) {
+      let rowSum = 0;
+      for (let c = 0; c < cols; c++) {
+        rowSum += grid[r * cols + c];
+        sum[(r + 1) * (cols + 1) + c + 1] = sum[r * (cols + 1) + c + 1] + rowSum;
+      }
+    }
+    return sum;
+  },
+
+  /**
+   * @private
+   */
+  _areaSum(sum, cols, c, r, w, h) {
+    const stride = cols + 1;
+    return (
+      sum[(r + h) * stride + c + w] -
+      sum[r * stride + c + w] -
+      sum[(r + h) * stride + c] +
+      sum[r * stride + c]
+    );
+  },
+
+  /**
+   * Largest all-free rectangle in cells (histogram method)
+   * @private
+   */
+  _largestEmptyRect(grid, cols, rows) {
+    const heights = new Int32Array(cols);
+    let best = 0;
+
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        heights[c] = grid[r * cols + c] ? 0 : heights[c] + 1;
+      }
+
+      const stack = [];
+      for (let c = 0; c <= cols; c++) {
+        const height = c < cols ? heights[c] : 0;
+        while (stack.length && heights[stack[stack.length - 1]] >= height) {
+          const top = heights[stack.pop()];
+          const left = stack.length ? stack[stack.length - 1] + 1 : 0;
+          best = Math.max(best, top * (c - left));
+        }
+        stack.push(c);
+      }
+    }
+    return best;
+  },
+
+  /**
+   * Ray casting point-in-polygon
+   * @private
+   */
+  _pointInPolygon(point, vertices) {
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      const a = vertices[i];
+      const b = vertices[j];
+      if (
+        a.y > point.y !== b.y > point.y &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+      ) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.PackingSolver = PackingSolver;
+} else if (typeof self !== 'undefined') {
+  // Worker entry point: { id, problem } in, { id, result } or { id, error } out
+  const scope = /** @type {any} */ (self);
+  scope.onmessage = (event) => {
+    const { id, problem } = event.data || {};
+    try {
+      scope.postMessage({ id, result: PackingSolver.solve(problem) });
+    } catch (error) {
+      scope.postMessage({ id, error: error?.message || String(error) });
+    }
+  };
+}
@@ -0,0 +1,408 @@
+/* global Config, Bounds, Geometry */
+
+/**
+ * Drive-Out Checker
+ * Finds a straight or single-turn path out through a door for every vehicle
+ * and draws the swept path over the canvas.
+ *
+ * Path math works in feet from the floor plan's 0,0 corner.
+ */
+class DriveOutChecker {
+  constructor(state, canvasManager) {
+    this.state = state;
+    this.canvasManager = canvasManager;
+    this.canvas = canvasManager.getCanvas();
+    this.showPaths = false;
+    this.results = [];
+
+    this._drawOverlay = this._drawOverlay.bind(this);
+  }
+
+  /**
+   * Turning radius (ft) used for vehicles without their own `turningRadiusFt`
+   */
+  getTurningRadius() {
+    const setting = Number(this.state.get('settings.driveOutTurningRadiusFt'));
+    return setting > 0 ? setting : Config.DRIVE_OUT.turningRadiusFt;
+  }
+
+  /**
+   * Show or hide the swept path overlay
+   */
+  setShowPaths(show) {
+    if (!this.canvas || this.showPaths === !!show) return;
+    this.showPaths = !!show;
+    if (this.showPaths) {
+      this.canvas.on('after:render', this._drawOverlay);
+    } else {
+      this.canvas.off('after:render', this._drawOverlay);
+    }
+    this.canvas.requestRenderAll();
+  }
+
+  /**
+   * Re-check every vehicle on the layout
+   * @returns {Array<{itemId: string, clear: boolean, kind: string|null, poses: Array<object>, blockedBy: string[]}>}
+   */
+  update() {
+    this.results = this.check();
+    if (this.showPaths) {
+      this.canvas?.requestRenderAll();
+    }
+    return this.results;
+  }
+
+  /**
+   * Compute drive-out results without touching the overlay
+   */
+  check() {
+    const floorPlan = this.state.get('floorPlan');
+    const origin = this.canvasManager.getFloorPlanOrigin();
+    if (!floorPlan || !origin) return [];
+
+    const toFeet = (p) => ({
+      x: (p.x - origin.x) / Config.PX_PER_FOOT,
+      y: (p.y - origin.y) / Config.PX_PER_FOOT,
+    });
+
+    // Everything that can block a path: other ground-floor items (mezzanines are driven
+    // under) and obstacles
+    const items = (this.state.get('items') || []).filter(
+      (item) => item.canvasObject && !Bounds.isDeckItem(item),
+    );
+    const footprints = items
+      .filter((item) => item.category !== 'mezzanine')
+      .map((item) => {
+        const polygon = Bounds.getItemPolygon(item.canvasObject);
+        return polygon ? { id: item.id, polygon: polygon.map(toFeet) } : null;
+      })
+      .filter(Boolean);
+    (floorPlan.obstacles || []).forEach((o) => {
+      footprints.push({
+        id: o.id,
+        polygon: [
+          { x: o.x, y: o.y },
+          { x: o.x + o.widthFt, y: o.y },
+          { x: o.x + o.widthFt, y: o.y + o.lengthFt },
+          { x: o.x, y: o.y + o.lengthFt },
+        ],
+      });
+    });
+
+    const doors = this._getDoorways(floorPlan);
+    const vertices = Geometry.getFloorPlanVertices(floorPlan);
+
+    return items
+      .filter((item) => Config.DRIVE_OUT.categories.includes(item.category))
+      .map((item) => {
+        const own = footprints.find((f) => f.id === item.id);
+        if (!own) return null;
+        const others = footprints.filter((f) => f !== own);
+        const radius = item.turningRadiusFt > 0 ? item.turningRadiusFt : this.getTurningRadius();
+        return { itemId: item.id, ...this.findPath(own.polygon, others, doors, vertices, radius) };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Search straight and single-turn exits for one vehicle footprint
+   * @param {Array<{x: number, y: number}>} polygon - Footprint corners (tl, tr, br, bl at 0°)
+   * @param {Array<{id: string, polygon: Array<{x: number, y: number}>}>} others
+   * @param {Array<object>} doors - From _getDoorways
+   * @param {Array<{x: number, y: number}>} vertices - Floor plan outline
+   * @param {number} radius - Turning radius in feet
+   */
+  findPath(polygon, others, doors, vertices, radius) {
+    const [tl, tr, , bl] = polygon;
+    const width = Math.hypot(tr.x - tl.x, tr.y - tl.y);
+    const length = Math.hypot(bl.x - tl.x, bl.y - tl.y);
+    const heading = { x: (bl.x - tl.x) / length, y: (bl.y - tl.y) / length };
+    const center = {
+      x: polygon.reduce((sum, p) => sum + p.x, 0) / 4,
+      y: polygon.reduce((sum, p) => sum + p.y, 0) / 4,
+    };
+    const body = { width, length };
+
+    // Items the vehicle already overlaps don't count as blocking its way out
+    const blockers = others.filter((o) => !Geometry.convexPolygonsOverlap(polygon, o.polygon));
+
+    let best = null;
+    for (const door of doors) {
+      if (door.length < width) continue;
+      for (const dir of [heading, { x: -heading.x, y: -heading.y }]) {
+        for (const candidate of this._candidatePaths(center, dir, body, door, radius)) {
+          const test = this._testPath(candidate.poses, body, blockers, vertices, door);
+          if (test.clear) {
+            return { clear: true, kind: candidate.kind, poses: candidate.poses, blockedBy: [] };
+          }
+          if (!best || test.blockedBy.length < best.blockedBy.length) {
+            best = {
+              clear: false,
+              kind: candidate.kind,
+              poses: candidate.poses,
+              blockedBy: test.blockedBy,
+            };
+          }
+        }
+      }
+    }
+
+    return best || { clear: false, kind: null, poses: [], blockedBy: [] };
+  }
+
+  /**
+   * Vehicle openings: door frames in feet with the outward direction
+   * @private
+   */
+  _getDoorways(floorPlan) {
+    const entryZonePosition = this.state.get('settings.entryZonePosition');
+    return Bounds.getFloorPlanDoors(floorPlan, entryZonePosition)
+      .filter((door) => !Config.DOOR_TYPES[door.type]?.isWindow)
+      .map((door) => {
+        const frame = Bounds.getDoorFrame(door, floorPlan, { x: 0, y: 0 });
+        return {
+          door,
+          start: {
+            x: frame.start.x / Config.PX_PER_FOOT,
+            y: frame.start.y / Config.PX_PER_FOOT,
+          },
+          along: frame.dir,
+          out: { x: -frame.normal.x, y: -frame.normal.y },
+          length: frame.length / Config.PX_PER_FOOT,
+        };
+      });
+  }
+
+  /**
+   * Straight-out path, or drive / turn once / drive out, as sampled poses
+   * @private
+   */
+  _candidatePaths(center, dir, body, door, radius) {
+    const dot = dir.x * door.out.x + dir.y * door.out.y;
+    const cross = dir.x * door.out.y - dir.y * door.out.x;
+    const lateral = (p) =>
+      (p.x - door.start.x) * door.along.x + (p.y - door.start.y) * door.along.y;
+    const fitsOpening = (s) =>
+      s >= body.width / 2 - 1e-6 && s <= door.length - body.width / 2 + 1e-6;
+
+    // Already pointing at the door
+    if (dot > 1 - 1e-3) {
+      return fitsOpening(lateral(center))
+        ? [{ kind: 'straight', poses: this._straightPoses(center, dir, door, body, []) }]
+        : [];
+    }
+
+    const phi = Math.atan2(cross, dot);
+    const side = Math.sign(phi) || 1;
+    const candidates = [];
+
+    [radius, radius * 1.5].forEach((r) => {
+      // Center of the turn sits to the side the vehicle turns towards
+      const normal = this._rotate(dir, (side * Math.PI) / 2);
+      const offset = { x: -normal.x * r, y: -normal.y * r };
+      const turned = this._rotate(offset, phi);
+      const shift = { x: turned.x - offset.x, y: turned.y - offset.y };
+
+      // Straight run before the turn lines the vehicle up with the opening
+      const k = dir.x * door.along.x + dir.y * door.along.y;
+      const s0 = lateral({ x: center.x + shift.x, y: center.y + shift.y });
+      let runs = [];
+      if (Math.abs(k) < 1e-6) {
+        if (fitsOpening(s0)) runs = [0];
+      } else {
+        const a = (body.width / 2 - s0) / k;
+        const b = (door.length - body.width / 2 - s0) / k;
+        const min = Math.max(0, Math.min(a, b));
+        const max = Math.max(a, b);
+        if (max < min) return;
+        // Centered in the opening first, then other run lengths nearest to it
+        const ideal = Math.min(max, Math.max(min, (door.length / 2 - s0) / k));
+        const others = [];
+        for (let d = Math.ceil(min); d <= max; d += 1) {
+          if (Math.abs(d - ideal) > 0.5) others.push(d);
+        }
+        others.sort((x, y) => Math.abs(x - ideal) - Math.abs(y - ideal));
+        runs = [ideal, ...others.slice(0, Config.DRIVE_OUT.extraRuns)];
+      }
+
+      runs.forEach((run) => {
+        const poses = [];
+        const step = Config.DRIVE_OUT.stepFt;
+        for (let d = 0; d < run; d += step) {
+          poses.push({ x: center.x + dir.x * d, y: center.y + dir.y * d, dir });
+        }
+        const start = { x: center.x + dir.x * run, y: center.y + dir.y * run };
+        const pivot = { x: start.x + normal.x * r, y: start.y + normal.y * r };
+        const arcSteps = Math.max(1, Math.ceil((Math.abs(phi) * r) / step));
+        for (let i = 0; i <= arcSteps; i++) {
+          const a = (phi * i) / arcSteps;
+          const p = this._rotate(offset, a);
+          poses.push({ x: pivot.x + p.x, y: pivot.y + p.y, dir: this._rotate(dir, a) });
+        }
+        const end = poses[poses.length - 1];
+        candidates.push({
+          kind: 'turn',
+          poses: this._straightPoses(end, door.out, door, body, poses),
+        });
+      });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Append poses driving along `dir` until the body is clear of the door wall
+   * @private
+   */
+  _straightPoses(from, dir, door, body, poses) {
+    const step = Config.DRIVE_OUT.stepFt;
+    const outside = (p) => (p.x - door.start.x) * door.out.x + (p.y - door.start.y) * door.out.y;
+    const distance = Math.max(0, body.length / 2 + step - outside(from));
+    for (let d = 0; d <= distance + 1e-6; d += step) {
+      poses.push({ x: from.x + dir.x * d, y: from.y + dir.y * d, dir });
+    }
+    return poses;
+  }
+
+  /**
+   * Check every sampled footprint against the walls and other footprints
+   * @private
+   */
+  _testPath(poses, body, blockers, vertices, door) {
+    const blockedBy = new Set();
+    let hitsWall = false;
+
+    poses.forEach((pose) => {
+      const footprint = this.getFootprint(pose, body);
+
+      // Outside the walls is only allowed through the opening
+      const probes = footprint.flatMap((p, i) => {
+        const q = footprint[(i + 1) % footprint.length];
+        return [p, { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 }];
+      });
+      if (!hitsWall) {
+        hitsWall = probes.some(
+          (p) => !Geometry.pointInVertices(p, vertices, 0.05) && !this._inDoorway(p, door),
+        );
+      }
+
+      blockers.forEach((other) => {
+        if (
+          !blockedBy.has(other.id) &&
+          Geometry.convexPolygonsOverlap(footprint, other.polygon, 0.05)
+        ) {
+          blockedBy.add(other.id);
+        }
+      });
+    });
+
+    return { clear: !hitsWall && blockedBy.size === 0, blockedBy: [...blockedBy] };
+  }
+
+  /**
+   * Footprint corners of the vehicle at a pose (length along the travel direction)
+   */
+  getFootprint(pose, body) {
+    const along = { x: (pose.dir.x * body.length) / 2, y: (pose.dir.y * body.length) / 2 };
+    const across = { x: (-pose.dir.y * body.width) / 2, y: (pose.dir.x * body.width) / 2 };
+    return [
+      { x: pose.x - along.x - across.x, y: pose.y - along.y - across.y },
+      { x: pose.x - along.x + across.x, y: pose.y - along.y + across.y },
+      { x: pose.x + along.x + across.x, y: pose.y + along.y + across.y },
+      { x: pose.x + along.x - across.x, y: pose.y + along.y - across.y },
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _inDoorway(point, door) {
+    const tolerance = 0.05;
+    const dx = point.x - door.start.x;
+    const dy = point.y - door.start.y;
+    const along = dx * door.along.x + dy * door.along.y;
+    const out = dx * door.out.x + dy * door.out.y;
+    return out >= -tolerance && along >= -tolerance && along <= door.length + tolerance;
+  }
+
+  /**
+   * @private
+   */
+  _rotate(v, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: v.x * cos - v.y * sin, y: v.x * sin + v.y * cos };
+  }
+
+  /**
+   * Draw swept paths (green when clear, red when blocked) on the live canvas
+   * @private
+   */
+  _drawOverlay(e) {
+    if (!this.canvas || !this.results.length) return;
+    if (e?.ctx && e.ctx !== this.canvas.contextContainer) return;
+
+    const origin = this.canvasManager.getFloorPlanOrigin();
+    if (!origin) return;
+
+    const ctx = this.canvas.contextContainer;
+    const vpt = this.canvas.viewportTransform;
+    const zoom = this.canvas.getZoom() || 1;
+    const toCanvas = (p) => ({
+      x: origin.x + p.x * Config.PX_PER_FOOT,
+      y: origin.y + p.y * Config.PX_PER_FOOT,
+    });
+    const items = this.state.get('items') || [];
+
+    ctx.save();
+    ctx.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+    this.results.forEach((result) => {
+      const item = items.find((i) => i.id === result.itemId);
+      const polygon = item?.canvasObject ? Bounds.getItemPolygon(item.canvasObject) : null;
+      if (!polygon) return;
+
+      const [tl, tr, , bl] = polygon;
+      const body = {
+        width: Math.hypot(tr.x - tl.x, tr.y - tl.y) / Config.PX_PER_FOOT,
+        length: Math.hypot(bl.x - tl.x, bl.y - tl.y) / Config.PX_PER_FOOT,
+      };
+      const colors = result.clear ? Config.DRIVE_OUT.colors.clear : Config.DRIVE_OUT.colors.blocked;
+
+      // Swept area: every sampled footprint, filled as one shape
+      ctx.beginPath();
+      result.poses.forEach((pose) => {
+        this.getFootprint(pose, body)
+          .map(toCanvas)
+          .forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+        ctx.closePath();
+      });
+      ctx.fillStyle = colors.fill;
+      ctx.fill('nonzero');
+
+      // Center line
+      ctx.beginPath();
+      result.poses
+        .map(toCanvas)
+        .forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+      ctx.strokeStyle = colors.stroke;
+      ctx.lineWidth = 2 / zoom;
+      ctx.setLineDash([6 / zoom, 4 / zoom]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      if (!result.clear) {
+        ctx.beginPath();
+        polygon.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+        ctx.closePath();
+        ctx.lineWidth = 3 / zoom;
+        ctx.stroke();
+      }
+    });
+    ctx.restore();
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.DriveOutChecker = DriveOutChecker;
+}
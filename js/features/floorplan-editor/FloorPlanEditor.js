@@ -0,0 +1,337 @@
+/* global Config, Helpers, Geometry */
+
+/**
+ * Floor Plan Vertex Editor
+ * Drag, add and remove outline corners on the canvas with live wall lengths
+ */
+class FloorPlanEditor {
+  constructor(canvasManager, floorPlanManager, eventBus) {
+    this.canvasManager = canvasManager;
+    this.floorPlanManager = floorPlanManager;
+    this.eventBus = eventBus;
+    this.canvas = canvasManager.getCanvas();
+    this.active = false;
+    this.vertices = [];
+    this.origin = null;
+    this.handles = [];
+    this.midpointHandles = [];
+    this.wallLabels = [];
+    this.outline = null;
+    this.barEl = null;
+    this._prevFloorPlanEvented = null;
+
+    this._handleObjectMoving = this._handleObjectMoving.bind(this);
+    this._handleMouseDown = this._handleMouseDown.bind(this);
+    this._handleDoubleClick = this._handleDoubleClick.bind(this);
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+  }
+
+  /**
+   * Start editing the current floor plan outline
+   */
+  activate() {
+    if (this.active || !this.canvas) return false;
+
+    const floorPlan = this.floorPlanManager.getCurrentFloorPlan();
+    const origin = this.canvasManager.getFloorPlanOrigin();
+    if (!floorPlan || !origin) return false;
+
+    this.active = true;
+    this.origin = origin;
+    this.vertices = Geometry.getFloorPlanVertices(floorPlan);
+
+    // Keep the floor plan from being dragged while its corners are edited
+    const group = this.canvasManager.floorPlanGroup;
+    if (group) {
+      this._prevFloorPlanEvented = group.evented;
+      group.set({ evented: false, selectable: false });
+    }
+    this.canvas.discardActiveObject();
+
+    this.canvas.on('object:moving', this._handleObjectMoving);
+    this.canvas.on('mouse:down', this._handleMouseDown);
+    this.canvas.on('mouse:dblclick', this._handleDoubleClick);
+    document.addEventListener('keydown', this._handleKeyDown, true);
+
+    this._showBar();
+    this._render(true);
+    this.eventBus.emit('floorplan:editor:activated');
+    return true;
+  }
+
+  /**
+   * Apply the edited outline to the floor plan
+   */
+  apply() {
+    if (!this.active) return false;
+
+    const result = this.floorPlanManager.setFloorPlanVertices(this.vertices);
+    if (!result.success) {
+      this._setError(result.errors.join(' '));
+      return false;
+    }
+
+    this.deactivate();
+    return true;
+  }
+
+  /**
+   * Leave the editor without changing the floor plan
+   */
+  cancel() {
+    this.deactivate();
+  }
+
+  /**
+   * Remove editor overlays and listeners
+   */
+  deactivate() {
+    if (!this.active) return;
+    this.active = false;
+
+    this.canvas.off('object:moving', this._handleObjectMoving);
+    this.canvas.off('mouse:down', this._handleMouseDown);
+    this.canvas.off('mouse:dblclick', this._handleDoubleClick);
+    document.removeEventListener('keydown', this._handleKeyDown, true);
+
+    this._clearOverlay(true);
+
+    // drawFloorPlan may have replaced the group; only restore the one we locked
+    const group = this.canvasManager.floorPlanGroup;
+    if (group && this._prevFloorPlanEvented !== null) {
+      const locked = this.canvasManager.floorPlanLocked;
+      group.set({ evented: !locked, selectable: !locked });
+    }
+    this._prevFloorPlanEvented = null;
+
+    if (this.barEl) {
+      this.barEl.remove();
+      this.barEl = null;
+    }
+
+    this.canvas.requestRenderAll();
+    this.eventBus.emit('floorplan:editor:deactivated');
+  }
+
+  /**
+   * Toggle the editor
+   */
+  toggle() {
+    if (this.active) {
+      this.cancel();
+      return false;
+    }
+    return this.activate();
+  }
+
+  _handleObjectMoving(e) {
+    const target = e?.target;
+    if (!target || !target.floorPlanEditor || target.floorPlanEditorPart !== 'vertex') return;
+
+    const snap = Config.FLOOR_PLAN_EDITOR_SNAP_FT;
+    const toFeet = (px) => Math.round(px / Config.PX_PER_FOOT / snap) * snap;
+    const vertex = {
+      x: toFeet(target.left - this.origin.x),
+      y: toFeet(target.top - this.origin.y),
+    };
+
+    target.set({
+      left: this.origin.x + Helpers.feetToPx(vertex.x),
+      top: this.origin.y + Helpers.feetToPx(vertex.y),
+    });
+    target.setCoords();
+
+    this.vertices[target.vertexIndex] = vertex;
+    this._setError('');
+    this._render(false);
+  }
+
+  _handleMouseDown(e) {
+    const target = e?.target;
+    if (!target || target.floorPlanEditorPart !== 'midpoint') return;
+
+    // Split the wall at its midpoint
+    const index = target.vertexIndex;
+    const a = this.vertices[index];
+    const b = this.vertices[(index + 1) % this.vertices.length];
+    const snap = Config.FLOOR_PLAN_EDITOR_SNAP_FT;
+    const mid = (m, n) => Math.round((m + n) / 2 / snap) * snap;
+
+    this.vertices.splice(index + 1, 0, { x: mid(a.x, b.x), y: mid(a.y, b.y) });
+    this._render(true);
+  }
+
+  _handleDoubleClick(e) {
+    const target = e?.target;
+    if (!target || target.floorPlanEditorPart !== 'vertex') return;
+
+    if (this.vertices.length <= 3) {
+      this._setError('An outline needs at least 3 corners.');
+      return;
+    }
+
+    this.vertices.splice(target.vertexIndex, 1);
+    this._render(true);
+  }
+
+  _handleKeyDown(e) {
+    if (!this.active) return;
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.cancel();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.apply();
+    }
+  }
+
+  /**
+   * Redraw outline, wall labels and (optionally) the draggable handles
+   * @private
+   */
+  _render(rebuildHandles) {
+    this._clearOverlay(rebuildHandles);
+
+    const zoom = this.canvas.getZoom() || 1;
+    const points = this.vertices.map((v) => ({
+      x: this.origin.x + Helpers.feetToPx(v.x),
+      y: this.origin.y + Helpers.feetToPx(v.y),
+    }));
+    const overlayProps = {
+      selectable: false,
+      evented: false,
+      excludeFromSave: true,
+      floorPlanEditor: true,
+    };
+
+    this.outline = new fabric.Polygon(points, {
+      ...overlayProps,
+      fill: 'rgba(33, 150, 243, 0.08)',
+      stroke: Config.COLORS.selection,
+      strokeWidth: 2 / zoom,
+      strokeDashArray: [8 / zoom, 4 / zoom],
+      objectCaching: false,
+    });
+    this.canvas.add(this.outline);
+
+    points.forEach((a, i) => {
+      const b = points[(i + 1) % points.length];
+      const lengthFt = Helpers.distance(a.x, a.y, b.x, b.y) / Config.PX_PER_FOOT;
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+      const label = new fabric.Text(`${Helpers.formatNumber(lengthFt, 1)} ft`, {
+        ...overlayProps,
+        left: mid.x,
+        top: mid.y - 14 / zoom,
+        fontSize: 12 / zoom,
+        fill: Config.COLORS.selection,
+        fontWeight: 'bold',
+        backgroundColor: 'rgba(255,255,255,0.9)',
+        originX: 'center',
+        originY: 'center',
+      });
+      this.wallLabels.push(label);
+      this.canvas.add(label);
+
+      const midpoint = new fabric.Circle({
+        ...overlayProps,
+        left: mid.x,
+        top: mid.y,
+        radius: 5 / zoom,
+        fill: '#ffffff',
+        stroke: Config.COLORS.selection,
+        strokeWidth: 1.5 / zoom,
+        originX: 'center',
+        originY: 'center',
+        evented: true,
+        hoverCursor: 'copy',
+        floorPlanEditorPart: 'midpoint',
+        vertexIndex: i,
+      });
+      this.midpointHandles.push(midpoint);
+      this.canvas.add(midpoint);
+    });
+
+    if (rebuildHandles) {
+      this.handles = points.map((p, i) => {
+        const handle = new fabric.Circle({
+          ...overlayProps,
+          left: p.x,
+          top: p.y,
+          radius: 7 / zoom,
+          fill: Config.COLORS.selection,
+          stroke: '#ffffff',
+          strokeWidth: 2 / zoom,
+          originX: 'center',
+          originY: 'center',
+          selectable: true,
+          evented: true,
+          hasControls: false,
+          hasBorders: false,
+          hoverCursor: 'move',
+          floorPlanEditorPart: 'vertex',
+          vertexIndex: i,
+        });
+        this.canvas.add(handle);
+        return handle;
+      });
+    }
+
+    // Handles stay on top so they can always be grabbed
+    this.handles.forEach((handle) => handle.bringToFront());
+    this.canvas.requestRenderAll();
+  }
+
+  /**
+   * @private
+   */
+  _clearOverlay(includeHandles) {
+    const remove = (obj) => obj && this.canvas.remove(obj);
+    remove(this.outline);
+    this.outline = null;
+    this.wallLabels.forEach(remove);
+    this.wallLabels = [];
+    this.midpointHandles.forEach(remove);
+    this.midpointHandles = [];
+    if (includeHandles) {
+      this.handles.forEach(remove);
+      this.handles = [];
+    }
+  }
+
+  /**
+   * Floating action bar over the canvas
+   * @private
+   */
+  _showBar() {
+    const wrapper = this.canvasManager.canvasWrapper;
+    if (!wrapper) return;
+
+    this.barEl = document.createElement('div');
+    this.barEl.className = 'floorplan-editor-bar';
+    this.barEl.innerHTML = `
+      <span class="floorplan-editor-hint">Drag corners · click + to add · double-click a corner to remove</span>
+      <span class="floorplan-editor-error" role="alert"></span>
+      <button type="button" class="modal-btn modal-btn-secondary" data-action="cancel">Cancel</button>
+      <button type="button" class="modal-btn modal-btn-primary" data-action="apply">Done</button>
+    `;
+    this.barEl.querySelector('[data-action="cancel"]').addEventListener('click', () => this.cancel());
+    this.barEl.querySelector('[data-action="apply"]').addEventListener('click', () => this.apply());
+    wrapper.appendChild(this.barEl);
+  }
+
+  /**
+   * @private
+   */
+  _setError(message) {
+    const el = this.barEl?.querySelector('.floorplan-editor-error');
+    if (el) el.textContent = message;
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.FloorPlanEditor = FloorPlanEditor;
+}
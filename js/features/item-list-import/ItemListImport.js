@@ -0,0 +1,411 @@
+/* global Bounds, Config, Geometry, Helpers, Items */
+
+/**
+ * Item List Import
+ * Turns a customer's spreadsheet (CSV or TSV) of what they own into layout items. Each row
+ * gives a name and optionally a length, width and quantity; names are matched against the
+ * catalog through Items.search, and rows that match nothing become plain rectangles. The
+ * items are lined up just below the floor plan, ready to be arranged.
+ */
+class ItemListImport {
+  constructor(state, canvasManager, itemManager) {
+    this.state = state;
+    this.canvasManager = canvasManager;
+    this.itemManager = itemManager;
+    this.maxItems = 200; // Items one import may add (quantities included)
+    this.minMatchScore = 0.45;
+    this.gapFt = 2; // Between the staged items
+    this.marginFt = 4; // Between the floor plan and the first row
+  }
+
+  /**
+   * Read an item list
+   * A header row is recognized by its column names (name/item/description,
+   * length/depth, width, quantity/qty/count; a unit such as "Length (in)" applies to the
+   * column). Without one the columns are taken as name, length, width, quantity.
+   * Sizes are feet unless written otherwise (12'6", 150 in, 3.2 m).
+   * @param {string} text - CSV (comma or semicolon) or TSV
+   * @returns {{rows: Array<{line: number, name: string, lengthFt: number|null, widthFt: number|null, quantity: number}>, errors: string[]}}
+   */
+  parse(text) {
+    const records = this._splitRecords(String(text || '').replace(/^\uFEFF/, ''));
+    const rows = [];
+    const errors = [];
+    if (!records.length) return { rows, errors: ['The file is empty'] };
+
+    /** @type {Object<string, number>} */
+    let columns = { name: 0, length: 1, width: 2, quantity: 3 };
+    let units = { length: 'ft', width: 'ft' };
+    const header = this._readHeader(records[0].cells);
+    if (header) {
+      ({ columns, units } = header);
+      records.shift();
+    }
+
+    records.forEach(({ line, cells }) => {
+      const cell = (key) => (columns[key] === undefined ? '' : (cells[columns[key]] ?? '').trim());
+      const name = cell('name');
+      if (!name) {
+        if (cells.some((value) => value.trim())) errors.push(`Line ${line}: no item name`);
+        return;
+      }
+
+      const lengthFt = this.parseLength(cell('length'), units.length);
+      const widthFt = this.parseLength(cell('width'), units.width);
+      if ((cell('length') && lengthFt === null) || (cell('width') && widthFt === null)) {
+        errors.push(`Line ${line}: size of "${name}" not understood, catalog size used`);
+      }
+
+      let quantity = 1;
+      if (cell('quantity')) {
+        quantity = parseInt(cell('quantity'), 10);
+        if (!(quantity > 0)) {
+          errors.push(`Line ${line}: quantity of "${name}" not understood, skipped`);
+          return;
+        }
+      }
+
+      rows.push({ line, name: name.slice(0, 100), lengthFt, widthFt, quantity });
+    });
+
+    return { rows, errors };
+  }
+
+  /**
+   * Match the rows of an item list to the catalog
+   * @param {string} text - CSV or TSV (see parse)
+   * @returns {{entries: Array<{row: object, type: object, matched: boolean, lengthFt: number, widthFt: number}>, errors: string[], total: number}}
+   *   total counts items (quantities included); entries past maxItems are left out, and
+   *   entries wider than the floor plan are reported (they stick out of their row)
+   */
+  plan(text) {
+    const { rows, errors } = this.parse(text);
+    const rectangle = Items.getById('shape-rectangle');
+    const floorPlan = this.state.get('floorPlan');
+    const planWidth = floorPlan ? this._getPlanExtent(floorPlan).width : Infinity;
+    const entries = [];
+    let total = 0;
+
+    rows.forEach((row) => {
+      if (total + row.quantity > this.maxItems) {
+        errors.push(`Line ${row.line}: more than ${this.maxItems} items, "${row.name}" left out`);
+        return;
+      }
+      const match = this.matchItem(row.name, row);
+      const type = match ? match.type : rectangle;
+      const entry = {
+        row,
+        type,
+        matched: Boolean(match),
+        lengthFt: row.lengthFt || type.lengthFt,
+        widthFt: row.widthFt || type.widthFt,
+      };
+      if (entry.widthFt > planWidth) {
+        errors.push(`Line ${row.line}: "${row.name}" is wider than the floor plan`);
+      }
+      entries.push(entry);
+      total += row.quantity;
+    });
+
+    return { entries, errors, total };
+  }
+
+  /**
+   * Add planned items to the layout in rows below the floor plan, as wide as the plan
+   * (and below anything already staged there). An item wider than the plan gets a row
+   * of its own.
+   * @param {Array<object>} entries - From plan()
+   * @returns {Array<object>} The added items
+   */
+  place(entries) {
+    const floorPlan = this.state.get('floorPlan');
+    const origin = this.canvasManager.getFloorPlanOrigin();
+    if (!floorPlan || !origin) return [];
+
+    const { width: planWidth, bottom: planBottom } = this._getPlanExtent(floorPlan);
+    // Items reaching below the plan (staged by an earlier import, or moved there) push
+    // the rows further down; their bounding rect accounts for rotation and scale
+    let stagedBottom = planBottom;
+    this.itemManager.getAllItems().forEach((item) => {
+      const rect = Bounds.getItemBounds(item.canvasObject);
+      if (!rect) return;
+      const bottom = (rect.bottom - origin.y) / Config.PX_PER_FOOT;
+      if (bottom > stagedBottom) stagedBottom = bottom;
+    });
+
+    let rowTop = stagedBottom + this.marginFt;
+    let rowHeight = 0;
+    let x = 0;
+    const added = [];
+    entries.forEach((entry) => {
+      for (let i = 0; i < entry.row.quantity; i++) {
+        if (x > 0 && x + entry.widthFt > planWidth) {
+          rowTop += rowHeight + this.gapFt;
+          rowHeight = 0;
+          x = 0;
+        }
+        const item = this.itemManager.addItem(
+          entry.type.id,
+          origin.x + Helpers.feetToPx(x + entry.widthFt / 2),
+          origin.y + Helpers.feetToPx(rowTop + entry.lengthFt / 2),
+          {
+            label: entry.row.name,
+            lengthFt: entry.lengthFt,
+            widthFt: entry.widthFt,
+            level: Config.LEVELS.GROUND,
+          },
+        );
+        if (item) added.push(item);
+        x += entry.widthFt + this.gapFt;
+        rowHeight = Math.max(rowHeight, entry.lengthFt);
+      }
+    });
+
+    this.canvasManager.getCanvas()?.requestRenderAll();
+    return added;
+  }
+
+  /**
+   * Catalog item for a name, found through Items.search and scored on how much of the
+   * names the two share; a size, when given, breaks ties between similar names
+   * @param {string} name
+   * @param {{lengthFt?: number|null, widthFt?: number|null}} [size]
+   * @returns {{type: object, score: number}|null}
+   */
+  matchItem(name, size = {}) {
+    const words = this._words(name);
+    if (!words.length) return null;
+
+    const candidates = new Map();
+    [name.trim(), ...words.filter((word) => word.length >= 3)].forEach((query) => {
+      Items.search(query).forEach((type) => candidates.set(type.id, type));
+    });
+
+    let best = null;
+    candidates.forEach((type) => {
+      const nameScore = this._nameScore(words, this._words(type.label));
+      if (nameScore < this.minMatchScore) return;
+
+      let score = nameScore;
+      if (size.lengthFt > 0 && size.widthFt > 0) {
+        const ratio = (a, b) => Math.min(a, b) / Math.max(a, b);
+        const sizeScore =
+          (ratio(size.lengthFt, type.lengthFt) + ratio(size.widthFt, type.widthFt)) / 2;
+        score = nameScore * 0.85 + sizeScore * 0.15;
+      }
+      if (!best || score > best.score) best = { type, score };
+    });
+    return best;
+  }
+
+  /**
+   * Feet in a length such as 12, 12.5, 12', 12'6", 12 ft 6 in, 150", 150 in, 3.2 m
+   * @param {string} text
+   * @param {string} [unit='ft'] - Unit of a plain number: ft, in, m, cm or mm
+   * @returns {number|null} Null when empty, not a length, or not positive
+   */
+  parseLength(text, unit = 'ft') {
+    const value = String(text ?? '')
+      .trim()
+      .toLowerCase()
+      .replace(/[’′]/g, "'")
+      .replace(/[”″]/g, '"');
+    if (!value) return null;
+
+    const number = '(\\d+(?:\\.\\d+)?|\\.\\d+)';
+    const feetInches = new RegExp(
+      `^${number}\\s*(?:'|ft|feet|foot)\\s*-?\\s*(?:${number}\\s*(?:"|in|inch|inches)?)?$`,
+    ).exec(value);
+    let feet = null;
+    if (feetInches) {
+      feet = parseFloat(feetInches[1]) + (feetInches[2] ? parseFloat(feetInches[2]) / 12 : 0);
+    } else {
+      const withUnit = new RegExp(`^${number}\\s*("|in|inch|inches|mm|cm|m)?$`).exec(value);
+      if (withUnit) {
+        const factor = this._unitFeet(withUnit[2] === '"' ? 'in' : withUnit[2] || unit);
+        feet = parseFloat(withUnit[1]) * factor;
+      }
+    }
+    return feet > 0 && Number.isFinite(feet) ? Math.round(feet * 1000) / 1000 : null;
+  }
+
+  /**
+   * Width and bottom edge (feet from the plan origin) of a floor plan, vertices included
+   * @private
+   * @returns {{width: number, bottom: number}}
+   */
+  _getPlanExtent(floorPlan) {
+    const vertices = Geometry.getFloorPlanVertices(floorPlan);
+    return {
+      width: Math.max(floorPlan.widthFt, ...vertices.map((v) => v.x)),
+      bottom: Math.max(floorPlan.heightFt, ...vertices.map((v) => v.y)),
+    };
+  }
+
+  /**
+   * Column positions and units from a header row, or null when the row is data
+   * @private
+   */
+  _readHeader(cells) {
+    const aliases = {
+      name: ['name', 'item', 'items', 'description', 'desc', 'label', 'product', 'what'],
+      length: ['length', 'len', 'l', 'depth', 'long'],
+      width: ['width', 'w', 'wide'],
+      quantity: ['quantity', 'qty', 'count', 'number', 'no', 'pcs', 'pieces', 'amount', '#'],
+    };
+    /** @type {Object<string, number>} */
+    const columns = {};
+    const units = { length: 'ft', width: 'ft' };
+
+    cells.forEach((cell, index) => {
+      const text = cell.trim().toLowerCase();
+      const word = /[a-z#]+/.exec(text);
+      if (!word) return;
+      const rest = text.slice(word.index + word[0].length);
+      const unit = /\b(ft|feet|in|inch|inches|m|cm|mm)\b/.exec(rest);
+
+      Object.entries(aliases).forEach(([key, names]) => {
+        if (columns[key] !== undefined || !names.includes(word[0])) return;
+        columns[key] = index;
+        if (units[key] && unit) units[key] = unit[1];
+        else if (units[key] && rest.includes('"')) units[key] = 'in';
+      });
+    });
+
+    return columns.name !== undefined ? { columns, units } : null;
+  }
+
+  /**
+   * Non-empty records with the line each starts on. Quoted fields may hold delimiters,
+   * doubled quotes and line breaks (RFC 4180); unless given, the delimiter is whichever
+   * of tab, semicolon or comma splits the first record into the most cells.
+   * @private
+   * @param {string} text
+   * @param {string} [delimiter]
+   * @returns {Array<{line: number, cells: string[]}>}
+   */
+  _splitRecords(text, delimiter) {
+    if (!delimiter) {
+      // Split with each candidate, as the first record may span lines inside quotes
+      const cellCount = (candidate) => this._splitRecords(text, candidate)[0]?.cells.length || 0;
+      delimiter = ['\t', ';', ','].reduce((best, candidate) =>
+        cellCount(candidate) > cellCount(best) ? candidate : best,
+      );
+    }
+
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    const endRecord = () => {
+      cells.push(cell);
+      if (cells.some((value) => value.trim())) records.push({ line: recordLine, cells });
+      cells = [];
+      cell = '';
+    };
+
+    const normalized = text.replace(/\r\n?/g, '\n');
+    for (let i = 0; i < normalized.length; i++) {
+      const char = normalized[i];
+      if (char === '\n') line++;
+      if (quoted) {
+        if (char === '"' && normalized[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && !cell.trim()) {
+        quoted = true;
+        cell = '';
+      } else if (char === delimiter) {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n') {
+        endRecord();
+        recordLine = line;
+      } else {
+        cell += char;
+      }
+    }
+    endRecord();
+    return records;
+  }
+
+  /**
+   * Similarity of two names (as word lists): character pairs shared by the whole names,
+   * and how many of the catalog name's words the row's name has
+   * @private
+   */
+  _nameScore(words, typeWords) {
+    if (!typeWords.length) return 0;
+    const shared = typeWords.filter((word) => words.includes(word)).length;
+    const coverage = shared / typeWords.length;
+    const precision = shared / words.length;
+    return (
+      0.4 * this._dice(words.join(' '), typeWords.join(' ')) + 0.4 * coverage + 0.2 * precision
+    );
+  }
+
+  /**
+   * Dice coefficient of the character pairs of two strings
+   * @private
+   */
+  _dice(a, b) {
+    const pairs = (text) => {
+      const list = [];
+      for (let i = 0; i < text.length - 1; i++) list.push(text.slice(i, i + 2));
+      return list;
+    };
+    const left = pairs(a);
+    const right = pairs(b);
+    if (!left.length || !right.length) return a === b ? 1 : 0;
+
+    let matches = 0;
+    const remaining = [...right];
+    left.forEach((pair) => {
+      const index = remaining.indexOf(pair);
+      if (index >= 0) {
+        matches++;
+        remaining.splice(index, 1);
+      }
+    });
+    return (2 * matches) / (left.length + right.length);
+  }
+
+  /**
+   * Lowercase words of a name, plurals made singular ("cars" and "car" match)
+   * @private
+   */
+  _words(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .map((word) => (word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word));
+  }
+
+  /**
+   * @private
+   */
+  _unitFeet(unit) {
+    const feet = {
+      in: 1 / 12,
+      inch: 1 / 12,
+      inches: 1 / 12,
+      m: 1 / 0.3048,
+      cm: 1 / 30.48,
+      mm: 1 / 304.8,
+    };
+    return feet[unit] || 1;
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ItemListImport = ItemListImport;
+}
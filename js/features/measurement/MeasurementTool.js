@@ -446,6 +446,28 @@ class MeasurementTool {
     this.canvas.hoverCursor = this._prevHoverCursor || 'move';
   }
 
+  /**
+   * Measurements on the canvas (canvas coordinates)
+   * @returns {Array<{id: string, start: {x: number, y: number}, end: {x: number, y: number}, distanceFt: number}>}
+   */
+  getMeasurements() {
+    if (!this.canvas) return [];
+    const measurements = new Map();
+    this.canvas.getObjects().filter(obj => obj.measurementHandle).forEach(handle => {
+      const entry = measurements.get(handle.measurementId) || { id: handle.measurementId };
+      entry[handle.measurementHandle] = { x: handle.left, y: handle.top };
+      measurements.set(handle.measurementId, entry);
+    });
+
+    return [...measurements.values()]
+      .filter(entry => entry.start && entry.end)
+      .map(entry => ({
+        ...entry,
+        distanceFt:
+          Helpers.distance(entry.start.x, entry.start.y, entry.end.x, entry.end.y) / Config.PX_PER_FOOT,
+      }));
+  }
+
   removeMeasurement(target) {
     if (!this.canvas || !target) return;
     const measurementId = typeof target === 'string' ? target : target.measurementId;
@@ -0,0 +1,160 @@
+/* global Config, Compression, Items, LayoutSchema, Validation */
+
+/**
+ * Share Link
+ * Packs the layout into the URL hash (#layout=…) so it opens on any device without a server.
+ * Library units travel as their id (plus any doors and obstacles placed in them), custom
+ * units whole. Items keep only what differs from their item type; items of the sender's
+ * custom types keep their label and size, so they still open as rectangles elsewhere.
+ */
+class ShareLink {
+  constructor(state, floorPlanManager, itemManager) {
+    this.state = state;
+    this.floorPlanManager = floorPlanManager;
+    this.itemManager = itemManager;
+    this.hashPrefix = '#layout=';
+  }
+
+  /**
+   * Link to the current layout
+   * @returns {string|null} Null when there is no floor plan to share
+   */
+  createUrl() {
+    const payload = this.buildPayload();
+    if (!payload) return null;
+
+    const encoded = Compression.compressToURL(JSON.stringify(payload));
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}${this.hashPrefix}${encoded}`;
+  }
+
+  /**
+   * Compact description of the current layout
+   * @returns {{v: number, n?: string, f: object, i: Array<Array<any>>, s: object}|null}
+   */
+  buildPayload() {
+    const floorPlan = this.state.get('floorPlan');
+    if (!floorPlan) return null;
+
+    /** @type {Object<string, any>} */
+    let sharedPlan = { id: floorPlan.id };
+    if (floorPlan.isCustom) {
+      sharedPlan = floorPlan;
+    } else {
+      if (floorPlan.doors) sharedPlan.doors = floorPlan.doors;
+      if (floorPlan.obstacles) sharedPlan.obstacles = floorPlan.obstacles;
+    }
+
+    return {
+      v: Config.LAYOUT_SCHEMA_VERSION,
+      n: this.state.get('metadata.projectName'),
+      f: sharedPlan,
+      i: (this.state.get('items') || []).map((item) => this._packItem(item)),
+      s: this.state.get('settings') || {},
+    };
+  }
+
+  /**
+   * Whether a URL hash holds a shared layout
+   * @param {string} [hash]
+   */
+  isShareHash(hash = window.location.hash) {
+    return typeof hash === 'string' && hash.startsWith(this.hashPrefix);
+  }
+
+  /**
+   * Layout from a share link, upgraded and checked like an imported file
+   * @param {string} [hash]
+   * @returns {{success: boolean, errors: string[], layout?: object, repaired?: string[], rejected?: string[]}}
+   */
+  read(hash = window.location.hash) {
+    const damaged = { success: false, errors: ['This share link is damaged or incomplete'] };
+    if (!this.isShareHash(hash)) return damaged;
+
+    let payload = null;
+    try {
+      payload = JSON.parse(
+        Compression.decompressFromURL(hash.slice(this.hashPrefix.length)) || 'null',
+      );
+    } catch (error) {
+      payload = null;
+    }
+    if (!payload || typeof payload.f !== 'object' || !payload.f || !Array.isArray(payload.i)) {
+      return damaged;
+    }
+
+    let floorPlan = payload.f;
+    if (!floorPlan.isCustom) {
+      const libraryPlan = this.floorPlanManager
+        .getAllFloorPlans()
+        .find((plan) => plan.id === floorPlan.id);
+      if (!libraryPlan) {
+        return { success: false, errors: ['This link uses a unit that is not in the planner'] };
+      }
+      floorPlan = { ...libraryPlan, ...floorPlan };
+    }
+
+    const migration = LayoutSchema.migrate({
+      schemaVersion: payload.v,
+      floorPlan,
+      items: payload.i.map((packed) => this._unpackItem(packed)),
+      settings: payload.s,
+      metadata: typeof payload.n === 'string' ? { projectName: payload.n } : {},
+    });
+    if (!migration.success) return { success: false, errors: migration.errors };
+
+    const check = Validation.validateImport(migration.doc);
+    if (!check.valid) return { success: false, errors: check.errors };
+
+    return {
+      success: true,
+      errors: [],
+      layout: check.layout,
+      repaired: check.repaired,
+      rejected: check.rejected,
+    };
+  }
+
+  /**
+   * [itemId, x, y, angle, props?] where props holds only what differs from the item type
+   * @private
+   */
+  _packItem(item) {
+    const round = (value) => Math.round((value || 0) * 10) / 10;
+    const type = Items.getById(item.itemId);
+    const props = this.itemManager.getInstanceProps(item);
+
+    if (type && !type.isCustom) {
+      Object.keys(props).forEach((key) => {
+        if (props[key] === type[key]) delete props[key];
+      });
+    }
+    if (item.level && item.level !== Config.LEVELS.GROUND) props.level = item.level;
+    if (item.locked) props.locked = true;
+
+    const packed = [item.itemId, round(item.x), round(item.y), round(item.angle)];
+    if (Object.keys(props).length) packed.push(props);
+    return packed;
+  }
+
+  /**
+   * @private
+   */
+  _unpackItem(packed) {
+    if (!Array.isArray(packed)) return packed;
+    const [itemId, x, y, angle, props] = packed;
+    return {
+      level: Config.LEVELS.GROUND,
+      ...(props && typeof props === 'object' ? props : {}),
+      itemId,
+      x,
+      y,
+      angle,
+    };
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ShareLink = ShareLink;
+}
@@ -0,0 +1,305 @@
+/* global Config, Bounds, Geometry, Helpers */
+
+/**
+ * Smart Guides
+ * While an item is dragged, snaps its edges and center to those of nearby items and to the
+ * floor plan's walls and center lines, draws the lines it lines up with, and labels the gap
+ * in feet to the nearest item or wall on each side.
+ *
+ * Works on axis-aligned bounding boxes in canvas coordinates, so rotated items align by the
+ * box around them.
+ */
+class SmartGuides {
+  constructor(state, canvasManager) {
+    this.state = state;
+    this.canvasManager = canvasManager;
+    this.canvas = canvasManager.getCanvas();
+    this.target = null; // Object being dragged
+
+    this._draw = this._draw.bind(this);
+    this.canvas?.on('after:render', this._draw);
+  }
+
+  /**
+   * Whether guides are on (settings.smartGuides)
+   */
+  isEnabled() {
+    return this.state.get('settings.smartGuides') !== false;
+  }
+
+  /**
+   * Snap distance in canvas units: settings.smartGuideSnapPx screen pixels at the current zoom
+   */
+  getSnapThreshold() {
+    const setting = Number(this.state.get('settings.smartGuideSnapPx'));
+    const px = setting >= 0 ? setting : Config.SMART_GUIDES.snapThresholdPx;
+    return px / (this.canvas?.getZoom() || 1);
+  }
+
+  /**
+   * Move a dragged object so its closest edge or center within the threshold lines up,
+   * separately on each axis, and show its guides until clear()
+   * @param {object} target - Item group or active selection
+   * @returns {{dx: number, dy: number}} How far it was moved
+   */
+  snap(target) {
+    const isItem = target?.type === 'activeSelection' || Boolean(target?.customData?.itemId);
+    if (!this.isEnabled() || !isItem) {
+      this.clear();
+      return { dx: 0, dy: 0 };
+    }
+    this.target = target;
+
+    const box = Bounds.getItemBounds(target);
+    if (!box) return { dx: 0, dy: 0 };
+
+    const { xs, ys } = this._getLines(target);
+    const threshold = this.getSnapThreshold();
+    const closest = (values, lines) => {
+      let best = null;
+      values.forEach((value) => {
+        lines.forEach((line) => {
+          const delta = line.value - value;
+          if (Math.abs(delta) <= threshold && (best === null || Math.abs(delta) < Math.abs(best))) {
+            best = delta;
+          }
+        });
+      });
+      return best || 0;
+    };
+    const dx = closest(this._anchors(box.left, box.right), xs);
+    const dy = closest(this._anchors(box.top, box.bottom), ys);
+
+    if (dx || dy) {
+      target.set({ left: target.left + dx, top: target.top + dy });
+      target.setCoords();
+    }
+    return { dx, dy };
+  }
+
+  /**
+   * Stop showing guides (drop or cancel)
+   */
+  clear() {
+    if (!this.target) return;
+    this.target = null;
+    this.canvas?.requestRenderAll();
+  }
+
+  /**
+   * Guides for an object where it is now: the lines it is aligned with (each spanning the
+   * object and what it lines up with) and the gaps to the nearest item or wall on each side
+   * @param {object} target
+   * @returns {{lines: Array<{x1: number, y1: number, x2: number, y2: number}>, gaps: Array<{x1: number, y1: number, x2: number, y2: number, feet: number}>}}
+   */
+  getGuides(target) {
+    const guides = { lines: [], gaps: [] };
+    const box = Bounds.getItemBounds(target);
+    if (!box) return guides;
+
+    const { xs, ys, rects, walls } = this._getLines(target);
+    const tolerance = 0.5;
+    this._anchors(box.left, box.right).forEach((x) => {
+      xs.filter((line) => Math.abs(line.value - x) < tolerance).forEach((line) => {
+        guides.lines.push({
+          x1: x,
+          y1: Math.min(box.top, line.from),
+          x2: x,
+          y2: Math.max(box.bottom, line.to),
+        });
+      });
+    });
+    this._anchors(box.top, box.bottom).forEach((y) => {
+      ys.filter((line) => Math.abs(line.value - y) < tolerance).forEach((line) => {
+        guides.lines.push({
+          x1: Math.min(box.left, line.from),
+          y1: y,
+          x2: Math.max(box.right, line.to),
+          y2: y,
+        });
+      });
+    });
+
+    // Nearest item or wall face on each side, among those level with the object
+    const range = Helpers.feetToPx(Config.SMART_GUIDES.gapRangeFt);
+    const overlap = (a1, a2, b1, b2) => Math.min(a2, b2) - Math.max(a1, b1) > 0;
+    const faces = [
+      ...rects.flatMap((r) => [
+        { axis: 'x', value: r.left, from: r.top, to: r.bottom },
+        { axis: 'x', value: r.right, from: r.top, to: r.bottom },
+        { axis: 'y', value: r.top, from: r.left, to: r.right },
+        { axis: 'y', value: r.bottom, from: r.left, to: r.right },
+      ]),
+      ...walls,
+    ];
+    const sides = [
+      { axis: 'x', edge: box.left, dir: -1, from: box.top, to: box.bottom },
+      { axis: 'x', edge: box.right, dir: 1, from: box.top, to: box.bottom },
+      { axis: 'y', edge: box.top, dir: -1, from: box.left, to: box.right },
+      { axis: 'y', edge: box.bottom, dir: 1, from: box.left, to: box.right },
+    ];
+    sides.forEach((side) => {
+      /** @type {{face: {value: number, from: number, to: number}, distance: number}|null} */
+      let nearest = null;
+      faces.forEach((face) => {
+        if (face.axis !== side.axis || !overlap(side.from, side.to, face.from, face.to)) return;
+        const distance = (face.value - side.edge) * side.dir;
+        if (
+          distance > tolerance &&
+          distance <= range &&
+          (!nearest || distance < nearest.distance)
+        ) {
+          nearest = { face, distance };
+        }
+      });
+      if (!nearest) return;
+
+      // Measured through the middle of the stretch the two share
+      const middle =
+        (Math.max(side.from, nearest.face.from) + Math.min(side.to, nearest.face.to)) / 2;
+      const feet = nearest.distance / Config.PX_PER_FOOT;
+      if (side.axis === 'x') {
+        guides.gaps.push({ x1: side.edge, y1: middle, x2: nearest.face.value, y2: middle, feet });
+      } else {
+        guides.gaps.push({ x1: middle, y1: side.edge, x2: middle, y2: nearest.face.value, feet });
+      }
+    });
+
+    return guides;
+  }
+
+  /**
+   * Left/top, center and right/bottom of a span
+   * @private
+   */
+  _anchors(start, end) {
+    return [start, (start + end) / 2, end];
+  }
+
+  /**
+   * What a dragged object can line up with: the edges and centers of the other items on
+   * its level (x lines are vertical, y lines horizontal; from/to give their extent), the
+   * floor plan's straight walls and center lines, plus the item boxes and wall faces for
+   * gap measuring
+   * @private
+   */
+  _getLines(target) {
+    const xs = [];
+    const ys = [];
+    const moving = target.type === 'activeSelection' ? target.getObjects() : [target];
+    const onDeck = moving.some((obj) => Bounds.isDeckItem(obj.customData));
+
+    const rects = (this.state.get('items') || [])
+      .map((item) => item?.canvasObject)
+      .filter((obj) => obj?.customData && obj.visible !== false && !moving.includes(obj))
+      .filter(
+        (obj) =>
+          Bounds.isDeckItem(obj.customData) === onDeck || obj.customData.category === 'mezzanine',
+      )
+      .map((obj) => Bounds.getItemBounds(obj))
+      .filter(Boolean);
+    rects.forEach((r) => {
+      this._anchors(r.left, r.right).forEach((value) => {
+        xs.push({ value, from: r.top, to: r.bottom });
+      });
+      this._anchors(r.top, r.bottom).forEach((value) => {
+        ys.push({ value, from: r.left, to: r.right });
+      });
+    });
+
+    const walls = [];
+    const floorPlan = this.state.get('floorPlan');
+    const origin = this.canvasManager.getFloorPlanOrigin();
+    if (floorPlan && origin) {
+      const outline = Geometry.getFloorPlanVertices(floorPlan).map((v) => ({
+        x: origin.x + Helpers.feetToPx(v.x),
+        y: origin.y + Helpers.feetToPx(v.y),
+      }));
+      outline.forEach((a, i) => {
+        const b = outline[(i + 1) % outline.length];
+        if (Math.abs(a.x - b.x) < 0.01) {
+          walls.push({ axis: 'x', value: a.x, from: Math.min(a.y, b.y), to: Math.max(a.y, b.y) });
+        } else if (Math.abs(a.y - b.y) < 0.01) {
+          walls.push({ axis: 'y', value: a.y, from: Math.min(a.x, b.x), to: Math.max(a.x, b.x) });
+        }
+      });
+      walls.forEach((wall) => (wall.axis === 'x' ? xs : ys).push(wall));
+
+      const left = Math.min(...outline.map((p) => p.x));
+      const right = Math.max(...outline.map((p) => p.x));
+      const top = Math.min(...outline.map((p) => p.y));
+      const bottom = Math.max(...outline.map((p) => p.y));
+      xs.push({ value: (left + right) / 2, from: top, to: bottom });
+      ys.push({ value: (top + bottom) / 2, from: left, to: right });
+    }
+
+    return { xs, ys, rects, walls };
+  }
+
+  /**
+   * Guides over the live canvas while dragging (not in exports)
+   * @private
+   */
+  _draw(e) {
+    const ctx = e?.ctx;
+    if (!this.target || !this.canvas || (ctx && ctx !== this.canvas.contextContainer)) return;
+
+    const { lines, gaps } = this.getGuides(this.target);
+    if (!lines.length && !gaps.length) return;
+
+    const context = this.canvas.contextContainer;
+    const vpt = this.canvas.viewportTransform;
+    const zoom = this.canvas.getZoom() || 1;
+    const color = Config.COLORS.alignmentGuide;
+
+    context.save();
+    context.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+    context.strokeStyle = color;
+    context.lineWidth = 1 / zoom;
+
+    context.setLineDash([4 / zoom, 3 / zoom]);
+    lines.forEach((line) => {
+      context.beginPath();
+      context.moveTo(line.x1, line.y1);
+      context.lineTo(line.x2, line.y2);
+      context.stroke();
+    });
+    context.setLineDash([]);
+
+    // Gap: line with end ticks and its length on a pill
+    const tick = 4 / zoom;
+    context.font = `600 ${11 / zoom}px sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    gaps.forEach((gap) => {
+      const vertical = gap.x1 === gap.x2;
+      context.beginPath();
+      context.moveTo(gap.x1, gap.y1);
+      context.lineTo(gap.x2, gap.y2);
+      [
+        [gap.x1, gap.y1],
+        [gap.x2, gap.y2],
+      ].forEach(([x, y]) => {
+        context.moveTo(vertical ? x - tick : x, vertical ? y : y - tick);
+        context.lineTo(vertical ? x + tick : x, vertical ? y : y + tick);
+      });
+      context.stroke();
+
+      const label = Helpers.formatFeetInches(gap.feet);
+      const x = (gap.x1 + gap.x2) / 2;
+      const y = (gap.y1 + gap.y2) / 2;
+      const width = context.measureText(label).width + 8 / zoom;
+      const height = 15 / zoom;
+      context.fillStyle = color;
+      context.fillRect(x - width / 2, y - height / 2, width, height);
+      context.fillStyle = '#ffffff';
+      context.fillText(label, x, y);
+    });
+    context.restore();
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.SmartGuides = SmartGuides;
+}
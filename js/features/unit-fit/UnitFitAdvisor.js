@@ -0,0 +1,162 @@
+/* global Config, Geometry, Bounds, SelectionFilters */
+
+/**
+ * Unit Fit Advisor
+ * Packs the layout's items into every library unit and ranks the units by fit
+ */
+class UnitFitAdvisor {
+  constructor(floorPlanManager, itemManager, autoArrange) {
+    this.floorPlanManager = floorPlanManager;
+    this.itemManager = itemManager;
+    this.autoArrange = autoArrange;
+  }
+
+  /**
+   * Items to fit: everything on the ground floor except mezzanines (they are structures,
+   * not stuff, and what's on their deck needs no floor space) and locked items
+   */
+  getItemsToFit() {
+    return this._getGroundItems().filter(
+      (item) => !SelectionFilters.isLockedObject(item.canvasObject),
+    );
+  }
+
+  /**
+   * Locked ground-floor items. They keep their place against the walls in any unit, so the
+   * items to fit are packed around them.
+   */
+  getLockedItems() {
+    return this._getGroundItems().filter((item) =>
+      SelectionFilters.isLockedObject(item.canvasObject),
+    );
+  }
+
+  /**
+   * Try the items in every unit of Config.FLOOR_PLANS, around the locked items
+   * @param {Array<object>} items - Layout items (lengthFt/widthFt, optional canvasObject scale)
+   * @returns {Promise<Array<{floorPlan: object, result: object, placed: number, total: number, fits: boolean, fitsBlockingDoor: boolean, doorClear: boolean, lockedFit: boolean, occupancy: number, leftoverSqFt: number, largestFreeAreaSqFt: number}>>}
+   *   lockedFit is false when a locked item would be outside the unit; such a unit can't be opened
+   */
+  async rank(items) {
+    // Scaled sizes, for the solver and the occupancy alike
+    const sized = (item) => ({
+      id: item.id,
+      widthFt: item.widthFt * (item.canvasObject?.scaleX || 1),
+      lengthFt: item.lengthFt * (item.canvasObject?.scaleY || 1),
+    });
+    const solverItems = items.map(sized);
+    const locked = this.getLockedItems();
+    const lockedRects = this._getFootprints(locked);
+    const occupiedItems = [...solverItems, ...locked.map(sized)];
+
+    const rankings = [];
+    for (const floorPlan of Config.FLOOR_PLANS) {
+      const vertices = Geometry.getFloorPlanVertices(floorPlan);
+      const lockedFit = lockedRects.every((rect) => Geometry.rectInsidePolygon(rect, vertices));
+      const options = { floorPlan, keepOut: lockedRects };
+
+      const result = lockedFit
+        ? await this.autoArrange.solve(this.autoArrange.buildProblem(solverItems, options))
+        : { placements: [], unplaced: solverItems.map((item) => item.id), largestFreeAreaSqFt: 0 };
+      const fits = lockedFit && result.unplaced.length === 0;
+
+      // When the items don't fit with the doors kept clear, check whether
+      // they would by blocking a door so the ranking can say so
+      let doorClear = fits;
+      let fitsBlockingDoor = false;
+      if (lockedFit && !fits) {
+        const blocking = await this.autoArrange.solve(
+          this.autoArrange.buildProblem(solverItems, { ...options, ignoreDoors: true }),
+        );
+        fitsBlockingDoor = blocking.unplaced.length === 0;
+        doorClear = !fitsBlockingDoor;
+      }
+
+      const area = Geometry.getFloorPlanArea(floorPlan);
+      const occupied = this.floorPlanManager.getOccupiedArea(occupiedItems);
+      rankings.push({
+        floorPlan,
+        result,
+        placed: result.placements.length,
+        total: items.length,
+        fits,
+        fitsBlockingDoor,
+        doorClear,
+        lockedFit,
+        occupancy: this.floorPlanManager.getOccupancyPercentage(floorPlan, occupiedItems),
+        leftoverSqFt: Math.max(0, area - occupied),
+        largestFreeAreaSqFt: result.largestFreeAreaSqFt,
+      });
+    }
+
+    // Units that fit come first, tightest fit (smallest spare room) leading;
+    // the rest by how many items they hold, and units the locked items don't fit last
+    return rankings.sort((a, b) => {
+      if (a.lockedFit !== b.lockedFit) return a.lockedFit ? -1 : 1;
+      if (a.fits !== b.fits) return a.fits ? -1 : 1;
+      if (a.fits) return a.leftoverSqFt - b.leftoverSqFt;
+      if (a.fitsBlockingDoor !== b.fitsBlockingDoor) return a.fitsBlockingDoor ? -1 : 1;
+      return b.placed - a.placed || a.leftoverSqFt - b.leftoverSqFt;
+    });
+  }
+
+  /**
+   * Switch to a ranked unit, carry the locked items along to the same spot against its
+   * walls and place the other items where the solver put them
+   * @returns {boolean}
+   */
+  open(ranking) {
+    if (!ranking.lockedFit) return false;
+
+    const locked = this.getLockedItems();
+    const before = this.autoArrange.canvasManager.getFloorPlanOrigin();
+    if (!this.floorPlanManager.setFloorPlan(ranking.floorPlan.id)) return false;
+    const after = this.autoArrange.canvasManager.getFloorPlanOrigin();
+
+    if (before && after) {
+      locked.forEach((item) => {
+        const obj = item.canvasObject;
+        obj.set({ left: obj.left + after.x - before.x, top: obj.top + after.y - before.y });
+        obj.setCoords();
+        this.itemManager.updateItem(item.id, { x: obj.left, y: obj.top });
+      });
+    }
+    this.autoArrange.applyPlacements(ranking.result.placements);
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _getGroundItems() {
+    return this.itemManager
+      .getAllItems()
+      .filter(
+        (item) => item.canvasObject && item.category !== 'mezzanine' && !Bounds.isDeckItem(item),
+      );
+  }
+
+  /**
+   * Bounding rects of items in feet from the current unit's 0,0 corner
+   * @private
+   */
+  _getFootprints(items) {
+    const origin = this.autoArrange.canvasManager.getFloorPlanOrigin();
+    if (!origin) return [];
+
+    return items
+      .map((item) => Bounds.getItemBounds(item.canvasObject))
+      .filter(Boolean)
+      .map((rect) => ({
+        left: (rect.left - origin.x) / Config.PX_PER_FOOT,
+        top: (rect.top - origin.y) / Config.PX_PER_FOOT,
+        width: rect.width / Config.PX_PER_FOOT,
+        height: rect.height / Config.PX_PER_FOOT,
+      }));
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.UnitFitAdvisor = UnitFitAdvisor;
+}
@@ -1,4 +1,4 @@
-/* global Helpers, Config, Bounds, Modal, MeasurementTool, fabric */
+/* global Helpers, Config, Bounds, Geometry, Modal, MeasurementTool, SmartGuides, fabric */
 
 const SelectionFilters =
   (typeof window !== 'undefined' && window.SelectionFilters) ||
@@ -18,6 +18,10 @@ const SelectionFilters =
         if (!obj) return false;
         return !!(obj.customData && obj.customData.isFloorPlan);
       },
+      isFloorPlanEditorObject(obj) {
+        if (!obj) return false;
+        return !!obj.floorPlanEditor;
+      },
       isLockedObject(obj) {
         if (!obj) return false;
         if (obj.customData && obj.customData.locked) return true;
@@ -31,6 +35,7 @@ const SelectionFilters =
         if (!obj) return false;
         if (this.isFloorPlanObject(obj)) return false;
         if (this.isMeasurementObject(obj)) return false;
+        if (this.isFloorPlanEditorObject(obj)) return false;
         if (this.isLockedObject(obj)) return false;
         if (obj.excludeFromSelection) return false;
         return !!(obj.customData && obj.customData.id);
@@ -59,10 +64,14 @@ class CanvasManager {
     this.entryZoneLabel = null;
     this.floorPlanGroup = null;
     this.floorPlanLocked = false;
+    this.readOnly = false;
     this.floorPlanPosition = this.state.get('layout.floorPlanPosition') || null;
     this.floorPlanBounds = this.state.get('layout.floorPlanBounds') || null;
     this.gridLines = [];
     this.rulerMarks = [];
+    this.collidingObjects = new Set();
+    this._lastValidPosition = null;
+    this._dragStartCollisions = null;
     this.alignmentGuides = [];
     this.emptyStateEl = null;
     this.canvasWrapper = null;
@@ -79,6 +88,7 @@ class CanvasManager {
     // Disabled by default so power users can stage items outside the plan.
     this.enforceFloorBounds = false;
     this.measurementTool = null;
+    this.smartGuides = null;
     this._marqueeSuppressed = false;
     this._previousSelectionEnabled = true;
   }
@@ -158,6 +168,10 @@ class CanvasManager {
       this.measurementTool = new MeasurementTool(this.canvas, this.state, this.eventBus);
     }
 
+    if (typeof SmartGuides !== 'undefined') {
+      this.smartGuides = new SmartGuides(this.state, this);
+    }
+
     return this.canvas;
   }
 
@@ -321,12 +335,39 @@ class CanvasManager {
   isPointInsideFloorPlan(x, y) {
     const bounds = this.floorPlanBounds || this._updateFloorPlanBounds();
     if (!bounds) return false;
-    return (
+    const insideBox =
       x >= bounds.left &&
       x <= bounds.left + bounds.width &&
       y >= bounds.top &&
-      y <= bounds.top + bounds.height
-    );
+      y <= bounds.top + bounds.height;
+    if (!insideBox) return false;
+
+    const polygon = Bounds.getFloorPlanPolygon(this.state.get('floorPlan'), bounds);
+    return polygon ? Geometry.pointInVertices({ x, y }, polygon) : true;
+  }
+
+  /**
+   * Canvas coordinates of the floor plan's 0,0 ft corner
+   */
+  getFloorPlanOrigin() {
+    const bounds = this.floorPlanBounds || this._updateFloorPlanBounds();
+    return Bounds.getFloorPlanOrigin(this.state.get('floorPlan'), bounds);
+  }
+
+  /**
+   * Move the floor plan so its 0,0 ft corner lands on `origin`
+   * (keeps the outline in place when its shape is edited)
+   */
+  setFloorPlanOrigin(origin) {
+    const current = this.getFloorPlanOrigin();
+    if (!current || !origin || !this.floorPlanGroup) return;
+
+    this.floorPlanGroup.set({
+      left: this.floorPlanGroup.left + origin.x - current.x,
+      top: this.floorPlanGroup.top + origin.y - current.y,
+    });
+    this._handleFloorPlanMove();
+    this.canvas.requestRenderAll();
   }
 
   /**
@@ -392,7 +433,10 @@ class CanvasManager {
       this.floorPlanBounds = null;
       return null;
     }
-    this.floorPlanBounds = this.floorPlanGroup.getBoundingRect(true);
+    // Measure the outline itself so ruler labels overhanging the edge don't widen the bounds
+    this.floorPlanBounds = this.floorPlanRect
+      ? this.floorPlanRect.getBoundingRect(true, true)
+      : this.floorPlanGroup.getBoundingRect(true);
     return this.floorPlanBounds;
   }
 
@@ -419,7 +463,9 @@ class CanvasManager {
       const target = opt ? opt.target : null;
       const suppress =
         !!target &&
-        (target === this.floorPlanGroup || SelectionFilters.isMeasurementObject(target));
+        (target === this.floorPlanGroup ||
+          SelectionFilters.isMeasurementObject(target) ||
+          SelectionFilters.isFloorPlanEditorObject(target));
       if (suppress) {
         this._marqueeSuppressed = true;
         this._previousSelectionEnabled = this.canvas.selection;
@@ -428,6 +474,7 @@ class CanvasManager {
     });
 
     this.canvas.on('mouse:up', () => {
+      this.smartGuides?.clear();
       if (this._marqueeSuppressed) {
         this.canvas.selection = this._previousSelectionEnabled !== false;
         this._marqueeSuppressed = false;
@@ -436,6 +483,9 @@ class CanvasManager {
 
     // Object moving
     this.canvas.on('object:moving', (e) => {
+      // Floor plan editor handles manage their own snapping and may leave the outline
+      if (SelectionFilters.isFloorPlanEditorObject(e?.target)) return;
+
       // If snap-to-grid is enabled, snap the moving object to the grid.
       try {
         if (this.state && this.state.get && this.state.get('settings.snapToGrid')) {
@@ -448,13 +498,33 @@ class CanvasManager {
         console.warn('[CanvasManager] Snap-to-grid failed during move:', err);
       }
 
+      // Lining up with neighbors and walls wins over the grid
+      this.smartGuides?.snap(e.target);
+
       this._enforceItemBounds(e.target);
+      if (this.state.get('settings.preventOverlap') === true) {
+        this._preventOverlap(e);
+      }
       this._updateItemFloorPlanState(e.target);
+      this.updateCollisions();
       this.eventBus.emit('canvas:object:moving', e.target);
     });
 
+    // Remember what a dragged item already overlapped so it can still be pulled free
+    this.canvas.on('before:transform', (e) => {
+      const target = e?.transform?.target;
+      this._lastValidPosition = null;
+      this._dragStartCollisions = target ? this._getBlockingItems(target) : null;
+    });
+
+    this.canvas.on('after:render', (e) => {
+      this._drawCollisionHighlights(e?.ctx);
+    });
+
     // Object moved
     this.canvas.on('object:modified', (e) => {
+      if (SelectionFilters.isFloorPlanEditorObject(e?.target)) return;
+
       // Snap item to grid on modification (drop) if setting enabled
       try {
         if (this.state && this.state.get && this.state.get('settings.snapToGrid')) {
@@ -465,9 +535,19 @@ class CanvasManager {
       } catch (err) {
         console.warn('[CanvasManager] Snap-to-grid failed on modify:', err);
       }
+      // Line up on drop after a move only (rotating or resizing must not shift the item),
+      // and not into an item prevent-overlap kept it away from
+      if (this.smartGuides && e?.action === 'drag') {
+        this.smartGuides.snap(e.target);
+        if (this.state.get('settings.preventOverlap') === true) {
+          this._preventOverlap(e);
+        }
+      }
+      this.smartGuides?.clear();
 
       this._enforceItemBounds(e.target);
       this._updateItemFloorPlanState(e.target);
+      this.updateCollisions();
       this.eventBus.emit('canvas:object:modified', e.target);
     });
 
@@ -589,89 +669,41 @@ class CanvasManager {
     this.floorPlanWidth = width;
     this.floorPlanHeight = height;
 
-    // Create floor plan rectangle
-    this.floorPlanRect = new fabric.Rect({
+    // Polygon outlines (L/T units) in px, null for plain rectangles
+    const outline = Geometry.isPolygonFloorPlan(floorPlan)
+      ? floorPlan.vertices.map((v) => ({ x: Helpers.feetToPx(v.x), y: Helpers.feetToPx(v.y) }))
+      : null;
+
+    // Create floor plan outline
+    const outlineOptions = {
       left: 0,
       top: 0,
-      width: width,
-      height: height,
       fill: Config.COLORS.floorPlan,
       stroke: Config.COLORS.floorPlanStroke,
       strokeWidth: 2,
       selectable: false,
       evented: false,
-    });
-
-    // Create entry zone
-    const entryZonePosition = this.state.get('settings.entryZonePosition') || 'bottom';
-    const showEntryBorder = this.state.get('settings.showEntryZoneBorder') !== false;
-    const showEntryLabel = this.state.get('settings.showEntryZoneLabel') !== false;
-
-    let entryLeft, entryTop, entryWidth, entryHeight, labelLeft, labelTop;
-
-    if (entryZonePosition === 'left' || entryZonePosition === 'right') {
-      // Vertical entry zone (left or right side)
-      entryWidth = width * Config.ENTRY_ZONE_PERCENTAGE;
-      entryHeight = height;
-      entryLeft = entryZonePosition === 'left' ? 0 : width - entryWidth;
-      entryTop = 0;
-      labelLeft = entryLeft + entryWidth / 2;
-      labelTop = height / 2;
-    } else {
-      // Horizontal entry zone (top or bottom)
-      entryWidth = width;
-      entryHeight = height * Config.ENTRY_ZONE_PERCENTAGE;
-      entryLeft = 0;
-      entryTop = entryZonePosition === 'top' ? 0 : height - entryHeight;
-      labelLeft = width / 2;
-      labelTop = entryTop + entryHeight / 2;
-    }
-
-    this.entryZoneRect = new fabric.Rect({
-      left: entryLeft,
-      top: entryTop,
-      width: entryWidth,
-      height: entryHeight,
-      fill: Config.COLORS.entryZone,
-      stroke: '#D32F2F',
-      strokeWidth: 2,
-      selectable: false,
-      evented: false,
-      opacity: showEntryBorder ? 1 : 0,
-    });
-
-    // Add entry zone label with rotation for vertical positions
-    const labelAngle = entryZonePosition === 'left' || entryZonePosition === 'right' ? 90 : 0;
-
-    this.entryZoneLabel = new fabric.Text('ENTRY ZONE', {
-      left: labelLeft,
-      top: labelTop,
-      fontSize: 12,
-      fill: '#D32F2F',
-      fontWeight: 'bold',
-      originX: 'center',
-      originY: 'center',
-      angle: labelAngle,
-      selectable: false,
-      evented: false,
-      opacity: showEntryLabel ? 0.8 : 0,
-    });
+    };
+    this.floorPlanRect = outline
+      ? new fabric.Polygon(outline, { ...outlineOptions, strokeLineJoin: 'miter' })
+      : new fabric.Rect({ ...outlineOptions, width: width, height: height });
 
-    const floorPlanElements = [this.floorPlanRect, this.entryZoneRect];
-    if (this.entryZoneLabel) {
-      floorPlanElements.push(this.entryZoneLabel);
-    }
+    // Door openings, windows and their keep-clear (entry) zones
+    const floorPlanElements = [this.floorPlanRect, ...this._createDoorShapes(floorPlan, outline)];
 
     const showGrid = this.state.get('settings.showGrid');
     const showRuler = this.state.get('settings.showRuler');
 
     if (showGrid) {
-      this.gridLines = this._createGridLines(width, height);
+      this.gridLines = this._createGridLines(width, height, outline);
       floorPlanElements.push(...this.gridLines);
     } else {
       this.gridLines = [];
     }
 
+    // Fixed obstacles are part of the (locked) floor plan group
+    floorPlanElements.push(...this._createObstacleShapes(floorPlan));
+
     if (showRuler) {
       this.rulerMarks = this._createRulerMarks(width, height);
       floorPlanElements.push(...this.rulerMarks);
@@ -726,44 +758,428 @@ class CanvasManager {
    * Build grid lines for the floor plan group
    * @private
    */
-  _createGridLines(width, height) {
+  _createGridLines(width, height, outline = null) {
     const lines = [];
     const gridSize = Config.GRID_SIZE;
     const majorLineEvery = gridSize * 5;
 
+    // Polygon outlines only get grid segments that fall inside the walls
+    const spans = (axis, value, length) =>
+      outline ? Geometry.getScanlineIntervals(outline, axis, value) : [[0, length]];
+
     for (let i = 0; i <= width; i += gridSize) {
       const isMajor = i % majorLineEvery === 0;
-      lines.push(
-        new fabric.Line([i, 0, i, height], {
-          stroke: Config.COLORS.grid,
-          strokeWidth: isMajor ? 1.25 : 0.5,
-          opacity: isMajor ? 0.35 : 0.18,
-          selectable: false,
-          evented: false,
-          isGridLine: true,
-          excludeFromSave: true,
-        }),
-      );
+      spans('x', i, height).forEach(([start, end]) => {
+        lines.push(
+          new fabric.Line([i, start, i, end], {
+            stroke: Config.COLORS.grid,
+            strokeWidth: isMajor ? 1.25 : 0.5,
+            opacity: isMajor ? 0.35 : 0.18,
+            selectable: false,
+            evented: false,
+            isGridLine: true,
+            excludeFromSave: true,
+          }),
+        );
+      });
     }
 
     for (let i = 0; i <= height; i += gridSize) {
       const isMajor = i % majorLineEvery === 0;
-      lines.push(
-        new fabric.Line([0, i, width, i], {
-          stroke: Config.COLORS.grid,
-          strokeWidth: isMajor ? 1.25 : 0.5,
-          opacity: isMajor ? 0.35 : 0.18,
-          selectable: false,
-          evented: false,
-          isGridLine: true,
-          excludeFromSave: true,
-        }),
-      );
+      spans('y', i, width).forEach(([start, end]) => {
+        lines.push(
+          new fabric.Line([start, i, end, i], {
+            stroke: Config.COLORS.grid,
+            strokeWidth: isMajor ? 1.25 : 0.5,
+            opacity: isMajor ? 0.35 : 0.18,
+            selectable: false,
+            evented: false,
+            isGridLine: true,
+            excludeFromSave: true,
+          }),
+        );
+      });
     }
 
     return lines;
   }
 
+  /**
+   * Recompute which items overlap each other and refresh their highlight
+   * @returns {Array<[object, object]>} Overlapping item pairs
+   */
+  updateCollisions() {
+    const pairs = Bounds.findCollisions(this._getItemObjects());
+    const colliding = new Set(pairs.flat());
+    const changed =
+      colliding.size !== this.collidingObjects.size ||
+      [...colliding].some((obj) => !this.collidingObjects.has(obj));
+
+    this.collidingObjects = colliding;
+    if (changed) {
+      this.eventBus.emit('canvas:collisions:changed', {
+        count: colliding.size,
+        ids: [...colliding].map((obj) => obj.customData?.id),
+      });
+      this.canvas?.requestRenderAll();
+    }
+    return pairs;
+  }
+
+  /**
+   * Show the ground floor or the mezzanine deck.
+   * Deck items are hidden on the ground floor; ground items are ghosted and
+   * can't be picked while the deck is edited.
+   * @param {string} [level] - Config.LEVELS value, defaults to `ui.activeLevel`
+   */
+  applyLevelView(level = this.state.get('ui.activeLevel')) {
+    if (!this.canvas) return;
+
+    const active = this.canvas.getActiveObject();
+    if (active) {
+      this.canvas.discardActiveObject();
+    }
+    this._getItemObjects().forEach((obj) => this._applyLevelState(obj, level));
+
+    // Deck items draw above the ghosted floor
+    if (level === Config.LEVELS.MEZZANINE) {
+      this._getItemObjects()
+        .filter((obj) => Bounds.isDeckItem(obj.customData))
+        .forEach((obj) => obj.bringToFront());
+    }
+    this.canvas.requestRenderAll();
+  }
+
+  /**
+   * View-only mode (shared layouts): nothing can be selected, moved or marquee-selected
+   * @param {boolean} readOnly
+   */
+  setReadOnly(readOnly) {
+    if (!this.canvas) return;
+    this.readOnly = readOnly;
+    this.canvas.selection = !readOnly;
+    if (readOnly) {
+      this.setFloorPlanLocked(true);
+    }
+    this.applyLevelView();
+  }
+
+  /**
+   * Keep a deck item on a mezzanine deck (no-op for ground items)
+   * @returns {boolean} True when the item was moved
+   */
+  constrainToDeck(obj) {
+    if (!obj || !Bounds.isDeckItem(obj.customData)) return false;
+    const decks = this._getItemObjects().filter((o) => o.customData.category === 'mezzanine');
+    return Bounds.constrainToDeck(obj, decks);
+  }
+
+  /**
+   * Visibility and pickability of an item for the level being shown
+   * @private
+   */
+  _applyLevelState(obj, level = this.state.get('ui.activeLevel')) {
+    if (!obj?.customData) return;
+    const onDeck = level === Config.LEVELS.MEZZANINE;
+    const isDeckItem = Bounds.isDeckItem(obj.customData);
+    const editable = !this.readOnly && (onDeck ? isDeckItem : !isDeckItem);
+    const ghosted = onDeck && !isDeckItem && obj.customData.category !== 'mezzanine';
+
+    obj.set({
+      visible: onDeck || !isDeckItem,
+      opacity: ghosted ? Config.LEVEL_GHOST_OPACITY : 1,
+      selectable: editable,
+      evented: editable,
+      excludeFromSelection: !editable,
+    });
+  }
+
+  /**
+   * Canvas objects of placed items
+   * @private
+   */
+  _getItemObjects() {
+    return (this.state.get('items') || [])
+      .map((item) => item?.canvasObject)
+      .filter((obj) => obj && obj.customData);
+  }
+
+  /**
+   * Items the target (or any item of an active selection) overlaps, excluding itself
+   * @private
+   */
+  _getBlockingItems(target) {
+    const moving = target.type === 'activeSelection' ? target.getObjects() : [target];
+    const blocking = new Set();
+    Bounds.findCollisions(this._getItemObjects()).forEach(([a, b]) => {
+      if (moving.includes(a) && !moving.includes(b)) blocking.add(b);
+      if (moving.includes(b) && !moving.includes(a)) blocking.add(a);
+    });
+    return blocking;
+  }
+
+  /**
+   * "Prevent overlap" mode: keep the dragged item at its last position that
+   * didn't run into another item
+   * @private
+   */
+  _preventOverlap(e) {
+    const target = e?.target;
+    if (!target) return;
+
+    const started = this._dragStartCollisions || new Set();
+    const blocked = [...this._getBlockingItems(target)].some((obj) => !started.has(obj));
+
+    if (!blocked) {
+      this._lastValidPosition = { target, left: target.left, top: target.top };
+      return;
+    }
+
+    const fallback =
+      this._lastValidPosition?.target === target ? this._lastValidPosition : e.transform?.original;
+    if (fallback) {
+      target.set({ left: fallback.left, top: fallback.top });
+      target.setCoords();
+    }
+  }
+
+  /**
+   * Red overlay on overlapping items (live canvas only, not exports)
+   * @private
+   */
+  _drawCollisionHighlights(ctx) {
+    if (!this.canvas || !this.collidingObjects.size) return;
+    if (ctx && ctx !== this.canvas.contextContainer) return;
+
+    const context = this.canvas.contextContainer;
+    const vpt = this.canvas.viewportTransform;
+    const zoom = this.canvas.getZoom() || 1;
+
+    context.save();
+    context.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+    context.fillStyle = Config.COLORS.collision;
+    context.strokeStyle = Config.COLORS.collisionStroke;
+    context.lineWidth = 3 / zoom;
+    this.collidingObjects.forEach((obj) => {
+      const polygon = Bounds.getItemPolygon(obj);
+      if (!polygon) return;
+      context.beginPath();
+      polygon.forEach((p, i) => (i ? context.lineTo(p.x, p.y) : context.moveTo(p.x, p.y)));
+      context.closePath();
+      context.fill();
+      context.stroke();
+    });
+    context.restore();
+  }
+
+  /**
+   * Build entry zones, door openings, swing arcs and windows
+   * @private
+   */
+  _createDoorShapes(floorPlan, outline) {
+    const shapes = [];
+    const entryZonePosition = this.state.get('settings.entryZonePosition') || 'bottom';
+    const showEntryBorder = this.state.get('settings.showEntryZoneBorder') !== false;
+    const showEntryLabel = this.state.get('settings.showEntryZoneLabel') !== false;
+    const origin = { x: 0, y: 0 };
+    const staticProps = { selectable: false, evented: false };
+    const zoneStyle = {
+      ...staticProps,
+      fill: Config.COLORS.entryZone,
+      stroke: Config.COLORS.door,
+      strokeWidth: 2,
+      opacity: showEntryBorder ? 1 : 0,
+    };
+
+    // Rectangular clearance in front of roll-up and man doors
+    Bounds.getDoorZones(floorPlan, entryZonePosition, origin).forEach((zone) => {
+      if (zone.hinge) return;
+      const { rect, door } = zone;
+
+      // On polygon outlines the zone only covers the part inside the walls
+      const clipped = outline ? Geometry.clipPolygonToRect(outline, rect) : null;
+      let shape;
+      if (clipped && clipped.length >= 3) {
+        shape = new fabric.Polygon(clipped, { ...zoneStyle, isEntryZone: true });
+      } else if (clipped) {
+        return;
+      } else {
+        shape = new fabric.Rect({
+          ...zoneStyle,
+          left: rect.left,
+          top: rect.top,
+          width: rect.width,
+          height: rect.height,
+          isEntryZone: true,
+        });
+      }
+      shapes.push(shape);
+      this.entryZoneRect = this.entryZoneRect || shape;
+
+      if (door.type === 'roll-up') {
+        const label = new fabric.Text('ENTRY ZONE', {
+          ...staticProps,
+          left: rect.left + rect.width / 2,
+          top: rect.top + rect.height / 2,
+          fontSize: 12,
+          fill: Config.COLORS.door,
+          fontWeight: 'bold',
+          originX: 'center',
+          originY: 'center',
+          angle: door.wall === 'left' || door.wall === 'right' ? 90 : 0,
+          opacity: showEntryLabel ? 0.8 : 0,
+        });
+        shapes.push(label);
+        this.entryZoneLabel = this.entryZoneLabel || label;
+      }
+    });
+
+    // Openings on the walls, plus swing arcs
+    Bounds.getFloorPlanDoors(floorPlan, entryZonePosition).forEach((door) => {
+      const type = Config.DOOR_TYPES[door.type] || {};
+      const frame = Bounds.getDoorFrame(door, floorPlan, origin);
+      const start = frame.start;
+      const end = {
+        x: start.x + frame.dir.x * frame.length,
+        y: start.y + frame.dir.y * frame.length,
+      };
+
+      if (type.isWindow) {
+        shapes.push(
+          new fabric.Line([start.x, start.y, end.x, end.y], {
+            ...staticProps,
+            stroke: Config.COLORS.window,
+            strokeWidth: 5,
+          }),
+          new fabric.Line([start.x, start.y, end.x, end.y], {
+            ...staticProps,
+            stroke: '#ffffff',
+            strokeWidth: 1.5,
+          }),
+        );
+        return;
+      }
+
+      shapes.push(
+        new fabric.Line([start.x, start.y, end.x, end.y], {
+          ...staticProps,
+          stroke: Config.COLORS.door,
+          strokeWidth: 4,
+        }),
+      );
+
+      if (type.swing) {
+        const sign = door.swing === 'out' ? -1 : 1;
+        const hingeAtEnd = door.hinge === 'end';
+        const hinge = hingeAtEnd ? end : start;
+        const latch = hingeAtEnd ? start : end;
+        const r = frame.length;
+        const open = {
+          x: hinge.x + frame.normal.x * sign * r,
+          y: hinge.y + frame.normal.y * sign * r,
+        };
+        const cross =
+          (latch.x - hinge.x) * (open.y - hinge.y) - (latch.y - hinge.y) * (open.x - hinge.x);
+        const sweep = cross > 0 ? 1 : 0;
+
+        shapes.push(
+          new fabric.Path(
+            `M ${hinge.x} ${hinge.y} L ${latch.x} ${latch.y} A ${r} ${r} 0 0 ${sweep} ${open.x} ${open.y} Z`,
+            {
+              ...zoneStyle,
+              fill: sign > 0 ? Config.COLORS.entryZone : 'transparent',
+              strokeWidth: 1,
+              strokeDashArray: [4, 3],
+              isEntryZone: sign > 0,
+            },
+          ),
+          new fabric.Line([hinge.x, hinge.y, open.x, open.y], {
+            ...staticProps,
+            stroke: Config.COLORS.door,
+            strokeWidth: 2,
+          }),
+        );
+      }
+    });
+
+    return shapes;
+  }
+
+  /**
+   * Build footprint + clearance shapes for floor plan obstacles
+   * @private
+   */
+  _createObstacleShapes(floorPlan) {
+    const shapes = [];
+    const obstacles = Array.isArray(floorPlan?.obstacles) ? floorPlan.obstacles : [];
+    const planHeight = Helpers.feetToPx(floorPlan?.heightFt || 0);
+
+    obstacles.forEach((obstacle) => {
+      const type = Config.OBSTACLE_TYPES[obstacle.type] || {};
+      const zone = Bounds.getObstacleZone(obstacle, { x: 0, y: 0 });
+      const common = {
+        selectable: false,
+        evented: false,
+        isObstacle: true,
+        obstacleId: obstacle.id,
+      };
+
+      if (obstacle.clearanceFt > 0) {
+        shapes.push(
+          new fabric.Rect({
+            ...common,
+            left: zone.left,
+            top: zone.top,
+            width: zone.width,
+            height: zone.height,
+            fill: Config.COLORS.obstacleClearance,
+            stroke: Config.COLORS.obstacleClearanceStroke,
+            strokeWidth: 1,
+            strokeDashArray: [4, 3],
+          }),
+        );
+      }
+
+      const left = Helpers.feetToPx(obstacle.x);
+      const top = Helpers.feetToPx(obstacle.y);
+      const width = Helpers.feetToPx(obstacle.widthFt);
+      const height = Helpers.feetToPx(obstacle.lengthFt);
+      const footprintStyle = {
+        ...common,
+        fill: Config.COLORS.obstacle,
+        stroke: '#1F2937',
+        strokeWidth: 1,
+      };
+
+      shapes.push(
+        obstacle.type === 'drain'
+          ? new fabric.Ellipse({
+              ...footprintStyle,
+              left,
+              top,
+              rx: width / 2,
+              ry: height / 2,
+            })
+          : new fabric.Rect({ ...footprintStyle, left, top, width, height }),
+      );
+
+      shapes.push(
+        new fabric.Text(obstacle.label || type.label || 'Obstacle', {
+          ...common,
+          left: left + width / 2,
+          // Below the clearance zone unless that would fall off the floor
+          top: zone.bottom + 6 > planHeight ? zone.top - 6 : zone.bottom + 6,
+          fontSize: 9,
+          fill: '#1F2937',
+          originX: 'center',
+          originY: 'center',
+        }),
+      );
+    });
+
+    return shapes;
+  }
+
   /**
    * Create ruler ticks and labels
    * @private
@@ -889,6 +1305,7 @@ class CanvasManager {
       }
 
       this._updateItemFloorPlanState(group);
+      this._applyLevelState(group);
       this.canvas.renderAll();
 
       if (Config.USE_IMAGES && itemData.canvasImage) {
@@ -1125,6 +1542,50 @@ class CanvasManager {
     this.canvas.remove(item);
   }
 
+  /**
+   * Replace an item's group with one built from updated item data (size, label, color)
+   * at true scale, keeping its center, rotation, stacking order and selection
+   * @returns {object|null}
+   */
+  rebuildItem(oldGroup, itemData) {
+    try {
+      const center = oldGroup.getCenterPoint();
+      const angle = oldGroup.angle || 0;
+      const index = this.canvas.getObjects().indexOf(oldGroup);
+      const wasActive = this.canvas.getActiveObject() === oldGroup;
+
+      if (wasActive) {
+        this.canvas.discardActiveObject();
+      }
+      this.canvas.remove(oldGroup);
+
+      const group = this.addItem(itemData, center.x, center.y);
+      if (!group) return null;
+
+      // addItem may have snapped to the grid; a resize keeps the item where it was
+      group.set({ left: center.x, top: center.y, angle });
+      group.label?.set({
+        angle: -angle,
+        visible: this.state.get('settings.showItemLabels') !== false,
+      });
+      if (index >= 0) {
+        this.canvas.moveTo(group, index);
+      }
+      group.setCoords();
+      this.constrainToDeck(group);
+      this._updateItemFloorPlanState(group, true);
+      if (wasActive) {
+        this.canvas.setActiveObject(group);
+      }
+      this.updateCollisions();
+      this.canvas.requestRenderAll();
+      return group;
+    } catch (error) {
+      this._handleCanvasError('rebuildItem', error);
+      return null;
+    }
+  }
+
   /**
    * Clear all items (keep floor plan)
    */
@@ -1160,6 +1621,26 @@ class CanvasManager {
     });
   }
 
+  /**
+   * PNG of a canvas region at a fixed resolution, whatever the current zoom and pan
+   * @param {{left: number, top: number, width: number, height: number}} region - Canvas coordinates
+   * @param {number} pixelsPerFoot - Resolution of the image
+   */
+  regionToDataURL(region, pixelsPerFoot) {
+    // Fabric crops in viewport pixels and scales the current zoom by `multiplier`
+    const vpt = this.canvas.viewportTransform;
+    const zoom = vpt[0];
+    return this.canvas.toDataURL({
+      format: 'png',
+      quality: 1,
+      left: region.left * zoom + vpt[4],
+      top: region.top * zoom + vpt[5],
+      width: region.width * zoom,
+      height: region.height * zoom,
+      multiplier: pixelsPerFoot / Config.PX_PER_FOOT / zoom,
+    });
+  }
+
   /**
    * Clear canvas
    */
@@ -1393,6 +1874,7 @@ class CanvasManager {
     if (!floorPlan) return;
     const bounds = this.getFloorPlanBounds();
     Bounds.constrainToBounds(target, floorPlan, bounds);
+    this.constrainToDeck(target);
   }
 
   /**
@@ -1,14 +1,16 @@
-/* global Helpers, Modal */
+/* global Config, Helpers, Modal, Geometry, Items, Validation, Bounds, LayoutSchema, QRCode, Dxf, Xlsx */
 
 /**
  * Export Manager
- * Handles JSON, PNG, and PDF exports and imports
+ * Handles JSON, PNG, SVG, DXF, and PDF exports and imports, and the bill of materials
  */
 class ExportManager {
-  constructor(state, eventBus, canvasManager) {
+  constructor(state, eventBus, canvasManager, shareLink = null, itemManager = null) {
     this.state = state;
     this.eventBus = eventBus;
     this.canvasManager = canvasManager;
+    this.shareLink = shareLink; // Optional: links the PDF back to the layout with a QR code
+    this.itemManager = itemManager; // Optional: items for the bill of materials (state otherwise)
     this.logoMeta = null;
   }
 
@@ -19,7 +21,7 @@ class ExportManager {
     const state = this.state.getState();
 
     const exportData = {
-      version: '1.3.0',
+      schemaVersion: Config.LAYOUT_SCHEMA_VERSION,
       exported: new Date().toISOString(),
       metadata: state.metadata,
       floorPlan: state.floorPlan,
@@ -29,6 +31,8 @@ class ExportManager {
         label: item.label,
         lengthFt: item.lengthFt,
         widthFt: item.widthFt,
+        heightFt: item.heightFt,
+        level: item.level,
         x: item.x,
         y: item.y,
         angle: item.angle,
@@ -36,6 +40,10 @@ class ExportManager {
         category: item.category,
         color: item.color,
       })),
+      // Custom item types the layout uses, so it opens on another device
+      customItems: Items.getCustomItems().filter((custom) =>
+        state.items.some((item) => item.itemId === custom.id),
+      ),
       settings: state.settings,
     };
 
@@ -89,14 +97,718 @@ class ExportManager {
   }
 
   /**
-   * Export as PDF (Print-Ready with 300 DPI)
+   * Export as SVG at true scale (see buildSVG)
+   * @param {object} [options] - See buildSVG()
+   */
+  exportSVG(options = {}) {
+    const svg = this.buildSVG(options);
+    if (!svg) {
+      Modal.showError('Please select a floor plan first');
+      return;
+    }
+
+    const projectName = this.state.get('metadata.projectName') || 'Untitled Layout';
+    const safeProjectName = Helpers.sanitizeFilename(projectName, 'Untitled_Layout');
+    const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    const filename = `${safeProjectName}_${date}_Buford-GA.svg`;
+
+    Helpers.downloadFile(svg, filename, 'image/svg+xml');
+    Modal.showSuccess('SVG exported successfully!');
+    this.eventBus.emit('export:svg:complete', { filename });
+
+    return svg;
+  }
+
+  /**
+   * Vector drawing of the layout. One SVG unit is one real-world inch with the floor plan's
+   * 0,0 ft corner at the origin; the document's width/height are set so it prints at
+   * `scale` (48 = 1/4" per foot). Each part is a top-level group that Inkscape and
+   * Illustrator open as a layer.
+   * @param {object} [options]
+   * @param {boolean} [options.layered=true] A layer per item category instead of one "Items" layer
+   * @param {boolean} [options.grid] Include the 1 ft grid (defaults to the grid setting)
+   * @param {boolean} [options.measurements=true] Include measurement tool dimensions
+   * @param {number} [options.scale=48] Real-world inches per printed inch
+   * @returns {string|null} SVG markup, or null without a floor plan
+   */
+  buildSVG(options = {}) {
+    const floorPlan = this.state.get('floorPlan');
+    if (!floorPlan) return null;
+
+    const {
+      layered = true,
+      grid = this.state.get('settings.showGrid') !== false,
+      measurements = true,
+      scale = 48,
+    } = options;
+
+    // Canvas px -> inches, rounded to 1/100"
+    const toIn = (px) => Math.round((px / Config.PX_PER_FOOT) * 1200) / 100;
+    const pointList = (vertices) => vertices.map((p) => `${toIn(p.x)},${toIn(p.y)}`).join(' ');
+    const esc = (text) => this._escapeXML(text);
+    const paint = (attr, color) => this._svgPaint(attr, color);
+    const text = (label, x, y, size, attrs = '') =>
+      `<text x="${x}" y="${y}" dy="0.35em" font-size="${toIn(size)}" text-anchor="middle" ${attrs}>${esc(label)}</text>`;
+
+    const width = Helpers.feetToPx(floorPlan.widthFt);
+    const height = Helpers.feetToPx(floorPlan.heightFt);
+    const outline = Geometry.isPolygonFloorPlan(floorPlan)
+      ? floorPlan.vertices.map((v) => ({ x: Helpers.feetToPx(v.x), y: Helpers.feetToPx(v.y) }))
+      : null;
+    const entryZonePosition = this.state.get('settings.entryZonePosition') || 'bottom';
+
+    // Drawing extents in canvas px relative to the floor plan corner
+    const extent = { left: 0, top: 0, right: width, bottom: height };
+    const include = (x, y) => {
+      extent.left = Math.min(extent.left, x);
+      extent.top = Math.min(extent.top, y);
+      extent.right = Math.max(extent.right, x);
+      extent.bottom = Math.max(extent.bottom, y);
+    };
+
+    const layers = [];
+    const addLayer = (id, label, content) => {
+      if (!content.length) return;
+      layers.push(
+        `<g id="${id}" inkscape:groupmode="layer" inkscape:label="${esc(label)}">\n${content.join('\n')}\n</g>`,
+      );
+    };
+
+    // Floor plan outline
+    const outlineStyle = `${paint('fill', Config.COLORS.floorPlan)} ${paint('stroke', Config.COLORS.floorPlanStroke)} stroke-width="${toIn(2)}"`;
+    addLayer('floor-plan', 'Floor plan', [
+      outline
+        ? `<polygon points="${pointList(outline)}" ${outlineStyle} stroke-linejoin="miter"/>`
+        : `<rect x="0" y="0" width="${toIn(width)}" height="${toIn(height)}" ${outlineStyle}/>`,
+    ]);
+
+    // Grid, clipped to the walls like on screen
+    if (grid) {
+      const gridLines = [];
+      const gridSize = Config.GRID_SIZE;
+      const spans = (axis, value, length) =>
+        outline ? Geometry.getScanlineIntervals(outline, axis, value) : [[0, length]];
+      const gridLine = (x1, y1, x2, y2, isMajor) =>
+        `<line x1="${toIn(x1)}" y1="${toIn(y1)}" x2="${toIn(x2)}" y2="${toIn(y2)}" ${paint('stroke', Config.COLORS.grid)} stroke-width="${toIn(isMajor ? 1.25 : 0.5)}" stroke-opacity="${isMajor ? 0.35 : 0.18}"/>`;
+      for (let i = 0; i <= width; i += gridSize) {
+        spans('x', i, height).forEach(([start, end]) => {
+          gridLines.push(gridLine(i, start, i, end, i % (gridSize * 5) === 0));
+        });
+      }
+      for (let i = 0; i <= height; i += gridSize) {
+        spans('y', i, width).forEach(([start, end]) => {
+          gridLines.push(gridLine(start, i, end, i, i % (gridSize * 5) === 0));
+        });
+      }
+      addLayer('grid', 'Grid (1 ft)', gridLines);
+    }
+
+    // Doors, windows and the entry zones in front of them
+    const doorShapes = [];
+    const zoneStyle = `${paint('fill', Config.COLORS.entryZone)} ${paint('stroke', Config.COLORS.door)} stroke-width="${toIn(2)}"`;
+    Bounds.getDoorZones(floorPlan, entryZonePosition, { x: 0, y: 0 }).forEach((zone) => {
+      if (zone.hinge) return;
+      const { rect, door } = zone;
+      const clipped = outline ? Geometry.clipPolygonToRect(outline, rect) : null;
+      if (clipped && clipped.length < 3) return;
+      doorShapes.push(
+        clipped
+          ? `<polygon points="${pointList(clipped)}" ${zoneStyle}/>`
+          : `<rect x="${toIn(rect.left)}" y="${toIn(rect.top)}" width="${toIn(rect.width)}" height="${toIn(rect.height)}" ${zoneStyle}/>`,
+      );
+      if (door.type === 'roll-up') {
+        const cx = toIn(rect.left + rect.width / 2);
+        const cy = toIn(rect.top + rect.height / 2);
+        const vertical = door.wall === 'left' || door.wall === 'right';
+        doorShapes.push(
+          text(
+            'ENTRY ZONE',
+            cx,
+            cy,
+            12,
+            `font-weight="bold" ${paint('fill', Config.COLORS.door)}${vertical ? ` transform="rotate(90 ${cx} ${cy})"` : ''}`,
+          ),
+        );
+      }
+    });
+    Bounds.getFloorPlanDoors(floorPlan, entryZonePosition).forEach((door) => {
+      const type = Config.DOOR_TYPES[door.type] || {};
+      const frame = Bounds.getDoorFrame(door, floorPlan, { x: 0, y: 0 });
+      const start = frame.start;
+      const end = {
+        x: start.x + frame.dir.x * frame.length,
+        y: start.y + frame.dir.y * frame.length,
+      };
+      const wallLine = (color, strokeWidth) =>
+        `<line x1="${toIn(start.x)}" y1="${toIn(start.y)}" x2="${toIn(end.x)}" y2="${toIn(end.y)}" ${paint('stroke', color)} stroke-width="${toIn(strokeWidth)}"/>`;
+
+      if (type.isWindow) {
+        doorShapes.push(wallLine(Config.COLORS.window, 5), wallLine('#ffffff', 1.5));
+        return;
+      }
+      doorShapes.push(wallLine(Config.COLORS.door, 4));
+
+      if (type.swing) {
+        const sign = door.swing === 'out' ? -1 : 1;
+        const hingeAtEnd = door.hinge === 'end';
+        const hinge = hingeAtEnd ? end : start;
+        const latch = hingeAtEnd ? start : end;
+        const r = frame.length;
+        const open = {
+          x: hinge.x + frame.normal.x * sign * r,
+          y: hinge.y + frame.normal.y * sign * r,
+        };
+        const cross =
+          (latch.x - hinge.x) * (open.y - hinge.y) - (latch.y - hinge.y) * (open.x - hinge.x);
+        const sweep = cross > 0 ? 1 : 0;
+        doorShapes.push(
+          `<path d="M ${toIn(hinge.x)} ${toIn(hinge.y)} L ${toIn(latch.x)} ${toIn(latch.y)} A ${toIn(r)} ${toIn(r)} 0 0 ${sweep} ${toIn(open.x)} ${toIn(open.y)} Z" ${paint('fill', sign > 0 ? Config.COLORS.entryZone : 'transparent')} ${paint('stroke', Config.COLORS.door)} stroke-width="${toIn(1)}" stroke-dasharray="${toIn(4)} ${toIn(3)}"/>`,
+          `<line x1="${toIn(hinge.x)}" y1="${toIn(hinge.y)}" x2="${toIn(open.x)}" y2="${toIn(open.y)}" ${paint('stroke', Config.COLORS.door)} stroke-width="${toIn(2)}"/>`,
+        );
+      }
+    });
+    addLayer('doors', 'Doors and entry zones', doorShapes);
+
+    // Fixed obstacles with their clearance zones
+    const obstacleShapes = [];
+    (Array.isArray(floorPlan.obstacles) ? floorPlan.obstacles : []).forEach((obstacle) => {
+      const type = Config.OBSTACLE_TYPES[obstacle.type] || {};
+      const zone = Bounds.getObstacleZone(obstacle, { x: 0, y: 0 });
+      if (obstacle.clearanceFt > 0) {
+        obstacleShapes.push(
+          `<rect x="${toIn(zone.left)}" y="${toIn(zone.top)}" width="${toIn(zone.width)}" height="${toIn(zone.height)}" ${paint('fill', Config.COLORS.obstacleClearance)} ${paint('stroke', Config.COLORS.obstacleClearanceStroke)} stroke-width="${toIn(1)}" stroke-dasharray="${toIn(4)} ${toIn(3)}"/>`,
+        );
+      }
+
+      const left = Helpers.feetToPx(obstacle.x);
+      const top = Helpers.feetToPx(obstacle.y);
+      const obstacleWidth = Helpers.feetToPx(obstacle.widthFt);
+      const obstacleHeight = Helpers.feetToPx(obstacle.lengthFt);
+      const footprintStyle = `${paint('fill', Config.COLORS.obstacle)} stroke="#1F2937" stroke-width="${toIn(1)}"`;
+      obstacleShapes.push(
+        obstacle.type === 'drain'
+          ? `<ellipse cx="${toIn(left + obstacleWidth / 2)}" cy="${toIn(top + obstacleHeight / 2)}" rx="${toIn(obstacleWidth / 2)}" ry="${toIn(obstacleHeight / 2)}" ${footprintStyle}/>`
+          : `<rect x="${toIn(left)}" y="${toIn(top)}" width="${toIn(obstacleWidth)}" height="${toIn(obstacleHeight)}" ${footprintStyle}/>`,
+        text(
+          obstacle.label || type.label || 'Obstacle',
+          toIn(left + obstacleWidth / 2),
+          toIn(zone.bottom + 6 > height ? zone.top - 6 : zone.bottom + 6),
+          9,
+          'fill="#1F2937"',
+        ),
+      );
+    });
+    addLayer('obstacles', 'Obstacles', obstacleShapes);
+
+    // Items (positions are canvas coordinates of their centers)
+    const origin = this.canvasManager.getFloorPlanOrigin() || { x: 0, y: 0 };
+    const items = (this.state.get('items') || []).filter(
+      (item) => Number.isFinite(item.x) && Number.isFinite(item.y),
+    );
+    // Deck items are drawn after (over) the ground and the mezzanines they stand on
+    const ordered = [
+      ...items.filter((item) => !Bounds.isDeckItem(item)),
+      ...items.filter((item) => Bounds.isDeckItem(item)),
+    ];
+    const itemLayers = new Map();
+    ordered.forEach((item) => {
+      const x = item.x - origin.x;
+      const y = item.y - origin.y;
+      const itemWidth = Helpers.feetToPx(item.widthFt);
+      const itemHeight = Helpers.feetToPx(item.lengthFt);
+      const radians = ((item.angle || 0) * Math.PI) / 180;
+      const halfX = Math.abs((itemWidth / 2) * Math.cos(radians)) + Math.abs((itemHeight / 2) * Math.sin(radians));
+      const halfY = Math.abs((itemWidth / 2) * Math.sin(radians)) + Math.abs((itemHeight / 2) * Math.cos(radians));
+      include(x - halfX, y - halfY);
+      include(x + halfX, y + halfY);
+
+      const isMezzanine = item.category === 'mezzanine';
+      const shapeStyle = isMezzanine
+        ? `fill="url(#mezzanine-hatch)" stroke="#9CA3AF" stroke-width="${toIn(1.5)}"`
+        : `${paint('fill', item.color || '#2196F3')} ${paint('stroke', item.strokeColor || '#111827')} stroke-width="${toIn(2)}"`;
+      const w = toIn(itemWidth);
+      const h = toIn(itemHeight);
+      let shape;
+      if (item.shapeType === 'circle') {
+        shape = `<circle cx="0" cy="0" r="${Math.min(w, h) / 2}" ${shapeStyle}/>`;
+      } else if (item.shapeType === 'triangle') {
+        shape = `<polygon points="${-w / 2},${h / 2} 0,${-h / 2} ${w / 2},${h / 2}" ${shapeStyle}/>`;
+      } else {
+        const corner = toIn(isMezzanine ? 6 : 4);
+        shape = `<rect x="${-w / 2}" y="${-h / 2}" width="${w}" height="${h}" rx="${corner}" ${shapeStyle}/>`;
+      }
+
+      const cx = toIn(x);
+      const cy = toIn(y);
+      const markup = [
+        `<g id="${esc(item.id || '')}" inkscape:label="${esc(item.label || item.itemId)}">`,
+        `<g transform="translate(${cx} ${cy}) rotate(${Helpers.formatNumber(item.angle || 0, 2)})">${shape}</g>`,
+        // Labels stay upright, as on screen
+        text(
+          item.label || '',
+          cx,
+          cy,
+          11,
+          `font-weight="bold" fill="${isMezzanine ? '#374151' : '#ffffff'}"`,
+        ),
+        '</g>',
+      ].join('');
+
+      const key = layered ? item.category || 'other' : 'items';
+      if (!itemLayers.has(key)) itemLayers.set(key, []);
+      itemLayers.get(key).push(markup);
+    });
+    itemLayers.forEach((content, key) => {
+      const name = layered ? Items.categories[key]?.name || key.charAt(0).toUpperCase() + key.slice(1) : 'Items';
+      addLayer(`items-${key}`, layered ? `Items - ${name}` : name, content);
+    });
+
+    // Measurement tool dimensions
+    if (measurements) {
+      const measurementTool = this.canvasManager.getMeasurementTool();
+      const dimensionShapes = [];
+      (measurementTool?.getMeasurements() || []).forEach(({ start, end, distanceFt }) => {
+        const a = { x: start.x - origin.x, y: start.y - origin.y };
+        const b = { x: end.x - origin.x, y: end.y - origin.y };
+        include(a.x, a.y);
+        include(b.x, b.y);
+        const stroke = paint('stroke', Config.COLORS.dimension);
+        const tick = (p) =>
+          `<line x1="${toIn(p.x)}" y1="${toIn(p.y - 12)}" x2="${toIn(p.x)}" y2="${toIn(p.y + 12)}" ${stroke} stroke-width="${toIn(1)}"/>`;
+        dimensionShapes.push(
+          `<g>`,
+          `<line x1="${toIn(a.x)}" y1="${toIn(a.y)}" x2="${toIn(b.x)}" y2="${toIn(b.y)}" ${stroke} stroke-width="${toIn(2)}" stroke-dasharray="${toIn(6)} ${toIn(4)}" stroke-linecap="round"/>`,
+          tick(a),
+          tick(b),
+          text(
+            `${Helpers.formatNumber(distanceFt, 1)} ft`,
+            toIn((a.x + b.x) / 2),
+            toIn((a.y + b.y) / 2 - 20),
+            14,
+            paint('fill', Config.COLORS.dimension),
+          ),
+          `</g>`,
+        );
+      });
+      addLayer('measurements', 'Measurements', dimensionShapes);
+    }
+
+    // Page: the drawing plus a 1 ft margin, printed at the chosen scale
+    const margin = Config.PX_PER_FOOT;
+    const minX = toIn(extent.left - margin);
+    const minY = toIn(extent.top - margin);
+    const viewWidth = toIn(extent.right - extent.left + margin * 2);
+    const viewHeight = toIn(extent.bottom - extent.top + margin * 2);
+    const paperInches = (value) => Helpers.formatNumber(value / scale, 3);
+    const title = this.state.get('metadata.projectName') || 'Garage Layout Plan';
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${paperInches(viewWidth)}in" height="${paperInches(viewHeight)}in" viewBox="${minX} ${minY} ${viewWidth} ${viewHeight}" font-family="Helvetica, Arial, sans-serif">`,
+      `<title>${esc(title)}</title>`,
+      `<desc>${esc(`${floorPlan.name || 'Floor plan'}. 1 unit = 1 inch; printed at 1:${scale}.`)}</desc>`,
+      '<defs>',
+      `<pattern id="mezzanine-hatch" patternUnits="userSpaceOnUse" width="${toIn(32)}" height="${toIn(32)}">`,
+      `<rect width="${toIn(32)}" height="${toIn(32)}" fill="rgb(236, 239, 244)" fill-opacity="0.85"/>`,
+      `<path d="M 0 ${toIn(32)} L ${toIn(32)} 0 M ${toIn(16)} ${toIn(32)} L ${toIn(32)} ${toIn(16)}" stroke="rgb(148, 163, 184)" stroke-opacity="0.35" stroke-width="${toIn(1.2)}"/>`,
+      '</pattern>',
+      '</defs>',
+      ...layers,
+      '</svg>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * Export as DXF for AutoCAD and other CAD programs (see buildDXF)
+   */
+  exportDXF() {
+    const dxf = this.buildDXF();
+    if (!dxf) {
+      Modal.showError('Please select a floor plan first');
+      return;
+    }
+
+    const projectName = this.state.get('metadata.projectName') || 'Untitled Layout';
+    const safeProjectName = Helpers.sanitizeFilename(projectName, 'Untitled_Layout');
+    const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    const filename = `${safeProjectName}_${date}_Buford-GA.dxf`;
+
+    Helpers.downloadFile(dxf, filename, 'application/dxf');
+    Modal.showSuccess('DXF exported successfully!');
+    this.eventBus.emit('export:dxf:complete', { filename });
+
+    return dxf;
+  }
+
+  /**
+   * CAD drawing of the layout. One drawing unit is one foot with the floor plan's 0,0 ft
+   * corner at the origin; Y points up as CAD programs expect, so the unit's top wall has
+   * the largest Y. Walls, doors and obstacles go on WALLS, item footprints (rotated as
+   * placed) on ITEMS, and entry zones and labels on ANNOTATIONS.
+   * @returns {string|null} DXF text, or null without a floor plan
+   */
+  buildDXF() {
+    const floorPlan = this.state.get('floorPlan');
+    if (!floorPlan) return null;
+
+    // Canvas px relative to the floor plan corner -> DXF feet
+    const toFt = (p) => ({ x: p.x / Config.PX_PER_FOOT, y: -p.y / Config.PX_PER_FOOT });
+    const entities = [];
+    const label = (layer, value, p, height, rotation = 0) => {
+      if (value) entities.push({ type: 'text', layer, value, position: toFt(p), height, rotation });
+    };
+
+    const outline = Geometry.getFloorPlanVertices(floorPlan).map((v) => ({ x: v.x, y: -v.y }));
+    entities.push({ type: 'polyline', layer: 'WALLS', points: outline, closed: true });
+
+    // Entry zones, clipped to the walls like on screen
+    const entryZonePosition = this.state.get('settings.entryZonePosition') || 'bottom';
+    const polygon = Geometry.isPolygonFloorPlan(floorPlan)
+      ? floorPlan.vertices.map((v) => ({ x: Helpers.feetToPx(v.x), y: Helpers.feetToPx(v.y) }))
+      : null;
+    Bounds.getDoorZones(floorPlan, entryZonePosition, { x: 0, y: 0 }).forEach((zone) => {
+      if (zone.hinge) return;
+      const { rect, door } = zone;
+      const corners = [
+        { x: rect.left, y: rect.top },
+        { x: rect.left + rect.width, y: rect.top },
+        { x: rect.left + rect.width, y: rect.top + rect.height },
+        { x: rect.left, y: rect.top + rect.height },
+      ];
+      const points = polygon ? Geometry.clipPolygonToRect(polygon, rect) : corners;
+      if (points.length < 3) return;
+      entities.push({ type: 'polyline', layer: 'ANNOTATIONS', points: points.map(toFt), closed: true });
+      if (door.type === 'roll-up') {
+        const vertical = door.wall === 'left' || door.wall === 'right';
+        label(
+          'ANNOTATIONS',
+          'ENTRY ZONE',
+          { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 },
+          1,
+          vertical ? 90 : 0,
+        );
+      }
+    });
+
+    // Door and window openings, with the swing of hinged doors
+    Bounds.getFloorPlanDoors(floorPlan, entryZonePosition).forEach((door) => {
+      const type = Config.DOOR_TYPES[door.type] || {};
+      const frame = Bounds.getDoorFrame(door, floorPlan, { x: 0, y: 0 });
+      const start = frame.start;
+      const end = {
+        x: start.x + frame.dir.x * frame.length,
+        y: start.y + frame.dir.y * frame.length,
+      };
+      entities.push({ type: 'line', layer: 'WALLS', from: toFt(start), to: toFt(end) });
+      if (type.isWindow || !type.swing) return;
+
+      const sign = door.swing === 'out' ? -1 : 1;
+      const hinge = door.hinge === 'end' ? end : start;
+      const latch = door.hinge === 'end' ? start : end;
+      const open = {
+        x: hinge.x + frame.normal.x * sign * frame.length,
+        y: hinge.y + frame.normal.y * sign * frame.length,
+      };
+      entities.push({ type: 'line', layer: 'WALLS', from: toFt(hinge), to: toFt(open) });
+
+      // DXF arcs run counter-clockwise from startAngle to endAngle
+      const center = toFt(hinge);
+      const angleTo = (p) => {
+        const q = toFt(p);
+        return (Math.atan2(q.y - center.y, q.x - center.x) * 180) / Math.PI;
+      };
+      const latchAngle = angleTo(latch);
+      const openAngle = angleTo(open);
+      const counterClockwise = (openAngle - latchAngle + 360) % 360 <= 180;
+      entities.push({
+        type: 'arc',
+        layer: 'WALLS',
+        center,
+        radius: frame.length / Config.PX_PER_FOOT,
+        startAngle: counterClockwise ? latchAngle : openAngle,
+        endAngle: counterClockwise ? openAngle : latchAngle,
+      });
+    });
+
+    // Fixed obstacles
+    (Array.isArray(floorPlan.obstacles) ? floorPlan.obstacles : []).forEach((obstacle) => {
+      const obstacleType = Config.OBSTACLE_TYPES[obstacle.type] || {};
+      const left = Helpers.feetToPx(obstacle.x);
+      const top = Helpers.feetToPx(obstacle.y);
+      const obstacleWidth = Helpers.feetToPx(obstacle.widthFt);
+      const obstacleHeight = Helpers.feetToPx(obstacle.lengthFt);
+      const center = { x: left + obstacleWidth / 2, y: top + obstacleHeight / 2 };
+      if (obstacle.type === 'drain') {
+        entities.push({
+          type: 'circle',
+          layer: 'WALLS',
+          center: toFt(center),
+          radius: Math.min(obstacle.widthFt, obstacle.lengthFt) / 2,
+        });
+      } else {
+        entities.push({
+          type: 'polyline',
+          layer: 'WALLS',
+          closed: true,
+          points: [
+            { x: left, y: top },
+            { x: left + obstacleWidth, y: top },
+            { x: left + obstacleWidth, y: top + obstacleHeight },
+            { x: left, y: top + obstacleHeight },
+          ].map(toFt),
+        });
+      }
+      label('ANNOTATIONS', obstacle.label || obstacleType.label || 'Obstacle', center, 0.5);
+    });
+
+    // Item footprints (positions are canvas coordinates of their centers)
+    const origin = this.canvasManager.getFloorPlanOrigin() || { x: 0, y: 0 };
+    (this.state.get('items') || []).forEach((item) => {
+      if (!Number.isFinite(item.x) || !Number.isFinite(item.y)) return;
+      const center = { x: item.x - origin.x, y: item.y - origin.y };
+      const halfWidth = Helpers.feetToPx(item.widthFt) / 2;
+      const halfHeight = Helpers.feetToPx(item.lengthFt) / 2;
+
+      if (item.shapeType === 'circle') {
+        entities.push({
+          type: 'circle',
+          layer: 'ITEMS',
+          center: toFt(center),
+          radius: Math.min(item.widthFt, item.lengthFt) / 2,
+        });
+      } else {
+        const radians = ((item.angle || 0) * Math.PI) / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const corners =
+          item.shapeType === 'triangle'
+            ? [
+                { x: -halfWidth, y: halfHeight },
+                { x: 0, y: -halfHeight },
+                { x: halfWidth, y: halfHeight },
+              ]
+            : [
+                { x: -halfWidth, y: -halfHeight },
+                { x: halfWidth, y: -halfHeight },
+                { x: halfWidth, y: halfHeight },
+                { x: -halfWidth, y: halfHeight },
+              ];
+        entities.push({
+          type: 'polyline',
+          layer: 'ITEMS',
+          closed: true,
+          points: corners.map((corner) =>
+            toFt({
+              x: center.x + corner.x * cos - corner.y * sin,
+              y: center.y + corner.x * sin + corner.y * cos,
+            }),
+          ),
+        });
+      }
+      // Labels stay upright, as on screen
+      label('ANNOTATIONS', item.label, center, 0.5);
+    });
+
+    return Dxf.write({
+      layers: [
+        { name: 'WALLS', color: 7 },
+        { name: 'ITEMS', color: 5 },
+        { name: 'ANNOTATIONS', color: 1 },
+      ],
+      entities,
+      units: 2, // feet
+    });
+  }
+
+  /**
+   * Export the bill of materials (see buildBOM) as CSV, or as an Excel workbook with the
+   * items on one sheet and the subtotals and totals on another
+   * @param {string} [format='csv'] - 'csv' or 'xlsx'
+   */
+  exportBOM(format = 'csv') {
+    const bom = this.buildBOM();
+    if (!bom) {
+      Modal.showError('Please select a floor plan first');
+      return;
+    }
+
+    const projectName = this.state.get('metadata.projectName') || 'Untitled Layout';
+    const safeProjectName = Helpers.sanitizeFilename(projectName, 'Untitled_Layout');
+    const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    const basename = `${safeProjectName}_${date}_Buford-GA_Bill-of-Materials`;
+
+    let filename;
+    if (format === 'xlsx') {
+      filename = `${basename}.xlsx`;
+      Helpers.downloadFile(this.buildBOMWorkbook(bom), filename, Xlsx.MIME_TYPE);
+    } else {
+      filename = `${basename}.csv`;
+      Helpers.downloadFile(this.buildBOMCSV(bom), filename, 'text/csv;charset=utf-8');
+    }
+    Modal.showSuccess('Bill of materials exported successfully!');
+    this.eventBus.emit('export:bom:complete', {
+      filename,
+      format: format === 'xlsx' ? 'xlsx' : 'csv',
+      items: bom.items.length,
+    });
+
+    return bom;
+  }
+
+  /**
+   * Bill of materials: a row per placed item, subtotals per category, and the totals.
+   * Positions are item centers in feet from the floor plan's top-left (0,0 ft) corner, as
+   * in the PDF item schedule; rotation is in degrees clockwise, 0-359.
+   * @returns {{columns: string[], items: Array<Array<string|number>>, categoryColumns: string[], categories: Array<Array<string|number>>, totals: Array<Array<string|number>>}|null}
+   *   Null without a floor plan
+   */
+  buildBOM() {
+    const floorPlan = this.state.get('floorPlan');
+    if (!floorPlan) return null;
+
+    const items = this.itemManager ? this.itemManager.getAllItems() : this.state.get('items') || [];
+    const origin = this.canvasManager.getFloorPlanOrigin();
+    const round = (value) => Math.round((value || 0) * 100) / 100;
+    const area = (item) => (item.widthFt || 0) * (item.lengthFt || 0);
+    const floorArea = Geometry.getFloorPlanArea(floorPlan);
+    const share = (value) => round(floorArea > 0 ? (value / floorArea) * 100 : 0);
+
+    const byCategory = new Map();
+    items.forEach((item) => {
+      const key = item.category || 'other';
+      const entry = byCategory.get(key) || { count: 0, area: 0 };
+      entry.count++;
+      entry.area += area(item);
+      byCategory.set(key, entry);
+    });
+    const totalArea = items.reduce((sum, item) => sum + area(item), 0);
+    const groundArea = items
+      .filter((item) => !Bounds.isDeckItem(item))
+      .reduce((sum, item) => sum + area(item), 0);
+    const deckOccupancy = this.calculateDeckOccupancy();
+
+    const totals = [
+      ['Items', items.length],
+      ['Total footprint (sq ft)', round(totalArea)],
+      ['Ground footprint (sq ft)', round(groundArea)],
+      ['Floor area (sq ft)', round(floorArea)],
+      ['Ground occupancy (%)', round(this.calculateOccupancy())],
+    ];
+    if (deckOccupancy !== null) {
+      totals.push(['Mezzanine deck occupancy (%)', round(deckOccupancy)]);
+    }
+
+    return {
+      columns: [
+        '#',
+        'Catalog ID',
+        'Label',
+        'Category',
+        'Width (ft)',
+        'Length (ft)',
+        'Height (ft)',
+        'Footprint (sq ft)',
+        'X (ft)',
+        'Y (ft)',
+        'Rotation (deg)',
+        'Locked',
+        'Level',
+      ],
+      items: items.map((item, index) => [
+        index + 1,
+        item.itemId || '',
+        item.label || '',
+        this._categoryName(item.category),
+        round(item.widthFt),
+        round(item.lengthFt),
+        item.heightFt > 0 ? round(item.heightFt) : '',
+        round(area(item)),
+        round((item.x - origin.x) / Config.PX_PER_FOOT),
+        round((item.y - origin.y) / Config.PX_PER_FOOT),
+        round((((item.angle || 0) % 360) + 360) % 360),
+        item.locked ? 'Yes' : 'No',
+        Bounds.isDeckItem(item) ? 'Mezzanine' : 'Ground',
+      ]),
+      categoryColumns: ['Category', 'Items', 'Footprint (sq ft)', 'Share of floor area (%)'],
+      categories: [
+        ...[...byCategory.entries()].map(([category, entry]) => [
+          this._categoryName(category),
+          entry.count,
+          round(entry.area),
+          share(entry.area),
+        ]),
+        ['Total', items.length, round(totalArea), share(totalArea)],
+      ],
+      totals,
+    };
+  }
+
+  /**
+   * Bill of materials as CSV (RFC 4180): the item table, then the category subtotals and
+   * the totals, each after a blank line
+   * @param {ReturnType<ExportManager['buildBOM']>} [bom]
+   * @returns {string|null}
+   */
+  buildBOMCSV(bom = this.buildBOM()) {
+    if (!bom) return null;
+
+    const rows = [
+      bom.columns,
+      ...bom.items,
+      [],
+      bom.categoryColumns,
+      ...bom.categories,
+      [],
+      ['Totals', 'Value'],
+      ...bom.totals,
+    ];
+    const lines = rows.map((row) => row.map((cell) => this._csvCell(cell)).join(','));
+    // Byte order mark so Excel reads the file as UTF-8
+    return `\ufeff${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Bill of materials as an Excel workbook: "Items" and "Summary" sheets
+   * @param {ReturnType<ExportManager['buildBOM']>} [bom]
+   * @returns {Uint8Array|null}
+   */
+  buildBOMWorkbook(bom = this.buildBOM()) {
+    if (!bom) return null;
+
+    const totalsStart = bom.categories.length + 2;
+    return Xlsx.write([
+      {
+        name: 'Items',
+        rows: [bom.columns, ...bom.items],
+        columnWidths: [5, 22, 28, 18, 10, 10, 10, 16, 9, 9, 14, 8, 11],
+        boldRows: [0],
+        freezeHeader: true,
+      },
+      {
+        name: 'Summary',
+        rows: [bom.categoryColumns, ...bom.categories, [], ['Totals', 'Value'], ...bom.totals],
+        columnWidths: [30, 10, 18, 24],
+        boldRows: [0, bom.categories.length, totalsStart],
+      },
+    ]);
+  }
+
+  /**
+   * Export as PDF report
    *
-   * Generates a professional, print-ready PDF with 300 DPI resolution.
-   * Supports ALL jsPDF format/orientation options for backward compatibility.
+   * The plan sheet prints the layout at a stated architectural scale (Config.PDF_SCALES)
+   * with its overall dimensions, a scale bar, an arrow to the main door and a legend.
+   * A drawing larger than the sheet at that scale is tiled across pages (sheets A1, A2,
+   * B1, ...) that overlap by a strip carrying alignment marks. The pages after the plan
+   * hold the item schedule, the occupancy summary and the layout checks.
    *
-   * @param {Object} options - jsPDF options (passed through)
-   * @param {string|array} options.format - Any jsPDF format ('letter', 'a4', [width,height], etc.)
-   * @param {string} options.orientation - Any jsPDF orientation ('landscape', 'portrait', 'l', 'p')
+   * @param {Object} [options] - jsPDF options (passed through) plus the report options below
+   * @param {string|array} [options.format] - Any jsPDF format ('letter', 'a4', [width,height], etc.)
+   * @param {string} [options.orientation] - Any jsPDF orientation ('landscape', 'portrait', 'l', 'p')
+   * @param {number|string} [options.scale='fit'] - Real inches per printed inch (48 = 1/4" = 1'-0"),
+   *   or 'fit' for the largest scale in Config.PDF_SCALES that fits one sheet
+   * @param {string[]} [options.warnings] - Layout warnings for the report (section left out when omitted)
    */
   async exportPDF(options = {}) {
     // Check if jsPDF is loaded
@@ -106,41 +818,37 @@ class ExportManager {
       return;
     }
 
+    const floorPlan = this.state.get('floorPlan');
+    if (!floorPlan) {
+      Modal.showError('Please select a floor plan first');
+      return;
+    }
+
     const { jsPDF } = window.jspdf || window;
-    console.log('Generating print-ready PDF...');
+    console.log('Generating PDF report...');
 
     // Deselect all objects for clean export
     this.canvasManager.canvas.discardActiveObject();
     this.canvasManager.canvas.renderAll();
 
-    // Validate canvas is ready
-    const canvasWidth = this.canvasManager.canvas.width;
-    const canvasHeight = this.canvasManager.canvas.height;
-
-    if (!canvasWidth || !canvasHeight || canvasWidth <= 0 || canvasHeight <= 0) {
-      console.error('Invalid canvas dimensions:', canvasWidth, canvasHeight);
-      Modal.showError('Canvas not ready. Please select a floor plan first.');
-      return;
-    }
+    const { scale = 'fit', warnings, ...jsPDFOptions } = options;
+    const origin = this.canvasManager.getFloorPlanOrigin() || { x: 0, y: 0 };
+    const extents = this._getDrawingExtents(floorPlan, origin);
+    const extentsWidth = extents.right - extents.left;
+    const extentsHeight = extents.bottom - extents.top;
 
     // Smart defaults when options not provided
-    const pdfOptions = { ...options, unit: 'mm', compress: true };
+    const pdfOptions = { ...jsPDFOptions, unit: 'mm', compress: true };
 
     if (!pdfOptions.format) {
       // Auto-select format based on floor plan physical size
-      const floorPlan = this.state.get('floorPlan');
-      if (floorPlan && floorPlan.widthFt && floorPlan.heightFt) {
-        const maxDim = Math.max(floorPlan.widthFt, floorPlan.heightFt);
-        pdfOptions.format = maxDim >= 40 ? 'tabloid' : maxDim >= 30 ? 'legal' : 'letter';
-      } else {
-        pdfOptions.format = 'letter';
-      }
+      const maxDim = Math.max(floorPlan.widthFt || 0, floorPlan.heightFt || 0);
+      pdfOptions.format = maxDim >= 40 ? 'tabloid' : maxDim >= 30 ? 'legal' : 'letter';
     }
 
     if (!pdfOptions.orientation) {
-      // Auto-detect orientation from canvas aspect ratio
-      const aspectRatio = canvasWidth / canvasHeight;
-      pdfOptions.orientation = aspectRatio > 1 ? 'landscape' : 'portrait';
+      // Auto-detect orientation from the drawing's aspect ratio
+      pdfOptions.orientation = extentsWidth > extentsHeight ? 'landscape' : 'portrait';
     }
 
     // Create PDF (passes through ALL jsPDF options)
@@ -151,141 +859,174 @@ class ExportManager {
     const pageHeight = pdf.internal.pageSize.getHeight();
 
     // Layout: margins and reserved areas
-    const margin = 12.7; // 0.5 inch = 12.7mm
+    const margin = Config.PDF_MARGINS * 25.4;
     const headerHeight = 40; // Reserved for branding + project details
-    const footerHeight = 10;
-    const contentWidth = pageWidth - margin * 2;
-    const contentHeight = pageHeight - margin * 2 - headerHeight - footerHeight;
+    const footerHeight = 30; // Scale bar, door arrow, legend and contact details
+    const planArea = {
+      x: margin,
+      y: margin + headerHeight,
+      width: pageWidth - margin * 2,
+      height: pageHeight - margin * 2 - headerHeight - footerHeight,
+    };
 
-    // Validate content area
-    if (contentWidth <= 0 || contentHeight <= 0) {
+    // Tiles need room for more than their overlap strips
+    if (planArea.width < 50 || planArea.height < 50) {
       console.error('Content area too small');
       Modal.showError('Paper size too small for this layout.');
       return;
     }
 
-    // Calculate scale to fit canvas
-    const scale = Math.min(contentWidth / canvasWidth, contentHeight / canvasHeight);
-
-    if (scale <= 0 || !isFinite(scale)) {
-      console.error('Invalid scale:', scale);
-      Modal.showError('Cannot fit layout on page.');
-      return;
-    }
-
-    const imgWidth = canvasWidth * scale;
-    const imgHeight = canvasHeight * scale;
-    const imgX = margin + (contentWidth - imgWidth) / 2;
-    const imgY = margin + headerHeight + (contentHeight - imgHeight) / 2;
-
-    // Export canvas at 3x for 300 DPI
-    const imgData = this.canvasManager.toDataURL({
-      format: 'png',
-      quality: 1,
-      multiplier: 3,
-    });
-
-    if (!imgData || imgData.length < 100) {
-      console.error('Failed to generate canvas image');
-      Modal.showError('Failed to generate PDF');
-      return;
-    }
+    // Paper mm per canvas px at the sheet scale; the drawing keeps room for dimension lines
+    const padding = 14;
+    const sheetScale = this._choosePDFScale(scale, extentsWidth, extentsHeight, planArea, padding);
+    const mmPerPx = 304.8 / sheetScale.ratio / Config.PX_PER_FOOT;
+    const drawingWidth = extentsWidth * mmPerPx + padding * 2;
+    const drawingHeight = extentsHeight * mmPerPx + padding * 2;
+    const drawingOrigin = {
+      x: extents.left - padding / mmPerPx,
+      y: extents.top - padding / mmPerPx,
+    };
 
-    // === HEADER AREA ===
+    // Sheets overlap by a strip that is printed on both
+    const overlap = 12;
+    const sheetCount = (size, available) =>
+      size <= available ? 1 : Math.ceil((size - overlap) / (available - overlap));
+    const columns = sheetCount(drawingWidth, planArea.width);
+    const rows = sheetCount(drawingHeight, planArea.height);
+    const step = { x: planArea.width - overlap, y: planArea.height - overlap };
+    const sheetName = (row, column) => `${String.fromCharCode(65 + row)}${column + 1}`;
+    const tiled = columns > 1 || rows > 1;
+
+    // 200 DPI, lowered for huge sheets so each image stays within 4000 px
+    const mmPerFoot = mmPerPx * Config.PX_PER_FOOT;
+    const sheetFeet = Math.max(planArea.width, planArea.height) / mmPerFoot;
+    const pixelsPerFoot = Math.min((200 / 25.4) * mmPerFoot, 4000 / sheetFeet);
+
+    // === HEADER CONTENT ===
     const title = this.state.get('metadata.projectName') || 'Garage Layout Plan';
-    let logoBlockHeight = 0;
+    let logoMeta = null;
     try {
-      const logoMeta = await this.getLogoMeta();
-      if (logoMeta?.dataUrl) {
-        const maxLogoWidth = 50;
-        const aspect = logoMeta.width && logoMeta.height ? logoMeta.height / logoMeta.width : 0.3;
-        const logoWidth = maxLogoWidth;
-        const logoHeight = Math.max(10, logoWidth * aspect);
-        pdf.addImage(logoMeta.dataUrl, 'PNG', margin, margin, logoWidth, logoHeight, undefined, 'FAST');
-        logoBlockHeight = logoHeight;
-      }
+      logoMeta = await this.getLogoMeta();
     } catch (logoError) {
       console.warn('Unable to load logo for PDF header', logoError);
     }
 
-    const headerTextX = pageWidth - margin;
-    const titleBaseline = margin + Math.max(logoBlockHeight, 10);
-    const dateBaseline = titleBaseline + 6;
-
-    pdf.setFontSize(16);
-    pdf.setFont(undefined, 'bold');
-    pdf.setTextColor(40);
-    pdf.text(title, headerTextX, titleBaseline, { align: 'right' });
-
-    pdf.setFontSize(9);
-    pdf.setFont(undefined, 'normal');
-    pdf.setTextColor(100);
-    pdf.text(`Date: ${new Date().toLocaleDateString()}`, headerTextX, dateBaseline, { align: 'right' });
+    // QR code in the top-right corner that reopens this layout in the planner
+    const shareUrl = this.shareLink?.createUrl();
+    const qr = shareUrl && typeof QRCode !== 'undefined' ? QRCode.encode(shareUrl) : null;
+    if (shareUrl && !qr) {
+      console.warn('Layout is too large for a QR code; PDF exported without one');
+    }
 
-    // === CANVAS IMAGE ===
-    pdf.addImage(imgData, 'PNG', imgX, imgY, imgWidth, imgHeight, undefined, 'FAST');
+    // === PLAN SHEETS ===
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const isFirst = row === 0 && column === 0;
+        if (!isFirst) pdf.addPage();
+
+        const headerLines = [
+          `Date: ${new Date().toLocaleDateString()}`,
+          `Scale: ${sheetScale.label}`,
+        ];
+        if (tiled) {
+          headerLines.push(`Sheet ${sheetName(row, column)} of ${rows * columns} (${rows} × ${columns})`);
+        }
+        this._drawPDFHeader(pdf, {
+          title,
+          lines: headerLines,
+          logoMeta,
+          qr: isFirst ? qr : null,
+          margin,
+          headerHeight,
+        });
+
+        // The part of the drawing on this sheet, in paper mm from the drawing's corner
+        const view = {
+          x: column * step.x,
+          y: row * step.y,
+          width: Math.min(planArea.width, drawingWidth - column * step.x),
+          height: Math.min(planArea.height, drawingHeight - row * step.y),
+        };
+        const pageLeft = planArea.x + (columns === 1 ? (planArea.width - drawingWidth) / 2 : 0);
+        const pageTop = planArea.y + (rows === 1 ? (planArea.height - drawingHeight) / 2 : 0);
+
+        const imgData = this.canvasManager.regionToDataURL(
+          {
+            left: drawingOrigin.x + view.x / mmPerPx,
+            top: drawingOrigin.y + view.y / mmPerPx,
+            width: view.width / mmPerPx,
+            height: view.height / mmPerPx,
+          },
+          pixelsPerFoot,
+        );
+
+        if (!imgData || imgData.length < 100) {
+          console.error('Failed to generate canvas image');
+          Modal.showError('Failed to generate PDF');
+          return;
+        }
 
-    // === FOOTER AREA ===
-    const footerY = pageHeight - margin - 5;
-    pdf.setFontSize(8);
-    pdf.setTextColor(120);
+        pdf.addImage(imgData, 'PNG', pageLeft, pageTop, view.width, view.height, undefined, 'FAST');
+
+        // Canvas coordinates -> position on this sheet
+        const toPage = (p) => ({
+          x: pageLeft + (p.x - drawingOrigin.x) * mmPerPx - view.x,
+          y: pageTop + (p.y - drawingOrigin.y) * mmPerPx - view.y,
+        });
+        pdf.saveGraphicsState();
+        pdf.rect(pageLeft, pageTop, view.width, view.height, null);
+        pdf.clip();
+        pdf.discardPath();
+        this._drawPDFDimensions(pdf, floorPlan, origin, toPage);
+        pdf.restoreGraphicsState();
+
+        // Overlap strips shared with the neighbouring sheets
+        const neighbours = [];
+        if (tiled) {
+          const strips = [];
+          if (column > 0) strips.push({ axis: 'x', at: column * step.x });
+          if (column < columns - 1) {
+            strips.push({ axis: 'x', at: (column + 1) * step.x });
+            neighbours.push(`right ${sheetName(row, column + 1)}`);
+          }
+          if (row > 0) strips.push({ axis: 'y', at: row * step.y });
+          if (row < rows - 1) {
+            strips.push({ axis: 'y', at: (row + 1) * step.y });
+            neighbours.push(`below ${sheetName(row + 1, column)}`);
+          }
+          if (column > 0) neighbours.unshift(`left ${sheetName(row, column - 1)}`);
+          if (row > 0) neighbours.unshift(`above ${sheetName(row - 1, column)}`);
+          this._drawPDFAlignmentMarks(pdf, strips, overlap, { x: pageLeft, y: pageTop }, view);
+        }
 
-    const currentFloorPlan = this.state.get('floorPlan');
-    const items = this.state.get('items') || [];
-    const itemCount = items.length;
-    const itemNames = items.map((item) => item.label || item.itemId).filter(Boolean);
-    const occupancy = currentFloorPlan ? this.calculateOccupancy().toFixed(1) : null;
-
-    const planLines = [];
-    if (currentFloorPlan) {
-      const planName =
-        currentFloorPlan.name || currentFloorPlan.label || `${currentFloorPlan.widthFt}' × ${currentFloorPlan.heightFt}'`;
-      planLines.push(`Floor Plan: ${planName}`);
-
-      const sizeParts = [];
-      if (currentFloorPlan.widthFt && currentFloorPlan.heightFt) {
-        sizeParts.push(`Dimensions: ${currentFloorPlan.widthFt}' × ${currentFloorPlan.heightFt}'`);
-      }
-      if (currentFloorPlan.area) {
-        sizeParts.push(`Area: ${currentFloorPlan.area} sq ft`);
-      }
-      if (occupancy) {
-        sizeParts.push(`Occupied: ${occupancy}%`);
-      }
-      if (sizeParts.length) {
-        planLines.push(sizeParts.join(' | '));
-      }
-      if (currentFloorPlan.description) {
-        planLines.push(`Details: ${currentFloorPlan.description}`);
+        this._drawPDFPlanFooter(pdf, {
+          floorPlan,
+          sheetScale,
+          mmPerFoot,
+          sheetNote: tiled
+            ? `Sheet ${sheetName(row, column)}: ${neighbours.join(', ')}. Overlap the dashed strips and match the marks.`
+            : '',
+          showContact: isFirst,
+          margin,
+          footerHeight,
+        });
       }
     }
 
-    planLines.push(`Items Selected: ${itemCount}`);
-    if (itemNames.length) {
-      const namesWrapped = pdf.splitTextToSize(`Items: ${itemNames.join(', ')}`, contentWidth / 2);
-      planLines.push(...namesWrapped);
-    }
+    // === REPORT PAGES ===
+    this._drawPDFReport(pdf, { title, floorPlan, origin, warnings, margin });
 
-    let leftY = footerY - (planLines.length - 1) * 4;
-    planLines.forEach((line) => {
-      pdf.text(line, margin, leftY);
-      leftY += 4;
-    });
-
-    const contactLines = [
-      'Storage Caves',
-      'Location: Buford, GA',
-      '6034 Lanier Islands Parkway, Buford, Georgia',
-      'Corporate Office: 721 S. Parker St., Suite 190, Orange, CA 92868',
-      'Email: info@storagecaves.com',
-      'Web: www.storagecaves.com',
-      'Phone: 1-844-992-2837',
-    ];
-    let contactY = footerY - (contactLines.length - 1) * 4;
-    contactLines.forEach((line) => {
-      pdf.text(line, pageWidth - margin, contactY, { align: 'right' });
-      contactY += 4;
-    });
+    // Page numbers
+    const pageCount = pdf.getNumberOfPages();
+    pdf.setFontSize(7);
+    pdf.setFont(undefined, 'normal');
+    pdf.setTextColor(120);
+    for (let page = 1; page <= pageCount; page++) {
+      pdf.setPage(page);
+      pdf.text(`Page ${page} of ${pageCount}`, pageWidth / 2, pageHeight - margin / 2, {
+        align: 'center',
+      });
+    }
 
     // PDF metadata
     pdf.setProperties({
@@ -304,17 +1045,653 @@ class ExportManager {
     const filename = `${safeProjectName}_${date}_Buford-GA.pdf`;
     pdf.save(filename);
 
-    console.log(`PDF exported: ${pdfOptions.format}, ${pdfOptions.orientation}, 300 DPI`);
+    console.log(
+      `PDF exported: ${pdfOptions.format}, ${pdfOptions.orientation}, ${sheetScale.label}, ${pageCount} pages`,
+    );
     Modal.showSuccess('PDF exported successfully!');
     this.eventBus.emit('export:pdf:complete', {
       filename,
       format: pdfOptions.format,
       orientation: pdfOptions.orientation,
+      scale: sheetScale.ratio,
+      sheets: rows * columns,
+      pages: pageCount,
     });
 
     return pdf;
   }
 
+  /**
+   * Canvas-space box around the floor plan and every item
+   * @private
+   */
+  _getDrawingExtents(floorPlan, origin) {
+    const extents = {
+      left: origin.x,
+      top: origin.y,
+      right: origin.x + Helpers.feetToPx(floorPlan.widthFt),
+      bottom: origin.y + Helpers.feetToPx(floorPlan.heightFt),
+    };
+    (this.state.get('items') || []).forEach((item) => {
+      if (!Number.isFinite(item.x) || !Number.isFinite(item.y)) return;
+      const radians = ((item.angle || 0) * Math.PI) / 180;
+      const halfWidth = Helpers.feetToPx(item.widthFt) / 2;
+      const halfHeight = Helpers.feetToPx(item.lengthFt) / 2;
+      const halfX = Math.abs(halfWidth * Math.cos(radians)) + Math.abs(halfHeight * Math.sin(radians));
+      const halfY = Math.abs(halfWidth * Math.sin(radians)) + Math.abs(halfHeight * Math.cos(radians));
+      extents.left = Math.min(extents.left, item.x - halfX);
+      extents.top = Math.min(extents.top, item.y - halfY);
+      extents.right = Math.max(extents.right, item.x + halfX);
+      extents.bottom = Math.max(extents.bottom, item.y + halfY);
+    });
+    return extents;
+  }
+
+  /**
+   * Sheet scale for a PDF export
+   * @private
+   * @returns {{label: string, ratio: number}}
+   */
+  _choosePDFScale(scale, extentsWidth, extentsHeight, planArea, padding) {
+    const ratio = Number(scale);
+    if (Number.isFinite(ratio) && ratio > 0) {
+      return Config.PDF_SCALES.find((s) => s.ratio === ratio) || { label: `1:${ratio}`, ratio };
+    }
+
+    // Largest scale that fits one sheet; plans too big for all of them tile at the smallest
+    const fits = (s) => {
+      const mmPerPx = 304.8 / s.ratio / Config.PX_PER_FOOT;
+      return (
+        extentsWidth * mmPerPx + padding * 2 <= planArea.width &&
+        extentsHeight * mmPerPx + padding * 2 <= planArea.height
+      );
+    };
+    return Config.PDF_SCALES.find(fits) || Config.PDF_SCALES[Config.PDF_SCALES.length - 1];
+  }
+
+  /**
+   * Logo, title and detail lines at the top of a sheet, with the share QR code when given
+   * @private
+   */
+  _drawPDFHeader(pdf, { title, lines, logoMeta, qr, margin, headerHeight }) {
+    const pageWidth = pdf.internal.pageSize.getWidth();
+
+    let logoBlockHeight = 0;
+    if (logoMeta?.dataUrl) {
+      const maxLogoWidth = 50;
+      const aspect = logoMeta.width && logoMeta.height ? logoMeta.height / logoMeta.width : 0.3;
+      const logoWidth = maxLogoWidth;
+      const logoHeight = Math.max(10, logoWidth * aspect);
+      pdf.addImage(logoMeta.dataUrl, 'PNG', margin, margin, logoWidth, logoHeight, undefined, 'FAST');
+      logoBlockHeight = logoHeight;
+    }
+
+    let qrBlockWidth = 0;
+    if (qr) {
+      // Dense codes (large layouts) get more room so each module stays printable (~0.25mm)
+      const qrSize = Math.min(headerHeight - 6, Math.max(26, (qr.size + 8) * 0.25));
+      const qrDataUrl = QRCode.toCanvas(qr, { moduleSize: 8 }).toDataURL('image/png');
+      pdf.addImage(qrDataUrl, 'PNG', pageWidth - margin - qrSize, margin, qrSize, qrSize, undefined, 'FAST');
+      pdf.setFontSize(7);
+      pdf.setFont(undefined, 'normal');
+      pdf.setTextColor(120);
+      pdf.text('Scan to open this layout', pageWidth - margin - qrSize / 2, margin + qrSize + 3, {
+        align: 'center',
+      });
+      qrBlockWidth = qrSize + 4;
+    }
+
+    const headerTextX = pageWidth - margin - qrBlockWidth;
+    const titleBaseline = margin + Math.min(Math.max(logoBlockHeight, 10), headerHeight - 5 * lines.length - 2);
+
+    pdf.setFontSize(16);
+    pdf.setFont(undefined, 'bold');
+    pdf.setTextColor(40);
+    pdf.text(title, headerTextX, titleBaseline, { align: 'right' });
+
+    pdf.setFontSize(9);
+    pdf.setFont(undefined, 'normal');
+    pdf.setTextColor(100);
+    lines.forEach((line, index) => {
+      pdf.text(line, headerTextX, titleBaseline + 6 + index * 4.5, { align: 'right' });
+    });
+  }
+
+  /**
+   * Overall dimension lines outside the floor plan; polygon outlines also get each wall's length
+   * @private
+   */
+  _drawPDFDimensions(pdf, floorPlan, origin, toPage) {
+    const topLeft = toPage(origin);
+    const bottomRight = toPage({
+      x: origin.x + Helpers.feetToPx(floorPlan.widthFt),
+      y: origin.y + Helpers.feetToPx(floorPlan.heightFt),
+    });
+    const [r, g, b] = this._pdfColor(Config.COLORS.dimension);
+    pdf.setDrawColor(r, g, b);
+    pdf.setTextColor(r, g, b);
+    pdf.setLineWidth(0.2);
+    pdf.setFont(undefined, 'normal');
+
+    // Architectural ticks: short 45° strokes where the dimension line meets the extension lines
+    const tick = (x, y) => pdf.line(x - 1, y + 1, x + 1, y - 1);
+
+    // Width, above the plan
+    const widthY = topLeft.y - 7;
+    pdf.line(topLeft.x, topLeft.y - 1.5, topLeft.x, widthY - 1.5);
+    pdf.line(bottomRight.x, topLeft.y - 1.5, bottomRight.x, widthY - 1.5);
+    pdf.line(topLeft.x - 1.5, widthY, bottomRight.x + 1.5, widthY);
+    tick(topLeft.x, widthY);
+    tick(bottomRight.x, widthY);
+    pdf.setFontSize(8);
+    pdf.text(Helpers.formatFeetInches(floorPlan.widthFt), (topLeft.x + bottomRight.x) / 2, widthY - 1.2, {
+      align: 'center',
+    });
+
+    // Depth, left of the plan (text reads bottom to top)
+    const depthX = topLeft.x - 7;
+    pdf.line(topLeft.x - 1.5, topLeft.y, depthX - 1.5, topLeft.y);
+    pdf.line(topLeft.x - 1.5, bottomRight.y, depthX - 1.5, bottomRight.y);
+    pdf.line(depthX, topLeft.y - 1.5, depthX, bottomRight.y + 1.5);
+    tick(depthX, topLeft.y);
+    tick(depthX, bottomRight.y);
+    const depthLabel = Helpers.formatFeetInches(floorPlan.heightFt);
+    pdf.text(depthLabel, depthX - 1.2, (topLeft.y + bottomRight.y) / 2 + pdf.getTextWidth(depthLabel) / 2, {
+      angle: 90,
+    });
+
+    if (!Geometry.isPolygonFloorPlan(floorPlan)) return;
+
+    // Wall lengths, just outside each wall
+    pdf.setFontSize(6.5);
+    const vertices = floorPlan.vertices;
+    vertices.forEach((a, i) => {
+      const next = vertices[(i + 1) % vertices.length];
+      const lengthFt = Math.hypot(next.x - a.x, next.y - a.y);
+      if (lengthFt < 1) return;
+
+      const mid = { x: (a.x + next.x) / 2, y: (a.y + next.y) / 2 };
+      let normal = { x: (next.y - a.y) / lengthFt, y: -(next.x - a.x) / lengthFt };
+      if (Geometry.pointInVertices({ x: mid.x + normal.x * 0.1, y: mid.y + normal.y * 0.1 }, vertices, 0)) {
+        normal = { x: -normal.x, y: -normal.y };
+      }
+      const at = toPage({
+        x: origin.x + Helpers.feetToPx(mid.x),
+        y: origin.y + Helpers.feetToPx(mid.y),
+      });
+      const label = Helpers.formatFeetInches(lengthFt);
+      const textWidth = pdf.getTextWidth(label);
+      const vertical = Math.abs(next.x - a.x) < Math.abs(next.y - a.y);
+      const x = at.x + normal.x * 3;
+      const y = at.y + normal.y * 3;
+      if (vertical) {
+        pdf.text(label, x + 1, y + textWidth / 2, { angle: 90 });
+      } else {
+        pdf.text(label, x - textWidth / 2, y + 1);
+      }
+    });
+  }
+
+  /**
+   * Dashed overlap strips with registration marks, printed identically on both sheets that share them
+   * @private
+   * @param {Array<{axis: string, at: number}>} strips - Strip start in paper mm from the drawing's corner
+   * @param {number} overlap - Strip width in mm
+   * @param {{x: number, y: number}} page - Page position of the sheet's part of the drawing
+   * @param {{x: number, y: number, width: number, height: number}} view - That part, in paper mm
+   *   from the drawing's corner
+   */
+  _drawPDFAlignmentMarks(pdf, strips, overlap, page, view) {
+    pdf.setDrawColor(90);
+    pdf.setLineWidth(0.2);
+
+    const mark = (x, y) => {
+      pdf.setLineDashPattern([], 0);
+      pdf.circle(x, y, 2, 'S');
+      pdf.line(x - 3.5, y, x + 3.5, y);
+      pdf.line(x, y - 3.5, x, y + 3.5);
+    };
+
+    strips.forEach(({ axis, at }) => {
+      pdf.setLineDashPattern([1.5, 1], 0);
+      if (axis === 'x') {
+        const start = page.x + at - view.x;
+        pdf.line(start, page.y, start, page.y + view.height);
+        pdf.line(start + overlap, page.y, start + overlap, page.y + view.height);
+        mark(start + overlap / 2, page.y + view.height * 0.25);
+        mark(start + overlap / 2, page.y + view.height * 0.75);
+      } else {
+        const start = page.y + at - view.y;
+        pdf.line(page.x, start, page.x + view.width, start);
+        pdf.line(page.x, start + overlap, page.x + view.width, start + overlap);
+        mark(page.x + view.width * 0.25, start + overlap / 2);
+        mark(page.x + view.width * 0.75, start + overlap / 2);
+      }
+    });
+    pdf.setLineDashPattern([], 0);
+  }
+
+  /**
+   * Scale bar, main door arrow, legend and (first sheet) contact details under the plan
+   * @private
+   */
+  _drawPDFPlanFooter(pdf, { floorPlan, sheetScale, mmPerFoot, sheetNote, showContact, margin, footerHeight }) {
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const top = pageHeight - margin - footerHeight + 5;
+    const left = margin;
+
+    // Scale bar: four segments of a round number of feet, 30-75 mm in all
+    const segmentFt = [1, 2, 5, 10, 20, 50, 100].find((ft) => ft * mmPerFoot * 4 >= 30) || 100;
+    const segment = segmentFt * mmPerFoot;
+    pdf.setFontSize(8);
+    pdf.setFont(undefined, 'bold');
+    pdf.setTextColor(40);
+    pdf.text(`SCALE ${sheetScale.label}`, left, top);
+    pdf.setDrawColor(40);
+    pdf.setLineWidth(0.2);
+    for (let i = 0; i < 4; i++) {
+      pdf.setFillColor(i % 2 === 0 ? 40 : 255);
+      pdf.rect(left + i * segment, top + 2, segment, 2, 'FD');
+    }
+    pdf.setFontSize(6.5);
+    pdf.setFont(undefined, 'normal');
+    for (let i = 0; i <= 4; i++) {
+      pdf.text(`${i * segmentFt}'`, left + i * segment, top + 7.5, { align: 'center' });
+    }
+    let legendLeft = left + segment * 4 + 8;
+
+    // Arrow pointing at the wall with the main door
+    const entryZonePosition = this.state.get('settings.entryZonePosition') || 'bottom';
+    const doors = Bounds.getFloorPlanDoors(floorPlan, entryZonePosition);
+    const mainDoor =
+      doors.find((door) => door.isMain) || doors.find((door) => !Config.DOOR_TYPES[door.type]?.isWindow);
+    const directions = { top: [0, -1], bottom: [0, 1], left: [-1, 0], right: [1, 0] };
+    if (mainDoor && directions[mainDoor.wall]) {
+      const [dx, dy] = directions[mainDoor.wall];
+      const cx = legendLeft + 6;
+      const cy = top + 2.5;
+      pdf.setDrawColor(40);
+      pdf.setFillColor(40);
+      pdf.circle(cx, cy, 4.5, 'S');
+      pdf.setLineWidth(0.5);
+      pdf.line(cx - dx * 3, cy - dy * 3, cx + dx, cy + dy);
+      pdf.triangle(
+        cx + dx * 3.5,
+        cy + dy * 3.5,
+        cx + dx - dy * 1.6,
+        cy + dy + dx * 1.6,
+        cx + dx + dy * 1.6,
+        cy + dy - dx * 1.6,
+        'F',
+      );
+      pdf.setLineWidth(0.2);
+      pdf.text('MAIN DOOR', cx, top + 10.5, { align: 'center' });
+      legendLeft = cx + 14;
+    }
+
+    if (sheetNote) {
+      pdf.setTextColor(80);
+      pdf.text(pdf.splitTextToSize(sheetNote, Math.max(40, legendLeft - left - 4)), left, top + 14);
+    }
+
+    // Legend
+    const legendRight = showContact ? pageWidth - margin - 72 : pageWidth - margin;
+    const entries = this._getPDFLegend(floorPlan, doors);
+    const columnWidth = 40;
+    const rowsPerColumn = 5;
+    const capacity = Math.max(1, Math.floor((legendRight - legendLeft) / columnWidth)) * rowsPerColumn;
+    const shown = entries.length > capacity ? entries.slice(0, capacity - 1) : entries;
+    if (entries.length > shown.length) {
+      shown.push({ label: `+${entries.length - shown.length} more in the item schedule` });
+    }
+
+    pdf.setFontSize(8);
+    pdf.setFont(undefined, 'bold');
+    pdf.setTextColor(40);
+    pdf.text('LEGEND', legendLeft, top);
+    pdf.setFontSize(6.5);
+    pdf.setFont(undefined, 'normal');
+    shown.forEach((entry, index) => {
+      const x = legendLeft + Math.floor(index / rowsPerColumn) * columnWidth;
+      const y = top + 2 + (index % rowsPerColumn) * 4.2;
+      if (entry.line) {
+        const [r, g, b] = this._pdfColor(entry.line);
+        pdf.setDrawColor(r, g, b);
+        pdf.setLineWidth(0.8);
+        pdf.line(x, y + 1.3, x + 5, y + 1.3);
+        pdf.setLineWidth(0.2);
+      } else if (entry.fill) {
+        pdf.setFillColor(...this._pdfColor(entry.fill));
+        pdf.setDrawColor(...this._pdfColor(entry.stroke || entry.fill));
+        pdf.rect(x, y, 5, 2.6, 'FD');
+      }
+      pdf.setTextColor(60);
+      pdf.text(pdf.splitTextToSize(entry.label, columnWidth - 8)[0], entry.fill || entry.line ? x + 7 : x, y + 2.2);
+    });
+
+    // Contact details
+    if (showContact) {
+      const contactLines = [
+        'Storage Caves',
+        'Location: Buford, GA',
+        '6034 Lanier Islands Parkway, Buford, Georgia',
+        'Corporate Office: 721 S. Parker St., Suite 190, Orange, CA 92868',
+        'Email: info@storagecaves.com',
+        'Web: www.storagecaves.com',
+        'Phone: 1-844-992-2837',
+      ];
+      pdf.setFontSize(7);
+      pdf.setTextColor(120);
+      contactLines.forEach((line, index) => {
+        pdf.text(line, pageWidth - margin, top + index * 3.4, { align: 'right' });
+      });
+    }
+  }
+
+  /**
+   * Legend entries: plan symbols in use, then one per item type in the color it is drawn with
+   * @private
+   * @returns {Array<{label: string, fill?: string, stroke?: string, line?: string}>}
+   */
+  _getPDFLegend(floorPlan, doors) {
+    /** @type {Array<{label: string, fill?: string, stroke?: string, line?: string}>} */
+    const entries = [{ label: 'Entry zone', fill: Config.COLORS.entryZone, stroke: Config.COLORS.door }];
+    if (doors.some((door) => !Config.DOOR_TYPES[door.type]?.isWindow)) {
+      entries.push({ label: 'Door opening', line: Config.COLORS.door });
+    }
+    if (doors.some((door) => Config.DOOR_TYPES[door.type]?.isWindow)) {
+      entries.push({ label: 'Window', line: Config.COLORS.window });
+    }
+    const obstacles = Array.isArray(floorPlan.obstacles) ? floorPlan.obstacles : [];
+    if (obstacles.length) {
+      entries.push({ label: 'Obstacle', fill: Config.COLORS.obstacle, stroke: '#1F2937' });
+    }
+    if (obstacles.some((obstacle) => obstacle.clearanceFt > 0)) {
+      entries.push({
+        label: 'Obstacle clearance',
+        fill: Config.COLORS.obstacleClearance,
+        stroke: Config.COLORS.obstacleClearanceStroke,
+      });
+    }
+
+    const types = new Map();
+    (this.state.get('items') || []).forEach((item) => {
+      const key = item.itemId || item.label;
+      const known = types.get(key);
+      if (known) {
+        known.count++;
+        return;
+      }
+      types.set(key, {
+        label: Items.getById(item.itemId)?.label || item.label || 'Item',
+        fill: item.category === 'mezzanine' ? '#ECEFF4' : item.color || '#2196F3',
+        stroke: item.category === 'mezzanine' ? '#9CA3AF' : item.strokeColor || '#111827',
+        count: 1,
+      });
+    });
+    types.forEach(({ count, ...entry }) => {
+      entries.push({ ...entry, label: count > 1 ? `${entry.label} (${count})` : entry.label });
+    });
+    return entries;
+  }
+
+  /**
+   * Item schedule, occupancy summary and layout checks, on the pages after the plan
+   * @private
+   */
+  _drawPDFReport(pdf, { title, floorPlan, origin, warnings, margin }) {
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const contentWidth = pageWidth - margin * 2;
+    const bottom = pageHeight - margin - 6;
+    const items = this.state.get('items') || [];
+    const fmt = (value) => Helpers.formatNumber(value || 0, 1);
+    let y = 0;
+    let heading = '';
+
+    const startPage = () => {
+      pdf.addPage();
+      pdf.setFontSize(11);
+      pdf.setFont(undefined, 'bold');
+      pdf.setTextColor(40);
+      pdf.text(title, margin, margin + 4);
+      pdf.setFontSize(9);
+      pdf.setFont(undefined, 'normal');
+      pdf.setTextColor(100);
+      pdf.text(heading, pageWidth - margin, margin + 4, { align: 'right' });
+      pdf.setDrawColor(200);
+      pdf.setLineWidth(0.3);
+      pdf.line(margin, margin + 7, pageWidth - margin, margin + 7);
+      y = margin + 15;
+    };
+    const section = (name) => {
+      heading = name;
+      if (!y || y + 25 > bottom) startPage();
+      pdf.setFontSize(12);
+      pdf.setFont(undefined, 'bold');
+      pdf.setTextColor(40);
+      pdf.text(name, margin, y);
+      y += 6;
+    };
+    const paragraph = (text) => {
+      pdf.setFontSize(8);
+      pdf.setFont(undefined, 'normal');
+      pdf.setTextColor(90);
+      pdf.splitTextToSize(text, contentWidth).forEach((line) => {
+        if (y + 4 > bottom) startPage();
+        pdf.text(line, margin, y);
+        y += 4;
+      });
+      y += 2;
+    };
+    const table = (columns, rows) => {
+      const total = columns.reduce((sum, column) => sum + column.width, 0);
+      const widths = columns.map((column) => (column.width / total) * contentWidth);
+      const rowHeight = 5.5;
+      const drawRow = (cells, { bold = false, shade = false } = {}) => {
+        if (shade) {
+          pdf.setFillColor(243, 244, 246);
+          pdf.rect(margin, y - 3.8, contentWidth, rowHeight, 'F');
+        }
+        pdf.setFont(undefined, bold ? 'bold' : 'normal');
+        let x = margin;
+        cells.forEach((cell, i) => {
+          // Cut to the column width
+          let text = String(cell ?? '');
+          if (pdf.getTextWidth(text) > widths[i] - 2) {
+            while (text.length > 1 && pdf.getTextWidth(`${text}...`) > widths[i] - 2) {
+              text = text.slice(0, -1);
+            }
+            text = `${text}...`;
+          }
+          if (columns[i].align === 'right') {
+            pdf.text(text, x + widths[i] - 1, y, { align: 'right' });
+          } else {
+            pdf.text(text, x + 1, y);
+          }
+          x += widths[i];
+        });
+        y += rowHeight;
+      };
+      const drawHeaderRow = () => {
+        pdf.setFontSize(8);
+        pdf.setTextColor(40);
+        drawRow(
+          columns.map((column) => column.title),
+          { bold: true },
+        );
+        pdf.setDrawColor(150);
+        pdf.setLineWidth(0.3);
+        pdf.line(margin, y - rowHeight + 1.8, margin + contentWidth, y - rowHeight + 1.8);
+        pdf.setTextColor(60);
+      };
+
+      drawHeaderRow();
+      rows.forEach((cells, index) => {
+        if (y + rowHeight > bottom) {
+          startPage();
+          drawHeaderRow();
+        }
+        drawRow(cells, { shade: index % 2 === 1 });
+      });
+      y += 4;
+    };
+    const categoryName = (category) => this._categoryName(category);
+
+    // Item schedule
+    section('Item Schedule');
+    if (!items.length) {
+      paragraph('No items placed.');
+    } else {
+      paragraph("Positions are item centers in feet from the floor plan's top-left corner.");
+      table(
+        [
+          { title: '#', width: 6, align: 'right' },
+          { title: 'Item', width: 40 },
+          { title: 'Category', width: 24 },
+          { title: 'Size (W × L)', width: 22 },
+          { title: 'Area (sq ft)', width: 16, align: 'right' },
+          { title: 'Center (x, y)', width: 22 },
+          { title: 'Rotation', width: 13, align: 'right' },
+          { title: 'Level', width: 16 },
+        ],
+        items.map((item, index) => [
+          index + 1,
+          item.label || item.itemId,
+          categoryName(item.category),
+          `${fmt(item.widthFt)}' × ${fmt(item.lengthFt)}'`,
+          fmt(item.widthFt * item.lengthFt),
+          `${fmt((item.x - origin.x) / Config.PX_PER_FOOT)}', ${fmt((item.y - origin.y) / Config.PX_PER_FOOT)}'`,
+          `${Math.round((((item.angle || 0) % 360) + 360) % 360)}°`,
+          Bounds.isDeckItem(item) ? 'Mezzanine' : 'Ground',
+        ]),
+      );
+    }
+
+    // Occupancy summary
+    section('Occupancy Summary');
+    const floorArea = Geometry.getFloorPlanArea(floorPlan);
+    const groundItems = items.filter((item) => !Bounds.isDeckItem(item));
+    const groundArea = groundItems.reduce((sum, item) => sum + item.widthFt * item.lengthFt, 0);
+    const deckOccupancy = this.calculateDeckOccupancy();
+    const deckCount = items.length - groundItems.length;
+    const summary = [
+      ['Floor plan', floorPlan.name || floorPlan.label || 'Custom unit'],
+      ['Dimensions', `${Helpers.formatFeetInches(floorPlan.widthFt)} × ${Helpers.formatFeetInches(floorPlan.heightFt)}`],
+      ['Floor area', `${Math.round(floorArea)} sq ft`],
+    ];
+    if (floorPlan.ceilingHeightFt > 0) {
+      summary.push(['Ceiling height', Helpers.formatFeetInches(floorPlan.ceilingHeightFt)]);
+    }
+    summary.push(
+      ['Items', `${items.length}${deckCount ? ` (${deckCount} on mezzanine decks)` : ''}`],
+      ['Ground footprint', `${fmt(groundArea)} sq ft (${fmt(this.calculateOccupancy())}% of the floor)`],
+      ['Open floor', `${fmt(Math.max(0, floorArea - groundArea))} sq ft`],
+    );
+    if (deckOccupancy !== null) {
+      summary.push(['Mezzanine decks', `${fmt(deckOccupancy)}% of the deck area in use`]);
+    }
+    if (floorPlan.description) {
+      summary.push(['Details', floorPlan.description]);
+    }
+    pdf.setFontSize(9);
+    summary.forEach(([label, value]) => {
+      if (y + 5 > bottom) startPage();
+      pdf.setFont(undefined, 'bold');
+      pdf.setTextColor(60);
+      pdf.text(label, margin, y);
+      pdf.setFont(undefined, 'normal');
+      pdf.setTextColor(40);
+      pdf.text(pdf.splitTextToSize(String(value), contentWidth - 40)[0], margin + 40, y);
+      y += 5;
+    });
+    y += 3;
+
+    if (items.length) {
+      const byCategory = new Map();
+      items.forEach((item) => {
+        const key = item.category || 'other';
+        const entry = byCategory.get(key) || { count: 0, area: 0 };
+        entry.count++;
+        entry.area += item.widthFt * item.lengthFt;
+        byCategory.set(key, entry);
+      });
+      table(
+        [
+          { title: 'Category', width: 40 },
+          { title: 'Items', width: 15, align: 'right' },
+          { title: 'Area (sq ft)', width: 20, align: 'right' },
+          { title: 'Share of floor area', width: 25, align: 'right' },
+        ],
+        [...byCategory.entries()].map(([category, { count, area }]) => [
+          categoryName(category),
+          count,
+          fmt(area),
+          `${fmt(floorArea > 0 ? (area / floorArea) * 100 : 0)}%`,
+        ]),
+      );
+    }
+
+    // Layout checks
+    if (Array.isArray(warnings)) {
+      section('Layout Checks');
+      if (!warnings.length) {
+        paragraph('No layout warnings.');
+      } else {
+        warnings.forEach((warning) => paragraph(`- ${warning}`));
+      }
+    }
+  }
+
+  /**
+   * Display name of an item category
+   * @private
+   */
+  _categoryName(category) {
+    return Items.categories[category]?.name || (category ? category.charAt(0).toUpperCase() + category.slice(1) : 'Other');
+  }
+
+  /**
+   * CSV field, quoted when needed; text that a spreadsheet would run as a formula is
+   * prefixed with an apostrophe
+   * @private
+   */
+  _csvCell(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * RGB of a CSS hex or rgb()/rgba() color, with any transparency mixed onto white paper
+   * @private
+   * @returns {number[]}
+   */
+  _pdfColor(color) {
+    const value = String(color || '').trim();
+    let rgb = null;
+    let alpha = 1;
+
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+      rgb = [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+    }
+    const fn = /^rgba?\(([^)]+)\)$/i.exec(value);
+    if (fn) {
+      const parts = fn[1].split(',').map((part) => parseFloat(part));
+      rgb = parts.slice(0, 3);
+      if (Number.isFinite(parts[3])) alpha = parts[3];
+    }
+
+    if (!rgb || rgb.length < 3 || rgb.some((channel) => !Number.isFinite(channel))) {
+      return [128, 128, 128];
+    }
+    return rgb.map((channel) => Math.round(255 - (255 - channel) * alpha));
+  }
+
   /**
    * Load company logo as data URL for embedding into PDF
    * Caches the result to avoid multiple fetches per session
@@ -369,16 +1746,35 @@ class ExportManager {
 
       const reader = new FileReader();
 
-      reader.onload = (e) => {
+      reader.onload = async (e) => {
         try {
-          const importData = JSON.parse(e.target.result);
+          // Upgrade files exported by older versions
+          const migration = LayoutSchema.migrate(JSON.parse(e.target.result));
+          if (!migration.success) {
+            Modal.showError(migration.errors[0]);
+            reject(new Error(migration.errors[0]));
+            return;
+          }
 
-          // Validate the imported data structure
-          if (!importData.version || !importData.floorPlan || !importData.items) {
-            Modal.showError('Invalid layout file format');
-            reject(new Error('Invalid JSON structure'));
+          // Validate every entry; nothing is applied until the user has seen the report
+          const check = Validation.validateImport(migration.doc);
+          if (!check.valid) {
+            Modal.show('Cannot Import Layout', this._buildImportReport(check));
+            reject(new Error('Invalid layout file'));
             return;
           }
+          if (check.repaired.length || check.rejected.length) {
+            const proceed = await Modal.showConfirm(
+              'Import Layout?',
+              this._buildImportReport(check),
+              'Import',
+            );
+            if (!proceed) {
+              reject(new Error('Import cancelled'));
+              return;
+            }
+          }
+          const importData = check.layout;
 
           // Load the floor plan first
           if (importData.floorPlan) {
@@ -400,6 +1796,19 @@ class ExportManager {
             });
           }
 
+          // Add custom item types this device doesn't have yet
+          if (Array.isArray(importData.customItems)) {
+            let added = 0;
+            importData.customItems.forEach((custom) => {
+              if (Items.getById(custom?.id)) return;
+              if (!Validation.validateCustomItem(custom).valid) return;
+              if (Items.saveCustomItem(custom)) added++;
+            });
+            if (added) {
+              this.eventBus.emit('item:library:changed');
+            }
+          }
+
           // Clear existing items and load new ones
           this.state.set('items', []);
           this.eventBus.emit('items:cleared');
@@ -433,20 +1842,91 @@ class ExportManager {
   }
 
   /**
-   * Calculate occupancy percentage
+   * Readable summary of an import check (see Validation.validateImport)
+   * @private
+   * @returns {HTMLElement}
+   */
+  _buildImportReport({ errors, repaired, rejected }) {
+    const report = document.createElement('div');
+    report.className = 'import-report';
+
+    const sections = [
+      ['The file cannot be used:', errors],
+      [`Skipped (${rejected.length}):`, rejected],
+      [`Repaired (${repaired.length}):`, repaired],
+    ];
+    sections.forEach(([heading, lines]) => {
+      if (!lines.length) return;
+      const title = document.createElement('p');
+      title.className = 'import-report__heading';
+      title.textContent = heading;
+      const list = document.createElement('ul');
+      list.className = 'import-report__list';
+      lines.forEach((line) => {
+        const entry = document.createElement('li');
+        entry.textContent = line;
+        list.appendChild(entry);
+      });
+      report.append(title, list);
+    });
+
+    return report;
+  }
+
+  /**
+   * Escape text for SVG/XML content and attributes
+   * @private
+   */
+  _escapeXML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * SVG paint attributes for a CSS color. rgba() becomes rgb() plus an opacity attribute,
+   * which Illustrator reads more reliably than rgba.
+   * @private
+   */
+  _svgPaint(attr, color) {
+    if (!color || color === 'transparent') return `${attr}="none"`;
+    const rgba = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/i.exec(color);
+    if (!rgba) return `${attr}="${this._escapeXML(color)}"`;
+    const [, r, g, b, alpha] = rgba;
+    return `${attr}="rgb(${r}, ${g}, ${b})" ${attr}-opacity="${alpha}"`;
+  }
+
+  /**
+   * Calculate occupancy percentage of the ground floor
    * @returns {number} Occupancy percentage
    */
   calculateOccupancy() {
     const floorPlan = this.state.get('floorPlan');
     if (!floorPlan) return 0;
 
-    const totalArea = floorPlan.widthFt * floorPlan.heightFt;
-    const items = this.state.get('items') || [];
+    const totalArea = Geometry.getFloorPlanArea(floorPlan);
+    const items = (this.state.get('items') || []).filter((item) => !Bounds.isDeckItem(item));
     const occupiedArea = items.reduce((sum, item) => sum + item.lengthFt * item.widthFt, 0);
 
     return (occupiedArea / totalArea) * 100;
   }
 
+  /**
+   * Calculate occupancy percentage of the mezzanine decks
+   * @returns {number|null} Occupancy percentage, or null when the layout has no mezzanine
+   */
+  calculateDeckOccupancy() {
+    const items = this.state.get('items') || [];
+    const area = (list) => list.reduce((sum, item) => sum + item.lengthFt * item.widthFt, 0);
+    const deckArea = area(items.filter((item) => item.category === 'mezzanine'));
+    if (!(deckArea > 0)) return null;
+
+    return (area(items.filter((item) => Bounds.isDeckItem(item))) / deckArea) * 100;
+  }
+
   /**
    * Generate thumbnail
    */
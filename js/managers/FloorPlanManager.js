@@ -1,4 +1,4 @@
-/* global Config, Validation */
+/* global Config, Validation, Helpers, StorageUtil, Geometry, Bounds */
 
 /**
  * Floor Plan Manager
@@ -13,12 +13,17 @@ class FloorPlanManager {
 
   /**
    * Set active floor plan
+   * @param {string|object} floorPlanRef - Library/template id or a floor plan object
+   * @param {object} [options]
+   * @param {boolean} [options.preserveSettings] - Keep current settings (e.g. restoring a layout)
    */
-  setFloorPlan(floorPlanId) {
-    const floorPlan = this._getFloorPlanById(floorPlanId);
+  setFloorPlan(floorPlanRef, options = {}) {
+    if (this.state.isReadOnly()) return false;
+
+    const floorPlan = this._resolveFloorPlan(floorPlanRef);
 
     if (!floorPlan) {
-      console.error('Floor plan not found:', floorPlanId);
+      console.error('Floor plan not found:', floorPlanRef);
       return false;
     }
 
@@ -31,17 +36,26 @@ class FloorPlanManager {
 
     // [FloorPlanManager] Setting floor plan: id
 
+    // Replace (not deep-merge) the floor plan so keys from a previous custom plan don't linger
+    this.state.set('floorPlan', { ...floorPlan });
+
     // Reset layout metadata (recenter + lock by default)
     const currentLayout = this.state.get('layout') || {};
-    this.state.setState({
-      floorPlan,
+    const updates = {
       layout: {
         ...currentLayout,
         floorPlanPosition: null,
         floorPlanBounds: null,
         floorPlanLocked: false,
       },
-    });
+    };
+
+    // Custom units carry their own door wall; keep the entry zone on it
+    if (floorPlan.doorWall && !options.preserveSettings) {
+      updates.settings = { entryZonePosition: floorPlan.doorWall };
+    }
+
+    this.state.setState(updates);
 
     // Reset viewport before drawing new floor plan
     this.canvasManager.resetViewport();
@@ -55,6 +69,415 @@ class FloorPlanManager {
     return true;
   }
 
+  /**
+   * Build a custom floor plan from user-entered dimensions
+   * @param {object} spec
+   * @param {string} [spec.id] - Keep an existing id when editing
+   * @param {string} [spec.name] - Display name
+   * @param {number} spec.width - Width in `spec.unit`
+   * @param {number} spec.height - Depth in `spec.unit`
+   * @param {number} [spec.doorWidth] - Door width in `spec.unit`
+   * @param {number} [spec.doorHeight] - Door height in `spec.unit`
+   * @param {number} [spec.ceilingHeight] - Ceiling height in `spec.unit`
+   * @param {string} [spec.doorWall] - 'bottom' | 'top' | 'left' | 'right'
+   * @param {string} [spec.unit] - Config.UNITS.FEET or Config.UNITS.METERS
+   * @param {string} [spec.shape] - Key of Config.FLOOR_PLAN_SHAPES (width/height become the bounding box)
+   * @param {Array<{x: number, y: number}>} [spec.vertices] - Explicit outline in `spec.unit`
+   * @returns {object} Floor plan object (always stored in feet)
+   */
+  createCustomFloorPlan(spec) {
+    const toFeet = (value) => {
+      const num = parseFloat(value);
+      if (!Number.isFinite(num)) return NaN;
+      const feet = spec.unit === Config.UNITS.METERS ? Helpers.metersToFeet(num) : num;
+      return Helpers.formatNumber(feet, 2);
+    };
+
+    let widthFt = toFeet(spec.width);
+    let heightFt = toFeet(spec.height);
+    let vertices = null;
+
+    if (Array.isArray(spec.vertices)) {
+      const normalized = this.normalizeVertices(
+        spec.vertices.map((v) => ({ x: toFeet(v.x), y: toFeet(v.y) })),
+      );
+      ({ vertices, widthFt, heightFt } = normalized);
+    } else if (spec.shape && spec.shape !== 'rectangle') {
+      vertices = this._buildShapeVertices(spec.shape, widthFt, heightFt);
+    }
+
+    const doorWidth = toFeet(spec.doorWidth);
+    const doorHeight = toFeet(spec.doorHeight);
+    const ceilingHeightFt = toFeet(spec.ceilingHeight);
+    const doorWall = spec.doorWall || 'bottom';
+    const sizeLabel = `${widthFt}'×${heightFt}'`;
+    const name = Helpers.sanitizeLayoutName(spec.name || '', '') || `Custom Unit - ${sizeLabel}`;
+
+    const floorPlan = {
+      id: spec.id || Helpers.generateId('fp-custom'),
+      isCustom: true,
+      widthFt,
+      heightFt,
+      name,
+      area: 0,
+      description: '',
+      doorWall,
+    };
+
+    if (vertices) floorPlan.vertices = vertices;
+    floorPlan.area = Math.round(Geometry.getFloorPlanArea(floorPlan));
+
+    if (Number.isFinite(doorWidth)) floorPlan.doorWidth = doorWidth;
+    if (Number.isFinite(doorHeight)) floorPlan.doorHeight = doorHeight;
+    if (Number.isFinite(ceilingHeightFt)) floorPlan.ceilingHeightFt = ceilingHeightFt;
+
+    floorPlan.description =
+      Number.isFinite(doorWidth) && Number.isFinite(doorHeight)
+        ? `Door: ${doorWidth}' × ${doorHeight}' (${doorWall} wall)`
+        : `Door: ${doorWall} wall`;
+
+    return floorPlan;
+  }
+
+  /**
+   * Validate and activate a custom floor plan
+   * @param {object} spec - See createCustomFloorPlan
+   * @returns {{success: boolean, errors: string[], floorPlan: object}}
+   */
+  setCustomFloorPlan(spec) {
+    const floorPlan = this.createCustomFloorPlan(spec);
+    const validation = Validation.validateFloorPlan(floorPlan);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors, floorPlan };
+    }
+
+    const success = this.setFloorPlan(floorPlan);
+    return { success, errors: success ? [] : ['Failed to apply floor plan'], floorPlan };
+  }
+
+  /**
+   * Replace the outline of the current floor plan with a polygon (vertex editor).
+   * The plan keeps its position on the canvas; built-in units become a custom copy.
+   * @param {Array<{x: number, y: number}>} vertices - Outline in feet relative to the current origin
+   * @returns {{success: boolean, errors: string[], floorPlan?: object}}
+   */
+  setFloorPlanVertices(vertices) {
+    if (this.state.isReadOnly()) {
+      return { success: false, errors: ['A shared layout cannot be edited'] };
+    }
+    const current = this.getCurrentFloorPlan();
+    if (!current) return { success: false, errors: ['No floor plan selected'] };
+
+    const normalized = this.normalizeVertices(vertices);
+    const floorPlan = {
+      ...current,
+      id: current.isCustom && !current.isTemplate ? current.id : Helpers.generateId('fp-custom'),
+      name: current.isCustom ? current.name : `${current.name} (Custom Shape)`,
+      isCustom: true,
+      widthFt: normalized.widthFt,
+      heightFt: normalized.heightFt,
+      vertices: normalized.vertices,
+    };
+    delete floorPlan.isTemplate;
+    if (Array.isArray(current.obstacles)) {
+      // Obstacles are stored relative to the origin, which moves with the outline
+      floorPlan.obstacles = current.obstacles.map((o) => ({
+        ...o,
+        x: Helpers.formatNumber(o.x - normalized.offset.x, 2),
+        y: Helpers.formatNumber(o.y - normalized.offset.y, 2),
+      }));
+    }
+    if (Array.isArray(current.doors)) {
+      // Door offsets run along their wall from its top/left end
+      floorPlan.doors = current.doors.map((d) => ({
+        ...d,
+        offsetFt: Helpers.formatNumber(
+          d.offsetFt -
+            (d.wall === 'left' || d.wall === 'right' ? normalized.offset.y : normalized.offset.x),
+          2,
+        ),
+      }));
+    }
+    floorPlan.area = Math.round(Geometry.getFloorPlanArea(floorPlan));
+
+    const validation = Validation.validateFloorPlan(floorPlan);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    this._updateInPlace(floorPlan, normalized.offset);
+    return { success: true, errors: [], floorPlan };
+  }
+
+  /**
+   * Get obstacles of the current floor plan
+   */
+  getObstacles() {
+    const floorPlan = this.getCurrentFloorPlan();
+    return Array.isArray(floorPlan?.obstacles) ? floorPlan.obstacles : [];
+  }
+
+  /**
+   * Add a fixed obstacle to the current floor plan
+   * @param {object} spec
+   * @param {string} spec.type - Key of Config.OBSTACLE_TYPES
+   * @param {number|string} spec.x - Left edge in feet from the floor plan origin
+   * @param {number|string} spec.y - Top edge in feet from the floor plan origin
+   * @param {number|string} [spec.widthFt] - Defaults to the type's footprint
+   * @param {number|string} [spec.lengthFt] - Defaults to the type's footprint
+   * @param {number|string} [spec.clearanceFt] - Defaults to the type's clearance
+   * @param {string} [spec.label]
+   * @returns {{success: boolean, errors: string[], obstacle?: object}}
+   */
+  addObstacle(spec) {
+    if (this.state.isReadOnly()) {
+      return { success: false, errors: ['A shared layout cannot be edited'] };
+    }
+    const floorPlan = this.getCurrentFloorPlan();
+    if (!floorPlan) return { success: false, errors: ['No floor plan selected'] };
+
+    const defaults = Config.OBSTACLE_TYPES[spec.type] || {};
+    const toNumber = (value, fallback) => {
+      const num = parseFloat(String(value ?? ''));
+      return Number.isFinite(num) ? num : fallback;
+    };
+
+    const obstacle = {
+      id: Helpers.generateId('obstacle'),
+      type: spec.type,
+      x: toNumber(spec.x, NaN),
+      y: toNumber(spec.y, NaN),
+      widthFt: toNumber(spec.widthFt, defaults.widthFt),
+      lengthFt: toNumber(spec.lengthFt, defaults.lengthFt),
+      clearanceFt: toNumber(spec.clearanceFt, defaults.clearanceFt),
+    };
+    const label = Helpers.sanitizeLayoutName(spec.label || '', '');
+    if (label) obstacle.label = label;
+
+    const validation = Validation.validateObstacle(obstacle, floorPlan);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    this._updateInPlace({ ...floorPlan, obstacles: [...this.getObstacles(), obstacle] });
+    return { success: true, errors: [], obstacle };
+  }
+
+  /**
+   * Remove an obstacle from the current floor plan
+   */
+  removeObstacle(obstacleId) {
+    if (this.state.isReadOnly()) return false;
+    const floorPlan = this.getCurrentFloorPlan();
+    const obstacles = this.getObstacles();
+    const remaining = obstacles.filter((o) => o.id !== obstacleId);
+    if (!floorPlan || remaining.length === obstacles.length) return false;
+
+    this._updateInPlace({ ...floorPlan, obstacles: remaining });
+    return true;
+  }
+
+  /**
+   * Get doors and windows of the current floor plan (including the implied main door)
+   */
+  getDoors() {
+    const floorPlan = this.getCurrentFloorPlan();
+    return Bounds.getFloorPlanDoors(floorPlan, this.state.get('settings.entryZonePosition'));
+  }
+
+  /**
+   * Add a door or window to the current floor plan
+   * @param {object} spec
+   * @param {string} spec.type - Key of Config.DOOR_TYPES
+   * @param {string} spec.wall - 'top' | 'bottom' | 'left' | 'right'
+   * @param {number|string} spec.offsetFt - Distance from the wall's top/left end
+   * @param {number|string} [spec.widthFt] - Defaults to the type's width
+   * @param {number|string} [spec.heightFt] - Defaults to the type's height
+   * @param {string} [spec.hinge] - Swing doors: 'start' | 'end'
+   * @param {string} [spec.swing] - Swing doors: 'in' | 'out'
+   * @param {string} [spec.label]
+   * @returns {{success: boolean, errors: string[], door?: object}}
+   */
+  addDoor(spec) {
+    if (this.state.isReadOnly()) {
+      return { success: false, errors: ['A shared layout cannot be edited'] };
+    }
+    const floorPlan = this.getCurrentFloorPlan();
+    if (!floorPlan) return { success: false, errors: ['No floor plan selected'] };
+
+    const defaults = Config.DOOR_TYPES[spec.type] || {};
+    const toNumber = (value, fallback) => {
+      const num = parseFloat(String(value ?? ''));
+      return Number.isFinite(num) ? num : fallback;
+    };
+
+    const door = {
+      id: Helpers.generateId('door'),
+      type: spec.type,
+      wall: spec.wall,
+      offsetFt: toNumber(spec.offsetFt, NaN),
+      widthFt: toNumber(spec.widthFt, defaults.widthFt),
+      heightFt: toNumber(spec.heightFt, defaults.heightFt),
+    };
+    if (defaults.swing) {
+      door.hinge = spec.hinge || 'start';
+      door.swing = spec.swing || 'in';
+    }
+    const label = Helpers.sanitizeLayoutName(spec.label || '', '');
+    if (label) door.label = label;
+
+    const validation = Validation.validateDoor(door, floorPlan);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    // The implied main door becomes a real entry once the list is edited
+    this._updateInPlace({ ...floorPlan, doors: [...this.getDoors(), door] });
+    return { success: true, errors: [], door };
+  }
+
+  /**
+   * Remove a door or window from the current floor plan
+   */
+  removeDoor(doorId) {
+    if (this.state.isReadOnly()) return false;
+    const floorPlan = this.getCurrentFloorPlan();
+    const doors = this.getDoors();
+    const remaining = doors.filter((d) => d.id !== doorId);
+    if (!floorPlan || remaining.length === doors.length) return false;
+
+    this._updateInPlace({ ...floorPlan, doors: remaining });
+    return true;
+  }
+
+  /**
+   * Apply an edited copy of the current floor plan without moving it on the canvas
+   * @param {object} floorPlan
+   * @param {{x: number, y: number}} [originShift] - Feet the 0,0 corner moved by (outline edits)
+   * @private
+   */
+  _updateInPlace(floorPlan, originShift = { x: 0, y: 0 }) {
+    const origin = this.canvasManager.getFloorPlanOrigin();
+
+    this.state.set('floorPlan', floorPlan);
+    this.canvasManager.drawFloorPlan(floorPlan, { preserveViewport: true });
+
+    // Redrawing recenters the group on its contents; pin the outline back in place
+    if (origin) {
+      this.canvasManager.setFloorPlanOrigin({
+        x: origin.x + Helpers.feetToPx(originShift.x),
+        y: origin.y + Helpers.feetToPx(originShift.y),
+      });
+    }
+
+    this.eventBus.emit('floorplan:changed', floorPlan);
+  }
+
+  /**
+   * Shift an outline so its bounding box starts at 0,0 and measure it
+   * @param {Array<{x: number, y: number}>} vertices - Outline in feet
+   * @returns {{vertices: Array<{x: number, y: number}>, offset: {x: number, y: number}, widthFt: number, heightFt: number}}
+   */
+  normalizeVertices(vertices) {
+    const xs = vertices.map((v) => v.x);
+    const ys = vertices.map((v) => v.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const round = (value) => Helpers.formatNumber(value, 2);
+
+    return {
+      vertices: vertices.map((v) => ({ x: round(v.x - minX), y: round(v.y - minY) })),
+      offset: { x: minX, y: minY },
+      widthFt: round(Math.max(...xs) - minX),
+      heightFt: round(Math.max(...ys) - minY),
+    };
+  }
+
+  /**
+   * Preset outlines for Config.FLOOR_PLAN_SHAPES, sized to the given bounding box.
+   * The notch/stem is half of each dimension and the stem sits on the bottom (door) wall.
+   * @private
+   */
+  _buildShapeVertices(shape, widthFt, heightFt) {
+    const w = widthFt;
+    const h = heightFt;
+    const round = (value) => Helpers.formatNumber(value, 2);
+
+    if (shape === 'l-shape') {
+      return [
+        { x: 0, y: 0 },
+        { x: round(w / 2), y: 0 },
+        { x: round(w / 2), y: round(h / 2) },
+        { x: w, y: round(h / 2) },
+        { x: w, y: h },
+        { x: 0, y: h },
+      ];
+    }
+
+    if (shape === 't-shape') {
+      return [
+        { x: 0, y: 0 },
+        { x: w, y: 0 },
+        { x: w, y: round(h / 2) },
+        { x: round((w * 3) / 4), y: round(h / 2) },
+        { x: round((w * 3) / 4), y: h },
+        { x: round(w / 4), y: h },
+        { x: round(w / 4), y: round(h / 2) },
+        { x: 0, y: round(h / 2) },
+      ];
+    }
+
+    return null;
+  }
+
+  /**
+   * Get user-saved custom floor plan templates
+   */
+  getCustomTemplates() {
+    const templates = StorageUtil.load(Config.STORAGE_KEYS.floorPlanTemplates);
+    return Array.isArray(templates) ? templates : [];
+  }
+
+  /**
+   * Save a custom floor plan as a reusable template
+   * @returns {object|null} Stored template or null on failure
+   */
+  saveAsTemplate(floorPlan) {
+    if (!floorPlan) return null;
+
+    const validation = Validation.validateFloorPlan(floorPlan);
+    if (!validation.valid) {
+      console.error('Invalid floor plan template:', validation.errors);
+      return null;
+    }
+
+    const template = { ...floorPlan, isCustom: true, isTemplate: true };
+    const templates = this.getCustomTemplates().filter((t) => t.id !== template.id);
+    templates.push(template);
+
+    if (!StorageUtil.save(Config.STORAGE_KEYS.floorPlanTemplates, templates)) {
+      return null;
+    }
+
+    this.eventBus.emit('floorplan:template:saved', template);
+    return template;
+  }
+
+  /**
+   * Delete a saved custom floor plan template
+   */
+  deleteTemplate(templateId) {
+    const templates = this.getCustomTemplates();
+    const remaining = templates.filter((t) => t.id !== templateId);
+    if (remaining.length === templates.length) return false;
+
+    const saved = StorageUtil.save(Config.STORAGE_KEYS.floorPlanTemplates, remaining);
+    if (saved) {
+      this.eventBus.emit('floorplan:template:deleted', templateId);
+    }
+    return saved;
+  }
+
   /**
    * Get current floor plan
    */
@@ -63,35 +486,57 @@ class FloorPlanManager {
   }
 
   /**
-   * Get all floor plan templates
+   * Get all floor plan templates (built-in units followed by saved custom templates)
    */
   getAllFloorPlans() {
-    return Config.FLOOR_PLANS || [];
+    return [...(Config.FLOOR_PLANS || []), ...this.getCustomTemplates()];
   }
 
   /**
-   * Get floor plan by ID from Config
+   * Get floor plan by ID from Config or saved templates
    * @private
    */
   _getFloorPlanById(id) {
-    const floorPlans = Config.FLOOR_PLANS || [];
-    return floorPlans.find((fp) => fp.id === id);
+    return this.getAllFloorPlans().find((fp) => fp.id === id);
+  }
+
+  /**
+   * Resolve an id or floor plan object to the floor plan to apply.
+   * Built-in units always come from Config so stale saved copies pick up fixes;
+   * custom plans are used as stored since they only exist in the layout.
+   * @private
+   */
+  _resolveFloorPlan(floorPlanRef) {
+    if (!floorPlanRef) return null;
+    if (typeof floorPlanRef === 'string') {
+      return this._getFloorPlanById(floorPlanRef) || null;
+    }
+    if (typeof floorPlanRef !== 'object') return null;
+
+    if (!floorPlanRef.isCustom && floorPlanRef.id) {
+      const libraryPlan = this._getFloorPlanById(floorPlanRef.id);
+      if (libraryPlan) {
+        // Obstacles and doors placed by the user live with the layout, not the library unit
+        const placed = {};
+        if (Array.isArray(floorPlanRef.obstacles)) placed.obstacles = floorPlanRef.obstacles;
+        if (Array.isArray(floorPlanRef.doors)) placed.doors = floorPlanRef.doors;
+        return Object.keys(placed).length ? { ...libraryPlan, ...placed } : libraryPlan;
+      }
+    }
+    return { ...floorPlanRef };
   }
 
   /**
    * Get floor plan area in square feet
    */
   getArea() {
-    const floorPlan = this.getCurrentFloorPlan();
-    if (!floorPlan) return 0;
-    return floorPlan.widthFt * floorPlan.heightFt;
+    return Geometry.getFloorPlanArea(this.getCurrentFloorPlan());
   }
 
   /**
    * Get occupied area (sum of all items)
    */
-  getOccupiedArea() {
-    const items = this.state.get('items') || [];
+  getOccupiedArea(items = this.state.get('items') || []) {
     return items.reduce((total, item) => {
       return total + item.lengthFt * item.widthFt;
     }, 0);
@@ -99,17 +544,40 @@ class FloorPlanManager {
 
   /**
    * Get percentage of occupied space
+   * @param {object} [floorPlan] - Defaults to the current floor plan
+   * @param {Array<object>} [items] - Defaults to the items on the layout
    */
-  getOccupancyPercentage() {
-    const total = this.getArea();
-    const occupied = this.getOccupiedArea();
+  getOccupancyPercentage(floorPlan = this.getCurrentFloorPlan(), items) {
+    const total = Geometry.getFloorPlanArea(floorPlan);
+    const occupied = this.getOccupiedArea(items);
     return total > 0 ? (occupied / total) * 100 : 0;
   }
 
+  /**
+   * Occupancy per level. The deck is measured against the mezzanines' combined footprint.
+   * @param {object} [floorPlan] - Defaults to the current floor plan
+   * @param {Array<object>} [items] - Defaults to the items on the layout
+   * @returns {{ground: number, mezzanine: number|null}} Percentages; `mezzanine` is null without a deck
+   */
+  getLevelOccupancy(floorPlan = this.getCurrentFloorPlan(), items = this.state.get('items') || []) {
+    const deckArea = this.getOccupiedArea(items.filter((item) => item.category === 'mezzanine'));
+    return {
+      ground: this.getOccupancyPercentage(
+        floorPlan,
+        items.filter((item) => !Bounds.isDeckItem(item)),
+      ),
+      mezzanine:
+        deckArea > 0
+          ? (this.getOccupiedArea(items.filter((item) => Bounds.isDeckItem(item))) / deckArea) * 100
+          : null,
+    };
+  }
+
   /**
    * Clear floor plan
    */
   clearFloorPlan() {
+    if (this.state.isReadOnly()) return;
     const currentLayout = this.state.get('layout') || {};
     this.state.setState({
       floorPlan: null,
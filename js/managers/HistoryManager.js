@@ -1,69 +1,120 @@
-/* global Config, Helpers */
+/* global Compression, Config, Helpers, Patch */
 
 /**
  * History Manager - Undo/Redo System
- * Manages state history stack (50 levels)
+ * Keeps up to 50 labeled entries ("Moved Sedan", "Rotated 3 items"). Each entry holds
+ * only the patch from the entry before it; a single snapshot of the current point is
+ * kept to diff against. Related changes can be grouped into one entry with a transaction.
+ * The most recent entries can be serialized (compressed) and restored after a reload.
  */
 class HistoryManager {
   constructor(state, eventBus, maxStates = Config.MAX_HISTORY) {
     this.state = state;
     this.eventBus = eventBus;
     this.maxStates = maxStates;
-    this.states = [];
+    /** @type {Array<{label: string, ops: Array<object>, timestamp: number}>} */
+    this.entries = [];
     this.currentIndex = -1;
     this.enabled = true;
+    this.snapshot = null; // document at currentIndex
+    this.transactionDepth = 0;
+    this.transactionLabel = null;
   }
 
   /**
-   * Save current state to history
+   * Record the changes since the last entry
+   * @param {string} [label] - Shown in the history panel; described from the changes when omitted
    */
-  save() {
-    if (!this.enabled) return;
+  save(label) {
+    if (!this.enabled || this.transactionDepth > 0) return;
 
-    // Get current state
-    const currentState = this.state.getState();
+    const current = this._capture();
+    if (!this.snapshot) {
+      this.entries = [{ label: label || 'Opened layout', ops: [], timestamp: Date.now() }];
+      this.currentIndex = 0;
+      this.snapshot = current;
+      this._emitChanged();
+      return;
+    }
 
-    // Remove any states after current index (for redo clear)
-    this.states = this.states.slice(0, this.currentIndex + 1);
+    const ops = Patch.diff(this.snapshot, current);
+    if (!ops.length) return;
 
-    // Add new state
-    this.states.push(Helpers.deepClone(currentState));
+    // Remove any entries after current index (for redo clear)
+    this.entries = this.entries.slice(0, this.currentIndex + 1);
+    this.entries.push({
+      label: label || this._describe(ops, this.snapshot, current),
+      ops,
+      timestamp: Date.now(),
+    });
     this.currentIndex++;
+    this.snapshot = current;
 
-    // Limit stack size
-    if (this.states.length > this.maxStates) {
-      this.states.shift();
+    // Limit stack size; the oldest remaining entry becomes the starting point
+    if (this.entries.length > this.maxStates) {
+      this.entries.shift();
+      this.entries[0].ops = [];
       this.currentIndex--;
     }
 
-    this.eventBus.emit('history:changed', {
-      canUndo: this.canUndo(),
-      canRedo: this.canRedo(),
-    });
+    this._emitChanged();
   }
 
   /**
-   * Undo last action
+   * Group the changes made until endTransaction() into one entry.
+   * Transactions nest; the outermost label wins.
+   * @param {string} [label]
    */
-  undo() {
-    if (!this.canUndo()) {
-      return null;
+  beginTransaction(label) {
+    if (this.transactionDepth === 0) {
+      this.transactionLabel = label || null;
     }
+    this.transactionDepth++;
+  }
 
-    this.enabled = false;
-    this.currentIndex--;
-    const previousState = Helpers.deepClone(this.states[this.currentIndex]);
+  /**
+   * Close a transaction, recording its entry once the outermost one ends
+   */
+  endTransaction() {
+    if (this.transactionDepth === 0) return;
+    this.transactionDepth--;
+    if (this.transactionDepth === 0) {
+      const label = this.transactionLabel;
+      this.transactionLabel = null;
+      this.save(label);
+    }
+  }
 
-    this.state.loadState(previousState);
-    this.enabled = true;
+  /**
+   * Run a callback as one undoable transaction (waits for a returned promise)
+   * @param {string|null} label
+   * @param {Function} callback
+   */
+  transaction(label, callback) {
+    this.beginTransaction(label);
+    let result;
+    try {
+      result = callback();
+    } catch (error) {
+      this.endTransaction();
+      throw error;
+    }
 
-    this.eventBus.emit('history:undo', previousState);
-    this.eventBus.emit('history:changed', {
-      canUndo: this.canUndo(),
-      canRedo: this.canRedo(),
-    });
+    if (result && typeof result.then === 'function') {
+      return result.finally(() => this.endTransaction());
+    }
+    this.endTransaction();
+    return result;
+  }
 
-    return previousState;
+  /**
+   * Undo last action
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return null;
+    }
+    return this.goTo(this.currentIndex - 1);
   }
 
   /**
@@ -73,60 +124,263 @@ class HistoryManager {
     if (!this.canRedo()) {
       return null;
     }
+    return this.goTo(this.currentIndex + 1);
+  }
 
-    this.enabled = false;
-    this.currentIndex++;
-    const nextState = Helpers.deepClone(this.states[this.currentIndex]);
+  /**
+   * Jump to an entry, undoing or redoing every step in between (not while read-only)
+   * @param {number} index - Entry index (see getEntries)
+   * @returns {object|null} The restored state, or null when out of range
+   */
+  goTo(index) {
+    if (this.state.isReadOnly()) return null;
+    if (!this.snapshot || index < 0 || index >= this.entries.length) return null;
+    if (index === this.currentIndex) return null;
 
-    this.state.loadState(nextState);
+    const backward = index < this.currentIndex;
+    let doc = Helpers.deepClone(this.snapshot);
+    while (this.currentIndex !== index) {
+      if (backward) {
+        doc = Patch.apply(doc, this.entries[this.currentIndex].ops, 'backward');
+        this.currentIndex--;
+      } else {
+        this.currentIndex++;
+        doc = Patch.apply(doc, this.entries[this.currentIndex].ops, 'forward');
+      }
+    }
+    this.snapshot = doc;
+
+    const restored = Helpers.deepClone(doc);
+    this.enabled = false;
+    this.state.loadState(restored);
     this.enabled = true;
 
-    this.eventBus.emit('history:redo', nextState);
-    this.eventBus.emit('history:changed', {
-      canUndo: this.canUndo(),
-      canRedo: this.canRedo(),
-    });
+    this.eventBus.emit(backward ? 'history:undo' : 'history:redo', restored);
+    this._emitChanged();
 
-    return nextState;
+    return restored;
   }
 
   /**
    * Check if can undo
    */
   canUndo() {
-    return this.currentIndex > 0;
+    return this.currentIndex > 0 && !this.state.isReadOnly();
   }
 
   /**
    * Check if can redo
    */
   canRedo() {
-    return this.currentIndex < this.states.length - 1;
+    return this.currentIndex < this.entries.length - 1 && !this.state.isReadOnly();
   }
 
   /**
    * Clear all history
    */
   clear() {
-    this.states = [];
+    this.entries = [];
     this.currentIndex = -1;
+    this.snapshot = null;
+    this.transactionDepth = 0;
+    this.transactionLabel = null;
     this.eventBus.emit('history:changed', {
       canUndo: false,
       canRedo: false,
     });
   }
 
+  /**
+   * Entries for the history panel, oldest first
+   * @returns {Array<{index: number, label: string, timestamp: number, current: boolean, undone: boolean}>}
+   */
+  getEntries() {
+    return this.entries.map((entry, index) => ({
+      index,
+      label: entry.label,
+      timestamp: entry.timestamp,
+      current: index === this.currentIndex,
+      undone: index > this.currentIndex,
+    }));
+  }
+
   /**
    * Get history info
    */
   getInfo() {
     return {
-      total: this.states.length,
+      total: this.entries.length,
       currentIndex: this.currentIndex,
       canUndo: this.canUndo(),
       canRedo: this.canRedo(),
+      undoLabel: this.canUndo() ? this.entries[this.currentIndex].label : null,
+      redoLabel: this.canRedo() ? this.entries[this.currentIndex + 1].label : null,
     };
   }
+
+  /**
+   * Serialize the most recent entries for storage. Fewer entries are kept when the
+   * compressed result would exceed Config.PERSISTED_HISTORY_MAX_CHARS.
+   * @param {number} [maxEntries] - Entries kept; the oldest kept entry becomes the starting point
+   * @returns {string|null} Compressed history, or null when there is nothing to undo or redo
+   */
+  serialize(maxEntries = Config.PERSISTED_HISTORY_ENTRIES) {
+    if (!this.snapshot || this.entries.length < 2) return null;
+
+    let count = Math.max(2, maxEntries);
+    for (;;) {
+      // Keep the window closest to the end that still contains the current entry
+      const start = Math.max(0, Math.min(this.currentIndex, this.entries.length - count));
+      const entries = this.entries.slice(start, start + count).map((entry, index) => ({
+        ...entry,
+        ops: index === 0 ? [] : entry.ops,
+      }));
+      const packed = Compression.compress(
+        JSON.stringify({
+          version: 1,
+          currentIndex: this.currentIndex - start,
+          snapshot: this.snapshot,
+          entries,
+        }),
+      );
+      if (packed.length <= Config.PERSISTED_HISTORY_MAX_CHARS) return packed;
+      if (count <= 2) return null;
+      count = Math.ceil(count / 2);
+    }
+  }
+
+  /**
+   * Replace the history with one produced by serialize().
+   * Call after the matching state has been loaded; anything that differs from the
+   * stored point (e.g. edits made after the last entry) is recorded as a new entry.
+   * @param {string} serialized
+   * @returns {boolean} True when the history was restored
+   */
+  restore(serialized) {
+    let payload;
+    try {
+      payload = JSON.parse(Compression.decompress(serialized) || 'null');
+    } catch (error) {
+      payload = null;
+    }
+
+    if (
+      !payload ||
+      payload.version !== 1 ||
+      !Array.isArray(payload.entries) ||
+      !payload.entries.length ||
+      !payload.snapshot ||
+      !(payload.currentIndex >= 0 && payload.currentIndex < payload.entries.length)
+    ) {
+      console.warn('[HistoryManager] Ignoring unreadable saved history');
+      return false;
+    }
+
+    this.entries = payload.entries;
+    this.currentIndex = payload.currentIndex;
+    this.snapshot = payload.snapshot;
+    this.transactionDepth = 0;
+    this.transactionLabel = null;
+    this._emitChanged();
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * The part of the state history restores (what State.loadState reads back).
+   * Canvas objects, the modified time and the on-screen floor plan bounds are left out.
+   * @private
+   */
+  _capture() {
+    /** @type {Object<string, any>} */
+    const doc = {};
+    ['floorPlan', 'items', 'settings', 'layout', 'metadata'].forEach((key) => {
+      doc[key] = this.state.get(key);
+    });
+    const captured = JSON.parse(
+      JSON.stringify(doc, (key, value) => (key === 'canvasObject' ? undefined : value)),
+    );
+    delete captured.metadata?.modified;
+    delete captured.layout?.floorPlanBounds;
+    return captured;
+  }
+
+  /**
+   * Describe a change for the panel, e.g. "Moved Sedan" or "Rotated 3 items"
+   * @private
+   */
+  _describe(ops, before, after) {
+    const itemOps = ops.filter((op) => op.path[0] === 'items');
+    if (itemOps.length) {
+      return this._describeItems(itemOps, before.items || [], after.items || []);
+    }
+
+    const top = new Set(ops.map((op) => op.path[0]));
+    if (top.has('floorPlan')) {
+      const parts = new Set(
+        ops.filter((op) => op.path[0] === 'floorPlan').map((op) => op.path[1] ?? 'id'),
+      );
+      if (parts.has('id')) return `Changed floor plan to ${after.floorPlan?.name || 'none'}`;
+      if (parts.has('doors')) return 'Edited doors';
+      if (parts.has('obstacles')) return 'Edited obstacles';
+      return 'Edited floor plan';
+    }
+    if (top.has('settings')) return 'Changed settings';
+    if (ops.some((op) => op.path[1] === 'projectName')) return 'Renamed project';
+    return 'Edited layout';
+  }
+
+  /**
+   * @private
+   */
+  _describeItems(ops, beforeItems, afterItems) {
+    const ids = new Set();
+    const fields = new Set();
+    let added = 0;
+    let removed = 0;
+    ops.forEach((op) => {
+      const segment = op.path[1];
+      if (!segment) {
+        fields.add('order');
+        return;
+      }
+      ids.add(segment.id);
+      if (op.path.length === 2) {
+        if (op.before === undefined) added++;
+        if (op.after === undefined) removed++;
+      } else {
+        fields.add(op.path[2]);
+      }
+    });
+
+    const id = [...ids][0];
+    const item =
+      afterItems.find((entry) => entry.id === id) || beforeItems.find((entry) => entry.id === id);
+    const subject = ids.size === 1 ? item?.label || 'item' : `${ids.size} items`;
+
+    if (!ids.size) return 'Reordered items';
+    if (added === ids.size) return `Added ${subject}`;
+    if (removed === ids.size) return `Deleted ${subject}`;
+    if (fields.has('lengthFt') || fields.has('widthFt')) return `Resized ${subject}`;
+    if (fields.has('angle')) return `Rotated ${subject}`;
+    if (fields.has('x') || fields.has('y')) return `Moved ${subject}`;
+    if (fields.has('locked')) {
+      return `${item?.locked ? 'Locked' : 'Unlocked'} ${subject}`;
+    }
+    if (fields.has('level')) return `Moved ${subject} to another level`;
+    return `Edited ${subject}`;
+  }
+
+  /**
+   * @private
+   */
+  _emitChanged() {
+    this.eventBus.emit('history:changed', {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+    });
+  }
 }
 
 // Make available globally
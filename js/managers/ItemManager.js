@@ -1,4 +1,4 @@
-/* global Items, Helpers, Modal */
+/* global Items, Helpers, Modal, Validation, Config, Bounds */
 
 /**
  * Item Manager
@@ -13,8 +13,15 @@ class ItemManager {
 
   /**
    * Add item to canvas
+   * @param {string} itemId - Items catalog id
+   * @param {number} [x]
+   * @param {number} [y]
+   * @param {object} [overrides] - Per-instance label/size/color (see getInstanceProps) and
+   *   `level` (a Config.LEVELS value, defaults to the level being edited)
    */
-  addItem(itemId, x, y) {
+  addItem(itemId, x, y, overrides = {}) {
+    if (this.state.isReadOnly()) return null;
+
     try {
       const itemTemplate = Items.getById(itemId);
       if (!itemTemplate) {
@@ -30,18 +37,24 @@ class ItemManager {
 
       const itemData = {
         ...itemTemplate,
+        ...this.getInstanceProps(overrides),
         itemId: itemTemplate.id,
         id: Helpers.generateId('item'),
         x: x,
         y: y,
         angle: 0,
         locked: false,
+        level: this._resolveLevel(itemTemplate, overrides.level),
       };
 
       const canvasGroup = this.canvasManager.addItem(itemData, x, y);
       if (!canvasGroup) {
         throw new Error('Canvas group creation failed');
       }
+      if (this.canvasManager.constrainToDeck(canvasGroup)) {
+        itemData.x = canvasGroup.left;
+        itemData.y = canvasGroup.top;
+      }
 
       itemData.canvasObject = canvasGroup;
 
@@ -62,6 +75,8 @@ class ItemManager {
    * Remove item
    */
   removeItem(itemId) {
+    if (this.state.isReadOnly()) return false;
+
     try {
       const items = this.state.get('items') || [];
       const item = items.find((i) => i.id === itemId);
@@ -88,6 +103,8 @@ class ItemManager {
    * Update item properties
    */
   updateItem(itemId, updates) {
+    if (this.state.isReadOnly()) return false;
+
     try {
       const items = this.state.get('items') || [];
       const itemIndex = items.findIndex((i) => i.id === itemId);
@@ -105,6 +122,63 @@ class ItemManager {
     }
   }
 
+  /**
+   * Edit a placed item's label, size or color.
+   * The canvas group is rebuilt at true scale, so the new size is what
+   * occupancy, collisions and exports see.
+   * @param {string} itemId
+   * @param {{label?: string, lengthFt?: number, widthFt?: number, color?: string}} props
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  updateItemProperties(itemId, props) {
+    if (this.state.isReadOnly()) {
+      return { valid: false, errors: ['A shared layout cannot be edited'] };
+    }
+    const item = this.getItem(itemId);
+    if (!item) {
+      return { valid: false, errors: ['Item not found'] };
+    }
+
+    /** @type {Object<string, any>} */
+    const updates = this.getInstanceProps(props);
+    if (typeof updates.label === 'string') {
+      updates.label = updates.label.trim();
+    }
+    const { canvasObject, ...itemData } = { ...item, ...updates };
+    const validation = Validation.validateItem(itemData);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    if (canvasObject) {
+      const group = this.canvasManager.rebuildItem(canvasObject, itemData);
+      if (!group) {
+        return { valid: false, errors: ['Could not redraw the item'] };
+      }
+      this._applyLockState(group, !!item.locked);
+      updates.canvasObject = group;
+      updates.x = group.left;
+      updates.y = group.top;
+    }
+
+    this.updateItem(itemId, updates);
+    return validation;
+  }
+
+  /**
+   * Per-instance properties that may differ from the catalog template
+   * @returns {{label?: string, lengthFt?: number, widthFt?: number, heightFt?: number, color?: string}}
+   */
+  getInstanceProps(source = {}) {
+    const props = {};
+    ['label', 'lengthFt', 'widthFt', 'heightFt', 'color'].forEach((key) => {
+      if (source[key] !== undefined && source[key] !== null) {
+        props[key] = source[key];
+      }
+    });
+    return props;
+  }
+
   /**
    * Get item by ID
    */
@@ -124,6 +198,8 @@ class ItemManager {
    * Duplicate item
    */
   duplicateItem(itemId, options = {}) {
+    if (this.state.isReadOnly()) return null;
+
     try {
       const { centerOverride = null, canvasObject: canvasObjectOverride = null } = options;
       const item = this.getItem(itemId);
@@ -152,7 +228,10 @@ class ItemManager {
         angle = item.canvasObject.angle || 0;
       }
 
-      const newItem = this.addItem(item.itemId, x, y);
+      const newItem = this.addItem(item.itemId, x, y, {
+        ...this.getInstanceProps(item),
+        level: item.level,
+      });
 
       if (newItem && newItem.canvasObject && angle !== 0) {
         newItem.canvasObject.rotate(angle);
@@ -177,15 +256,12 @@ class ItemManager {
    * Lock item
    */
   lockItem(itemId) {
+    if (this.state.isReadOnly()) return false;
     const item = this.getItem(itemId);
     if (!item) return false;
 
     if (item.canvasObject) {
-      item.canvasObject.lockMovementX = true;
-      item.canvasObject.lockMovementY = true;
-      item.canvasObject.lockRotation = true;
-      item.canvasObject.lockScalingX = true;
-      item.canvasObject.lockScalingY = true;
+      this._applyLockState(item.canvasObject, true);
     }
 
     return this.updateItem(itemId, { locked: true });
@@ -195,15 +271,12 @@ class ItemManager {
    * Unlock item
    */
   unlockItem(itemId) {
+    if (this.state.isReadOnly()) return false;
     const item = this.getItem(itemId);
     if (!item) return false;
 
     if (item.canvasObject) {
-      item.canvasObject.lockMovementX = false;
-      item.canvasObject.lockMovementY = false;
-      item.canvasObject.lockRotation = false;
-      item.canvasObject.lockScalingX = false;
-      item.canvasObject.lockScalingY = false;
+      this._applyLockState(item.canvasObject, false);
     }
 
     return this.updateItem(itemId, { locked: false });
@@ -217,6 +290,55 @@ class ItemManager {
     items.forEach((item) => this.removeItem(item.id));
   }
 
+  /**
+   * Create an item type in the user's library
+   * @param {{label: string, category: string, lengthFt: number, widthFt: number, heightFt?: number, color?: string, shapeType?: string, image?: string|null}} spec
+   * @returns {{success: boolean, errors: string[], item?: object}}
+   */
+  createCustomItem(spec) {
+    const item = {
+      id: Helpers.generateId('custom'),
+      label: String(spec.label || '').trim(),
+      lengthFt: spec.lengthFt,
+      widthFt: spec.widthFt,
+      heightFt: spec.heightFt,
+      color: spec.color || '#6366F1',
+      category: spec.category,
+      shapeType: spec.shapeType || 'rectangle',
+      paletteImage: spec.image || null,
+      canvasImage: spec.image || null,
+    };
+
+    const validation = Validation.validateCustomItem(item);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    if (!Items.saveCustomItem(item)) {
+      return { success: false, errors: ['Could not save the item - storage error'] };
+    }
+
+    this.eventBus.emit('item:library:changed');
+    return { success: true, errors: [], item: Items.getById(item.id) };
+  }
+
+  /**
+   * Remove an item type from the user's library
+   * @returns {{success: boolean, errors: string[]}}
+   */
+  deleteCustomItem(id) {
+    if (this.getAllItems().some((item) => item.itemId === id)) {
+      return { success: false, errors: ['Remove the placed copies of this item first'] };
+    }
+
+    if (!Items.deleteCustomItem(id)) {
+      return { success: false, errors: ['Custom item not found'] };
+    }
+
+    this.eventBus.emit('item:library:changed');
+    return { success: true, errors: [] };
+  }
+
   /**
    * Get item library
    */
@@ -224,6 +346,52 @@ class ItemManager {
     return Items.getAll();
   }
 
+  /**
+   * @private
+   */
+  _applyLockState(obj, locked) {
+    obj.lockMovementX = locked;
+    obj.lockMovementY = locked;
+    obj.lockRotation = locked;
+    obj.lockScalingX = locked;
+    obj.lockScalingY = locked;
+  }
+
+  /**
+   * Move deck items back to the ground floor once the layout has no mezzanine left
+   * @returns {number} Number of items moved
+   */
+  releaseOrphanedDeckItems() {
+    const items = this.getAllItems();
+    if (items.some((item) => item.category === 'mezzanine')) return 0;
+
+    const orphans = items.filter((item) => Bounds.isDeckItem(item));
+    orphans.forEach((item) => {
+      if (item.canvasObject) {
+        item.canvasObject.customData.level = Config.LEVELS.GROUND;
+      }
+      this.updateItem(item.id, { level: Config.LEVELS.GROUND });
+    });
+    if (orphans.length) {
+      this.canvasManager.applyLevelView(Config.LEVELS.GROUND);
+    }
+    return orphans.length;
+  }
+
+  /**
+   * Level for a new item: mezzanines always stand on the ground floor, and
+   * the deck is only used while the layout has a mezzanine
+   * @private
+   */
+  _resolveLevel(itemTemplate, requested) {
+    const level = requested || this.state.get('ui.activeLevel');
+    if (itemTemplate.category === 'mezzanine' || level !== Config.LEVELS.MEZZANINE) {
+      return Config.LEVELS.GROUND;
+    }
+    const hasDeck = this.getAllItems().some((item) => item.category === 'mezzanine');
+    return hasDeck ? Config.LEVELS.MEZZANINE : Config.LEVELS.GROUND;
+  }
+
   /**
    * Handle item-related errors gracefully
    * @private
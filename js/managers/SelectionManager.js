@@ -102,6 +102,11 @@ class SelectionManager {
   deleteSelected() {
     const selected = this.getSelection();
     const measurementTool = this.canvasManager?.getMeasurementTool?.();
+    const ids = selected
+      .filter((item) => item.customData && item.customData.id)
+      .map((item) => item.customData.id);
+
+    this.eventBus.emit('items:delete:batch:start', { ids });
 
     selected.forEach((item) => {
       if (item.measurement || item.isMeasurementLabel) {
@@ -121,6 +126,7 @@ class SelectionManager {
       }
     });
 
+    this.eventBus.emit('items:delete:batch:end', { ids });
     this.deselectAll();
   }
 
@@ -175,6 +181,7 @@ class SelectionManager {
             label: item.customData.label,
             widthFt: item.customData.widthFt,
             lengthFt: item.customData.lengthFt,
+            color: item.customData.color,
             category: item.customData.category,
             x: center.x,
             y: center.y,
@@ -268,6 +275,8 @@ class SelectionManager {
       return;
     }
 
+    this.eventBus.emit('items:align:batch:start', { items: selected, alignment });
+
     switch (alignment) {
       case 'left': {
         const minLeft = Math.min(...bounds.map((b) => b.left));
@@ -329,6 +338,14 @@ class SelectionManager {
     }
 
     this.canvas.renderAll();
+
+    // Emit canvas:object:modified for each aligned item so state follows; the batch
+    // makes the whole alignment one undo step
+    selected.forEach((item) => {
+      this.eventBus.emit('canvas:object:modified', item);
+    });
+
+    this.eventBus.emit('items:align:batch:end', { items: selected, alignment });
     this.eventBus.emit('items:aligned', selected);
   }
 
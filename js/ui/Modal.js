@@ -2,7 +2,12 @@
  * Modal and Toast UI System
  */
 class Modal {
-  static showConfirm(title, message) {
+  /**
+   * @param {string} title
+   * @param {string|Node} message - Plain text, or an element shown as-is
+   * @param {string} [confirmText]
+   */
+  static showConfirm(title, message, confirmText = 'Confirm') {
     return new Promise((resolve) => {
       // Guard: Prevent multiple confirms from opening simultaneously
       if (Modal._currentConfirm) {
@@ -37,9 +42,13 @@ class Modal {
 
       const body = document.createElement('div');
       body.className = 'modal-body';
-      const messageEl = document.createElement('p');
-      messageEl.textContent = message;
-      body.appendChild(messageEl);
+      if (message instanceof Node) {
+        body.appendChild(message);
+      } else {
+        const messageEl = document.createElement('p');
+        messageEl.textContent = message;
+        body.appendChild(messageEl);
+      }
 
       const footer = document.createElement('div');
       footer.className = 'modal-footer';
@@ -50,7 +59,7 @@ class Modal {
       const confirmBtn = document.createElement('button');
       confirmBtn.className = 'modal-btn modal-btn-primary';
       confirmBtn.dataset.action = 'confirm';
-      confirmBtn.textContent = 'Confirm';
+      confirmBtn.textContent = confirmText;
       footer.append(cancelBtn, confirmBtn);
 
       modal.append(header, body, footer);
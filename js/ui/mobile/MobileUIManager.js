@@ -766,6 +766,25 @@ class MobileUIManager {
           </svg>
           <span>Export as PNG</span>
         </button>
+        <button class="mobile-more-item" data-action="export-svg">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M12 19l7-7 3 3-7 7-3-3z"/>
+            <path d="M18 13l-1.5-7.5L2 2l3.5 14.5L13 18l5-5z"/>
+          </svg>
+          <span>Export as SVG</span>
+        </button>
+        <button class="mobile-more-item" data-action="export-dxf">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 21h18"/><path d="M3 21V7l6-4 6 4v14"/><path d="M15 11h6v10"/>
+          </svg>
+          <span>Export as DXF (CAD)</span>
+        </button>
+        <button class="mobile-more-item" data-action="export-bom">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="3" y="3" width="18" height="18" rx="2"/><path d="M3 9h18"/><path d="M3 15h18"/><path d="M9 3v18"/>
+          </svg>
+          <span>Export Bill of Materials</span>
+        </button>
         <button class="mobile-more-item" data-action="export-pdf">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
@@ -779,6 +798,13 @@ class MobileUIManager {
           </svg>
           <span>Export as JSON</span>
         </button>
+        <button class="mobile-more-item" data-action="share-link">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71"/>
+            <path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71"/>
+          </svg>
+          <span>Share Link &amp; QR Code</span>
+        </button>
         <button class="mobile-more-item" data-action="share-email">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/>
@@ -845,11 +871,16 @@ class MobileUIManager {
   /**
    * Render saved layouts
    */
-  renderSaved() {
+  async renderSaved() {
     const container = document.getElementById('mobile-saved-view');
     if (!container) return;
 
-    const layouts = window.Storage?.load(window.Config?.STORAGE_KEYS?.layouts) || [];
+    let layouts = [];
+    try {
+      layouts = (await window.LayoutStore?.list()) || [];
+    } catch (error) {
+      console.error('[MobileUI] Could not list saved layouts:', error);
+    }
 
     container.innerHTML = `
       <div class="mobile-view-header">
@@ -915,7 +946,7 @@ class MobileUIManager {
             'Are you sure you want to delete this layout? This cannot be undone.',
           );
           if (confirmed) {
-            this.app.deleteLayout(layoutId);
+            await this.app.deleteLayout(layoutId);
             // Re-render after delete
             this.renderSaved();
           }
@@ -937,6 +968,9 @@ class MobileUIManager {
    * Add item to canvas
    */
   addItem(itemId) {
+    // Shared layouts are view-only
+    if (this.app?.readOnly) return;
+
     const floorPlan = this.state.get('floorPlan');
     if (!floorPlan) {
       window.Modal?.showInfo('Please select a floor plan before adding items');
@@ -957,6 +991,21 @@ class MobileUIManager {
    * Handle toolbar actions
    */
   handleToolAction(action) {
+    const editActions = [
+      'rotate',
+      'duplicate',
+      'delete',
+      'bring-front',
+      'send-back',
+      'toggle-floorplan-lock',
+      'recenter-floorplan',
+    ];
+    // Shared layouts are view-only: only viewing tools work
+    if (this.app?.readOnly && editActions.includes(action)) {
+      this.closeActionPanel();
+      return;
+    }
+
     let shouldCloseActionPanel = true;
     switch (action) {
       case 'zoom-in':
@@ -1102,8 +1151,12 @@ class MobileUIManager {
 
     const actions = {
       'export-png': '#btn-export-png',
+      'export-svg': '#btn-export-svg',
+      'export-dxf': '#btn-export-dxf',
+      'export-bom': '#btn-export-bom',
       'export-pdf': '#btn-export-pdf',
       'export-json': '#btn-export-json',
+      'share-link': '#btn-share-link',
       'share-email': '#btn-share-email',
       new: '#btn-new',
     };
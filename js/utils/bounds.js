@@ -1,4 +1,4 @@
-/* global Helpers, Config */
+/* global Helpers, Config, Geometry */
 
 /**
  * Boundary Detection Utilities
@@ -54,6 +54,23 @@ const Bounds = {
       }
     }
 
+    // Polygon outlines: bbox clamping isn't enough, push the item out of any notch
+    const polygon = bounds ? this.getFloorPlanPolygon(floorPlan, bounds) : null;
+    if (polygon) {
+      const offset = this._findPolygonOffset(
+        {
+          ...itemBounds,
+          left: itemBounds.left + newLeft - item.left,
+          top: itemBounds.top + newTop - item.top,
+        },
+        polygon,
+      );
+      if (offset) {
+        newLeft += offset.x;
+        newTop += offset.y;
+      }
+    }
+
     if (newLeft !== item.left || newTop !== item.top) {
       item.set({ left: newLeft, top: newTop });
       item.setCoords();
@@ -71,82 +88,324 @@ const Bounds = {
 
     const bounds = this._resolveCanvasBounds(floorPlan, canvasBounds);
     if (bounds) {
-      return (
+      const insideBox =
         itemBounds.left >= bounds.left &&
         itemBounds.top >= bounds.top &&
         itemBounds.left + itemBounds.width <= bounds.left + bounds.width &&
-        itemBounds.top + itemBounds.height <= bounds.top + bounds.height
-      );
+        itemBounds.top + itemBounds.height <= bounds.top + bounds.height;
+      const polygon = insideBox ? this.getFloorPlanPolygon(floorPlan, bounds) : null;
+      return polygon ? Geometry.rectInsidePolygon(itemBounds, polygon) : insideBox;
     }
 
     const maxX = Helpers.feetToPx(floorPlan.widthFt);
     const maxY = Helpers.feetToPx(floorPlan.heightFt);
 
-    return (
+    const insideBox =
       itemBounds.left >= 0 &&
       itemBounds.top >= 0 &&
       itemBounds.left + itemBounds.width <= maxX &&
-      itemBounds.top + itemBounds.height <= maxY
-    );
+      itemBounds.top + itemBounds.height <= maxY;
+    if (!insideBox || !Geometry.isPolygonFloorPlan(floorPlan)) return insideBox;
+
+    const polygon = floorPlan.vertices.map((v) => ({
+      x: Helpers.feetToPx(v.x),
+      y: Helpers.feetToPx(v.y),
+    }));
+    return Geometry.rectInsidePolygon(itemBounds, polygon);
+  },
+
+  /**
+   * Canvas-space origin (the 0,0 ft corner) of a floor plan drawn at `canvasBounds`.
+   * The bounds include the outline stroke, so the origin sits half a stroke inside.
+   */
+  getFloorPlanOrigin(floorPlan, canvasBounds) {
+    const bounds = this._resolveCanvasBounds(floorPlan, canvasBounds);
+    if (!floorPlan || !bounds) return null;
+    return {
+      x: bounds.left + (bounds.width - Helpers.feetToPx(floorPlan.widthFt)) / 2,
+      y: bounds.top + (bounds.height - Helpers.feetToPx(floorPlan.heightFt)) / 2,
+    };
+  },
+
+  /**
+   * Canvas-space outline of a polygon floor plan, or null for plain rectangles
+   */
+  getFloorPlanPolygon(floorPlan, canvasBounds) {
+    if (!Geometry.isPolygonFloorPlan(floorPlan)) return null;
+    const origin = this.getFloorPlanOrigin(floorPlan, canvasBounds);
+    if (!origin) return null;
+    return floorPlan.vertices.map((v) => ({
+      x: origin.x + Helpers.feetToPx(v.x),
+      y: origin.y + Helpers.feetToPx(v.y),
+    }));
   },
 
   /**
    * Check if item is in entry zone
-   * Supports all 4 entry zone positions (top, bottom, left, right)
+   * Uses the clearance in front of each door opening (swing doors: their swing arc)
    */
   isInEntryZone(item, floorPlan, entryZonePosition, canvasBounds) {
     if (!floorPlan || !item) return false;
 
-    const bounds = this._resolveCanvasBounds(floorPlan, canvasBounds);
-    const position = entryZonePosition || 'bottom';
     const itemBounds = this.getItemBounds(item);
     if (!itemBounds) return false;
 
-    if (bounds) {
-      const zoneHeight = bounds.height * Config.ENTRY_ZONE_PERCENTAGE;
-      const zoneWidth = bounds.width * Config.ENTRY_ZONE_PERCENTAGE;
+    const origin = this.getFloorPlanOrigin(floorPlan, canvasBounds) || { x: 0, y: 0 };
+    return this.getDoorZones(floorPlan, entryZonePosition, origin).some((zone) =>
+      this._rectHitsDoorZone(itemBounds, zone),
+    );
+  },
 
-      if (position === 'bottom') {
-        const entryZoneStart = bounds.top + bounds.height - zoneHeight;
-        return itemBounds.top + itemBounds.height > entryZoneStart;
-      }
-      if (position === 'top') {
-        const entryZoneEnd = bounds.top + zoneHeight;
-        return itemBounds.top < entryZoneEnd;
-      }
-      if (position === 'left') {
-        const entryZoneEnd = bounds.left + zoneWidth;
-        return itemBounds.left < entryZoneEnd;
-      }
-      if (position === 'right') {
-        const entryZoneStart = bounds.left + bounds.width - zoneWidth;
-        return itemBounds.left + itemBounds.width > entryZoneStart;
+  /**
+   * Doors and windows of a floor plan.
+   * Plans without a `doors` list get one implied roll-up door sized from `doorWidth`.
+   * The main door (`isMain`) follows the entry zone position setting and is centered
+   * on that wall unless it was explicitly placed there.
+   */
+  getFloorPlanDoors(floorPlan, entryZonePosition) {
+    if (!floorPlan) return [];
+
+    const doors = Array.isArray(floorPlan.doors)
+      ? floorPlan.doors
+      : [
+          {
+            id: 'main-door',
+            type: 'roll-up',
+            isMain: true,
+            widthFt: floorPlan.doorWidth,
+            heightFt: floorPlan.doorHeight,
+          },
+        ];
+    const mainWall = entryZonePosition || floorPlan.doorWall || 'bottom';
+
+    return doors.map((door) => {
+      if (!door.isMain) return door;
+      const wallLength = this.getWallLength(floorPlan, mainWall);
+      const widthFt = Math.min(door.widthFt > 0 ? door.widthFt : wallLength, wallLength);
+      const keepOffset = door.wall === mainWall && Number.isFinite(door.offsetFt);
+      return {
+        ...door,
+        wall: mainWall,
+        widthFt,
+        offsetFt: keepOffset ? door.offsetFt : (wallLength - widthFt) / 2,
+      };
+    });
+  },
+
+  /**
+   * Length in feet of a floor plan wall ('top' | 'bottom' | 'left' | 'right')
+   */
+  getWallLength(floorPlan, wall) {
+    return wall === 'left' || wall === 'right' ? floorPlan.heightFt : floorPlan.widthFt;
+  },
+
+  /**
+   * Canvas-space frame of a door opening: start point on the wall,
+   * unit direction along the wall and unit normal pointing into the unit.
+   */
+  getDoorFrame(door, floorPlan, origin) {
+    const w = Helpers.feetToPx(floorPlan.widthFt);
+    const h = Helpers.feetToPx(floorPlan.heightFt);
+    const offset = Helpers.feetToPx(door.offsetFt || 0);
+    const frames = {
+      bottom: { start: { x: offset, y: h }, dir: { x: 1, y: 0 }, normal: { x: 0, y: -1 } },
+      top: { start: { x: offset, y: 0 }, dir: { x: 1, y: 0 }, normal: { x: 0, y: 1 } },
+      left: { start: { x: 0, y: offset }, dir: { x: 0, y: 1 }, normal: { x: 1, y: 0 } },
+      right: { start: { x: w, y: offset }, dir: { x: 0, y: 1 }, normal: { x: -1, y: 0 } },
+    };
+    const frame = frames[door.wall] || frames.bottom;
+    return {
+      ...frame,
+      start: { x: origin.x + frame.start.x, y: origin.y + frame.start.y },
+      length: Helpers.feetToPx(door.widthFt),
+    };
+  },
+
+  /**
+   * Keep-clear zones in front of doors (windows have none)
+   * @returns {Array<{door: object, rect: object, hinge?: object, radius?: number, swingTo?: object}>}
+   */
+  getDoorZones(floorPlan, entryZonePosition, origin = { x: 0, y: 0 }) {
+    const zones = [];
+    this.getFloorPlanDoors(floorPlan, entryZonePosition).forEach((door) => {
+      const type = Config.DOOR_TYPES[door.type] || {};
+      if (type.isWindow) return;
+
+      const frame = this.getDoorFrame(door, floorPlan, origin);
+      const end = {
+        x: frame.start.x + frame.dir.x * frame.length,
+        y: frame.start.y + frame.dir.y * frame.length,
+      };
+
+      if (type.swing) {
+        // Outward swings leave nothing to keep clear inside the unit
+        if (door.swing === 'out') return;
+        const hingeAtEnd = door.hinge === 'end';
+        const hinge = hingeAtEnd ? end : frame.start;
+        const radius = frame.length;
+        const swingTo = {
+          x: hinge.x + frame.normal.x * radius,
+          y: hinge.y + frame.normal.y * radius,
+        };
+        const latch = hingeAtEnd ? frame.start : end;
+        zones.push({
+          door,
+          rect: this._rectFromPoints([hinge, latch, swingTo]),
+          hinge,
+          radius,
+          swingTo,
+        });
+        return;
       }
 
-      return false;
-    }
+      const depth = Helpers.feetToPx(door.clearanceDepthFt ?? type.clearanceDepthFt ?? 0);
+      if (depth <= 0) return;
+      const inner = (p) => ({ x: p.x + frame.normal.x * depth, y: p.y + frame.normal.y * depth });
+      zones.push({
+        door,
+        rect: this._rectFromPoints([frame.start, end, inner(frame.start), inner(end)]),
+      });
+    });
+    return zones;
+  },
 
-    const floorPlanWidth = Helpers.feetToPx(floorPlan.widthFt);
-    const floorPlanHeight = Helpers.feetToPx(floorPlan.heightFt);
+  /**
+   * @private
+   */
+  _rectFromPoints(points) {
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+    const right = Math.max(...xs);
+    const bottom = Math.max(...ys);
+    return { left, top, right, bottom, width: right - left, height: bottom - top };
+  },
 
-    if (position === 'bottom') {
-      const entryZoneStart = floorPlanHeight * (1 - Config.ENTRY_ZONE_PERCENTAGE);
-      return itemBounds.top + itemBounds.height > entryZoneStart;
-    }
-    if (position === 'top') {
-      const entryZoneEnd = floorPlanHeight * Config.ENTRY_ZONE_PERCENTAGE;
-      return itemBounds.top < entryZoneEnd;
-    }
-    if (position === 'left') {
-      const entryZoneEnd = floorPlanWidth * Config.ENTRY_ZONE_PERCENTAGE;
-      return itemBounds.left < entryZoneEnd;
-    }
-    if (position === 'right') {
-      const entryZoneStart = floorPlanWidth * (1 - Config.ENTRY_ZONE_PERCENTAGE);
-      return itemBounds.left + itemBounds.width > entryZoneStart;
+  /**
+   * Overlap test between an item rect and a door zone (rect or quarter-circle swing)
+   * @private
+   */
+  _rectHitsDoorZone(itemBounds, zone) {
+    const epsilon = 0.5;
+    const left = Math.max(itemBounds.left, zone.rect.left);
+    const right = Math.min(itemBounds.right, zone.rect.right);
+    const top = Math.max(itemBounds.top, zone.rect.top);
+    const bottom = Math.min(itemBounds.bottom, zone.rect.bottom);
+    if (right - left <= epsilon || bottom - top <= epsilon) return false;
+    if (!zone.hinge) return true;
+
+    // The swing zone is the quarter disc inside its bounding square
+    const nearestX = Math.max(left, Math.min(zone.hinge.x, right));
+    const nearestY = Math.max(top, Math.min(zone.hinge.y, bottom));
+    return Helpers.distance(nearestX, nearestY, zone.hinge.x, zone.hinge.y) < zone.radius - epsilon;
+  },
+
+  /**
+   * Obstacles whose footprint or clearance the item overlaps
+   * @returns {Array<object>} Conflicting obstacle definitions (empty when clear)
+   */
+  getObstacleConflicts(item, floorPlan, canvasBounds) {
+    if (!floorPlan || !item || !Array.isArray(floorPlan.obstacles) || !floorPlan.obstacles.length) {
+      return [];
     }
 
-    return false;
+    const itemBounds = this.getItemBounds(item);
+    if (!itemBounds) return [];
+
+    const origin = this.getFloorPlanOrigin(floorPlan, canvasBounds) || { x: 0, y: 0 };
+    const epsilon = 0.5; // px; items flush against the clearance edge are fine
+
+    return floorPlan.obstacles.filter((obstacle) => {
+      const zone = this.getObstacleZone(obstacle, origin);
+      return (
+        itemBounds.left < zone.right - epsilon &&
+        itemBounds.right > zone.left + epsilon &&
+        itemBounds.top < zone.bottom - epsilon &&
+        itemBounds.bottom > zone.top + epsilon
+      );
+    });
+  },
+
+  /**
+   * Canvas-space keep-clear rect of an obstacle (footprint grown by its clearance)
+   */
+  getObstacleZone(obstacle, origin) {
+    const clearance = Helpers.feetToPx(obstacle.clearanceFt || 0);
+    const left = origin.x + Helpers.feetToPx(obstacle.x) - clearance;
+    const top = origin.y + Helpers.feetToPx(obstacle.y) - clearance;
+    const width = Helpers.feetToPx(obstacle.widthFt) + clearance * 2;
+    const height = Helpers.feetToPx(obstacle.lengthFt) + clearance * 2;
+    return { left, top, width, height, right: left + width, bottom: top + height };
+  },
+
+  /**
+   * Items too tall for the unit: taller than the ceiling (or the headroom above a deck
+   * they stand on), than every door opening wide enough to bring them in, or than the
+   * deck of a mezzanine they sit under.
+   * Items without a `heightFt` are skipped.
+   * @returns {Array<{item: object, reason: 'ceiling'|'door'|'mezzanine', limitFt: number}>}
+   */
+  getHeightConflicts(items, floorPlan, entryZonePosition) {
+    if (!floorPlan || !Array.isArray(items)) return [];
+
+    const openings = this.getFloorPlanDoors(floorPlan, entryZonePosition)
+      .map((door) => {
+        const type = Config.DOOR_TYPES[door.type] || {};
+        return { door, isWindow: !!type.isWindow, heightFt: door.heightFt ?? type.heightFt };
+      })
+      .filter((opening) => !opening.isWindow && opening.heightFt > 0);
+
+    const mezzanines = items
+      .filter((item) => item?.customData?.category === 'mezzanine')
+      .map((item) => ({ item, polygon: this.getItemPolygon(item) }))
+      .filter((entry) => entry.polygon && entry.item.customData.deckHeightFt > 0);
+
+    const conflicts = [];
+    items.forEach((item) => {
+      const data = item?.customData;
+      if (!data || !(data.heightFt > 0)) return;
+
+      if (floorPlan.ceilingHeightFt > 0 && data.heightFt > floorPlan.ceilingHeightFt) {
+        conflicts.push({ item, reason: 'ceiling', limitFt: floorPlan.ceilingHeightFt });
+        return;
+      }
+
+      // Mezzanines are built in place; nothing else has to fit under them
+      if (data.category === 'mezzanine') return;
+
+      if (openings.length) {
+        // Only doors wide enough for the item's narrow side count; when none is,
+        // the tallest door is the best case
+        const narrowSide = Math.min(data.widthFt || 0, data.lengthFt || 0);
+        const wideEnough = openings.filter((opening) => opening.door.widthFt >= narrowSide);
+        const limitFt = Math.max(
+          ...(wideEnough.length ? wideEnough : openings).map((o) => o.heightFt),
+        );
+        if (data.heightFt > limitFt) {
+          conflicts.push({ item, reason: 'door', limitFt });
+          return;
+        }
+      }
+
+      const polygon = this.getItemPolygon(item);
+      if (!polygon) return;
+      const decks = mezzanines
+        .filter((entry) => Geometry.convexPolygonsOverlap(polygon, entry.polygon))
+        .map((entry) => entry.item.customData.deckHeightFt);
+      if (!decks.length) return;
+
+      // On the deck the headroom is what's left above it; below it, the deck's clear height
+      if (this.isDeckItem(data)) {
+        const headroom = floorPlan.ceilingHeightFt - Math.max(...decks);
+        if (headroom > 0 && data.heightFt > headroom) {
+          conflicts.push({ item, reason: 'ceiling', limitFt: headroom });
+        }
+      } else if (data.heightFt > Math.min(...decks)) {
+        conflicts.push({ item, reason: 'mezzanine', limitFt: Math.min(...decks) });
+      }
+    });
+    return conflicts;
   },
 
   /**
@@ -193,6 +452,134 @@ const Bounds = {
     return Helpers.rectanglesOverlap(b1, b2);
   },
 
+  /**
+   * Canvas-space footprint of an item as 4 corners, following its rotation and scale.
+   * Uses the item's catalog size so labels wider than the item don't count.
+   * @returns {Array<{x: number, y: number}>|null}
+   */
+  getItemPolygon(item) {
+    if (!item || typeof item.calcTransformMatrix !== 'function') return null;
+
+    const data = item.customData || {};
+    const width = data.widthFt ? Helpers.feetToPx(data.widthFt) : item.width;
+    const height = data.lengthFt ? Helpers.feetToPx(data.lengthFt) : item.height;
+    if (!(width > 0) || !(height > 0)) return null;
+
+    // Includes the transform of an active selection the item may be part of
+    const [a, b, c, d, e, f] = item.calcTransformMatrix();
+    return [
+      [-width / 2, -height / 2],
+      [width / 2, -height / 2],
+      [width / 2, height / 2],
+      [-width / 2, height / 2],
+    ].map(([x, y]) => ({ x: a * x + c * y + e, y: b * x + d * y + f }));
+  },
+
+  /**
+   * Check if two items' oriented footprints overlap
+   */
+  itemFootprintsOverlap(item1, item2) {
+    return Geometry.convexPolygonsOverlap(this.getItemPolygon(item1), this.getItemPolygon(item2));
+  },
+
+  /**
+   * Whether an item (its data or a canvas object's customData) sits on a mezzanine deck
+   */
+  isDeckItem(data) {
+    return data?.level === Config.LEVELS.MEZZANINE;
+  },
+
+  /**
+   * Keep a deck item within a mezzanine deck's footprint: the deck it is over,
+   * or the nearest one. Works in the deck's own axes so rotated decks clamp correctly;
+   * an item larger than the deck is centered on it.
+   * @param {object} item - Canvas object (center origin)
+   * @param {Array<object>} decks - Canvas objects of the mezzanines
+   * @returns {boolean} True when the item was moved
+   */
+  constrainToDeck(item, decks) {
+    const polygon = this.getItemPolygon(item);
+    if (!polygon || !Array.isArray(decks)) return false;
+
+    const center = this._centroid(polygon);
+    const frames = decks
+      .map((deck) => this.getItemPolygon(deck))
+      .filter(Boolean)
+      .map(([tl, tr, , bl]) => {
+        const halfW = Helpers.distance(tl.x, tl.y, tr.x, tr.y) / 2;
+        const halfH = Helpers.distance(tl.x, tl.y, bl.x, bl.y) / 2;
+        return {
+          center: { x: (tr.x + bl.x) / 2, y: (tr.y + bl.y) / 2 },
+          u: { x: (tr.x - tl.x) / (halfW * 2), y: (tr.y - tl.y) / (halfW * 2) },
+          v: { x: (bl.x - tl.x) / (halfH * 2), y: (bl.y - tl.y) / (halfH * 2) },
+          halfW,
+          halfH,
+        };
+      })
+      .filter((frame) => frame.halfW > 0 && frame.halfH > 0);
+    if (!frames.length) return false;
+
+    const distanceTo = (frame) =>
+      Helpers.distance(center.x, center.y, frame.center.x, frame.center.y);
+    const frame = frames.reduce((best, f) => (distanceTo(f) < distanceTo(best) ? f : best));
+
+    // Shift along one deck axis that brings [min, max] inside [-half, half]
+    const shiftAlong = (axis, half) => {
+      const offsets = polygon.map(
+        (p) => (p.x - frame.center.x) * axis.x + (p.y - frame.center.y) * axis.y,
+      );
+      const min = Math.min(...offsets);
+      const max = Math.max(...offsets);
+      if (max - min > half * 2) return -(min + max) / 2;
+      if (max > half) return half - max;
+      if (min < -half) return -half - min;
+      return 0;
+    };
+    const su = shiftAlong(frame.u, frame.halfW);
+    const sv = shiftAlong(frame.v, frame.halfH);
+    if (Math.abs(su) < 1e-6 && Math.abs(sv) < 1e-6) return false;
+
+    item.set({
+      left: item.left + su * frame.u.x + sv * frame.v.x,
+      top: item.top + su * frame.u.y + sv * frame.v.y,
+    });
+    item.setCoords();
+    return true;
+  },
+
+  /**
+   * @private
+   */
+  _centroid(points) {
+    return {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+    };
+  },
+
+  /**
+   * Pairs of overlapping items on the same level.
+   * Mezzanines are skipped: parking underneath one is intended.
+   * @returns {Array<[object, object]>}
+   */
+  findCollisions(items) {
+    const candidates = items
+      .filter((item) => item?.customData?.category !== 'mezzanine')
+      .map((item) => ({ item, polygon: this.getItemPolygon(item) }))
+      .filter((entry) => entry.polygon);
+
+    const pairs = [];
+    candidates.forEach((a, i) => {
+      candidates.slice(i + 1).forEach((b) => {
+        if (this.isDeckItem(a.item.customData) !== this.isDeckItem(b.item.customData)) return;
+        if (Geometry.convexPolygonsOverlap(a.polygon, b.polygon)) {
+          pairs.push([a.item, b.item]);
+        }
+      });
+    });
+    return pairs;
+  },
+
   /**
    * Find nearby items for snapping
    */
@@ -240,6 +627,40 @@ const Bounds = {
     return nearby;
   },
 
+  /**
+   * Smallest shift that moves a rect fully inside a polygon.
+   * Candidates align the rect edges with the polygon's vertex coordinates,
+   * which covers L/T outlines; returns null when already inside or nothing fits.
+   * @private
+   */
+  _findPolygonOffset(rect, polygon) {
+    if (Geometry.rectInsidePolygon(rect, polygon)) return null;
+
+    const dxs = new Set([0]);
+    const dys = new Set([0]);
+    polygon.forEach((v) => {
+      dxs.add(v.x - rect.left);
+      dxs.add(v.x - (rect.left + rect.width));
+      dys.add(v.y - rect.top);
+      dys.add(v.y - (rect.top + rect.height));
+    });
+
+    const candidates = [];
+    dxs.forEach((x) => dys.forEach((y) => candidates.push({ x, y, dist: x * x + y * y })));
+    candidates.sort((a, b) => a.dist - b.dist);
+
+    return (
+      candidates.find(
+        (c) =>
+          c.dist > 0 &&
+          Geometry.rectInsidePolygon(
+            { ...rect, left: rect.left + c.x, top: rect.top + c.y },
+            polygon,
+          ),
+      ) || null
+    );
+  },
+
   _resolveCanvasBounds(floorPlan, overrideBounds) {
     if (this._isValidBounds(overrideBounds)) return overrideBounds;
     if (floorPlan && this._isValidBounds(floorPlan.canvasBounds)) {
@@ -0,0 +1,206 @@
+/**
+ * Compression Utilities
+ * LZW over the UTF-8 bytes of a string. compress() packs the codes into a string that
+ * stores safely in localStorage (no control characters, no surrogate code units); used for
+ * persisted undo history, which is repetitive JSON and typically shrinks to a quarter of
+ * its size. compressToURL() packs them at their minimal bit width into base64url, for
+ * share links.
+ */
+const Compression = {
+  // Output code units start here so none are control characters
+  CODE_OFFSET: 32,
+  // Largest dictionary that keeps every code unit below the surrogate range (0xD800)
+  MAX_CODES: 0xd800 - 32,
+
+  /**
+   * Compress a string
+   * @param {string} text
+   * @returns {string}
+   */
+  compress(text) {
+    return this._encode(this._toBinary(text))
+      .map((code) => String.fromCharCode(code + this.CODE_OFFSET))
+      .join('');
+  },
+
+  /**
+   * Decompress a string produced by compress()
+   * @param {string} packed
+   * @returns {string|null} The original text, or null when the input is corrupt
+   */
+  decompress(packed) {
+    if (typeof packed !== 'string') return null;
+    if (!packed) return '';
+
+    const codes = Array.from(packed, (char) => char.charCodeAt(0) - this.CODE_OFFSET);
+    const binary = this._decode(codes);
+    return binary === null ? null : this._fromBinary(binary);
+  },
+
+  /**
+   * Compress a string into URL-safe text (base64url, no padding)
+   * @param {string} text
+   * @returns {string}
+   */
+  compressToURL(text) {
+    // Code n can be at most 255 + n, so each is written with just enough bits for that
+    let bytes = '';
+    let buffer = 0;
+    let bufferBits = 0;
+    this._encode(this._toBinary(text)).forEach((code, index) => {
+      const width = this._codeWidth(index);
+      for (let bit = width - 1; bit >= 0; bit--) {
+        buffer = (buffer << 1) | ((code >> bit) & 1);
+        bufferBits++;
+        if (bufferBits === 8) {
+          bytes += String.fromCharCode(buffer);
+          buffer = 0;
+          bufferBits = 0;
+        }
+      }
+    });
+    if (bufferBits > 0) {
+      bytes += String.fromCharCode(buffer << (8 - bufferBits));
+    }
+
+    return btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  /**
+   * Decompress text produced by compressToURL()
+   * @param {string} packed
+   * @returns {string|null} The original text, or null when the input is corrupt
+   */
+  decompressFromURL(packed) {
+    if (typeof packed !== 'string') return null;
+    if (!packed) return '';
+
+    let bytes;
+    try {
+      bytes = atob(packed.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (error) {
+      return null;
+    }
+
+    // Trailing padding is always shorter than a code (at least 8 bits)
+    const codes = [];
+    const totalBits = bytes.length * 8;
+    let position = 0;
+    while (position + this._codeWidth(codes.length) <= totalBits) {
+      const width = this._codeWidth(codes.length);
+      let code = 0;
+      for (let i = 0; i < width; i++, position++) {
+        const byte = bytes.charCodeAt(position >> 3);
+        code = (code << 1) | ((byte >> (7 - (position & 7))) & 1);
+      }
+      codes.push(code);
+    }
+
+    const binary = this._decode(codes);
+    return binary === null ? null : this._fromBinary(binary);
+  },
+
+  /**
+   * LZW codes for a byte string
+   * @private
+   */
+  _encode(bytes) {
+    if (!bytes) return [];
+
+    const dictionary = new Map();
+    for (let i = 0; i < 256; i++) {
+      dictionary.set(String.fromCharCode(i), i);
+    }
+
+    const codes = [];
+    let nextCode = 256;
+    let word = '';
+    for (const byte of bytes) {
+      const candidate = word + byte;
+      if (dictionary.has(candidate)) {
+        word = candidate;
+        continue;
+      }
+      codes.push(dictionary.get(word));
+      if (nextCode < this.MAX_CODES) {
+        dictionary.set(candidate, nextCode++);
+      }
+      word = byte;
+    }
+    codes.push(dictionary.get(word));
+    return codes;
+  },
+
+  /**
+   * Byte string for LZW codes, or null when they are not a valid sequence
+   * @private
+   */
+  _decode(codes) {
+    if (!codes.length) return '';
+
+    const dictionary = [];
+    for (let i = 0; i < 256; i++) {
+      dictionary.push(String.fromCharCode(i));
+    }
+
+    let word = dictionary[codes[0]];
+    if (word === undefined) return null;
+
+    const parts = [word];
+    for (let i = 1; i < codes.length; i++) {
+      const code = codes[i];
+      let entry;
+      if (code < dictionary.length) {
+        entry = dictionary[code];
+      } else if (code === dictionary.length) {
+        entry = word + word[0];
+      } else {
+        return null;
+      }
+      parts.push(entry);
+      if (dictionary.length < this.MAX_CODES) {
+        dictionary.push(word + entry[0]);
+      }
+      word = entry;
+    }
+    return parts.join('');
+  },
+
+  /**
+   * Bits needed for the code at `index` (its largest possible value is 255 + index)
+   * @private
+   */
+  _codeWidth(index) {
+    return Math.max(8, Math.ceil(Math.log2(Math.min(256 + index, this.MAX_CODES))));
+  },
+
+  /**
+   * UTF-8 bytes of a string, one character per byte
+   * @private
+   */
+  _toBinary(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return binary;
+  },
+
+  /**
+   * @private
+   */
+  _fromBinary(binary) {
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+      return null;
+    }
+  },
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Compression = Compression;
+}
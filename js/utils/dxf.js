@@ -0,0 +1,279 @@
+/**
+ * DXF Utilities
+ * Writes ASCII DXF (AutoCAD R12, the most widely readable version) from a flat list of
+ * entities, and reads the polylines back out of DXF files from CAD programs. Coordinates are
+ * passed through as-is: callers work in DXF space (Y up) and choose the drawing units.
+ */
+const Dxf = {
+  // $INSUNITS codes -> feet per drawing unit
+  UNIT_FEET: {
+    1: 1 / 12, // inches
+    2: 1, // feet
+    4: 1 / 304.8, // millimeters
+    5: 1 / 30.48, // centimeters
+    6: 1 / 0.3048, // meters
+  },
+
+  /**
+   * Build a DXF document
+   * @param {object} drawing
+   * @param {Array<{name: string, color?: number}>} drawing.layers - color is an AutoCAD color index
+   * @param {Array<object>} drawing.entities - Each has `type` and `layer`:
+   *   polyline {points: [{x, y}], closed?}, line {from, to}, circle {center, radius},
+   *   arc {center, radius, startAngle, endAngle} (degrees, counter-clockwise),
+   *   text {position, height, value, rotation?} (centered on position)
+   * @param {number} [drawing.units=2] - $INSUNITS code (2 = feet)
+   * @returns {string}
+   */
+  write({ layers, entities, units = 2 }) {
+    const out = [];
+    const pair = (code, value) => out.push(String(code), String(value));
+    const num = (value) => String(Math.round(value * 10000) / 10000);
+    const point = (p, xCode = 10) => {
+      pair(xCode, num(p.x));
+      pair(xCode + 10, num(p.y));
+      pair(xCode + 20, '0.0');
+    };
+
+    // Extents for the header, so CAD programs zoom to the drawing when it opens
+    const xs = [];
+    const ys = [];
+    entities.forEach((entity) => {
+      const points = entity.points || [entity.from, entity.to, entity.center, entity.position];
+      points.filter(Boolean).forEach((p) => {
+        const r = entity.radius || 0;
+        xs.push(p.x - r, p.x + r);
+        ys.push(p.y - r, p.y + r);
+      });
+    });
+
+    pair(999, 'Garage Layout Planner');
+    pair(0, 'SECTION');
+    pair(2, 'HEADER');
+    pair(9, '$ACADVER');
+    pair(1, 'AC1009');
+    pair(9, '$INSUNITS');
+    pair(70, units);
+    if (xs.length) {
+      pair(9, '$EXTMIN');
+      point({ x: Math.min(...xs), y: Math.min(...ys) });
+      pair(9, '$EXTMAX');
+      point({ x: Math.max(...xs), y: Math.max(...ys) });
+    }
+    pair(0, 'ENDSEC');
+
+    pair(0, 'SECTION');
+    pair(2, 'TABLES');
+    pair(0, 'TABLE');
+    pair(2, 'LTYPE');
+    pair(70, 1);
+    pair(0, 'LTYPE');
+    pair(2, 'CONTINUOUS');
+    pair(70, 0);
+    pair(3, 'Solid line');
+    pair(72, 65);
+    pair(73, 0);
+    pair(40, '0.0');
+    pair(0, 'ENDTAB');
+    pair(0, 'TABLE');
+    pair(2, 'LAYER');
+    pair(70, layers.length);
+    layers.forEach((layer) => {
+      pair(0, 'LAYER');
+      pair(2, layer.name);
+      pair(70, 0);
+      pair(62, layer.color || 7);
+      pair(6, 'CONTINUOUS');
+    });
+    pair(0, 'ENDTAB');
+    pair(0, 'ENDSEC');
+
+    pair(0, 'SECTION');
+    pair(2, 'ENTITIES');
+    entities.forEach((entity) => {
+      switch (entity.type) {
+        case 'polyline':
+          pair(0, 'POLYLINE');
+          pair(8, entity.layer);
+          pair(66, 1);
+          point({ x: 0, y: 0 });
+          pair(70, entity.closed ? 1 : 0);
+          entity.points.forEach((p) => {
+            pair(0, 'VERTEX');
+            pair(8, entity.layer);
+            point(p);
+          });
+          pair(0, 'SEQEND');
+          pair(8, entity.layer);
+          break;
+        case 'line':
+          pair(0, 'LINE');
+          pair(8, entity.layer);
+          point(entity.from);
+          point(entity.to, 11);
+          break;
+        case 'circle':
+          pair(0, 'CIRCLE');
+          pair(8, entity.layer);
+          point(entity.center);
+          pair(40, num(entity.radius));
+          break;
+        case 'arc':
+          pair(0, 'ARC');
+          pair(8, entity.layer);
+          point(entity.center);
+          pair(40, num(entity.radius));
+          pair(50, num(entity.startAngle));
+          pair(51, num(entity.endAngle));
+          break;
+        case 'text':
+          pair(0, 'TEXT');
+          pair(8, entity.layer);
+          point(entity.position);
+          pair(40, num(entity.height));
+          pair(1, this._encodeText(entity.value));
+          if (entity.rotation) pair(50, num(entity.rotation));
+          pair(72, 1); // centered...
+          point(entity.position, 11);
+          pair(73, 2); // ...on the middle of the text
+          break;
+        default:
+          break;
+      }
+    });
+    pair(0, 'ENDSEC');
+    pair(0, 'EOF');
+
+    return `${out.join('\r\n')}\r\n`;
+  },
+
+  /**
+   * Read the polylines (LWPOLYLINE and POLYLINE) of a DXF file's ENTITIES section.
+   * Arc segments (bulges) are read as straight lines.
+   * @param {string} text - ASCII DXF
+   * @returns {{units: number|null, polylines: Array<{layer: string, closed: boolean, vertices: Array<{x: number, y: number}>}>}|null}
+   *   units is the $INSUNITS code (null when unset or unitless); null when the text is not DXF
+   */
+  parse(text) {
+    if (typeof text !== 'string') return null;
+
+    const lines = text.split(/\r?\n/);
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+      const code = parseInt(lines[i].trim(), 10);
+      if (!Number.isInteger(code)) return null;
+      pairs.push({ code, value: lines[i + 1].trim() });
+    }
+    if (!pairs.some((p) => p.code === 0 && p.value === 'SECTION')) return null;
+
+    let units = null;
+    const polylines = [];
+    let section = null;
+    let current = null; // polyline being read
+    let vertex = null; // POLYLINE vertex being read
+    let entity = null;
+
+    const finishVertex = () => {
+      if (current && vertex && Number.isFinite(vertex.x) && Number.isFinite(vertex.y)) {
+        current.vertices.push(vertex);
+      }
+      vertex = null;
+    };
+    const finishPolyline = () => {
+      finishVertex();
+      if (current) polylines.push(current);
+      current = null;
+    };
+
+    for (let i = 0; i < pairs.length; i++) {
+      const { code, value } = pairs[i];
+
+      if (code === 0) {
+        if (value === 'SECTION') {
+          section = pairs[i + 1]?.code === 2 ? pairs[i + 1].value : null;
+          continue;
+        }
+        if (value === 'ENDSEC') {
+          finishPolyline();
+          section = null;
+          continue;
+        }
+        if (section !== 'ENTITIES') continue;
+
+        if (entity === 'POLYLINE' && value === 'VERTEX') {
+          finishVertex();
+          vertex = { x: NaN, y: NaN };
+          continue;
+        }
+        if (entity === 'POLYLINE' && value !== 'SEQEND') continue;
+
+        finishPolyline();
+        entity = value;
+        if (value === 'LWPOLYLINE' || value === 'POLYLINE') {
+          current = { layer: '0', closed: false, vertices: [] };
+        } else if (value === 'SEQEND') {
+          entity = null;
+        }
+        continue;
+      }
+
+      if (section === 'HEADER' && code === 9 && value === '$INSUNITS') {
+        const next = pairs[i + 1];
+        const parsed = next ? parseInt(next.value, 10) : NaN;
+        units = Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+        continue;
+      }
+
+      if (section !== 'ENTITIES' || !current) continue;
+
+      if (vertex) {
+        if (code === 10) vertex.x = parseFloat(value);
+        if (code === 20) vertex.y = parseFloat(value);
+        continue;
+      }
+
+      if (code === 8) current.layer = value;
+      if (code === 70) current.closed = (parseInt(value, 10) & 1) === 1;
+      if (entity === 'LWPOLYLINE') {
+        if (code === 10) current.vertices.push({ x: parseFloat(value), y: NaN });
+        const last = current.vertices[current.vertices.length - 1];
+        if (code === 20 && last) last.y = parseFloat(value);
+      }
+    }
+    finishPolyline();
+
+    polylines.forEach((polyline) => {
+      polyline.vertices = polyline.vertices.filter(
+        (v) => Number.isFinite(v.x) && Number.isFinite(v.y),
+      );
+      // An outline drawn back to its first point is closed too
+      const { vertices } = polyline;
+      const first = vertices[0];
+      const last = vertices[vertices.length - 1];
+      if (vertices.length > 3 && first.x === last.x && first.y === last.y) {
+        vertices.pop();
+        polyline.closed = true;
+      }
+    });
+
+    return { units, polylines };
+  },
+
+  /**
+   * Non-ASCII characters as AutoCAD \U+XXXX escapes (R12 files are not Unicode)
+   * @private
+   */
+  _encodeText(value) {
+    return String(value ?? '')
+      .replace(/[\r\n]+/g, ' ')
+      .replace(
+        /[^\x20-\x7e]/g,
+        (char) => `\\U+${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`,
+      );
+  },
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Dxf = Dxf;
+}
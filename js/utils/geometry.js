@@ -71,7 +71,23 @@ const Geometry = {
         intersections: kinks.features,
       };
     }
-    return { valid: true, intersections: [] };
+    // Fallback: test every pair of non-adjacent edges
+    const coords = polygon.coordinates[0].slice(0, -1);
+    const intersections = [];
+    const n = coords.length;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+        const a1 = { x: coords[i][0], y: coords[i][1] };
+        const a2 = { x: coords[(i + 1) % n][0], y: coords[(i + 1) % n][1] };
+        const b1 = { x: coords[j][0], y: coords[j][1] };
+        const b2 = { x: coords[(j + 1) % n][0], y: coords[(j + 1) % n][1] };
+        if (this.segmentsIntersect(a1, a2, b1, b2, true)) {
+          intersections.push([i, j]);
+        }
+      }
+    }
+    return { valid: intersections.length === 0, intersections };
   },
 
   /**
@@ -102,6 +118,253 @@ const Geometry = {
     return null;
   },
 
+  /**
+   * Convert a vertex list ([{x, y}]) to a closed GeoJSON-style polygon
+   */
+  verticesToPolygon(vertices) {
+    const ring = vertices.map((v) => [v.x, v.y]);
+    if (ring.length) ring.push([ring[0][0], ring[0][1]]);
+    return { type: 'Polygon', coordinates: [ring] };
+  },
+
+  /**
+   * Whether a floor plan has a polygon outline instead of a plain rectangle
+   */
+  isPolygonFloorPlan(floorPlan) {
+    return !!floorPlan && Array.isArray(floorPlan.vertices) && floorPlan.vertices.length >= 3;
+  },
+
+  /**
+   * Floor plan outline in feet (rectangles become their four corners)
+   */
+  getFloorPlanVertices(floorPlan) {
+    if (!floorPlan) return [];
+    if (this.isPolygonFloorPlan(floorPlan)) {
+      return floorPlan.vertices.map((v) => ({ x: v.x, y: v.y }));
+    }
+    return [
+      { x: 0, y: 0 },
+      { x: floorPlan.widthFt, y: 0 },
+      { x: floorPlan.widthFt, y: floorPlan.heightFt },
+      { x: 0, y: floorPlan.heightFt },
+    ];
+  },
+
+  /**
+   * Floor plan area in square feet (respects polygon outlines)
+   */
+  getFloorPlanArea(floorPlan) {
+    if (!floorPlan) return 0;
+    if (this.isPolygonFloorPlan(floorPlan)) {
+      return this.polygonArea(floorPlan.vertices);
+    }
+    return floorPlan.widthFt * floorPlan.heightFt;
+  },
+
+  /**
+   * Polygon area from a vertex list (shoelace formula, same units squared)
+   */
+  polygonArea(vertices) {
+    let sum = 0;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      sum += (vertices[j].x + vertices[i].x) * (vertices[j].y - vertices[i].y);
+    }
+    return Math.abs(sum / 2);
+  },
+
+  /**
+   * Point in vertex list; points on an edge (within tolerance) count as inside
+   * so items flush against a wall are not rejected.
+   */
+  pointInVertices(point, vertices, tolerance = 0.5) {
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      if (this._distanceToSegment(point, vertices[j], vertices[i]) <= tolerance) {
+        return true;
+      }
+    }
+    return this._pointInPolygonFallback(point, {
+      coordinates: [vertices.map((v) => [v.x, v.y])],
+    });
+  },
+
+  /**
+   * Check that an axis-aligned rect ({left, top, width, height}) lies inside a polygon
+   */
+  rectInsidePolygon(rect, vertices, tolerance = 0.5) {
+    const right = rect.left + rect.width;
+    const bottom = rect.top + rect.height;
+    const corners = [
+      { x: rect.left, y: rect.top },
+      { x: right, y: rect.top },
+      { x: right, y: bottom },
+      { x: rect.left, y: bottom },
+    ];
+
+    if (!corners.every((corner) => this.pointInVertices(corner, vertices, tolerance))) {
+      return false;
+    }
+
+    // A reflex corner poking into the rect means part of it is outside
+    const pokesIn = vertices.some(
+      (v) =>
+        v.x > rect.left + tolerance &&
+        v.x < right - tolerance &&
+        v.y > rect.top + tolerance &&
+        v.y < bottom - tolerance,
+    );
+    if (pokesIn) return false;
+
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      for (let k = 0; k < 4; k++) {
+        if (this.segmentsIntersect(vertices[j], vertices[i], corners[k], corners[(k + 1) % 4])) {
+          return false;
+        }
+      }
+    }
+    return true;
+  },
+
+  /**
+   * Proper intersection test for segments p1-p2 and p3-p4.
+   * Touching or collinear segments are ignored unless `includeTouching` is set.
+   */
+  segmentsIntersect(p1, p2, p3, p4, includeTouching = false) {
+    const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+      return true;
+    }
+    if (!includeTouching) return false;
+
+    const onSegment = (a, b, c) =>
+      Math.min(a.x, b.x) <= c.x &&
+      c.x <= Math.max(a.x, b.x) &&
+      Math.min(a.y, b.y) <= c.y &&
+      c.y <= Math.max(a.y, b.y);
+    return (
+      (d1 === 0 && onSegment(p3, p4, p1)) ||
+      (d2 === 0 && onSegment(p3, p4, p2)) ||
+      (d3 === 0 && onSegment(p1, p2, p3)) ||
+      (d4 === 0 && onSegment(p1, p2, p4))
+    );
+  },
+
+  /**
+   * Separating-axis overlap test for two convex polygons (e.g. rotated item footprints).
+   * Shapes that only touch, or overlap by less than `tolerance`, do not count.
+   */
+  convexPolygonsOverlap(a, b, tolerance = 0.5) {
+    if (!a?.length || !b?.length) return false;
+
+    const axes = [a, b].flatMap((poly) =>
+      poly.map((p, i) => {
+        const q = poly[(i + 1) % poly.length];
+        return { x: p.y - q.y, y: q.x - p.x };
+      }),
+    );
+
+    return axes.every((axis) => {
+      const length = Math.hypot(axis.x, axis.y);
+      if (!length) return true;
+      const project = (poly) => poly.map((p) => (p.x * axis.x + p.y * axis.y) / length);
+      const pa = project(a);
+      const pb = project(b);
+      const overlap =
+        Math.min(Math.max(...pa), Math.max(...pb)) - Math.max(Math.min(...pa), Math.min(...pb));
+      return overlap > tolerance;
+    });
+  },
+
+  /**
+   * Clip a polygon to an axis-aligned rect (Sutherland-Hodgman)
+   * @returns {Array<{x: number, y: number}>} Clipped vertices (empty when disjoint)
+   */
+  clipPolygonToRect(vertices, rect) {
+    const right = rect.left + rect.width;
+    const bottom = rect.top + rect.height;
+    const edges = [
+      { inside: (p) => p.x >= rect.left, at: (a, b) => this._lerpAtX(a, b, rect.left) },
+      { inside: (p) => p.x <= right, at: (a, b) => this._lerpAtX(a, b, right) },
+      { inside: (p) => p.y >= rect.top, at: (a, b) => this._lerpAtY(a, b, rect.top) },
+      { inside: (p) => p.y <= bottom, at: (a, b) => this._lerpAtY(a, b, bottom) },
+    ];
+
+    let output = vertices;
+    edges.forEach((edge) => {
+      const input = output;
+      output = [];
+      input.forEach((current, i) => {
+        const prev = input[(i + input.length - 1) % input.length];
+        if (edge.inside(current)) {
+          if (!edge.inside(prev)) output.push(edge.at(prev, current));
+          output.push(current);
+        } else if (edge.inside(prev)) {
+          output.push(edge.at(prev, current));
+        }
+      });
+    });
+    return output;
+  },
+
+  /**
+   * Intervals where a horizontal (axis 'y') or vertical (axis 'x') line lies inside a polygon
+   * @returns {Array<number[]>} [start, end] pairs
+   */
+  getScanlineIntervals(vertices, axis, value) {
+    const along = axis === 'y' ? 'x' : 'y';
+    const hits = [];
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      const a = vertices[j];
+      const b = vertices[i];
+      const lo = Math.min(a[axis], b[axis]);
+      const hi = Math.max(a[axis], b[axis]);
+      if (value < lo || value >= hi) continue;
+      const t = (value - a[axis]) / (b[axis] - a[axis]);
+      hits.push(a[along] + t * (b[along] - a[along]));
+    }
+    hits.sort((m, n) => m - n);
+
+    const intervals = [];
+    for (let k = 0; k + 1 < hits.length; k += 2) {
+      intervals.push([hits[k], hits[k + 1]]);
+    }
+    return intervals;
+  },
+
+  /**
+   * @private
+   */
+  _lerpAtX(a, b, x) {
+    const t = (x - a.x) / (b.x - a.x);
+    return { x, y: a.y + t * (b.y - a.y) };
+  },
+
+  /**
+   * @private
+   */
+  _lerpAtY(a, b, y) {
+    const t = (y - a.y) / (b.y - a.y);
+    return { x: a.x + t * (b.x - a.x), y };
+  },
+
+  /**
+   * Shortest distance from a point to segment a-b
+   * @private
+   */
+  _distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq
+      ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq))
+      : 0;
+    return Helpers.distance(point.x, point.y, a.x + t * dx, a.y + t * dy);
+  },
+
   /**
    * Point in polygon fallback (ray casting algorithm)
    * @private
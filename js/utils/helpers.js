@@ -39,6 +39,15 @@ const Helpers = {
     return Number(num.toFixed(decimals));
   },
 
+  /**
+   * Format a length in feet as feet and inches (e.g. 12'-6"), to the nearest inch
+   */
+  formatFeetInches(feet) {
+    const totalInches = Math.round(Math.abs(feet) * 12);
+    const sign = feet < 0 && totalInches > 0 ? '-' : '';
+    return `${sign}${Math.floor(totalInches / 12)}'-${totalInches % 12}"`;
+  },
+
   /**
    * Generate unique ID
    */
@@ -103,6 +112,20 @@ const Helpers = {
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
   },
 
+  /**
+   * Format a byte count, e.g. "1.4 MB"
+   */
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+  },
+
   /**
    * Calculate distance between two points
    */
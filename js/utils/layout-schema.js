@@ -0,0 +1,123 @@
+/* global Config, Helpers */
+
+/**
+ * Layout Schema
+ * One integer version (Config.LAYOUT_SCHEMA_VERSION) for every stored or exported layout
+ * (autosave, saved layouts, JSON files), and the chain of migrations that upgrades older
+ * data one version at a time. A layout document is the flat shape the JSON export uses:
+ * { schemaVersion, floorPlan, items, settings, metadata, ... }.
+ */
+const LayoutSchema = {
+  /**
+   * Migrations keyed by the version they produce; each receives a document of the
+   * previous version and returns the upgraded document.
+   */
+  migrations: {
+    /**
+     * 0 → 1: Autosaves written before 2.1 stored each item's top-left corner.
+     * Items are now positioned by their center (the corner rotated by the item's angle).
+     */
+    1(doc) {
+      const items = (doc.items || []).map((item) => {
+        if (!Number.isFinite(item.x) || !Number.isFinite(item.y)) return item;
+        const halfWidth = Helpers.feetToPx(item.widthFt || 0) / 2;
+        const halfHeight = Helpers.feetToPx(item.lengthFt || 0) / 2;
+        const radians = ((item.angle || 0) * Math.PI) / 180;
+        return {
+          ...item,
+          x: item.x + halfWidth * Math.cos(radians) - halfHeight * Math.sin(radians),
+          y: item.y + halfWidth * Math.sin(radians) + halfHeight * Math.cos(radians),
+        };
+      });
+      return { ...doc, items };
+    },
+
+    /**
+     * 1 → 2: Items say which level they are on, door sizes use one pair of keys
+     * (doorWidth/doorHeight) and the old metadata version string is dropped.
+     */
+    2(doc) {
+      const items = (doc.items || []).map((item) => ({
+        ...item,
+        level: item.level || Config.LEVELS.GROUND,
+      }));
+
+      let floorPlan = doc.floorPlan;
+      if (floorPlan) {
+        const { doorWidthFt, doorHeightFt, ...rest } = floorPlan;
+        floorPlan = {
+          ...rest,
+          doorWidth: floorPlan.doorWidth ?? doorWidthFt,
+          doorHeight: floorPlan.doorHeight ?? doorHeightFt,
+        };
+        if (floorPlan.doorWidth === undefined) delete floorPlan.doorWidth;
+        if (floorPlan.doorHeight === undefined) delete floorPlan.doorHeight;
+      }
+
+      const metadata = { ...(doc.metadata || {}) };
+      delete metadata.version;
+
+      return { ...doc, items, floorPlan, metadata };
+    },
+  },
+
+  /**
+   * Schema version of a layout document. Data from before schema versions carries a
+   * version string instead: autosaves said '2.1' (or older '2.0'), exports and saved
+   * state said '1.x'.
+   * @param {object} doc
+   * @returns {number}
+   */
+  getVersion(doc) {
+    if (Number.isInteger(doc?.schemaVersion)) return doc.schemaVersion;
+
+    const legacy = doc?.version ?? doc?.metadata?.version;
+    if (typeof legacy !== 'string') return 1;
+    const [major, minor] = legacy.split('.').map((part) => parseInt(part, 10) || 0);
+    return major === 2 && minor < 1 ? 0 : 1;
+  },
+
+  /**
+   * Upgrade a layout document to the current schema
+   * @param {object} doc
+   * @returns {{success: boolean, errors: string[], doc?: object, fromVersion?: number, migrated?: boolean}}
+   */
+  migrate(doc) {
+    if (!doc || typeof doc !== 'object') {
+      return { success: false, errors: ['Layout data is missing'] };
+    }
+
+    const current = Config.LAYOUT_SCHEMA_VERSION;
+    const fromVersion = this.getVersion(doc);
+    if (fromVersion > current) {
+      return {
+        success: false,
+        errors: [
+          `This layout was made with a newer version of the planner (schema ${fromVersion})`,
+        ],
+        fromVersion,
+      };
+    }
+
+    let upgraded = Helpers.deepClone(doc);
+    delete upgraded.version;
+    for (let version = fromVersion + 1; version <= current; version++) {
+      upgraded = this.migrations[version](upgraded);
+      upgraded.schemaVersion = version;
+    }
+    upgraded.schemaVersion = current;
+
+    return {
+      success: true,
+      errors: [],
+      doc: upgraded,
+      fromVersion,
+      migrated: fromVersion < current,
+    };
+  },
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.LayoutSchema = LayoutSchema;
+}
@@ -0,0 +1,263 @@
+/* global Config, StorageUtil */
+
+/**
+ * Saved layout storage with an async API.
+ * Uses IndexedDB when available, keeping layouts and their PNG thumbnails as separate
+ * records so listing layouts never loads the images. Falls back to the `Storage`
+ * tiers (one JSON array under Config.STORAGE_KEYS.layouts) when IndexedDB is missing.
+ * Layouts from that key are moved into IndexedDB the first time it opens.
+ */
+const LayoutStore = (() => {
+  const DB_NAME = 'garage-planner';
+  const DB_VERSION = 1;
+  const LAYOUTS = 'layouts';
+  const THUMBNAILS = 'thumbnails';
+
+  let dbPromise = null;
+
+  /**
+   * Resolve an IDBRequest as a promise.
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolve once a transaction has committed.
+   */
+  function whenDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Open (and on first run create) the database. Resolves null when IndexedDB is unusable.
+   */
+  function openDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      let request;
+      try {
+        request = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (error) {
+        console.warn('[LayoutStore] IndexedDB unavailable:', error);
+        resolve(null);
+        return;
+      }
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(LAYOUTS)) {
+          db.createObjectStore(LAYOUTS, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(THUMBNAILS)) {
+          db.createObjectStore(THUMBNAILS, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[LayoutStore] IndexedDB unavailable:', request.error);
+        resolve(null);
+      };
+      request.onblocked = () => resolve(null);
+    });
+  }
+
+  /**
+   * Write layout records, splitting off their thumbnails.
+   */
+  async function putRecords(db, records) {
+    const transaction = db.transaction([LAYOUTS, THUMBNAILS], 'readwrite');
+    const layouts = transaction.objectStore(LAYOUTS);
+    const thumbnails = transaction.objectStore(THUMBNAILS);
+    records.forEach((record) => {
+      const { thumbnail, ...layout } = record;
+      layouts.put(layout);
+      if (thumbnail) {
+        thumbnails.put({ id: record.id, dataUrl: thumbnail });
+      } else {
+        // Don't leave the replaced layout's picture behind
+        thumbnails.delete(record.id);
+      }
+    });
+    await whenDone(transaction);
+  }
+
+  /**
+   * Move layouts saved by earlier versions out of the `Storage` key.
+   * The key is only removed once every record has been written.
+   * @returns {Promise<boolean>} False when the layouts are still only in `Storage`
+   */
+  async function migrateLegacyLayouts(db) {
+    const legacy = StorageUtil.load(Config.STORAGE_KEYS.layouts);
+    if (!Array.isArray(legacy) || legacy.length === 0) return true;
+
+    try {
+      await putRecords(
+        db,
+        legacy.filter((record) => record && record.id),
+      );
+      StorageUtil.remove(Config.STORAGE_KEYS.layouts);
+      console.log(`[LayoutStore] Migrated ${legacy.length} layouts to IndexedDB`);
+      return true;
+    } catch (error) {
+      console.error('[LayoutStore] Layout migration failed, keeping existing data:', error);
+      return false;
+    }
+  }
+
+  /**
+   * The database, opened and migrated once; null means the `Storage` fallback is used.
+   * A failed migration also falls back, so older layouts stay listed and new saves land
+   * next to them; the next page load tries again.
+   */
+  function getDatabase() {
+    if (!dbPromise) {
+      dbPromise = openDatabase().then(async (db) => {
+        if (!db || (await migrateLegacyLayouts(db))) return db;
+        db.close();
+        return null;
+      });
+    }
+    return dbPromise;
+  }
+
+  function loadLegacy() {
+    return StorageUtil.load(Config.STORAGE_KEYS.layouts) || [];
+  }
+
+  function byCreated(a, b) {
+    return String(a.created || '').localeCompare(String(b.created || ''));
+  }
+
+  return {
+    /**
+     * Open the database and run the migration (other methods do this on demand)
+     * @returns {Promise<'indexeddb'|'storage'>} The backend in use
+     */
+    async init() {
+      return (await getDatabase()) ? 'indexeddb' : 'storage';
+    },
+
+    /**
+     * All saved layouts, oldest first, without thumbnails
+     * @returns {Promise<Array<object>>}
+     */
+    async list() {
+      const db = await getDatabase();
+      if (!db) {
+        return loadLegacy().map(({ thumbnail: _thumbnail, ...layout }) => layout);
+      }
+      const store = db.transaction(LAYOUTS, 'readonly').objectStore(LAYOUTS);
+      const layouts = await promisify(store.getAll());
+      return layouts.sort(byCreated);
+    },
+
+    /**
+     * One saved layout
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+      const db = await getDatabase();
+      if (!db) {
+        return loadLegacy().find((layout) => layout.id === id) || null;
+      }
+      const store = db.transaction(LAYOUTS, 'readonly').objectStore(LAYOUTS);
+      return (await promisify(store.get(id))) || null;
+    },
+
+    /**
+     * A layout's thumbnail
+     * @param {string} id
+     * @returns {Promise<string|null>} PNG data URL
+     */
+    async getThumbnail(id) {
+      const db = await getDatabase();
+      if (!db) {
+        return loadLegacy().find((layout) => layout.id === id)?.thumbnail || null;
+      }
+      const store = db.transaction(THUMBNAILS, 'readonly').objectStore(THUMBNAILS);
+      return (await promisify(store.get(id)))?.dataUrl || null;
+    },
+
+    /**
+     * Add or replace a layout; a `thumbnail` data URL is stored as its own record
+     * @param {object} record - Layout record with an `id`
+     * @returns {Promise<boolean>} False when the write failed (e.g. quota exceeded)
+     */
+    async save(record) {
+      const db = await getDatabase();
+      if (!db) {
+        const layouts = loadLegacy().filter((layout) => layout.id !== record.id);
+        layouts.push(record);
+        return StorageUtil.save(Config.STORAGE_KEYS.layouts, layouts);
+      }
+      try {
+        await putRecords(db, [record]);
+        return true;
+      } catch (error) {
+        console.error('[LayoutStore] Error saving layout:', error);
+        return false;
+      }
+    },
+
+    /**
+     * Delete a layout and its thumbnail
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    async remove(id) {
+      const db = await getDatabase();
+      if (!db) {
+        const layouts = loadLegacy().filter((layout) => layout.id !== id);
+        return StorageUtil.save(Config.STORAGE_KEYS.layouts, layouts);
+      }
+      try {
+        const transaction = db.transaction([LAYOUTS, THUMBNAILS], 'readwrite');
+        transaction.objectStore(LAYOUTS).delete(id);
+        transaction.objectStore(THUMBNAILS).delete(id);
+        await whenDone(transaction);
+        return true;
+      } catch (error) {
+        console.error('[LayoutStore] Error deleting layout:', error);
+        return false;
+      }
+    },
+
+    /**
+     * Storage used and available to this site.
+     * Uses the browser's estimate when it has one; otherwise counts the `Storage` data
+     * (two bytes per character) against the usual 5 MB localStorage limit.
+     * @returns {Promise<{backend: 'indexeddb'|'storage', usage: number, quota: number|null}>}
+     */
+    async getUsage() {
+      const backend = await this.init();
+      if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+        try {
+          const { usage = 0, quota = null } = await navigator.storage.estimate();
+          return { backend, usage, quota };
+        } catch (error) {
+          console.warn('[LayoutStore] Storage estimate failed:', error);
+        }
+      }
+      return {
+        backend,
+        usage: StorageUtil.getSize() * 2,
+        quota: StorageUtil.isAvailable ? 5 * 1024 * 1024 : null,
+      };
+    },
+  };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.LayoutStore = LayoutStore;
+}
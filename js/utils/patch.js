@@ -0,0 +1,153 @@
+/* global Helpers */
+
+/**
+ * Patch Utilities
+ * Structural diffs between two plain-data snapshots (used by the undo history).
+ * Lists of objects with an `id` (items, doors, obstacles) are compared per id,
+ * so moving one item records one small change instead of a copy of the list.
+ */
+const Patch = {
+  /**
+   * Changes that turn `before` into `after`.
+   * A path segment is an object key, or `{id}` for an entry of an id'd list;
+   * `order` changes record a list's id order when entries were added, removed or moved.
+   * @returns {Array<{path: Array<string|{id: string}>, before?: any, after?: any, order?: {before: string[], after: string[]}}>}
+   */
+  diff(before, after, path = [], ops = []) {
+    if (this._equal(before, after)) return ops;
+
+    if (this._isKeyedList(before) && this._isKeyedList(after)) {
+      const beforeIds = before.map((entry) => entry.id);
+      const afterIds = after.map((entry) => entry.id);
+      new Set([...beforeIds, ...afterIds]).forEach((id) => {
+        this.diff(
+          before.find((entry) => entry.id === id),
+          after.find((entry) => entry.id === id),
+          [...path, { id }],
+          ops,
+        );
+      });
+      if (!this._equal(beforeIds, afterIds)) {
+        ops.push({ path, order: { before: beforeIds, after: afterIds } });
+      }
+      return ops;
+    }
+
+    if (this._isObject(before) && this._isObject(after)) {
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+        this.diff(before[key], after[key], [...path, key], ops);
+      });
+      return ops;
+    }
+
+    ops.push({ path, before: this._clone(before), after: this._clone(after) });
+    return ops;
+  },
+
+  /**
+   * Apply changes to a snapshot in place (forward) or revert them (backward)
+   * @param {object} doc - Snapshot the changes were recorded against (or their result, backward)
+   * @param {Array<object>} ops - From Patch.diff
+   * @param {'forward'|'backward'} [direction]
+   * @returns {object} The updated snapshot (a new value when the root itself changed)
+   */
+  apply(doc, ops, direction = 'forward') {
+    const pick = (change) => (direction === 'forward' ? change.after : change.before);
+    let result = doc;
+
+    // Entries first, then list order, so re-added entries can be put back in place
+    ops
+      .filter((op) => !op.order)
+      .forEach((op) => {
+        result = this._setAt(result, op.path, this._clone(pick(op)));
+      });
+    ops
+      .filter((op) => op.order)
+      .forEach((op) => {
+        const list = this._getAt(result, op.path);
+        if (!Array.isArray(list)) return;
+        const ids = pick(op.order);
+        list.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+      });
+    return result;
+  },
+
+  /**
+   * @private
+   */
+  _getAt(doc, path) {
+    return path.reduce((node, segment) => {
+      if (node === undefined || node === null) return undefined;
+      if (typeof segment === 'object') {
+        return Array.isArray(node) ? node.find((entry) => entry.id === segment.id) : undefined;
+      }
+      return node[segment];
+    }, doc);
+  },
+
+  /**
+   * @private
+   */
+  _setAt(doc, path, value) {
+    if (!path.length) return value;
+
+    const parent = this._getAt(doc, path.slice(0, -1));
+    if (parent === undefined || parent === null) return doc;
+
+    const last = path[path.length - 1];
+    if (typeof last === 'object') {
+      if (!Array.isArray(parent)) return doc;
+      const index = parent.findIndex((entry) => entry.id === last.id);
+      if (value === undefined) {
+        if (index >= 0) parent.splice(index, 1);
+      } else if (index >= 0) {
+        parent[index] = value;
+      } else {
+        parent.push(value);
+      }
+    } else if (value === undefined) {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+    return doc;
+  },
+
+  /**
+   * @private
+   */
+  _isKeyedList(value) {
+    if (!Array.isArray(value)) return false;
+    const ids = value.map((entry) => entry?.id);
+    return (
+      ids.every((id) => typeof id === 'string' || typeof id === 'number') &&
+      new Set(ids).size === ids.length
+    );
+  },
+
+  /**
+   * @private
+   */
+  _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  },
+
+  /**
+   * @private
+   */
+  _equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  },
+
+  /**
+   * @private
+   */
+  _clone(value) {
+    return value === undefined ? undefined : Helpers.deepClone(value);
+  },
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Patch = Patch;
+}
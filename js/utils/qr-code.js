@@ -0,0 +1,489 @@
+/**
+ * QR Code encoder (ISO/IEC 18004), self-contained so it works offline.
+ * Encodes text in byte mode (UTF-8) at the smallest version (1-40) that holds it, then
+ * raises the error correction level as far as that version allows. Draws to a canvas for
+ * the share dialog and the PDF export.
+ */
+const QRCode = (() => {
+  const LEVELS = ['L', 'M', 'Q', 'H'];
+  // Format information bits for each level, in LEVELS order
+  const FORMAT_BITS = [1, 0, 3, 2];
+
+  // Error correction codewords per block, by level then version (index 0 unused)
+  const ECC_CODEWORDS_PER_BLOCK = [
+    [
+      -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30,
+      30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    ],
+    [
+      -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28,
+      28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+    ],
+    [
+      -1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30,
+      30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    ],
+    [
+      -1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24,
+      30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    ],
+  ];
+
+  // Error correction blocks, by level then version (index 0 unused)
+  const ECC_BLOCKS = [
+    [
+      -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13,
+      14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+    ],
+    [
+      -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23,
+      25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+    ],
+    [
+      -1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29,
+      34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68,
+    ],
+    [
+      -1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35,
+      37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81,
+    ],
+  ];
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+  ];
+
+  function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+  }
+
+  /**
+   * Modules available for data and error correction (everything but function patterns)
+   */
+  function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const alignCount = Math.floor(version / 7) + 2;
+      result -= (25 * alignCount - 10) * alignCount - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function dataCodewords(version, level) {
+    return (
+      Math.floor(rawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version]
+    );
+  }
+
+  /**
+   * Bits used by a byte-mode segment of `length` bytes
+   */
+  function segmentBits(version, length) {
+    return 4 + (version <= 9 ? 8 : 16) + length * 8;
+  }
+
+  /**
+   * Center coordinates of the alignment patterns
+   */
+  function alignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+      positions.splice(1, 0, pos);
+    }
+    return positions;
+  }
+
+  // --- Reed-Solomon over GF(2^8) with the polynomial 0x11D ---
+
+  function multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function divisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = multiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = multiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function remainder(data, generator) {
+    const result = new Array(generator.length).fill(0);
+    data.forEach((byte) => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      generator.forEach((coefficient, i) => {
+        result[i] ^= multiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Split data into blocks, append each block's error correction and interleave them
+   */
+  function addErrorCorrection(data, version, level) {
+    const blockCount = ECC_BLOCKS[level][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - (rawCodewords % blockCount);
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const generator = divisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+      const block = data.slice(
+        offset,
+        offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1),
+      );
+      offset += block.length;
+      const ecc = remainder(block, generator);
+      if (i < shortBlocks) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Short blocks carry a placeholder where long blocks have one more data byte
+        if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Data codewords for byte mode: header, bytes, terminator and padding
+   */
+  function buildCodewords(bytes, version, level) {
+    const capacityBits = dataCodewords(version, level) * 8;
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+    };
+
+    append(0x4, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach((byte) => append(byte, 8));
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+      append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+  }
+
+  /**
+   * Module grid for a version: function patterns drawn, data modules still empty
+   */
+  function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4],
+    ].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Version information (versions 7 and up)
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, getBit(bits, i));
+        set(b, a, getBit(bits, i));
+      }
+    }
+
+    // Reserve the format information area; drawn once the mask is chosen
+    drawFormat({ modules, reserved, size }, 0, 0, set);
+
+    return { size, modules, reserved };
+  }
+
+  /**
+   * Format information (level and mask) next to the finders, plus the dark module
+   */
+  function drawFormat(matrix, level, mask, set) {
+    const { size } = matrix;
+    const data = (FORMAT_BITS[level] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+    set(8, 7, getBit(bits, 6));
+    set(8, 8, getBit(bits, 7));
+    set(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+    set(8, size - 8, true);
+  }
+
+  /**
+   * Place codewords in the two-column zigzag from the bottom-right corner
+   */
+  function drawCodewords(matrix, codewords) {
+    const { size, modules, reserved } = matrix;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing pattern
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!reserved[y][x] && i < codewords.length * 8) {
+            modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  function applyMask(matrix, mask) {
+    const { size, modules, reserved } = matrix;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  /**
+   * Penalty score of the current modules (lower scans more reliably)
+   */
+  function penalty(matrix) {
+    const { size, modules } = matrix;
+    let score = 0;
+    const finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true],
+    ];
+
+    for (let pass = 0; pass < 2; pass++) {
+      const at = pass === 0 ? (a, b) => modules[a][b] : (a, b) => modules[b][a];
+      for (let a = 0; a < size; a++) {
+        // Runs of five or more modules of one color
+        let run = 1;
+        for (let b = 1; b <= size; b++) {
+          if (b < size && at(a, b) === at(a, b - 1)) {
+            run++;
+            continue;
+          }
+          if (run >= 5) score += 3 + (run - 5);
+          run = 1;
+        }
+
+        // Patterns that look like a finder
+        for (let b = 0; b + 11 <= size; b++) {
+          finderLike.forEach((pattern) => {
+            if (pattern.every((dark, k) => at(a, b + k) === dark)) score += 40;
+          });
+        }
+      }
+    }
+
+    // 2x2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (
+          color === modules[y][x + 1] &&
+          color === modules[y + 1][x] &&
+          color === modules[y + 1][x + 1]
+        ) {
+          score += 3;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return score;
+  }
+
+  function toBytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+  }
+
+  return {
+    /**
+     * Encode text as a QR code
+     * @param {string} text
+     * @param {object} [options]
+     * @param {'L'|'M'|'Q'|'H'} [options.minLevel='L'] Lowest error correction level accepted
+     * @returns {{version: number, level: string, size: number, modules: boolean[][]}|null}
+     *   modules[y][x] is true for dark; null when the text is too long for any version
+     */
+    encode(text, { minLevel = 'L' } = {}) {
+      const bytes = toBytes(String(text));
+      let level = Math.max(0, LEVELS.indexOf(minLevel));
+
+      let version = 1;
+      while (
+        version <= 40 &&
+        segmentBits(version, bytes.length) > dataCodewords(version, level) * 8
+      ) {
+        version++;
+      }
+      if (version > 40) return null;
+
+      // Use the strongest error correction that still fits this version
+      while (
+        level < LEVELS.length - 1 &&
+        segmentBits(version, bytes.length) <= dataCodewords(version, level + 1) * 8
+      ) {
+        level++;
+      }
+
+      const matrix = createMatrix(version);
+      drawCodewords(
+        matrix,
+        addErrorCorrection(buildCodewords(bytes, version, level), version, level),
+      );
+
+      const setModule = (x, y, dark) => {
+        matrix.modules[y][x] = dark;
+      };
+      let bestMask = 0;
+      let bestScore = Infinity;
+      for (let mask = 0; mask < MASKS.length; mask++) {
+        applyMask(matrix, mask);
+        drawFormat(matrix, level, mask, setModule);
+        const score = penalty(matrix);
+        if (score < bestScore) {
+          bestMask = mask;
+          bestScore = score;
+        }
+        applyMask(matrix, mask); // masks are their own inverse
+      }
+      applyMask(matrix, bestMask);
+      drawFormat(matrix, level, bestMask, setModule);
+
+      return { version, level: LEVELS[level], size: matrix.size, modules: matrix.modules };
+    },
+
+    /**
+     * Draw a QR code on a new canvas
+     * @param {{size: number, modules: boolean[][]}} qr - Result of encode()
+     * @param {object} [options]
+     * @param {number} [options.moduleSize=4] Pixels per module
+     * @param {number} [options.margin=4] Quiet zone in modules (the standard asks for 4)
+     * @returns {HTMLCanvasElement}
+     */
+    toCanvas(qr, { moduleSize = 4, margin = 4 } = {}) {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = (qr.size + margin * 2) * moduleSize;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = '#000000';
+      qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+          if (dark) {
+            ctx.fillRect(
+              (x + margin) * moduleSize,
+              (y + margin) * moduleSize,
+              moduleSize,
+              moduleSize,
+            );
+          }
+        });
+      });
+      return canvas;
+    },
+
+    /**
+     * PNG data URL of the QR code for some text
+     * @param {string} text
+     * @param {object} [options] - See toCanvas()
+     * @returns {string|null} Null when the text is too long for a QR code
+     */
+    toDataURL(text, options) {
+      const qr = this.encode(text);
+      return qr ? this.toCanvas(qr, options).toDataURL('image/png') : null;
+    },
+  };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.QRCode = QRCode;
+}
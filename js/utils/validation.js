@@ -1,4 +1,4 @@
-/* global Config */
+/* global Config, Geometry, Items */
 
 /**
  * Validation Utilities
@@ -24,10 +24,185 @@ const Validation = {
       errors.push('Floor plan height must be greater than 0');
     }
 
-    if (floorPlan.widthFt * floorPlan.heightFt < 100) {
+    if (floorPlan.vertices !== undefined) {
+      const vertices = floorPlan.vertices;
+      const wellFormed =
+        Array.isArray(vertices) &&
+        vertices.length >= 3 &&
+        vertices.every((v) => v && Number.isFinite(v.x) && Number.isFinite(v.y));
+
+      if (!wellFormed) {
+        errors.push('Floor plan outline needs at least 3 corners');
+      } else if (!Geometry.validatePolygon(Geometry.verticesToPolygon(vertices)).valid) {
+        errors.push('Floor plan walls must not cross each other');
+      }
+    }
+
+    if (floorPlan.obstacles !== undefined) {
+      if (!Array.isArray(floorPlan.obstacles)) {
+        errors.push('Floor plan obstacles must be a list');
+      } else {
+        floorPlan.obstacles.forEach((obstacle, index) => {
+          this.validateObstacle(obstacle, floorPlan).errors.forEach((err) => {
+            errors.push(`Obstacle ${index + 1}: ${err}`);
+          });
+        });
+      }
+    }
+
+    if (floorPlan.doors !== undefined) {
+      if (!Array.isArray(floorPlan.doors)) {
+        errors.push('Floor plan doors must be a list');
+      } else {
+        floorPlan.doors.forEach((door, index) => {
+          this.validateDoor(door, floorPlan).errors.forEach((err) => {
+            errors.push(`Door ${index + 1}: ${err}`);
+          });
+        });
+      }
+    }
+
+    if (Geometry.getFloorPlanArea(floorPlan) < 100) {
       errors.push('Floor plan area must be at least 100 sq ft');
     }
 
+    const limits = Config.CUSTOM_FLOOR_PLAN_LIMITS;
+    if (floorPlan.isCustom && limits) {
+      if (floorPlan.widthFt > limits.maxFt || floorPlan.heightFt > limits.maxFt) {
+        errors.push(`Floor plan dimensions must be at most ${limits.maxFt} ft`);
+      }
+      if (floorPlan.widthFt < limits.minFt || floorPlan.heightFt < limits.minFt) {
+        errors.push(`Floor plan dimensions must be at least ${limits.minFt} ft`);
+      }
+    }
+
+    if (floorPlan.doorWall !== undefined && !Config.DOOR_WALLS.includes(floorPlan.doorWall)) {
+      errors.push('Door wall must be top, bottom, left or right');
+    }
+
+    if (floorPlan.doorWidth !== undefined && floorPlan.doorWidth !== null) {
+      const doorWall = floorPlan.doorWall || 'bottom';
+      const wallLength =
+        doorWall === 'left' || doorWall === 'right' ? floorPlan.heightFt : floorPlan.widthFt;
+
+      if (!(floorPlan.doorWidth > 0)) {
+        errors.push('Door width must be greater than 0');
+      } else if (wallLength > 0 && floorPlan.doorWidth > wallLength) {
+        errors.push('Door width cannot exceed the length of its wall');
+      }
+    }
+
+    if (floorPlan.doorHeight !== undefined && floorPlan.doorHeight !== null) {
+      if (!(floorPlan.doorHeight > 0)) {
+        errors.push('Door height must be greater than 0');
+      }
+    }
+
+    if (floorPlan.ceilingHeightFt !== undefined && floorPlan.ceilingHeightFt !== null) {
+      if (!(floorPlan.ceilingHeightFt > 0)) {
+        errors.push('Ceiling height must be greater than 0');
+      } else if (floorPlan.doorHeight > floorPlan.ceilingHeightFt) {
+        errors.push('Door height cannot exceed the ceiling height');
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  },
+
+  /**
+   * Validate a fixed obstacle (position/footprint in feet from the floor plan origin)
+   */
+  validateObstacle(obstacle, floorPlan) {
+    const errors = [];
+
+    if (!obstacle) {
+      errors.push('Obstacle is required');
+      return { valid: false, errors };
+    }
+
+    if (!Config.OBSTACLE_TYPES[obstacle.type]) {
+      errors.push('Unknown obstacle type');
+    }
+
+    if (!Number.isFinite(obstacle.x) || !Number.isFinite(obstacle.y)) {
+      errors.push('Position must be a number');
+    }
+
+    if (!(obstacle.widthFt > 0) || !(obstacle.lengthFt > 0)) {
+      errors.push('Size must be greater than 0');
+    }
+
+    if (!(obstacle.clearanceFt >= 0)) {
+      errors.push('Clearance cannot be negative');
+    }
+
+    if (
+      floorPlan &&
+      errors.length === 0 &&
+      (obstacle.x < 0 ||
+        obstacle.y < 0 ||
+        obstacle.x + obstacle.widthFt > floorPlan.widthFt ||
+        obstacle.y + obstacle.lengthFt > floorPlan.heightFt)
+    ) {
+      errors.push('Must be inside the floor plan');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  },
+
+  /**
+   * Validate a door or window opening (offset in feet from the wall's top/left end)
+   */
+  validateDoor(door, floorPlan) {
+    const errors = [];
+
+    if (!door) {
+      errors.push('Door is required');
+      return { valid: false, errors };
+    }
+
+    if (!Config.DOOR_TYPES[door.type]) {
+      errors.push('Unknown door type');
+    }
+
+    if (!Config.DOOR_WALLS.includes(door.wall)) {
+      errors.push('Wall must be top, bottom, left or right');
+    }
+
+    if (!(door.widthFt > 0)) {
+      errors.push('Width must be greater than 0');
+    }
+
+    if (door.heightFt !== undefined && !(door.heightFt > 0)) {
+      errors.push('Height must be greater than 0');
+    }
+
+    if (!(door.offsetFt >= 0)) {
+      errors.push('Offset cannot be negative');
+    }
+
+    if (door.hinge !== undefined && !['start', 'end'].includes(door.hinge)) {
+      errors.push('Hinge must be start or end');
+    }
+
+    if (door.swing !== undefined && !['in', 'out'].includes(door.swing)) {
+      errors.push('Swing must be in or out');
+    }
+
+    if (floorPlan && errors.length === 0) {
+      const wallLength =
+        door.wall === 'left' || door.wall === 'right' ? floorPlan.heightFt : floorPlan.widthFt;
+      if (door.offsetFt + door.widthFt > wallLength) {
+        errors.push('Must fit on its wall');
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors,
@@ -61,12 +236,284 @@ const Validation = {
       errors.push('Item width must be greater than 0');
     }
 
+    if (item.heightFt !== undefined && item.heightFt !== null && !(item.heightFt > 0)) {
+      errors.push('Item height must be greater than 0');
+    }
+
+    if (item.color !== undefined && !/^#[0-9a-f]{6}$/i.test(item.color)) {
+      errors.push('Item color must be a hex color like #2196F3');
+    }
+
     return {
       valid: errors.length === 0,
       errors,
     };
   },
 
+  /**
+   * Validate a user-created library item
+   */
+  validateCustomItem(item) {
+    const { errors } = this.validateItem(item);
+    if (!item) {
+      return { valid: false, errors };
+    }
+
+    if (!Items.categories[item.category]) {
+      errors.push('Unknown item category');
+    }
+
+    if (item.shapeType !== undefined && !Config.ITEM_SHAPES[item.shapeType]) {
+      errors.push('Unknown item shape');
+    }
+
+    const images = [item.paletteImage, item.canvasImage].filter(Boolean);
+    if (images.some((src) => typeof src !== 'string' || !src.startsWith('data:image/'))) {
+      errors.push('Item image must be an uploaded image');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  },
+
+  /**
+   * Check an imported layout file before anything is applied.
+   * Entries that can be fixed are repaired (unknown item types are matched against Items,
+   * bad sizes or colors fall back to the item type's defaults) and the rest are dropped.
+   * Only a missing or broken floor plan makes the whole file invalid.
+   * @param {object} data - Layout document, already upgraded by LayoutSchema
+   * @returns {{valid: boolean, errors: string[], layout: object|null, repaired: string[], rejected: string[]}}
+   */
+  validateImport(data) {
+    const errors = [];
+    const repaired = [];
+    const rejected = [];
+
+    if (!this._isPlainObject(data)) {
+      return { valid: false, errors: ['File is not a layout'], layout: null, repaired, rejected };
+    }
+
+    // Custom item types travel with the file so its items can use them
+    const customItems = [];
+    if (Array.isArray(data.customItems)) {
+      data.customItems.forEach((custom, index) => {
+        const result = this.validateCustomItem(custom);
+        if (result.valid) {
+          customItems.push(custom);
+        } else {
+          rejected.push(
+            `Custom item type ${custom?.label || index + 1}: ${result.errors.join('; ')}`,
+          );
+        }
+      });
+    } else if (data.customItems !== undefined) {
+      rejected.push('Custom item types: not a list');
+    }
+
+    const floorPlan = this._checkImportedFloorPlan(data.floorPlan, errors, rejected);
+
+    let items = [];
+    if (Array.isArray(data.items)) {
+      items = data.items
+        .map((item, index) => this._checkImportedItem(item, index, customItems, repaired, rejected))
+        .filter(Boolean);
+    } else {
+      errors.push('Items must be a list');
+    }
+
+    const layout = {
+      ...data,
+      floorPlan,
+      items,
+      customItems,
+      settings: this._plainValues(data.settings, 'Settings', repaired),
+      metadata: this._plainValues(data.metadata, 'Project details', repaired),
+    };
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      layout: errors.length === 0 ? layout : null,
+      repaired,
+      rejected,
+    };
+  },
+
+  /**
+   * Imported floor plan with broken doors and obstacles dropped, or null if unusable
+   * @private
+   */
+  _checkImportedFloorPlan(floorPlan, errors, rejected) {
+    if (!this._isPlainObject(floorPlan)) {
+      errors.push('Floor plan is missing');
+      return null;
+    }
+
+    const checked = { ...floorPlan };
+    [
+      { key: 'doors', name: 'Door', validate: (entry) => this.validateDoor(entry, floorPlan) },
+      {
+        key: 'obstacles',
+        name: 'Obstacle',
+        validate: (entry) => this.validateObstacle(entry, floorPlan),
+      },
+    ].forEach(({ key, name, validate }) => {
+      if (floorPlan[key] === undefined) return;
+      if (!Array.isArray(floorPlan[key])) {
+        delete checked[key];
+        rejected.push(`Floor plan ${key}: not a list`);
+        return;
+      }
+      checked[key] = floorPlan[key].filter((entry, index) => {
+        const result = validate(entry);
+        if (!result.valid) {
+          rejected.push(`${name} ${index + 1}: ${result.errors.join('; ')}`);
+        }
+        return result.valid;
+      });
+    });
+
+    const result = this.validateFloorPlan(checked);
+    if (!result.valid) {
+      errors.push(...result.errors);
+      return null;
+    }
+    return checked;
+  },
+
+  /**
+   * Imported item with unreadable fields repaired, or null if it cannot be placed
+   * @private
+   */
+  _checkImportedItem(item, index, customItems, repaired, rejected) {
+    const name = `Item ${index + 1}${typeof item?.label === 'string' ? ` (${item.label})` : ''}`;
+    if (!this._isPlainObject(item)) {
+      rejected.push(`${name}: not an item`);
+      return null;
+    }
+    if (!Number.isFinite(item.x) || !Number.isFinite(item.y)) {
+      rejected.push(`${name}: position is missing`);
+      return null;
+    }
+
+    const fixes = [];
+    const checked = { ...item };
+
+    [
+      ['lengthFt', 'length'],
+      ['widthFt', 'width'],
+      ['heightFt', 'height'],
+    ].forEach(([key, label]) => {
+      if (item[key] === undefined || item[key] === null) return;
+      if (!(typeof item[key] === 'number' && item[key] > 0)) {
+        delete checked[key];
+        fixes.push(`invalid ${label} reset`);
+      }
+    });
+    if (item.label !== undefined && (typeof item.label !== 'string' || !item.label.trim())) {
+      delete checked.label;
+      fixes.push('empty label replaced');
+    }
+    if (item.color !== undefined && !/^#[0-9a-f]{6}$/i.test(item.color)) {
+      delete checked.color;
+      fixes.push('invalid color removed');
+    }
+    if (item.angle !== undefined && !Number.isFinite(item.angle)) {
+      checked.angle = 0;
+      fixes.push('rotation reset');
+    }
+    if (item.locked !== undefined && typeof item.locked !== 'boolean') {
+      checked.locked = false;
+      fixes.push('lock state reset');
+    }
+    if (item.level !== undefined && !Object.values(Config.LEVELS).includes(item.level)) {
+      checked.level = Config.LEVELS.GROUND;
+      fixes.push('moved to the ground floor');
+    }
+
+    let type = this._resolveImportedItemType(checked, customItems);
+    if (type && type.id !== item.itemId) {
+      fixes.push(`unknown type "${item.itemId}" matched to ${type.label}`);
+    } else if (!type && checked.lengthFt > 0 && checked.widthFt > 0) {
+      // Keep the footprint of an unknown item type as a plain rectangle
+      type = Items.getById('shape-rectangle');
+      checked.label = checked.label || String(item.itemId || 'Item');
+      fixes.push(`unknown type "${item.itemId}" shown as a rectangle`);
+    }
+    if (!type) {
+      rejected.push(`${name}: unknown item type "${item.itemId}"`);
+      return null;
+    }
+    checked.itemId = type.id;
+
+    const result = this.validateItem({ ...type, ...checked, id: checked.id || type.id });
+    if (!result.valid) {
+      rejected.push(`${name}: ${result.errors.join('; ')}`);
+      return null;
+    }
+
+    if (fixes.length) {
+      repaired.push(`${name}: ${fixes.join(', ')}`);
+    }
+    return checked;
+  },
+
+  /**
+   * Item type for an imported item: its own itemId, then the same id written differently
+   * ("Sports Car" for sports-car), then an item type with the same label
+   * @private
+   */
+  _resolveImportedItemType(item, customItems) {
+    const known = [...Items.getAll(), ...customItems.filter((custom) => !Items.getById(custom.id))];
+    const exact = known.find((type) => type.id === item.itemId);
+    if (exact) return exact;
+
+    const normalize = (value) =>
+      String(value ?? '')
+        .trim()
+        .toLowerCase()
+        .replace(/[\s_]+/g, '-');
+    const id = normalize(item.itemId);
+    const label = normalize(item.label);
+    return (
+      (id && known.find((type) => type.id === id)) ||
+      (label && known.find((type) => normalize(type.label) === label)) ||
+      null
+    );
+  },
+
+  /**
+   * Copy of an imported settings/metadata object without nested or unreadable values
+   * @private
+   */
+  _plainValues(value, name, repaired) {
+    if (value === undefined) return {};
+    if (!this._isPlainObject(value)) {
+      repaired.push(`${name}: ignored (not readable)`);
+      return {};
+    }
+    /** @type {Object<string, any>} */
+    const plain = {};
+    Object.keys(value).forEach((key) => {
+      const entry = value[key];
+      if (entry === null || ['string', 'number', 'boolean'].includes(typeof entry)) {
+        plain[key] = entry;
+      } else {
+        repaired.push(`${name}: dropped unreadable "${key}"`);
+      }
+    });
+    return plain;
+  },
+
+  /**
+   * @private
+   */
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  },
+
   /**
    * Validate layout name
    */
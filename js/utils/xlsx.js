@@ -0,0 +1,286 @@
+/**
+ * XLSX Utilities
+ * Writes Excel workbooks (Office Open XML) without any library or network access: each
+ * sheet is a grid of strings and numbers, packed with the other workbook parts into an
+ * uncompressed zip. Strings are stored inline, so no shared string table is needed.
+ */
+const Xlsx = {
+  MIME_TYPE: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+
+  /** @type {Uint32Array|null} */
+  _crcTable: null,
+
+  /**
+   * Build a workbook
+   * @param {Array<{name: string, rows: Array<Array<string|number|null|undefined>>, columnWidths?: number[], boldRows?: number[], freezeHeader?: boolean}>} sheets
+   *   columnWidths are in characters; boldRows are zero-based row indexes; freezeHeader keeps
+   *   the first row in view while scrolling
+   * @returns {Uint8Array} .xlsx file contents
+   */
+  write(sheets) {
+    const names = [];
+    const sheetNames = sheets.map((sheet, index) => {
+      // Excel: at most 31 characters, none of []:*?/\, unique regardless of case
+      const base =
+        String(sheet.name || '')
+          .replace(/[[\]:*?/\\]/g, ' ')
+          .trim()
+          .slice(0, 31) || `Sheet${index + 1}`;
+      let name = base;
+      for (let n = 2; names.includes(name.toLowerCase()); n++) {
+        name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+      }
+      names.push(name.toLowerCase());
+      return name;
+    });
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const packageRelNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+    const officeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+    const files = [
+      {
+        name: '[Content_Types].xml',
+        text:
+          `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          `<Override PartName="/xl/workbook.xml" ContentType="${officeType}.sheet.main+xml"/>` +
+          `<Override PartName="/xl/styles.xml" ContentType="${officeType}.styles+xml"/>` +
+          sheets
+            .map(
+              (sheet, i) =>
+                `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="${officeType}.worksheet+xml"/>`,
+            )
+            .join('') +
+          '</Types>',
+      },
+      {
+        name: '_rels/.rels',
+        text:
+          `${xml}<Relationships xmlns="${packageRelNs}">` +
+          `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>` +
+          '</Relationships>',
+      },
+      {
+        name: 'xl/workbook.xml',
+        text:
+          `${xml}<workbook xmlns="${mainNs}" xmlns:r="${relNs}"><sheets>` +
+          sheetNames
+            .map(
+              (name, i) =>
+                `<sheet name="${this._escape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`,
+            )
+            .join('') +
+          '</sheets></workbook>',
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        text:
+          `${xml}<Relationships xmlns="${packageRelNs}">` +
+          sheets
+            .map(
+              (sheet, i) =>
+                `<Relationship Id="rId${i + 1}" Type="${relNs}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`,
+            )
+            .join('') +
+          `<Relationship Id="rId${sheets.length + 1}" Type="${relNs}/styles" Target="styles.xml"/>` +
+          '</Relationships>',
+      },
+      {
+        // Style 0 is the default, style 1 is bold
+        name: 'xl/styles.xml',
+        text:
+          `${xml}<styleSheet xmlns="${mainNs}">` +
+          '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+          '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+          '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+          '<fill><patternFill patternType="gray125"/></fill></fills>' +
+          '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+          '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+          '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+          '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+          '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+          '</styleSheet>',
+      },
+      ...sheets.map((sheet, i) => ({
+        name: `xl/worksheets/sheet${i + 1}.xml`,
+        text: xml + this._sheetXML(sheet, mainNs),
+      })),
+    ];
+
+    const encoder = new TextEncoder();
+    return this._zip(files.map((file) => ({ name: file.name, data: encoder.encode(file.text) })));
+  },
+
+  /**
+   * Spreadsheet column letters for a zero-based index (0 = A, 26 = AA)
+   * @param {number} index
+   * @returns {string}
+   */
+  columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  },
+
+  /**
+   * @private
+   */
+  _sheetXML(sheet, mainNs) {
+    const rows = sheet.rows || [];
+    const boldRows = new Set(sheet.boldRows || []);
+    const parts = [`<worksheet xmlns="${mainNs}">`];
+
+    if (sheet.freezeHeader && rows.length > 1) {
+      parts.push(
+        '<sheetViews><sheetView workbookViewId="0">' +
+          '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+          '</sheetView></sheetViews>',
+      );
+    }
+    if (sheet.columnWidths?.length) {
+      parts.push('<cols>');
+      sheet.columnWidths.forEach((width, i) => {
+        parts.push(`<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`);
+      });
+      parts.push('</cols>');
+    }
+
+    parts.push('<sheetData>');
+    rows.forEach((row, r) => {
+      const style = boldRows.has(r) ? ' s="1"' : '';
+      parts.push(`<row r="${r + 1}">`);
+      (row || []).forEach((value, c) => {
+        if (value === null || value === undefined || value === '') return;
+        const ref = `${this.columnName(c)}${r + 1}`;
+        if (typeof value === 'number' && Number.isFinite(value)) {
+          parts.push(`<c r="${ref}"${style}><v>${value}</v></c>`);
+        } else {
+          parts.push(
+            `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${this._escape(value)}</t></is></c>`,
+          );
+        }
+      });
+      parts.push('</row>');
+    });
+    parts.push('</sheetData></worksheet>');
+    return parts.join('');
+  },
+
+  /**
+   * XML text, without the control characters XML 1.0 does not allow
+   * @private
+   */
+  _escape(value) {
+    return String(value)
+      .replace(/[^\t\n\r\x20-\uffff]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Zip archive with every file stored (no compression)
+   * @private
+   * @param {Array<{name: string, data: Uint8Array}>} files
+   * @returns {Uint8Array}
+   */
+  _zip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const entries = files.map((file) => ({
+      ...file,
+      nameBytes: encoder.encode(file.name),
+      crc: this._crc32(file.data),
+      offset: 0,
+    }));
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.nameBytes.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.nameBytes.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+    let offset = 0;
+
+    // Fields shared by the local and central headers: version needed, flags (UTF-8 names),
+    // method (stored), time, date, CRC, sizes, name length
+    const common = (entry) => {
+      view.setUint16(offset, 20, true);
+      view.setUint16(offset + 2, 0x0800, true);
+      view.setUint16(offset + 4, 0, true);
+      view.setUint16(offset + 6, dosTime, true);
+      view.setUint16(offset + 8, dosDate, true);
+      view.setUint32(offset + 10, entry.crc, true);
+      view.setUint32(offset + 14, entry.data.length, true);
+      view.setUint32(offset + 18, entry.data.length, true);
+      view.setUint16(offset + 22, entry.nameBytes.length, true);
+      view.setUint16(offset + 24, 0, true); // extra field length
+    };
+
+    entries.forEach((entry) => {
+      entry.offset = offset;
+      view.setUint32(offset, 0x04034b50, true);
+      offset += 4;
+      common(entry);
+      offset += 26;
+      out.set(entry.nameBytes, offset);
+      offset += entry.nameBytes.length;
+      out.set(entry.data, offset);
+      offset += entry.data.length;
+    });
+
+    const centralStart = offset;
+    entries.forEach((entry) => {
+      view.setUint32(offset, 0x02014b50, true);
+      view.setUint16(offset + 4, 20, true); // version made by
+      offset += 6;
+      common(entry);
+      offset += 26;
+      // Comment length, disk number, internal and external attributes are all zero
+      view.setUint32(offset + 10, entry.offset, true);
+      offset += 14;
+      out.set(entry.nameBytes, offset);
+      offset += entry.nameBytes.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+    return out;
+  },
+
+  /**
+   * @private
+   */
+  _crc32(data) {
+    if (!this._crcTable) {
+      this._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this._crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = this._crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Xlsx = Xlsx;
+}
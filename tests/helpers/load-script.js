@@ -0,0 +1,17 @@
+import { readFileSync } from 'node:fs';
+import { createContext, runInContext } from 'node:vm';
+
+/**
+ * Run the app's browser scripts with only the globals they need. Scripts share one global
+ * scope, as on the page, so later ones see what earlier ones declare.
+ * @param {string|string[]} paths - Script paths from the repo root, in load order
+ * @param {object} [globals] - Globals the scripts read (Config, Helpers, ...)
+ * @returns {any} The scripts' `window`, holding what they export
+ */
+export function loadScript(paths, globals = {}) {
+  const context = createContext({ console, setTimeout, ...globals, window: {} });
+  [].concat(paths).forEach((path) => {
+    runInContext(readFileSync(new URL(`../../${path}`, import.meta.url), 'utf8'), context);
+  });
+  return context.window;
+}
@@ -0,0 +1,169 @@
+import { describe, expect, it } from 'vitest';
+import { loadScript } from './helpers/load-script.js';
+
+const Config = { PX_PER_FOOT: 10, LEVELS: { GROUND: 'ground', DECK: 'deck' } };
+const rectangle = { id: 'shape-rectangle', label: 'Rectangle', lengthFt: 4, widthFt: 4 };
+const { ItemListImport } = loadScript(
+  ['js/utils/helpers.js', 'js/utils/geometry.js', 'js/features/item-list-import/ItemListImport.js'],
+  {
+    Config,
+    Items: {
+      getById: (id) => (id === rectangle.id ? rectangle : null),
+      search: () => [],
+    },
+    // Test canvas objects carry their bounding rect (pixels)
+    Bounds: {
+      getItemBounds: (obj) => obj && { ...obj.rect, bottom: obj.rect.top + obj.rect.height },
+    },
+  },
+);
+
+const origin = { x: 100, y: 100 };
+
+/**
+ * Importer over a 20 x 20 ft plan at `origin`, with `existing` items already on the canvas
+ */
+function createImport(existing = []) {
+  const added = [];
+  const state = { get: (path) => (path === 'floorPlan' ? { widthFt: 20, heightFt: 20 } : null) };
+  const canvasManager = { getFloorPlanOrigin: () => origin, getCanvas: () => null };
+  const itemManager = {
+    getAllItems: () => existing,
+    addItem: (id, x, y, overrides) => {
+      const item = { id, x, y, ...overrides };
+      added.push(item);
+      return item;
+    },
+  };
+  return { importer: new ItemListImport(state, canvasManager, itemManager), added };
+}
+
+/**
+ * Placed item whose bounding rect spans the given feet from the plan corner
+ */
+function existingItem(leftFt, topFt, widthFt, heightFt) {
+  const px = Config.PX_PER_FOOT;
+  return {
+    canvasObject: {
+      rect: {
+        left: origin.x + leftFt * px,
+        top: origin.y + topFt * px,
+        width: widthFt * px,
+        height: heightFt * px,
+      },
+    },
+  };
+}
+
+describe('ItemListImport.parseLength', () => {
+  const { importer } = createImport();
+
+  it('reads feet and inches', () => {
+    expect(importer.parseLength(`12'6"`)).toBe(12.5);
+    expect(importer.parseLength('12 ft 6 in')).toBe(12.5);
+    expect(importer.parseLength("12' - 6")).toBe(12.5);
+    expect(importer.parseLength('12′6″')).toBe(12.5);
+  });
+
+  it('reads single units and falls back to the column unit', () => {
+    expect(importer.parseLength('150"')).toBe(12.5);
+    expect(importer.parseLength('150 in')).toBe(12.5);
+    expect(importer.parseLength('3.048 m')).toBe(10);
+    expect(importer.parseLength('30', 'in')).toBe(2.5);
+    expect(importer.parseLength('.5')).toBe(0.5);
+  });
+
+  it('returns null for empty, unreadable or non-positive lengths', () => {
+    expect(importer.parseLength('')).toBeNull();
+    expect(importer.parseLength('about 6')).toBeNull();
+    expect(importer.parseLength('0')).toBeNull();
+  });
+});
+
+describe('ItemListImport._splitRecords', () => {
+  const { importer } = createImport();
+
+  it('keeps line breaks, delimiters and doubled quotes inside quoted fields', () => {
+    expect(importer._splitRecords('"Tool\nchest","4, 2",x\n"Say ""hi""",1,2')).toEqual([
+      { line: 1, cells: ['Tool\nchest', '4, 2', 'x'] },
+      { line: 3, cells: ['Say "hi"', '1', '2'] },
+    ]);
+  });
+
+  it('skips blank records and numbers records by the line they start on', () => {
+    expect(importer._splitRecords('a,b\r\n\r\n ,\r\nc,d\r\n')).toEqual([
+      { line: 1, cells: ['a', 'b'] },
+      { line: 4, cells: ['c', 'd'] },
+    ]);
+  });
+
+  it('takes the delimiter the first line uses most', () => {
+    expect(importer._splitRecords('Shelf;4,5;2').map((r) => r.cells)).toEqual([
+      ['Shelf', '4,5', '2'],
+    ]);
+    expect(importer._splitRecords('"Bench, folding"\t6\t2').map((r) => r.cells)).toEqual([
+      ['Bench, folding', '6', '2'],
+    ]);
+  });
+});
+
+describe('ItemListImport.parse', () => {
+  const { importer } = createImport();
+
+  it('reads semicolon-separated lists with a header', () => {
+    const { rows, errors } = importer.parse('\uFEFFQty;Item;Width;Length\n3;Shelf;2;4');
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([{ line: 2, name: 'Shelf', lengthFt: 4, widthFt: 2, quantity: 3 }]);
+  });
+
+  it('applies a unit given in the header to its column', () => {
+    const { rows } = importer.parse('Name,Length (in),Width (cm)\nBox,24,30.48');
+    expect(rows[0]).toMatchObject({ lengthFt: 2, widthFt: 1 });
+  });
+
+  it('reads feet and inches in unquoted cells', () => {
+    const { rows } = importer.parse(`Boat,12'6",5'`);
+    expect(rows[0]).toMatchObject({ line: 1, name: 'Boat', lengthFt: 12.5, widthFt: 5 });
+  });
+
+  it('numbers rows after a quoted line break by the line they start on', () => {
+    const { rows, errors } = importer.parse('Name,Qty\n"Tool\nchest",2\nCar,x');
+    expect(rows).toEqual([
+      { line: 2, name: 'Tool\nchest', lengthFt: null, widthFt: null, quantity: 2 },
+    ]);
+    expect(errors).toEqual(['Line 4: quantity of "Car" not understood, skipped']);
+  });
+});
+
+describe('ItemListImport.place', () => {
+  it('reports entries wider than the floor plan and gives them a row of their own', () => {
+    const { importer, added } = createImport();
+    const plan = importer.plan('Name,Length,Width\nTrailer,8,25\nBox,2,2');
+
+    expect(plan.errors).toEqual(['Line 2: "Trailer" is wider than the floor plan']);
+    importer.place(plan.entries);
+    // Rows start 4 ft below the plan; the box goes on the next row, 2 ft below the trailer
+    expect(added.map(({ x, y }) => [x, y])).toEqual([
+      [100 + 125, 100 + 280],
+      [100 + 10, 100 + 350],
+    ]);
+  });
+
+  it('stages below the bounding rect of items already below the plan', () => {
+    // A 10 x 2 ft item turned sideways sits 24-26 ft down; one inside the plan is ignored
+    const { importer, added } = createImport([
+      existingItem(0, 24, 10, 2),
+      existingItem(2, 2, 4, 4),
+    ]);
+    importer.place(importer.plan('Box,4,2').entries);
+
+    expect(added[0]).toMatchObject({ x: 100 + 10, y: 100 + 320 });
+  });
+
+  it('stages below items that stick out of the bottom of the plan', () => {
+    const { importer, added } = createImport([existingItem(0, 16, 2, 6)]);
+    importer.place(importer.plan('Box,4,2').entries);
+
+    expect(added[0]).toMatchObject({ y: 100 + 280 });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest';
+import { loadScript } from './helpers/load-script.js';
+
+const Config = {
+  PX_PER_FOOT: 10,
+  LAYOUT_SCHEMA_VERSION: 2,
+  LEVELS: { GROUND: 'ground', DECK: 'deck' },
+};
+const Helpers = {
+  feetToPx: (feet) => feet * Config.PX_PER_FOOT,
+  deepClone: (obj) => JSON.parse(JSON.stringify(obj)),
+};
+const { LayoutSchema } = loadScript('js/utils/layout-schema.js', { Config, Helpers });
+
+describe('LayoutSchema.migrations', () => {
+  describe('0 → 1', () => {
+    it('moves items from their top-left corner to their center', () => {
+      const doc = LayoutSchema.migrations[1]({
+        items: [{ itemId: 'car', x: 100, y: 50, widthFt: 6, lengthFt: 15, angle: 0 }],
+      });
+      expect(doc.items[0].x).toBeCloseTo(130);
+      expect(doc.items[0].y).toBeCloseTo(125);
+    });
+
+    it('rotates the corner offset by the item angle', () => {
+      const doc = LayoutSchema.migrations[1]({
+        items: [{ itemId: 'bench', x: 0, y: 0, widthFt: 4, lengthFt: 2, angle: 90 }],
+      });
+      expect(doc.items[0].x).toBeCloseTo(-10);
+      expect(doc.items[0].y).toBeCloseTo(20);
+    });
+
+    it('leaves items without a position alone', () => {
+      const item = { itemId: 'shelf', widthFt: 2, lengthFt: 4 };
+      expect(LayoutSchema.migrations[1]({ items: [item] }).items[0]).toEqual(item);
+    });
+  });
+
+  describe('1 → 2', () => {
+    it('puts items without a level on the ground', () => {
+      const doc = LayoutSchema.migrations[2]({
+        items: [{ itemId: 'car' }, { itemId: 'lift', level: 'deck' }],
+      });
+      expect(doc.items.map((item) => item.level)).toEqual(['ground', 'deck']);
+    });
+
+    it('renames doorWidthFt/doorHeightFt to doorWidth/doorHeight', () => {
+      const doc = LayoutSchema.migrations[2]({
+        floorPlan: { widthFt: 24, lengthFt: 30, doorWidthFt: 16, doorHeightFt: 8 },
+      });
+      expect(doc.floorPlan).toEqual({ widthFt: 24, lengthFt: 30, doorWidth: 16, doorHeight: 8 });
+    });
+
+    it('keeps doorWidth/doorHeight over the old keys and adds none when missing', () => {
+      expect(
+        LayoutSchema.migrations[2]({ floorPlan: { doorWidth: 9, doorWidthFt: 16 } }).floorPlan,
+      ).toEqual({ doorWidth: 9 });
+    });
+
+    it('drops the metadata version string', () => {
+      const doc = LayoutSchema.migrations[2]({ metadata: { version: '1.3.0', name: 'Shop' } });
+      expect(doc.metadata).toEqual({ name: 'Shop' });
+    });
+  });
+});
+
+describe('LayoutSchema.getVersion', () => {
+  it('reads legacy version strings', () => {
+    expect(LayoutSchema.getVersion({ version: '2.0' })).toBe(0);
+    expect(LayoutSchema.getVersion({ version: '2.1' })).toBe(1);
+    expect(LayoutSchema.getVersion({ metadata: { version: '1.3.0' } })).toBe(1);
+  });
+
+  it('prefers an integer schemaVersion', () => {
+    expect(LayoutSchema.getVersion({ schemaVersion: 2, version: '2.0' })).toBe(2);
+  });
+});
+
+describe('LayoutSchema.migrate', () => {
+  it('runs every step from the document version to the current one', () => {
+    const result = LayoutSchema.migrate({
+      version: '2.0',
+      floorPlan: { doorWidthFt: 16 },
+      items: [{ x: 0, y: 0, widthFt: 2, lengthFt: 2 }],
+    });
+    expect(result.success).toBe(true);
+    expect(result.fromVersion).toBe(0);
+    expect(result.migrated).toBe(true);
+    expect(result.doc).toMatchObject({
+      schemaVersion: 2,
+      floorPlan: { doorWidth: 16 },
+      items: [{ x: 10, y: 10, level: 'ground' }],
+    });
+    expect(result.doc.version).toBeUndefined();
+  });
+
+  it('leaves current documents unchanged', () => {
+    const doc = { schemaVersion: 2, items: [{ x: 5, y: 5, level: 'deck' }] };
+    const result = LayoutSchema.migrate(doc);
+    expect(result).toMatchObject({ success: true, migrated: false, doc });
+  });
+
+  it('rejects a schema newer than the app', () => {
+    const result = LayoutSchema.migrate({ schemaVersion: 3, items: [] });
+    expect(result.success).toBe(false);
+    expect(result.fromVersion).toBe(3);
+    expect(result.errors[0]).toMatch(/newer version/);
+  });
+
+  it('rejects missing data', () => {
+    expect(LayoutSchema.migrate(null).success).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+import { IDBFactory, IDBObjectStore } from 'fake-indexeddb';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { loadScript } from './helpers/load-script.js';
+
+const Config = { STORAGE_KEYS: { layouts: 'garage-planner-layouts' } };
+
+/**
+ * A fresh LayoutStore (it opens its database once) over a fresh IndexedDB and `Storage`
+ */
+function createStore(storedLayouts) {
+  const storage = new Map();
+  if (storedLayouts) storage.set(Config.STORAGE_KEYS.layouts, storedLayouts);
+  const StorageUtil = {
+    load: (key) => storage.get(key) ?? null,
+    save: (key, value) => {
+      storage.set(key, value);
+      return true;
+    },
+    remove: (key) => storage.delete(key),
+  };
+  const { LayoutStore } = loadScript('js/utils/layout-store.js', {
+    Config,
+    StorageUtil,
+    indexedDB: new IDBFactory(),
+  });
+  return { LayoutStore, storage };
+}
+
+const legacyLayouts = [
+  { id: 'a', name: 'Shop', created: '2024-01-01', thumbnail: 'data:image/png;base64,AAA' },
+  { id: 'b', name: 'Storage', created: '2024-02-01' },
+];
+
+describe('LayoutStore', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('moves layouts from Storage into IndexedDB', async () => {
+    const { LayoutStore, storage } = createStore(legacyLayouts);
+
+    expect(await LayoutStore.init()).toBe('indexeddb');
+    expect(storage.has(Config.STORAGE_KEYS.layouts)).toBe(false);
+    expect((await LayoutStore.list()).map((layout) => layout.id)).toEqual(['a', 'b']);
+    expect(await LayoutStore.getThumbnail('a')).toBe('data:image/png;base64,AAA');
+  });
+
+  describe('when the migration fails', () => {
+    beforeEach(() => {
+      vi.spyOn(IDBObjectStore.prototype, 'put').mockImplementation(() => {
+        throw new Error('QuotaExceededError');
+      });
+    });
+
+    it('keeps using Storage so older layouts stay listed', async () => {
+      const { LayoutStore, storage } = createStore(legacyLayouts);
+
+      expect(await LayoutStore.init()).toBe('storage');
+      expect(storage.get(Config.STORAGE_KEYS.layouts)).toEqual(legacyLayouts);
+      expect((await LayoutStore.list()).map((layout) => layout.id)).toEqual(['a', 'b']);
+      expect((await LayoutStore.get('b')).name).toBe('Storage');
+      expect(await LayoutStore.getThumbnail('a')).toBe('data:image/png;base64,AAA');
+    });
+
+    it('saves next to the older layouts', async () => {
+      const { LayoutStore } = createStore(legacyLayouts);
+
+      expect(await LayoutStore.save({ id: 'c', name: 'New', created: '2024-03-01' })).toBe(true);
+      expect((await LayoutStore.list()).map((layout) => layout.id)).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  it('drops the old thumbnail when a layout is saved again without one', async () => {
+    const { LayoutStore } = createStore();
+    await LayoutStore.save({ id: 'a', name: 'Shop', created: '2024-01-01', thumbnail: 'data:1' });
+    await LayoutStore.save({ id: 'a', name: 'Shop v2', created: '2024-01-01' });
+
+    expect((await LayoutStore.get('a')).name).toBe('Shop v2');
+    expect(await LayoutStore.getThumbnail('a')).toBeNull();
+  });
+
+  it('replaces the thumbnail when a layout is saved with a new one', async () => {
+    const { LayoutStore } = createStore();
+    await LayoutStore.save({ id: 'a', name: 'Shop', created: '2024-01-01', thumbnail: 'data:1' });
+    await LayoutStore.save({ id: 'a', name: 'Shop', created: '2024-01-01', thumbnail: 'data:2' });
+
+    expect(await LayoutStore.getThumbnail('a')).toBe('data:2');
+  });
+});
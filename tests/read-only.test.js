@@ -0,0 +1,65 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { loadScript } from './helpers/load-script.js';
+
+const unit = { id: 'unit', name: '20x20', widthFt: 20, heightFt: 20 };
+const Config = { PX_PER_FOOT: 10, MAX_HISTORY: 50, FLOOR_PLANS: [unit] };
+const { State, HistoryManager, ItemManager, FloorPlanManager } = loadScript(
+  [
+    'js/utils/helpers.js',
+    'js/utils/patch.js',
+    'js/core/State.js',
+    'js/managers/HistoryManager.js',
+    'js/managers/ItemManager.js',
+    'js/managers/FloorPlanManager.js',
+  ],
+  {
+    Config,
+    Items: { getById: (id) => ({ id, label: id, widthFt: 6, lengthFt: 15 }) },
+  },
+);
+
+const eventBus = { emit() {} };
+
+describe('read-only mode', () => {
+  let state;
+  let history;
+
+  beforeEach(() => {
+    state = new State();
+    history = new HistoryManager(state, eventBus);
+    state.setState({ floorPlan: { ...unit }, items: [{ id: 'car', x: 50, y: 50 }] });
+    history.save();
+    state.setState({ items: [{ id: 'car', x: 80, y: 50 }] });
+    history.save('Move car');
+    state.setReadOnly(true);
+  });
+
+  it('rejects item edits', () => {
+    const items = new ItemManager(state, eventBus, null);
+
+    expect(items.addItem('truck', 100, 100)).toBeNull();
+    expect(items.updateItem('car', { x: 0 })).toBe(false);
+    expect(items.removeItem('car')).toBe(false);
+    expect(state.get('items')).toEqual([{ id: 'car', x: 80, y: 50 }]);
+  });
+
+  it('rejects floor plan edits', () => {
+    const floorPlans = new FloorPlanManager(state, eventBus, null);
+
+    expect(floorPlans.setFloorPlan({ id: 'other', widthFt: 10, heightFt: 10 })).toBe(false);
+    expect(floorPlans.addObstacle({ x: 0, y: 0, widthFt: 1, heightFt: 1 }).success).toBe(false);
+    expect(state.get('floorPlan')).toEqual(unit);
+  });
+
+  it('rejects undo until edits are allowed again', () => {
+    expect(history.canUndo()).toBe(false);
+    expect(history.undo()).toBeNull();
+    expect(history.goTo(0)).toBeNull();
+    expect(state.get('items')[0].x).toBe(80);
+
+    state.setReadOnly(false);
+    expect(history.canUndo()).toBe(true);
+    expect(history.undo()).not.toBeNull();
+    expect(state.get('items')[0].x).toBe(50);
+  });
+});
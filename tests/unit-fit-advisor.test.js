@@ -0,0 +1,132 @@
+import { describe, expect, it } from 'vitest';
+import { loadScript } from './helpers/load-script.js';
+
+const small = { id: 'small', name: '10x10', widthFt: 10, heightFt: 10 };
+const large = { id: 'large', name: '20x20', widthFt: 20, heightFt: 20 };
+const Config = {
+  PX_PER_FOOT: 10,
+  FLOOR_PLANS: [small, large],
+  AUTO_ARRANGE: { clearanceFt: 0, gridFt: 1 },
+};
+const { UnitFitAdvisor, AutoArrange, FloorPlanManager } = loadScript(
+  [
+    'js/utils/helpers.js',
+    'js/utils/geometry.js',
+    'js/features/auto-arrange/PackingSolver.js',
+    'js/features/auto-arrange/AutoArrange.js',
+    'js/managers/FloorPlanManager.js',
+    'js/features/unit-fit/UnitFitAdvisor.js',
+  ],
+  {
+    Config,
+    SelectionFilters: { isLockedObject: (obj) => Boolean(obj?.customData?.locked) },
+    Bounds: {
+      isDeckItem: () => false,
+      getDoorZones: () => [],
+      // Test objects are unrotated with a top-left origin
+      getItemBounds: (obj) => ({
+        left: obj.left,
+        top: obj.top,
+        width: obj.width * obj.scaleX,
+        height: obj.height * obj.scaleY,
+      }),
+    },
+  },
+);
+
+/**
+ * Item whose canvas object sits `x`, `y` feet from the unit corner (canvas origin 100,100)
+ */
+function item(id, widthFt, lengthFt, { x = 0, y = 0, locked = false, scale = 1 } = {}) {
+  const canvasObject = {
+    left: 100 + x * Config.PX_PER_FOOT,
+    top: 100 + y * Config.PX_PER_FOOT,
+    width: widthFt * Config.PX_PER_FOOT,
+    height: lengthFt * Config.PX_PER_FOOT,
+    scaleX: scale,
+    scaleY: scale,
+    customData: { id, locked },
+    set(props) {
+      Object.assign(this, props);
+    },
+    setCoords() {},
+  };
+  return { id, widthFt, lengthFt, category: 'storage', canvasObject };
+}
+
+function createAdvisor(items) {
+  let origin = { x: 100, y: 100 };
+  // setFloorPlan stores a copy of the library unit
+  const current = { ...small };
+  const state = { get: (path) => (path === 'floorPlan' ? current : undefined) };
+  const canvasManager = { getFloorPlanOrigin: () => origin, getCanvas: () => null };
+  const itemManager = {
+    getAllItems: () => items,
+    updateItem: (id, updates) =>
+      Object.assign(
+        items.find((i) => i.id === id),
+        updates,
+      ),
+  };
+  const floorPlanManager = new FloorPlanManager(state, null, canvasManager);
+  // The new unit is drawn centered elsewhere on the canvas
+  floorPlanManager.setFloorPlan = () => {
+    origin = { x: 300, y: 50 };
+    return true;
+  };
+  const autoArrange = new AutoArrange(state, canvasManager, itemManager);
+  return new UnitFitAdvisor(floorPlanManager, itemManager, autoArrange);
+}
+
+describe('UnitFitAdvisor', () => {
+  it('packs around locked items and counts them as occupied', async () => {
+    const items = [item('bench', 10, 5, { locked: true }), item('car', 6, 10)];
+    const advisor = createAdvisor(items);
+
+    expect(advisor.getItemsToFit().map((i) => i.id)).toEqual(['car']);
+    const rankings = await advisor.rank(advisor.getItemsToFit());
+    const byId = Object.fromEntries(rankings.map((r) => [r.floorPlan.id, r]));
+
+    // Only 5 ft is left beside the bench in the small unit
+    expect(byId.small).toMatchObject({ lockedFit: true, fits: false, placed: 0 });
+    expect(byId.large).toMatchObject({ lockedFit: true, fits: true, placed: 1 });
+    expect(byId.large.occupancy).toBeCloseTo(((50 + 60) / 400) * 100);
+    expect(byId.large.leftoverSqFt).toBeCloseTo(400 - 110);
+
+    // The car is not placed on top of the bench
+    const [car] = byId.large.result.placements;
+    const carTop = car.y - (car.angle % 180 ? 3 : 5);
+    const carLeft = car.x - (car.angle % 180 ? 5 : 3);
+    expect(carTop >= 5 - 1e-6 || carLeft >= 10 - 1e-6).toBe(true);
+  });
+
+  it('does not offer units a locked item would stick out of', async () => {
+    const advisor = createAdvisor([item('rack', 2, 2, { x: 15, locked: true }), item('box', 1, 1)]);
+    const rankings = await advisor.rank(advisor.getItemsToFit());
+
+    expect(rankings.map((r) => [r.floorPlan.id, r.lockedFit])).toEqual([
+      ['large', true],
+      ['small', false],
+    ]);
+    expect(advisor.open(rankings[1])).toBe(false);
+  });
+
+  it('measures occupancy with the same scaled sizes the solver gets', async () => {
+    const advisor = createAdvisor([item('shelf', 2, 3, { scale: 2 })]);
+    const rankings = await advisor.rank(advisor.getItemsToFit());
+    const large = rankings.find((r) => r.floorPlan.id === 'large');
+
+    expect(large.occupancy).toBeCloseTo((4 * 6 * 100) / 400);
+    expect(large.leftoverSqFt).toBeCloseTo(400 - 24);
+  });
+
+  it('carries locked items to the same spot in the opened unit', async () => {
+    const items = [item('bench', 10, 5, { x: 1, y: 2, locked: true }), item('car', 6, 10)];
+    const advisor = createAdvisor(items);
+    const rankings = await advisor.rank(advisor.getItemsToFit());
+
+    expect(advisor.open(rankings.find((r) => r.floorPlan.id === 'large'))).toBe(true);
+    expect(items[0].canvasObject).toMatchObject({ left: 310, top: 70 });
+    expect(items[0]).toMatchObject({ x: 310, y: 70 });
+  });
+});